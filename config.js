@@ -30,6 +30,11 @@ const config = {
             serverSelectionTimeoutMS: 5000,
             socketTimeoutMS: 45000,
             bufferMaxEntries: 0
+        },
+        // Multi-document transactions need a replica set, so they are off unless enabled
+        transactions: {
+            enabled: process.env.MONGODB_TRANSACTIONS === 'true',
+            maxRetries: parseInt(process.env.MONGODB_TRANSACTION_RETRIES) || 3
         }
     },
 
@@ -104,6 +109,7 @@ const config = {
     // File Upload Configuration
     upload: {
         path: process.env.UPLOAD_PATH || './uploads',
+        publicUrl: process.env.UPLOAD_PUBLIC_URL || 'https://ingain.com/uploads',
         maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 5242880, // 5MB
         allowedTypes: process.env.ALLOWED_FILE_TYPES?.split(',') || [
             'image/jpeg',
@@ -141,7 +147,104 @@ const config = {
     badge: {
         defaultXpReward: parseInt(process.env.DEFAULT_BADGE_XP_REWARD) || 50,
         defaultPointsReward: parseInt(process.env.DEFAULT_BADGE_POINTS_REWARD) || 5,
-        maxStreakCount: parseInt(process.env.MAX_BADGE_STREAK_COUNT) || 10
+        maxStreakCount: parseInt(process.env.MAX_BADGE_STREAK_COUNT) || 10,
+        // Badge stats computed from share, payout and badge history are cached per
+        // user in memory; a user's entry is dropped when one of their domain events
+        // is handled or a badge is granted to them.
+        statsCacheTtlSeconds: parseInt(process.env.BADGE_STATS_CACHE_TTL_SECONDS) || 300,
+        statsCacheMaxUsers: parseInt(process.env.BADGE_STATS_CACHE_MAX_USERS) || 10000,
+        repeatMinCooldownDays: parseInt(process.env.BADGE_REPEAT_MIN_COOLDOWN_DAYS) || 1,
+        iconSizes: process.env.BADGE_ICON_SIZES?.split(',').map(size => parseInt(size)) || [64, 128, 256]
+    },
+
+    // Streak Configuration
+    streaks: {
+        defaultTimezone: process.env.DEFAULT_USER_TIMEZONE || 'UTC',
+        maxFreezes: parseInt(process.env.STREAK_MAX_FREEZES) || 3,
+        freezeEarnEveryDays: parseInt(process.env.STREAK_FREEZE_EARN_DAYS) || 7,
+        freezePricePoints: parseInt(process.env.STREAK_FREEZE_PRICE_POINTS) || 200,
+        historyLimit: 100
+    },
+
+    // Level Configuration
+    // Each level starts at min_xp (current XP) and may unlock perks; perks carry
+    // over to higher levels until a later level overrides them. LEVEL_CURVE takes
+    // the same list as JSON.
+    levels: {
+        curve: process.env.LEVEL_CURVE ? JSON.parse(process.env.LEVEL_CURVE) : [
+            { level: 1, min_xp: 0, perks: { max_payout_points: 5000, payout_fee_discount: 0, max_tournament_tier: 1 } },
+            { level: 2, min_xp: 100 },
+            { level: 3, min_xp: 400 },
+            { level: 4, min_xp: 900 },
+            { level: 5, min_xp: 1600, perks: { max_payout_points: 25000, max_tournament_tier: 2 } },
+            { level: 6, min_xp: 2500 },
+            { level: 7, min_xp: 3600 },
+            { level: 8, min_xp: 4900 },
+            { level: 9, min_xp: 6400 },
+            { level: 10, min_xp: 8100, perks: { max_payout_points: 50000, payout_fee_discount: 0.1, max_tournament_tier: 3 } },
+            { level: 11, min_xp: 10000 },
+            { level: 12, min_xp: 12100 },
+            { level: 13, min_xp: 14400 },
+            { level: 14, min_xp: 16900 },
+            { level: 15, min_xp: 19600, perks: { max_payout_points: 75000, payout_fee_discount: 0.15 } },
+            { level: 16, min_xp: 22500 },
+            { level: 17, min_xp: 25600 },
+            { level: 18, min_xp: 28900 },
+            { level: 19, min_xp: 32400 },
+            { level: 20, min_xp: 36100, perks: { max_payout_points: 100000, payout_fee_discount: 0.2, max_tournament_tier: 4 } }
+        ]
+    },
+
+    // Points Expiry Configuration
+    pointsExpiry: {
+        enabled: process.env.POINTS_EXPIRY_ENABLED !== 'false',
+        expiryMonths: parseInt(process.env.POINTS_EXPIRY_MONTHS) || 12,
+        reminderDays: [30, 7, 1]
+    },
+
+    // Season Configuration
+    // Rewards are by final rank within the user's region. With auto rollover a
+    // new season of lengthDays starts when one closes and none is scheduled.
+    seasons: {
+        autoRollover: process.env.SEASON_AUTO_ROLLOVER !== 'false',
+        lengthDays: parseInt(process.env.SEASON_LENGTH_DAYS) || 90,
+        defaultRewards: [
+            { rank_from: 1, rank_to: 1, xp: 1000, points: 500 },
+            { rank_from: 2, rank_to: 3, xp: 500, points: 250 },
+            { rank_from: 4, rank_to: 10, xp: 250, points: 100 }
+        ]
+    },
+
+    // Quest Configuration
+    // Daily quests reset at local midnight and weekly quests on local Monday
+    // midnight in the user's timezone.
+    quests: {
+        claimGraceHours: parseInt(process.env.QUEST_CLAIM_GRACE_HOURS) || 48
+    },
+
+    // Rewards Store Configuration
+    rewardsStore: {
+        maxCodesPerUpload: parseInt(process.env.REWARD_CODES_MAX_UPLOAD) || 5000
+    },
+
+    // Points Transfer Configuration
+    // Daily limits cover the last 24 hours of transfers that were not declined,
+    // cancelled, rejected, blocked or expired. Fraud scores are 0-100; the higher
+    // of the two parties' scores decides whether a transfer is held or blocked.
+    // The user fraud analysis scores an ordinary account at 90, so transfers are
+    // held only above that and blocked at the maximum score (also given when the
+    // analysis fails).
+    transfers: {
+        minAmount: parseInt(process.env.TRANSFER_MIN_POINTS) || 10,
+        maxAmount: parseInt(process.env.TRANSFER_MAX_POINTS) || 5000,
+        dailySendLimit: parseInt(process.env.TRANSFER_DAILY_SEND_LIMIT) || 5000,
+        dailyReceiveLimit: parseInt(process.env.TRANSFER_DAILY_RECEIVE_LIMIT) || 10000,
+        maxTransfersPerDay: parseInt(process.env.TRANSFER_MAX_PER_DAY) || 10,
+        minAccountAgeDays: parseInt(process.env.TRANSFER_MIN_ACCOUNT_AGE_DAYS) || 30,
+        minUserLevel: parseInt(process.env.TRANSFER_MIN_USER_LEVEL) || 3,
+        confirmationHours: parseInt(process.env.TRANSFER_CONFIRMATION_HOURS) || 72,
+        fraudReviewScore: parseInt(process.env.TRANSFER_FRAUD_REVIEW_SCORE) || 95,
+        fraudBlockScore: parseInt(process.env.TRANSFER_FRAUD_BLOCK_SCORE) || 100
     },
 
     // Share Configuration
@@ -149,7 +252,35 @@ const config = {
         defaultCooldownMinutes: parseInt(process.env.DEFAULT_SHARE_COOLDOWN_MINUTES) || 30,
         maxSharesPerDay: parseInt(process.env.MAX_SHARES_PER_DAY) || 50,
         defaultAttributionWindowHours: parseInt(process.env.DEFAULT_ATTRIBUTION_WINDOW_HOURS) || 24,
-        fraudScoreThreshold: parseFloat(process.env.FRAUD_SCORE_THRESHOLD) || 0.8
+        fraudScoreThreshold: parseFloat(process.env.FRAUD_SCORE_THRESHOLD) || 0.8,
+        fallbackUrl: process.env.SHARE_FALLBACK_URL || 'https://ingain.com/share/unavailable',
+        trackingParameter: process.env.SHARE_TRACKING_PARAMETER || 'ingain_ref',
+        clickParameter: process.env.SHARE_CLICK_PARAMETER || 'ingain_click',
+        visitorCookieName: process.env.SHARE_VISITOR_COOKIE_NAME || 'ingain_vid',
+        defaultAttributionModel: process.env.DEFAULT_ATTRIBUTION_MODEL || 'last_click',
+        postbackToleranceSeconds: parseInt(process.env.POSTBACK_SIGNATURE_TOLERANCE_SECONDS) || 300,
+        shortUrlDomain: process.env.SHORT_URL_DOMAIN || 'ingain.com',
+        shortCodeLength: parseInt(process.env.SHORT_CODE_LENGTH) || 7,
+        // Public /s/:code redirects record a click per request, so they are limited per IP
+        redirectRateLimitWindowMs: parseInt(process.env.SHARE_REDIRECT_RATE_LIMIT_WINDOW_MS) || 60000, // 1 minute
+        redirectRateLimitMaxRequests: parseInt(process.env.SHARE_REDIRECT_RATE_LIMIT_MAX_REQUESTS) || 30
+    },
+
+    // Scheduled Jobs Configuration
+    jobs: {
+        enabled: process.env.ENABLE_CRON_JOBS !== 'false',
+        timezone: process.env.CRON_TIMEZONE || 'UTC',
+        shareExpiryCron: process.env.SHARE_EXPIRY_CRON || '*/5 * * * *',
+        shareExpiryBatchSize: parseInt(process.env.SHARE_EXPIRY_BATCH_SIZE) || 500,
+        shareExpiryGraceHours: parseInt(process.env.SHARE_EXPIRY_GRACE_HOURS) || 24,
+        streakMaintenanceCron: process.env.STREAK_MAINTENANCE_CRON || '10 * * * *',
+        streakMaintenanceBatchSize: parseInt(process.env.STREAK_MAINTENANCE_BATCH_SIZE) || 500,
+        pointsExpiryCron: process.env.POINTS_EXPIRY_CRON || '20 * * * *',
+        pointsExpiryBatchSize: parseInt(process.env.POINTS_EXPIRY_BATCH_SIZE) || 500,
+        seasonRolloverCron: process.env.SEASON_ROLLOVER_CRON || '*/10 * * * *',
+        seasonRolloverBatchSize: parseInt(process.env.SEASON_ROLLOVER_BATCH_SIZE) || 500,
+        transferExpiryCron: process.env.TRANSFER_EXPIRY_CRON || '*/15 * * * *',
+        transferExpiryBatchSize: parseInt(process.env.TRANSFER_EXPIRY_BATCH_SIZE) || 500
     },
 
     // Notification Configuration
@@ -0,0 +1,65 @@
+/**
+ * Badge Subscriber - INGAIN Platform
+ *
+ * This module evaluates badges when a domain event changes the user stats
+ * they are based on. Each event only evaluates the badges whose criteria_type
+ * it can affect, and badges are granted through grantBadge so the UserBadge
+ * record and the ledger credit are written.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const { DOMAIN_EVENTS, subscribe } = require('./eventBus');
+const { evaluateUserBadges } = require('../../utils/badgeAlgorithms');
+const { invalidateUserBadgeStats } = require('../../utils/badgeStatsProvider');
+
+// Criteria types moved by any XP or points credit
+const REWARD_CRITERIA_TYPES = ['xp_threshold', 'points_earned', 'level_reached', 'seasonal_xp'];
+
+const BADGE_CRITERIA_BY_EVENT = {
+    [DOMAIN_EVENTS.SHARE_VERIFIED]: [
+        'shares_count', 'streak_days', 'consecutive_days', 'app_diversity', 'category_diversity',
+        ...REWARD_CRITERIA_TYPES
+    ],
+    [DOMAIN_EVENTS.TOURNAMENT_WON]: ['tournaments_won', ...REWARD_CRITERIA_TYPES],
+    [DOMAIN_EVENTS.PAYOUT_COMPLETED]: ['total_payouts'],
+    [DOMAIN_EVENTS.REFERRAL_COMPLETED]: ['referrals_count', 'shares_count', ...REWARD_CRITERIA_TYPES]
+};
+
+/**
+ * Evaluate the badges a domain event affects for the event's user
+ *
+ * @param {Object} payload - Event payload ({ user_id, ...context })
+ * @param {string} event - Domain event name
+ * @returns {Promise<Object>} evaluateUserBadges result
+ */
+async function evaluateBadgesForEvent(payload, event) {
+    const { user_id, ...eventContext } = payload;
+
+    // The event may have changed the user's share, payout or badge history
+    invalidateUserBadgeStats(user_id);
+
+    const result = await evaluateUserBadges(user_id, event, { event, ...eventContext }, {
+        criteriaTypes: BADGE_CRITERIA_BY_EVENT[event]
+    });
+    if (!result.success) {
+        console.error(`Badge evaluation failed for ${event}:`, user_id, result.reason);
+    }
+    return result;
+}
+
+/**
+ * Subscribe badge evaluation to every domain event that affects badges
+ */
+function registerBadgeSubscriber() {
+    for (const event of Object.keys(BADGE_CRITERIA_BY_EVENT)) {
+        subscribe(event, 'badges', evaluateBadgesForEvent);
+    }
+}
+
+module.exports = {
+    BADGE_CRITERIA_BY_EVENT,
+    evaluateBadgesForEvent,
+    registerBadgeSubscriber
+};
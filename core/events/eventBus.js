@@ -0,0 +1,92 @@
+/**
+ * Domain Event Bus - INGAIN Platform
+ *
+ * This module is the in-process bus that reward paths publish domain events to:
+ * - share.verified: a share's rewards were credited
+ * - tournament.won: a user finished first in a tournament
+ * - payout.completed: a payout was paid out
+ * - referral.completed: a referral was rewarded
+ *
+ * Subscribers run one after the other and are awaited, so their effects are
+ * in place when publishEvent resolves. A failing subscriber is logged and
+ * never fails the reward path that published the event.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const DOMAIN_EVENTS = {
+    SHARE_VERIFIED: 'share.verified',
+    TOURNAMENT_WON: 'tournament.won',
+    PAYOUT_COMPLETED: 'payout.completed',
+    REFERRAL_COMPLETED: 'referral.completed'
+};
+
+const EVENT_NAMES = Object.values(DOMAIN_EVENTS);
+
+// Event name → [{ name, handler }]
+const subscribers = new Map();
+
+/**
+ * Subscribe a handler to a domain event
+ *
+ * Subscribing the same name twice to an event replaces the earlier handler.
+ *
+ * @param {string} event - Domain event name
+ * @param {string} name - Subscriber name, used as the key of its result
+ * @param {Function} handler - async (payload, event) => result
+ */
+function subscribe(event, name, handler) {
+    if (!EVENT_NAMES.includes(event)) {
+        throw new Error(`Unknown domain event: ${event}`);
+    }
+
+    const handlers = (subscribers.get(event) || []).filter(subscriber => subscriber.name !== name);
+    handlers.push({ name, handler });
+    subscribers.set(event, handlers);
+}
+
+/**
+ * Publish a domain event to its subscribers
+ *
+ * @param {string} event - Domain event name
+ * @param {Object} payload - Event payload
+ * @param {string} payload.user_id - User the event is about
+ * @returns {Promise<Object>} Each subscriber's result by subscriber name (null if it failed)
+ */
+async function publishEvent(event, payload) {
+    if (!EVENT_NAMES.includes(event)) {
+        throw new Error(`Unknown domain event: ${event}`);
+    }
+
+    const results = {};
+    for (const { name, handler } of subscribers.get(event) || []) {
+        try {
+            results[name] = await handler(payload, event);
+        } catch (error) {
+            console.error(`Domain event subscriber ${name} failed for ${event}:`, error);
+            results[name] = null;
+        }
+    }
+    return results;
+}
+
+/**
+ * Count the subscriptions across all events
+ *
+ * @returns {number} Subscription count
+ */
+function getSubscriptionCount() {
+    let count = 0;
+    for (const handlers of subscribers.values()) {
+        count += handlers.length;
+    }
+    return count;
+}
+
+module.exports = {
+    DOMAIN_EVENTS,
+    subscribe,
+    publishEvent,
+    getSubscriptionCount
+};
@@ -0,0 +1,30 @@
+/**
+ * Domain Event Subscribers - INGAIN Platform
+ *
+ * This module subscribes the platform's handlers to the domain event bus.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const { getSubscriptionCount } = require('./eventBus');
+const { registerBadgeSubscriber } = require('./badgeSubscriber');
+
+/**
+ * Register all domain event subscribers
+ *
+ * Safe to call more than once; each subscriber replaces its earlier registration.
+ *
+ * @returns {number} Subscription count
+ */
+function registerEventSubscribers() {
+    registerBadgeSubscriber();
+
+    const count = getSubscriptionCount();
+    console.log(`📣 ${count} domain event subscription(s) registered`);
+    return count;
+}
+
+module.exports = {
+    registerEventSubscribers
+};
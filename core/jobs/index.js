@@ -0,0 +1,42 @@
+/**
+ * Scheduled Jobs - INGAIN Platform
+ *
+ * This module starts the platform's cron jobs once the database is connected.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const { scheduleShareExpiryJob } = require('./shareExpiryJob');
+const { scheduleStreakMaintenanceJob } = require('./streakMaintenanceJob');
+const { schedulePointsExpiryJob } = require('./pointsExpiryJob');
+const { scheduleSeasonRolloverJob } = require('./seasonRolloverJob');
+const { schedulePointsTransferExpiryJob } = require('./pointsTransferExpiryJob');
+const config = require('../../config');
+
+/**
+ * Start all scheduled jobs
+ *
+ * @returns {Array} Started cron jobs
+ */
+function startScheduledJobs() {
+    if (!config.jobs.enabled) {
+        console.log('⏸️  Scheduled jobs disabled');
+        return [];
+    }
+
+    const jobs = [
+        scheduleShareExpiryJob(),
+        scheduleStreakMaintenanceJob(),
+        schedulePointsExpiryJob(),
+        scheduleSeasonRolloverJob(),
+        schedulePointsTransferExpiryJob()
+    ];
+
+    console.log(`⏰ ${jobs.length} scheduled job(s) started`);
+    return jobs;
+}
+
+module.exports = {
+    startScheduledJobs
+};
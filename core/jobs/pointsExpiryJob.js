@@ -0,0 +1,314 @@
+/**
+ * Points Expiry Job - INGAIN Platform
+ *
+ * This scheduled job enforces the points expiry policy:
+ * - Reminds users 30, 7 and 1 day before their points lots expire
+ * - Expires lots past their expiry date and debits what is left of them
+ *   from the user's wallet as a points_expiry ledger transaction
+ * - Notifies users of the points that expired
+ * - Logs every run as a cron_job_execution activity
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const { CronJob } = require('cron');
+const PointsLot = require('../models/Technical/PointsLot');
+const PlatformUser = require('../models/App/PlatformUser');
+const Notification = require('../models/Technical/Notification');
+const ActivityLog = require('../models/Technical/ActivityLog');
+const { debitUser } = require('../../utils/ledger');
+const { runInTransaction } = require('../../utils/transactions');
+const config = require('../../config');
+
+const JOB_NAME = 'points_expiry';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let isRunning = false;
+
+/**
+ * Send expiry reminders, then expire every lot past its expiry date
+ *
+ * @param {Object} options - Run options
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @param {number} options.batchSize - Lots processed per batch
+ * @returns {Promise<Object>} Run summary
+ */
+async function runPointsExpiry(options = {}) {
+    const startTime = Date.now();
+    const now = options.now || new Date();
+    const batchSize = options.batchSize || config.jobs.pointsExpiryBatchSize;
+
+    const summary = {
+        job: JOB_NAME,
+        reminders_sent: 0,
+        lots_expired: 0,
+        points_expired: 0,
+        users_notified: 0
+    };
+
+    try {
+        const reminders = await sendExpiryReminders(now);
+        summary.reminders_sent = reminders.reminders_sent;
+
+        const expiry = await expireDueLots(now, batchSize);
+        summary.lots_expired = expiry.lots_expired;
+        summary.points_expired = expiry.points_expired;
+        summary.users_notified = expiry.users_notified;
+
+        await ActivityLog.logSystemActivity(
+            'cron_job_execution',
+            `Points expiry expired ${summary.points_expired} points from ${summary.lots_expired} lots`,
+            summary,
+            { executionTime: Date.now() - startTime }
+        );
+
+        return { success: true, ...summary };
+
+    } catch (error) {
+        console.error('Points expiry job error:', error);
+
+        await ActivityLog.logSystemActivity(
+            'cron_job_execution',
+            'Points expiry failed',
+            { ...summary, error: error.message },
+            { executionTime: Date.now() - startTime, status: 'failure', severity: 'high' }
+        ).catch(logError => console.error('Points expiry job log error:', logError));
+
+        return { success: false, reason: "system_error", ...summary };
+    }
+}
+
+/**
+ * Remind users of points expiring within each reminder window
+ *
+ * Windows are handled from the nearest out, and a reminder marks the further
+ * windows as sent too, so a lot that enters late (e.g. earned with a short
+ * expiry) only gets the most urgent reminder.
+ *
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { reminders_sent }
+ */
+async function sendExpiryReminders(now) {
+    const reminderDays = [...config.pointsExpiry.reminderDays].sort((a, b) => a - b);
+    let remindersSent = 0;
+
+    for (const days of reminderDays) {
+        const groups = await PointsLot.aggregate([
+            {
+                $match: {
+                    status: 'active',
+                    remaining_amount: { $gt: 0 },
+                    expires_at: { $gt: now, $lte: new Date(now.getTime() + days * DAY_MS) },
+                    reminders_sent: { $ne: days }
+                }
+            },
+            {
+                $group: {
+                    _id: '$user_id',
+                    points: { $sum: '$remaining_amount' },
+                    next_expiry_at: { $min: '$expires_at' },
+                    lot_ids: { $push: '$_id' }
+                }
+            }
+        ]);
+
+        const coveredDays = reminderDays.filter(threshold => threshold >= days);
+
+        for (const group of groups) {
+            // Mark first, so a failed run never sends the same reminder twice
+            await PointsLot.updateMany(
+                { _id: { $in: group.lot_ids } },
+                { $addToSet: { reminders_sent: { $each: coveredDays } } }
+            );
+
+            await Notification.create({
+                user_id: group._id,
+                notification_type: 'points_expiring',
+                title: 'Points expiring soon',
+                message: `${group.points} points expire within ${days} day${days === 1 ? '' : 's'}. Use them before ${group.next_expiry_at.toISOString().slice(0, 10)}.`,
+                priority: days <= 1 ? 'high' : 'normal',
+                data: {
+                    points: group.points,
+                    days_before: days,
+                    next_expiry_at: group.next_expiry_at,
+                    lot_count: group.lot_ids.length
+                }
+            });
+            remindersSent++;
+        }
+    }
+
+    return { reminders_sent: remindersSent };
+}
+
+/**
+ * Expire every active lot past its expiry date
+ *
+ * @param {Date} now - Reference time
+ * @param {number} batchSize - Lots processed per batch
+ * @returns {Promise<Object>} { lots_expired, points_expired, users_notified }
+ */
+async function expireDueLots(now, batchSize) {
+    const expiredByUser = new Map();
+    let lotsExpired = 0;
+    let pointsExpired = 0;
+    let lastId = null;
+
+    for (;;) {
+        const query = {
+            status: 'active',
+            remaining_amount: { $gt: 0 },
+            expires_at: { $lte: now }
+        };
+        if (lastId) {
+            query._id = { $gt: lastId };
+        }
+
+        const lots = await PointsLot.find(query)
+            .sort({ _id: 1 })
+            .limit(batchSize)
+            .select('_id unique_id user_id')
+            .lean();
+
+        if (lots.length === 0) {
+            break;
+        }
+        lastId = lots[lots.length - 1]._id;
+
+        for (const lot of lots) {
+            const expired = await expireLot(lot, now);
+            if (!expired) {
+                continue;
+            }
+
+            lotsExpired++;
+            pointsExpired += expired.amount;
+            expiredByUser.set(lot.user_id, (expiredByUser.get(lot.user_id) || 0) + expired.amount);
+        }
+
+        if (lots.length < batchSize) {
+            break;
+        }
+    }
+
+    let usersNotified = 0;
+    for (const [userId, points] of expiredByUser) {
+        if (points <= 0) {
+            continue;
+        }
+
+        await Notification.create({
+            user_id: userId,
+            notification_type: 'points_expired',
+            title: 'Points expired',
+            message: `${points} points expired and were removed from your balance.`,
+            data: { points, expired_at: now }
+        });
+        usersNotified++;
+    }
+
+    return {
+        lots_expired: lotsExpired,
+        points_expired: pointsExpired,
+        users_notified: usersNotified
+    };
+}
+
+/**
+ * Schedule the points expiry job
+ *
+ * Runs are skipped while a previous run is still in progress.
+ *
+ * @returns {CronJob} Started cron job
+ */
+function schedulePointsExpiryJob() {
+    return new CronJob(
+        config.jobs.pointsExpiryCron,
+        async () => {
+            if (isRunning) {
+                console.warn('Points expiry job skipped: previous run still in progress');
+                return;
+            }
+
+            isRunning = true;
+            try {
+                await runPointsExpiry();
+            } finally {
+                isRunning = false;
+            }
+        },
+        null,
+        true,
+        config.jobs.timezone
+    );
+}
+
+// Helper Functions
+
+/**
+ * Expire one lot and debit what is left of it
+ *
+ * The lot is closed and the wallet debited in one transaction. The debit is
+ * capped at the wallet balance in case the lots and the balance have drifted.
+ *
+ * @param {Object} lot - Lean PointsLot document
+ * @param {Date} now - Expiry time recorded on the lot
+ * @returns {Promise<Object|null>} { amount } or null when the lot was no longer open
+ */
+async function expireLot(lot, now) {
+    return runInTransaction(async session => {
+        const claimed = await PointsLot.findOneAndUpdate(
+            { _id: lot._id, status: 'active', remaining_amount: { $gt: 0 } },
+            [{
+                $set: {
+                    expired_amount: '$remaining_amount',
+                    remaining_amount: 0,
+                    status: 'expired',
+                    expired_at: now
+                }
+            }],
+            { new: true, session }
+        );
+
+        if (!claimed) {
+            return null;
+        }
+
+        const user = await PlatformUser.findOne({ unique_id: lot.user_id })
+            .select('current_points')
+            .session(session);
+        const amount = Math.min(claimed.expired_amount, user ? user.current_points : 0);
+
+        let transactionId = null;
+        if (amount > 0) {
+            const debit = await debitUser(lot.user_id, { points: amount }, {
+                sourceType: 'points_expiry',
+                sourceId: lot.unique_id,
+                idempotencyKey: `points_expiry:${lot.unique_id}`,
+                session: session,
+                description: 'Points expired',
+                metadata: { earned_at: claimed.earned_at, expires_at: claimed.expires_at }
+            });
+            if (!debit.success) {
+                throw new Error(`Points expiry debit failed: ${debit.reason}`);
+            }
+            transactionId = debit.transaction_id;
+        }
+
+        await PointsLot.updateOne(
+            { _id: lot._id },
+            { $set: { expired_amount: amount, expiry_transaction_id: transactionId } },
+            { session }
+        );
+
+        return { amount };
+    });
+}
+
+module.exports = {
+    runPointsExpiry,
+    sendExpiryReminders,
+    expireDueLots,
+    schedulePointsExpiryJob
+};
@@ -0,0 +1,134 @@
+/**
+ * Points Transfer Expiry Job - INGAIN Platform
+ *
+ * This scheduled job sweeps points transfers the recipient did not accept in time:
+ * - Marks them as expired and refunds the points to the sender
+ * - Tells the sender with a points_transfer_update notification
+ * - Logs every run as a cron_job_execution activity
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const { CronJob } = require('cron');
+const PointsTransfer = require('../models/Technical/PointsTransfer');
+const ActivityLog = require('../models/Technical/ActivityLog');
+const { expirePointsTransfer } = require('../../utils/pointsTransferAlgorithms');
+const config = require('../../config');
+
+const JOB_NAME = 'points_transfer_expiry';
+
+let isRunning = false;
+
+/**
+ * Expire and refund every transfer past its confirmation deadline
+ *
+ * @param {Object} options - Sweep options
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @param {number} options.batchSize - Transfers processed per batch
+ * @returns {Promise<Object>} Sweep summary
+ */
+async function expirePendingTransfers(options = {}) {
+    const startTime = Date.now();
+    const now = options.now || new Date();
+    const batchSize = options.batchSize || config.jobs.transferExpiryBatchSize;
+
+    const summary = {
+        job: JOB_NAME,
+        transfers_expired: 0,
+        points_refunded: 0
+    };
+
+    try {
+        let lastId = null;
+
+        for (;;) {
+            const query = {
+                status: 'pending_confirmation',
+                expires_at: { $lte: now }
+            };
+            if (lastId) {
+                query._id = { $gt: lastId };
+            }
+
+            const transfers = await PointsTransfer.find(query)
+                .sort({ _id: 1 })
+                .limit(batchSize)
+                .select('_id unique_id')
+                .lean();
+
+            if (transfers.length === 0) {
+                break;
+            }
+            lastId = transfers[transfers.length - 1]._id;
+
+            // Transfers accepted or declined since the query are left alone
+            for (const transfer of transfers) {
+                const expired = await expirePointsTransfer(transfer.unique_id, now);
+                if (expired) {
+                    summary.transfers_expired++;
+                    summary.points_refunded += expired.amount;
+                }
+            }
+
+            if (transfers.length < batchSize) {
+                break;
+            }
+        }
+
+        await ActivityLog.logSystemActivity(
+            'cron_job_execution',
+            `Points transfer expiry sweep expired ${summary.transfers_expired} transfers`,
+            summary,
+            { executionTime: Date.now() - startTime }
+        );
+
+        return { success: true, ...summary };
+
+    } catch (error) {
+        console.error('Points transfer expiry job error:', error);
+
+        await ActivityLog.logSystemActivity(
+            'cron_job_execution',
+            'Points transfer expiry sweep failed',
+            { ...summary, error: error.message },
+            { executionTime: Date.now() - startTime, status: 'failure', severity: 'high' }
+        ).catch(logError => console.error('Points transfer expiry job log error:', logError));
+
+        return { success: false, reason: "system_error", ...summary };
+    }
+}
+
+/**
+ * Schedule the points transfer expiry sweep
+ *
+ * Runs are skipped while a previous sweep is still in progress.
+ *
+ * @returns {CronJob} Started cron job
+ */
+function schedulePointsTransferExpiryJob() {
+    return new CronJob(
+        config.jobs.transferExpiryCron,
+        async () => {
+            if (isRunning) {
+                console.warn('Points transfer expiry job skipped: previous run still in progress');
+                return;
+            }
+
+            isRunning = true;
+            try {
+                await expirePendingTransfers();
+            } finally {
+                isRunning = false;
+            }
+        },
+        null,
+        true,
+        config.jobs.timezone
+    );
+}
+
+module.exports = {
+    expirePendingTransfers,
+    schedulePointsTransferExpiryJob
+};
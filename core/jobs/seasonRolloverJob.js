@@ -0,0 +1,125 @@
+/**
+ * Season Rollover Job - INGAIN Platform
+ *
+ * This scheduled job moves competitive seasons along:
+ * - Closes the active season once its end date has passed (and resumes a close
+ *   interrupted in a previous run): standings are archived per region, rank
+ *   rewards granted and seasonal XP reset
+ * - Activates the next upcoming season once it has started
+ * - Logs every run as a cron_job_execution activity
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const { CronJob } = require('cron');
+const Season = require('../models/Common/Season');
+const ActivityLog = require('../models/Technical/ActivityLog');
+const { closeSeason, activateDueSeason } = require('../../utils/seasonAlgorithms');
+const config = require('../../config');
+
+const JOB_NAME = 'season_rollover';
+
+let isRunning = false;
+
+/**
+ * Close ended seasons and activate the next one
+ *
+ * @param {Object} options - Run options
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @param {number} options.batchSize - Users processed per batch
+ * @returns {Promise<Object>} Run summary
+ */
+async function runSeasonRollover(options = {}) {
+    const startTime = Date.now();
+    const now = options.now || new Date();
+    const batchSize = options.batchSize || config.jobs.seasonRolloverBatchSize;
+
+    const summary = {
+        job: JOB_NAME,
+        seasons_closed: 0,
+        standings_archived: 0,
+        rewards_granted: 0,
+        season_activated: null
+    };
+
+    try {
+        const dueSeasons = await Season.find({
+            $or: [
+                { status: 'active', ends_at: { $lte: now } },
+                { status: 'closing' }
+            ]
+        }).sort({ season_number: 1 }).select('unique_id').lean();
+
+        for (const season of dueSeasons) {
+            const result = await closeSeason(season.unique_id, { now, batchSize, resume: true });
+            if (!result.success) {
+                throw new Error(`Season ${season.unique_id} close failed: ${result.reason}`);
+            }
+
+            summary.seasons_closed++;
+            summary.standings_archived += result.standings_archived;
+            summary.rewards_granted += result.rewards_granted;
+        }
+
+        const activated = await activateDueSeason(now);
+        if (activated) {
+            summary.season_activated = activated.unique_id;
+        }
+
+        await ActivityLog.logSystemActivity(
+            'cron_job_execution',
+            `Season rollover closed ${summary.seasons_closed} season(s)`,
+            summary,
+            { executionTime: Date.now() - startTime }
+        );
+
+        return { success: true, ...summary };
+
+    } catch (error) {
+        console.error('Season rollover job error:', error);
+
+        await ActivityLog.logSystemActivity(
+            'cron_job_execution',
+            'Season rollover failed',
+            { ...summary, error: error.message },
+            { executionTime: Date.now() - startTime, status: 'failure', severity: 'high' }
+        ).catch(logError => console.error('Season rollover job log error:', logError));
+
+        return { success: false, reason: "system_error", ...summary };
+    }
+}
+
+/**
+ * Schedule the season rollover job
+ *
+ * Runs are skipped while a previous run is still in progress.
+ *
+ * @returns {CronJob} Started cron job
+ */
+function scheduleSeasonRolloverJob() {
+    return new CronJob(
+        config.jobs.seasonRolloverCron,
+        async () => {
+            if (isRunning) {
+                console.warn('Season rollover job skipped: previous run still in progress');
+                return;
+            }
+
+            isRunning = true;
+            try {
+                await runSeasonRollover();
+            } finally {
+                isRunning = false;
+            }
+        },
+        null,
+        true,
+        config.jobs.timezone
+    );
+}
+
+module.exports = {
+    runSeasonRollover,
+    scheduleSeasonRolloverJob
+};
@@ -0,0 +1,205 @@
+/**
+ * Share Expiry Job - INGAIN Platform
+ *
+ * This scheduled job sweeps pending shares whose expires_at has passed by more
+ * than the grace period (postbacks for conversions inside the attribution window
+ * can arrive after it ends):
+ * - Marks them as expired
+ * - Releases the app budget reserved when they were generated
+ * - Decrements each sharer's pending share count
+ * - Logs every run as a cron_job_execution activity
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const { CronJob } = require('cron');
+const App = require('../models/App/App');
+const ShareLog = require('../models/Technical/ShareLog');
+const PlatformUser = require('../models/App/PlatformUser');
+const ActivityLog = require('../models/Technical/ActivityLog');
+const config = require('../../config');
+
+const JOB_NAME = 'share_expiry';
+
+let isRunning = false;
+
+/**
+ * Expire every pending share past its expiry date and grace period
+ *
+ * @param {Object} options - Sweep options
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @param {number} options.batchSize - Shares processed per batch
+ * @returns {Promise<Object>} Sweep summary
+ */
+async function expireStaleShares(options = {}) {
+    const startTime = Date.now();
+    const now = options.now || new Date();
+    const batchSize = options.batchSize || config.jobs.shareExpiryBatchSize;
+    const expiredBefore = new Date(now.getTime() - config.jobs.shareExpiryGraceHours * 60 * 60 * 1000);
+
+    const summary = {
+        job: JOB_NAME,
+        shares_expired: 0,
+        budget_released: 0,
+        apps_updated: 0,
+        users_updated: 0
+    };
+
+    try {
+        let lastId = null;
+
+        for (;;) {
+            const query = {
+                validation_status: 'pending',
+                expires_at: { $lte: expiredBefore }
+            };
+            if (lastId) {
+                query._id = { $gt: lastId };
+            }
+
+            const shares = await ShareLog.find(query)
+                .sort({ _id: 1 })
+                .limit(batchSize)
+                .select('_id unique_id user_id app_id budget_reserved')
+                .lean();
+
+            if (shares.length === 0) {
+                break;
+            }
+            lastId = shares[shares.length - 1]._id;
+
+            const batch = await expireShareBatch(shares, now);
+            summary.shares_expired += batch.shares_expired;
+            summary.budget_released += batch.budget_released;
+            summary.apps_updated += batch.apps_updated;
+            summary.users_updated += batch.users_updated;
+
+            if (shares.length < batchSize) {
+                break;
+            }
+        }
+
+        summary.budget_released = Math.round(summary.budget_released * 100) / 100;
+
+        await ActivityLog.logSystemActivity(
+            'cron_job_execution',
+            `Share expiry sweep expired ${summary.shares_expired} shares`,
+            summary,
+            { executionTime: Date.now() - startTime }
+        );
+
+        return { success: true, ...summary };
+
+    } catch (error) {
+        console.error('Share expiry job error:', error);
+
+        await ActivityLog.logSystemActivity(
+            'cron_job_execution',
+            'Share expiry sweep failed',
+            { ...summary, error: error.message },
+            { executionTime: Date.now() - startTime, status: 'failure', severity: 'high' }
+        ).catch(logError => console.error('Share expiry job log error:', logError));
+
+        return { success: false, reason: "system_error", ...summary };
+    }
+}
+
+/**
+ * Schedule the share expiry sweep
+ *
+ * Runs are skipped while a previous sweep is still in progress.
+ *
+ * @returns {CronJob} Started cron job
+ */
+function scheduleShareExpiryJob() {
+    return new CronJob(
+        config.jobs.shareExpiryCron,
+        async () => {
+            if (isRunning) {
+                console.warn('Share expiry job skipped: previous run still in progress');
+                return;
+            }
+
+            isRunning = true;
+            try {
+                await expireStaleShares();
+            } finally {
+                isRunning = false;
+            }
+        },
+        null,
+        true,
+        config.jobs.timezone
+    );
+}
+
+// Helper Functions
+
+/**
+ * Expire a batch of shares and release what they held
+ *
+ * Each share is flipped from pending to expired atomically, so shares verified
+ * between the query and the update are left alone and release nothing.
+ *
+ * @param {Array} shares - Lean ShareLog documents
+ * @param {Date} now - Expiry time recorded on the shares
+ * @returns {Promise<Object>} Batch summary
+ */
+async function expireShareBatch(shares, now) {
+    const budgetByApp = new Map();
+    const pendingByUser = new Map();
+    let sharesExpired = 0;
+
+    for (const share of shares) {
+        const result = await ShareLog.updateOne(
+            { _id: share._id, validation_status: 'pending' },
+            {
+                $set: {
+                    validation_status: 'expired',
+                    'validation_details.expired_at': now
+                }
+            }
+        );
+
+        if (result.modifiedCount === 0) {
+            continue;
+        }
+
+        sharesExpired++;
+        budgetByApp.set(share.app_id, (budgetByApp.get(share.app_id) || 0) + (share.budget_reserved || 0));
+        pendingByUser.set(share.user_id, (pendingByUser.get(share.user_id) || 0) + 1);
+    }
+
+    let budgetReleased = 0;
+    for (const [appId, amount] of budgetByApp) {
+        if (amount > 0) {
+            await App.updateOne({ unique_id: appId }, { $inc: { budget_reserved: -amount } });
+            budgetReleased += amount;
+        }
+    }
+
+    for (const [userId, count] of pendingByUser) {
+        // Never drive the count below zero for users with shares created before it was tracked
+        await PlatformUser.updateOne(
+            { unique_id: userId, pending_shares_count: { $gte: count } },
+            { $inc: { pending_shares_count: -count } }
+        );
+        await PlatformUser.updateOne(
+            { unique_id: userId, pending_shares_count: { $gt: 0, $lt: count } },
+            { $set: { pending_shares_count: 0 } }
+        );
+    }
+
+    return {
+        shares_expired: sharesExpired,
+        budget_released: budgetReleased,
+        apps_updated: budgetByApp.size,
+        users_updated: pendingByUser.size
+    };
+}
+
+module.exports = {
+    expireStaleShares,
+    scheduleShareExpiryJob
+};
@@ -0,0 +1,135 @@
+/**
+ * Streak Maintenance Job - INGAIN Platform
+ *
+ * This scheduled job settles active sharing streaks once a user's day has passed
+ * without a share: streak freezes cover the missed days automatically, and
+ * streaks that cannot be covered are ended and archived in the streak history.
+ *
+ * Runs hourly so every timezone is settled shortly after its midnight.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const { CronJob } = require('cron');
+const PlatformUser = require('../models/App/PlatformUser');
+const ActivityLog = require('../models/Technical/ActivityLog');
+const { settleUserStreak } = require('../../utils/streakAlgorithms');
+const config = require('../../config');
+
+const JOB_NAME = 'streak_maintenance';
+
+let isRunning = false;
+
+/**
+ * Settle every active streak
+ *
+ * @param {Object} options - Run options
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @param {number} options.batchSize - Users processed per batch
+ * @returns {Promise<Object>} Run summary
+ */
+async function settleActiveStreaks(options = {}) {
+    const startTime = Date.now();
+    const now = options.now || new Date();
+    const batchSize = options.batchSize || config.jobs.streakMaintenanceBatchSize;
+
+    const summary = {
+        job: JOB_NAME,
+        users_checked: 0,
+        freezes_used: 0,
+        streaks_protected: 0,
+        streaks_broken: 0
+    };
+
+    try {
+        let lastId = null;
+
+        for (;;) {
+            const query = {
+                sharing_streak_days: { $gt: 0 },
+                streak_last_active_date: { $ne: null }
+            };
+            if (lastId) {
+                query._id = { $gt: lastId };
+            }
+
+            const users = await PlatformUser.find(query).sort({ _id: 1 }).limit(batchSize);
+            if (users.length === 0) {
+                break;
+            }
+            lastId = users[users.length - 1]._id;
+
+            for (const user of users) {
+                const settlement = await settleUserStreak(user, now);
+                summary.users_checked++;
+                summary.freezes_used += settlement.freezes_used;
+                if (settlement.freezes_used > 0) {
+                    summary.streaks_protected++;
+                }
+                if (settlement.broken) {
+                    summary.streaks_broken++;
+                }
+            }
+
+            if (users.length < batchSize) {
+                break;
+            }
+        }
+
+        await ActivityLog.logSystemActivity(
+            'cron_job_execution',
+            `Streak maintenance checked ${summary.users_checked} streaks`,
+            summary,
+            { executionTime: Date.now() - startTime }
+        );
+
+        return { success: true, ...summary };
+
+    } catch (error) {
+        console.error('Streak maintenance job error:', error);
+
+        await ActivityLog.logSystemActivity(
+            'cron_job_execution',
+            'Streak maintenance failed',
+            { ...summary, error: error.message },
+            { executionTime: Date.now() - startTime, status: 'failure', severity: 'high' }
+        ).catch(logError => console.error('Streak maintenance job log error:', logError));
+
+        return { success: false, reason: "system_error", ...summary };
+    }
+}
+
+/**
+ * Schedule the streak maintenance job
+ *
+ * Runs are skipped while a previous run is still in progress.
+ *
+ * @returns {CronJob} Started cron job
+ */
+function scheduleStreakMaintenanceJob() {
+    return new CronJob(
+        config.jobs.streakMaintenanceCron,
+        async () => {
+            if (isRunning) {
+                console.warn('Streak maintenance job skipped: previous run still in progress');
+                return;
+            }
+
+            isRunning = true;
+            try {
+                await settleActiveStreaks();
+            } finally {
+                isRunning = false;
+            }
+        },
+        null,
+        true,
+        config.jobs.timezone
+    );
+}
+
+module.exports = {
+    settleActiveStreaks,
+    scheduleStreakMaintenanceJob
+};
@@ -37,6 +37,24 @@ const appSchema = new mongoose.Schema({
             message: 'App logo must be a valid URL'
         }
     },
+    app_store_url: {
+        type: String,
+        validate: {
+            validator: function (v) {
+                return !v || /^https?:\/\/.+/.test(v);
+            },
+            message: 'App Store URL must be a valid URL'
+        }
+    },
+    play_store_url: {
+        type: String,
+        validate: {
+            validator: function (v) {
+                return !v || /^https?:\/\/.+/.test(v);
+            },
+            message: 'Play Store URL must be a valid URL'
+        }
+    },
     app_xp: {
         type: Number,
         required: [true, 'App XP reward is required'],
@@ -79,6 +97,11 @@ const appSchema = new mongoose.Schema({
         default: 0,
         min: 0
     },
+    budget_reserved: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
     is_active: {
         type: Boolean,
         default: true
@@ -123,6 +146,11 @@ const appSchema = new mongoose.Schema({
             fraud_detection: true
         }
     },
+    // Host share message overrides keyed by kind (regular, tournament), then by channel
+    share_templates: {
+        type: Object,
+        default: {}
+    },
     monetization_config: {
         type: Object,
         default: {
@@ -156,7 +184,8 @@ appSchema.virtual('remaining_budget').get(function () {
     const config = this.monetization_config || {};
     const totalBudget = config.budget_total || 0;
     const totalSpent = this.total_points_spent || 0;
-    return Math.max(0, totalBudget - totalSpent);
+    const reserved = this.budget_reserved || 0;
+    return Math.max(0, totalBudget - totalSpent - reserved);
 });
 
 // Virtual for daily remaining budget
@@ -12,11 +12,15 @@ const platformUserSchema = new mongoose.Schema({
     preferred_regions: [{ type: String }],
     preferences: { type: Object, default: {} },
     total_apps_shared: { type: Number, default: 0 },
+    pending_shares_count: { type: Number, default: 0 },
     total_xp_earned: { type: Number, default: 0 },
     total_points_earned: { type: Number, default: 0 },
+    // Projections of the user's ledger wallet; only change through utils/ledger
     current_xp: { type: Number, default: 0 },
     current_points: { type: Number, default: 0 },
     user_level: { type: Number, default: 1 },
+    // XP earned in the active season; reset when the season closes
+    seasonal_xp: { type: Number, default: 0 },
     last_payout_date: { type: Date },
     next_payout_date: { type: Date },
     total_payouts_received: { type: Number, default: 0.0 },
@@ -27,6 +31,18 @@ const platformUserSchema = new mongoose.Schema({
     active_tournament_ids: [{ type: String }],
     sharing_streak_days: { type: Number, default: 0 },
     longest_sharing_streak: { type: Number, default: 0 },
+    streak_last_active_date: { type: String },
+    current_streak_started_on: { type: String },
+    current_streak_freezes_used: { type: Number, default: 0 },
+    streak_freezes_available: { type: Number, default: 0 },
+    streak_history: [{
+        _id: false,
+        started_on: { type: String },
+        ended_on: { type: String },
+        length: { type: Number },
+        freezes_used: { type: Number, default: 0 },
+        ended_at: { type: Date }
+    }],
     last_share_date: { type: Date },
     successful_referrals_count: { type: Number, default: 0 },
     is_active: { type: Boolean, default: true },
@@ -52,6 +68,9 @@ const platformUserSchema = new mongoose.Schema({
     points_to_usd_value: { type: Number, default: 0.0 },
 });
 
+// Indexes for better performance
+platformUserSchema.index({ region: 1, seasonal_xp: -1 });
+
 // Hash password before saving
 platformUserSchema.pre("save", async function (next) {
     // Generate referral code if not exists
@@ -470,10 +470,20 @@ referralSchema.methods.awardReferrerBonus = async function () {
     const referrer = await PlatformUser.findOne({ unique_id: this.referrer_id });
 
     if (referrer) {
-        // Update current XP and points
-        referrer.current_xp += this.rewards.referrer_bonus.xp;
-        referrer.current_points += this.rewards.referrer_bonus.points;
+        // Credit XP and points through the ledger
+        const { creditUser } = require('../../../utils/ledger');
+        const credit = await creditUser(referrer.unique_id, this.rewards.referrer_bonus, {
+            sourceType: 'referral_bonus',
+            sourceId: this.unique_id,
+            description: 'Referrer bonus'
+        });
+        if (!credit.success) {
+            throw new Error(`Failed to credit referrer bonus: ${credit.reason}`);
+        }
         
+        // Counts towards referrals_count badges
+        referrer.successful_referrals_count += 1;
+
         // Use the PlatformUser method to update referral stats
         // This will update total_xp_earned, total_points_earned, and referral earnings
         await referrer.updateReferralStats(this.rewards.referrer_bonus.xp, this.rewards.referrer_bonus.points, true);
@@ -501,9 +511,16 @@ referralSchema.methods.awardReferredBonus = async function () {
     const referred = await PlatformUser.findOne({ unique_id: this.referred_id });
 
     if (referred) {
-        // Update current XP and points
-        referred.current_xp += this.rewards.referred_bonus.xp;
-        referred.current_points += this.rewards.referred_bonus.points;
+        // Credit XP and points through the ledger
+        const { creditUser } = require('../../../utils/ledger');
+        const credit = await creditUser(referred.unique_id, this.rewards.referred_bonus, {
+            sourceType: 'referral_bonus',
+            sourceId: this.unique_id,
+            description: 'Referred user bonus'
+        });
+        if (!credit.success) {
+            throw new Error(`Failed to credit referred user bonus: ${credit.reason}`);
+        }
         
         // Use the PlatformUser method to update referral stats
         // This will update total_xp_earned, total_points_earned, and referral earnings
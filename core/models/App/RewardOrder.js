@@ -0,0 +1,106 @@
+/**
+ * RewardOrder Model - INGAIN Platform
+ *
+ * This model records a user's redemption of a rewards store item: the points
+ * spent, the ledger transaction that debited them and what was delivered (a
+ * gift card code or a perk). The item's name, type and price are copied so the
+ * order history stays accurate after the catalog changes.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+const rewardOrderSchema = new mongoose.Schema({
+    unique_id: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => require('uuid').v4()
+    },
+    user_id: {
+        type: String,
+        required: [true, 'User ID is required'],
+        ref: 'PlatformUser'
+    },
+    item_id: {
+        type: String,
+        required: [true, 'Item ID is required'],
+        ref: 'RewardItem'
+    },
+    // The user's nth redemption of the item; unique, so per-user limits hold under concurrency
+    item_redemption_number: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    sku: {
+        type: String,
+        required: true
+    },
+    item_name: {
+        type: String,
+        required: true
+    },
+    item_type: {
+        type: String,
+        enum: ['gift_card', 'perk'],
+        required: true
+    },
+    points_spent: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    region: {
+        type: String,
+        default: null
+    },
+    delivery: {
+        code: { type: String, default: null },
+        code_id: { type: String, default: null },
+        face_value: { type: Number, default: null },
+        currency: { type: String, default: null },
+        perk_type: { type: String, default: null },
+        perk_quantity: { type: Number, default: null }
+    },
+    ledger_transaction_id: {
+        type: String,
+        default: null
+    },
+    fulfilled_at: {
+        type: Date,
+        default: Date.now
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Indexes for better performance
+rewardOrderSchema.index({ user_id: 1, item_id: 1, item_redemption_number: 1 }, { unique: true });
+rewardOrderSchema.index({ user_id: 1, created_at: -1 });
+rewardOrderSchema.index({ item_id: 1, created_at: -1 });
+
+// Static method to get a user's order history
+rewardOrderSchema.statics.findUserOrders = function(userId, options = {}) {
+    const query = { user_id: userId };
+    if (options.itemType) query.item_type = options.itemType;
+
+    return this.find(query)
+        .sort({ created_at: -1 })
+        .limit(options.limit || 20)
+        .skip(options.skip || 0);
+};
+
+const RewardOrder = mongoose.models.RewardOrder || mongoose.model('RewardOrder', rewardOrderSchema);
+
+module.exports = RewardOrder;
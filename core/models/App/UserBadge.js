@@ -3,6 +3,8 @@
  * 
  * This model represents the junction table for user badge achievements.
  * It tracks when users earn badges, their achievement context, and rewards received.
+ * A repeatable badge keeps one record per user: re-earning it updates the
+ * earn count, streak, rewards and next availability of that record.
  * 
  * @author Yash Singh (ER_SKY)
  * @version 1.0.0
@@ -25,6 +27,15 @@ const userBadgeSchema = new mongoose.Schema({
         type: Date,
         default: Date.now
     },
+    last_earned_at: {
+        type: Date,
+        default: Date.now
+    },
+    times_earned: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
     xp_awarded: {
         type: Number,
         default: 0,
@@ -53,8 +64,7 @@ const userBadgeSchema = new mongoose.Schema({
         default: null
     }
 }, {
-    timestamps: false,
-    _id: false
+    timestamps: false
 });
 
 // Compound primary key
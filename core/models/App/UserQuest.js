@@ -0,0 +1,164 @@
+/**
+ * UserQuest Model - INGAIN Platform
+ *
+ * This model is a user's copy of a quest for one period (a local day or ISO
+ * week in the user's timezone). The template's objectives and rewards are
+ * copied when the quest is assigned, so editing a template never changes
+ * quests already in progress.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+const userQuestObjectiveSchema = new mongoose.Schema({
+    event: {
+        type: String,
+        required: true
+    },
+    target: {
+        type: Number,
+        required: true
+    },
+    description: {
+        type: String,
+        default: null
+    },
+    filters: {
+        type: Object,
+        default: {}
+    },
+    progress: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    completed_at: {
+        type: Date,
+        default: null
+    }
+}, { _id: false });
+
+const userQuestSchema = new mongoose.Schema({
+    unique_id: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => require('uuid').v4()
+    },
+    user_id: {
+        type: String,
+        required: [true, 'User ID is required'],
+        ref: 'PlatformUser'
+    },
+    template_id: {
+        type: String,
+        required: [true, 'Template ID is required'],
+        ref: 'QuestTemplate'
+    },
+    quest_key: {
+        type: String,
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    description: {
+        type: String,
+        default: null
+    },
+    cadence: {
+        type: String,
+        enum: ['daily', 'weekly'],
+        required: true
+    },
+    rotation_group: {
+        type: String,
+        default: null
+    },
+    // Local date (YYYY-MM-DD) or ISO week (YYYY-Www) in the user's timezone
+    period_key: {
+        type: String,
+        required: true
+    },
+    timezone: {
+        type: String,
+        required: true
+    },
+    starts_at: {
+        type: Date,
+        required: true
+    },
+    ends_at: {
+        type: Date,
+        required: true
+    },
+    objectives: {
+        type: [userQuestObjectiveSchema],
+        default: []
+    },
+    xp_reward: {
+        type: Number,
+        default: 0
+    },
+    points_reward: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['active', 'completed', 'claimed', 'expired'],
+        default: 'active'
+    },
+    // Events already counted, so a replayed event never counts twice
+    counted_event_ids: {
+        type: [String],
+        default: []
+    },
+    completed_at: {
+        type: Date,
+        default: null
+    },
+    claimed_at: {
+        type: Date,
+        default: null
+    },
+    reward_transaction_id: {
+        type: String,
+        default: null
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Indexes for better performance
+userQuestSchema.index({ user_id: 1, template_id: 1, period_key: 1 }, { unique: true });
+userQuestSchema.index({ user_id: 1, status: 1, ends_at: 1 });
+
+// Virtual for overall progress percentage
+userQuestSchema.virtual('progress_percentage').get(function() {
+    const target = this.objectives.reduce((sum, objective) => sum + objective.target, 0);
+    const progress = this.objectives.reduce((sum, objective) => sum + Math.min(objective.progress, objective.target), 0);
+    return target > 0 ? Math.round((progress / target) * 100) : 0;
+});
+
+userQuestSchema.set('toJSON', { virtuals: true });
+
+// Static method to find a user's quests in progress
+userQuestSchema.statics.findActiveForUser = function(userId, now = new Date()) {
+    return this.find({ user_id: userId, status: 'active', ends_at: { $gt: now } }).sort({ ends_at: 1 });
+};
+
+const UserQuest = mongoose.models.UserQuest || mongoose.model('UserQuest', userQuestSchema);
+
+module.exports = UserQuest;
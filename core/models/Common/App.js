@@ -5,6 +5,8 @@ const appSchema = new mongoose.Schema({
     app_name: { type: String, required: true },
     app_description: { type: String },
     app_logo: { type: String },
+    app_store_url: { type: String },
+    play_store_url: { type: String },
     app_xp: { type: Number, default: 0 },
     app_points: { type: Number, default: 0 },
     categories: [{ type: String }],
@@ -13,12 +15,14 @@ const appSchema = new mongoose.Schema({
     total_points_allocated: { type: Number, default: 0 },
     total_xp_spent: { type: Number, default: 0 },
     total_points_spent: { type: Number, default: 0 },
+    budget_reserved: { type: Number, default: 0 },
     is_active: { type: Boolean, default: true },
     is_featured: { type: Boolean, default: false },
     geo_availability: [{ type: String, default: [] }],
     host_id: { type: String, required: true },
     share_rules: { type: Object, default: {} },
     tracking_config: { type: Object, default: {} },
+    share_templates: { type: Object, default: {} },
     monetization_config: { type: Object, default: {} },
     created_at: { type: Date, default: Date.now },
     updated_at: { type: Date, default: Date.now },
@@ -9,6 +9,12 @@
  */
 
 const mongoose = require('mongoose');
+const {
+    validateBadgeExpression,
+    getStoredBadgeExpression,
+    evaluateBadgeExpression,
+    buildBadgeExpressionFacts
+} = require('../../../utils/badgeCriteriaExpressions');
 
 const badgeSchema = new mongoose.Schema({
     unique_id: {
@@ -42,13 +48,19 @@ const badgeSchema = new mongoose.Schema({
             message: 'Badge icon must be a valid URL'
         }
     },
+    // Uploaded icon resized to the standard sizes: size in pixels → URL
+    badge_icon_variants: {
+        type: Object,
+        default: null
+    },
     criteria_type: {
         type: String,
         required: [true, 'Criteria type is required'],
         enum: [
             'xp_threshold', 'points_earned', 'shares_count', 'tournaments_won',
             'streak_days', 'referrals_count', 'level_reached', 'consecutive_days',
-            'category_diversity', 'app_diversity', 'total_payouts', 'badge_count'
+            'category_diversity', 'app_diversity', 'total_payouts', 'badge_count',
+            'seasonal_xp'
         ]
     },
     threshold_value: {
@@ -61,6 +73,8 @@ const badgeSchema = new mongoose.Schema({
         enum: ['>=', '==', '<=', '>', '<', '!='],
         default: '>='
     },
+    // Expression that must also hold, e.g. { all: [{ fact, operator, value }, ...] }
+    // (see utils/badgeCriteriaExpressions)
     secondary_criteria: {
         type: Object,
         default: null
@@ -89,6 +103,11 @@ const badgeSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    // Position in badge listings, lowest first
+    sort_order: {
+        type: Number,
+        default: 0
+    },
     is_hidden: {
         type: Boolean,
         default: false
@@ -120,6 +139,12 @@ const badgeSchema = new mongoose.Schema({
         type: Date,
         default: null
     },
+    // Season whose window the seasonal_start / seasonal_end follow
+    season_id: {
+        type: String,
+        ref: 'Season',
+        default: null
+    },
     created_at: {
         type: Date,
         default: Date.now
@@ -176,6 +201,7 @@ badgeSchema.index({ criteria_type: 1 });
 badgeSchema.index({ badge_classification: 1 });
 badgeSchema.index({ is_hidden: 1 });
 badgeSchema.index({ created_at: -1 });
+badgeSchema.index({ sort_order: 1 });
 
 // Compound indexes
 badgeSchema.index({ is_active: 1, rarity: 1 });
@@ -187,6 +213,34 @@ badgeSchema.pre('save', function(next) {
     next();
 });
 
+// Pre-save middleware to validate the secondary criteria expression
+badgeSchema.pre('save', async function() {
+    if (!this.secondary_criteria || !this.isModified('secondary_criteria')) {
+        return;
+    }
+
+    const validation = validateBadgeExpression(this.secondary_criteria);
+    if (!validation.valid) {
+        throw new Error(`Invalid secondary criteria: ${validation.errors.join('; ')}`);
+    }
+});
+
+// Pre-save middleware to take the seasonal window from the referenced season
+badgeSchema.pre('save', async function() {
+    if (!this.season_id || !this.isModified('season_id')) {
+        return;
+    }
+
+    const Season = require('./Season');
+    const season = await Season.findOne({ unique_id: this.season_id });
+    if (!season) {
+        throw new Error(`Season ${this.season_id} not found`);
+    }
+
+    this.seasonal_start = season.starts_at;
+    this.seasonal_end = season.ends_at;
+});
+
 // Static method to find active badges
 badgeSchema.statics.findActive = function() {
     return this.find({ is_active: true }).sort({ rarity: 1, threshold_value: 1 });
@@ -232,36 +286,14 @@ badgeSchema.methods.checkUserEligibility = function(userStats) {
     return this.evaluateThreshold(currentValue);
 };
 
+// Static method to get a user's value for a criteria type
+badgeSchema.statics.getCriteriaValue = function(criteriaType, userStats) {
+    return getCriteriaValue(criteriaType, userStats);
+};
+
 // Instance method to get current value based on criteria type
 badgeSchema.methods.getCurrentValue = function(userStats) {
-    switch (this.criteria_type) {
-        case 'xp_threshold':
-            return userStats.current_xp || 0;
-        case 'points_earned':
-            return userStats.total_points_earned || 0;
-        case 'shares_count':
-            return userStats.total_apps_shared || 0;
-        case 'tournaments_won':
-            return userStats.total_tournaments_won || 0;
-        case 'streak_days':
-            return userStats.sharing_streak_days || 0;
-        case 'referrals_count':
-            return userStats.successful_referrals_count || 0;
-        case 'level_reached':
-            return userStats.user_level || 1;
-        case 'consecutive_days':
-            return userStats.sharing_streak_days || 0;
-        case 'category_diversity':
-            return userStats.unique_categories_shared || 0;
-        case 'app_diversity':
-            return userStats.unique_apps_shared || 0;
-        case 'total_payouts':
-            return userStats.total_payouts_received || 0;
-        case 'badge_count':
-            return userStats.total_badges_earned || 0;
-        default:
-            return 0;
-    }
+    return getCriteriaValue(this.criteria_type, userStats);
 };
 
 // Instance method to evaluate threshold
@@ -284,18 +316,29 @@ badgeSchema.methods.evaluateThreshold = function(currentValue) {
     }
 };
 
-// Instance method to check secondary criteria
+// Instance method to check secondary criteria (legacy unvalidated criteria do not apply)
 badgeSchema.methods.checkSecondaryCriteria = function(userStats) {
-    if (!this.secondary_criteria) return true;
-    
-    for (const [key, criteria] of Object.entries(this.secondary_criteria)) {
-        const currentValue = this.getCurrentValue(userStats);
-        if (!this.evaluateThreshold(currentValue)) {
-            return false;
-        }
-    }
-    
-    return true;
+    const expression = getStoredBadgeExpression(this.secondary_criteria);
+    if (!expression) return true;
+
+    return evaluateBadgeExpression(expression, buildBadgeExpressionFacts(userStats, getCriteriaValue));
+};
+
+// Instance method to get the cooldown between earns of a repeatable badge
+// (never shorter than config.badge.repeatMinCooldownDays)
+badgeSchema.methods.getRepeatCooldownDays = function() {
+    if (!this.is_repeatable) return null;
+
+    const config = require('../../../config');
+    return Math.max(this.cooldown_days || 0, config.badge.repeatMinCooldownDays);
+};
+
+// Instance method to get when a badge earned at earnedAt can be earned again
+badgeSchema.methods.getNextAchievableAt = function(earnedAt) {
+    const cooldownDays = this.getRepeatCooldownDays();
+    if (cooldownDays === null) return null;
+
+    return new Date(earnedAt.getTime() + cooldownDays * 24 * 60 * 60 * 1000);
 };
 
 // Instance method to increment achievement count
@@ -348,6 +391,40 @@ badgeSchema.methods.isCurrentlyAvailable = function() {
     return true;
 };
 
+// Get a user's value for a criteria type from their badge stats
+function getCriteriaValue(criteriaType, userStats) {
+    switch (criteriaType) {
+        case 'xp_threshold':
+            return userStats.current_xp || 0;
+        case 'points_earned':
+            return userStats.total_points_earned || 0;
+        case 'shares_count':
+            return userStats.total_apps_shared || 0;
+        case 'tournaments_won':
+            return userStats.total_tournaments_won || 0;
+        case 'streak_days':
+            return userStats.sharing_streak_days || 0;
+        case 'referrals_count':
+            return userStats.successful_referrals_count || 0;
+        case 'level_reached':
+            return userStats.user_level || 1;
+        case 'consecutive_days':
+            return userStats.consecutive_share_days || 0;
+        case 'category_diversity':
+            return userStats.unique_categories_shared || 0;
+        case 'app_diversity':
+            return userStats.unique_apps_shared || 0;
+        case 'total_payouts':
+            return userStats.total_payouts_completed || 0;
+        case 'badge_count':
+            return userStats.total_badges_earned || 0;
+        case 'seasonal_xp':
+            return userStats.seasonal_xp || 0;
+        default:
+            return 0;
+    }
+}
+
 const Badge = mongoose.models.Badge || mongoose.model('Badge', badgeSchema);
 
 module.exports = Badge;
\ No newline at end of file
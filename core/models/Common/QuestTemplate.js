@@ -0,0 +1,170 @@
+/**
+ * QuestTemplate Model - INGAIN Platform
+ *
+ * This model represents a quest authored by admins: a daily or weekly set of
+ * objectives (e.g. "share 3 Finance apps") with an XP and points reward. Every
+ * period each eligible user gets their own copy of the quest (see UserQuest),
+ * starting and ending at midnight in the user's timezone.
+ *
+ * Templates sharing a rotation_group take turns: each user gets one template of
+ * the group per period. Templates without a group are offered every period.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+const QUEST_CADENCES = ['daily', 'weekly'];
+const QUEST_EVENTS = ['share_created', 'share_verified', 'referral_completed', 'tournament_joined'];
+
+const questObjectiveSchema = new mongoose.Schema({
+    event: {
+        type: String,
+        required: [true, 'Objective event is required'],
+        enum: QUEST_EVENTS
+    },
+    target: {
+        type: Number,
+        required: [true, 'Objective target is required'],
+        min: [1, 'Objective target must be at least 1']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [255, 'Objective description cannot exceed 255 characters']
+    },
+    // Only events matching every filter set here count
+    filters: {
+        category: { type: String, default: null },
+        app_id: { type: String, default: null },
+        tournament_id: { type: String, default: null },
+        tournament_only: { type: Boolean, default: false },
+        share_channel: { type: String, default: null }
+    }
+}, { _id: false });
+
+const questTemplateSchema = new mongoose.Schema({
+    unique_id: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => require('uuid').v4()
+    },
+    quest_key: {
+        type: String,
+        required: [true, 'Quest key is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9_]+$/, 'Quest key may only contain letters, numbers and underscores']
+    },
+    name: {
+        type: String,
+        required: [true, 'Quest name is required'],
+        trim: true,
+        maxlength: [255, 'Quest name cannot exceed 255 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Quest description cannot exceed 1000 characters']
+    },
+    cadence: {
+        type: String,
+        required: [true, 'Quest cadence is required'],
+        enum: QUEST_CADENCES
+    },
+    objectives: {
+        type: [questObjectiveSchema],
+        validate: {
+            validator: function(objectives) {
+                return objectives.length > 0;
+            },
+            message: 'A quest needs at least one objective'
+        }
+    },
+    xp_reward: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    points_reward: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    rotation_group: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    min_user_level: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    regions: {
+        type: [String],
+        default: ['GLOBAL']
+    },
+    starts_at: {
+        type: Date,
+        default: null
+    },
+    ends_at: {
+        type: Date,
+        default: null
+    },
+    is_active: {
+        type: Boolean,
+        default: true
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    },
+    created_by: {
+        type: String,
+        ref: 'AdminUser',
+        default: null
+    },
+    updated_by: {
+        type: String,
+        ref: 'AdminUser',
+        default: null
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Indexes for better performance
+questTemplateSchema.index({ is_active: 1, cadence: 1 });
+questTemplateSchema.index({ rotation_group: 1 });
+
+// Static method to find the templates live at a given time
+questTemplateSchema.statics.findLive = function(now = new Date()) {
+    return this.find({
+        is_active: true,
+        $and: [
+            { $or: [{ starts_at: null }, { starts_at: { $lte: now } }] },
+            { $or: [{ ends_at: null }, { ends_at: { $gt: now } }] }
+        ]
+    }).sort({ cadence: 1, quest_key: 1 });
+};
+
+// Instance method to check whether a user may receive the quest
+questTemplateSchema.methods.isAvailableTo = function(user) {
+    if ((user.user_level || 1) < this.min_user_level) {
+        return false;
+    }
+    return this.regions.includes('GLOBAL') || this.regions.includes(user.region);
+};
+
+const QuestTemplate = mongoose.models.QuestTemplate || mongoose.model('QuestTemplate', questTemplateSchema);
+
+module.exports = QuestTemplate;
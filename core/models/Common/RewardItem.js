@@ -0,0 +1,196 @@
+/**
+ * RewardItem Model - INGAIN Platform
+ *
+ * This model represents an item of the rewards store that users buy with
+ * points. Gift cards are delivered as a code from the item's uploaded code pool
+ * (see RewardCode); perks are applied to the user's account right away, e.g.
+ * streak freezes or an XP boost.
+ *
+ * Stock counts the units left to redeem. Gift card stock follows the code pool;
+ * perks without stock are unlimited.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+const REWARD_ITEM_TYPES = ['gift_card', 'perk'];
+const REWARD_PERK_TYPES = ['streak_freeze', 'xp_boost'];
+
+const rewardItemSchema = new mongoose.Schema({
+    unique_id: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => require('uuid').v4()
+    },
+    sku: {
+        type: String,
+        required: [true, 'SKU is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9_]+$/, 'SKU may only contain letters, numbers and underscores']
+    },
+    name: {
+        type: String,
+        required: [true, 'Item name is required'],
+        trim: true,
+        maxlength: [255, 'Item name cannot exceed 255 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Item description cannot exceed 1000 characters']
+    },
+    image_url: {
+        type: String,
+        default: null
+    },
+    item_type: {
+        type: String,
+        required: [true, 'Item type is required'],
+        enum: REWARD_ITEM_TYPES
+    },
+    // Gift cards only: value shown to users (the code carries the actual value)
+    face_value: {
+        type: Number,
+        default: null,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'USD',
+        enum: ['USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD']
+    },
+    // Perks only: what a redemption applies to the user's account
+    perk: {
+        type: {
+            type: String,
+            enum: [...REWARD_PERK_TYPES, null],
+            default: null
+        },
+        quantity: {
+            type: Number,
+            default: 1,
+            min: [1, 'Perk quantity must be at least 1']
+        }
+    },
+    points_price: {
+        type: Number,
+        required: [true, 'Points price is required'],
+        min: [1, 'Points price must be at least 1']
+    },
+    // Units left to redeem; null means unlimited (perks only)
+    stock: {
+        type: Number,
+        default: null,
+        min: 0
+    },
+    // Redemptions allowed per user; null means unlimited
+    per_user_limit: {
+        type: Number,
+        default: null,
+        min: [1, 'Per-user limit must be at least 1']
+    },
+    regions: {
+        type: [String],
+        default: ['GLOBAL']
+    },
+    redeemed_count: {
+        type: Number,
+        default: 0
+    },
+    sort_order: {
+        type: Number,
+        default: 0
+    },
+    starts_at: {
+        type: Date,
+        default: null
+    },
+    ends_at: {
+        type: Date,
+        default: null
+    },
+    is_active: {
+        type: Boolean,
+        default: true
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    },
+    created_by: {
+        type: String,
+        ref: 'AdminUser',
+        default: null
+    },
+    updated_by: {
+        type: String,
+        ref: 'AdminUser',
+        default: null
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Indexes for better performance
+rewardItemSchema.index({ is_active: 1, sort_order: 1 });
+rewardItemSchema.index({ regions: 1 });
+
+// Gift cards come from the code pool; perks need a perk type
+rewardItemSchema.pre('validate', function(next) {
+    if (this.item_type === 'perk' && !this.perk.type) {
+        this.invalidate('perk.type', 'Perk items need a perk type');
+    }
+    if (this.item_type === 'gift_card') {
+        this.perk.type = null;
+        if (this.stock === null) {
+            this.stock = 0;
+        }
+    }
+    next();
+});
+
+// Virtual for whether the item can currently be redeemed
+rewardItemSchema.virtual('is_in_stock').get(function() {
+    return this.stock === null || this.stock > 0;
+});
+
+rewardItemSchema.set('toJSON', { virtuals: true });
+
+// Static method to find the items on sale at a given time
+rewardItemSchema.statics.findAvailable = function(region, now = new Date()) {
+    const query = {
+        is_active: true,
+        $and: [
+            { $or: [{ starts_at: null }, { starts_at: { $lte: now } }] },
+            { $or: [{ ends_at: null }, { ends_at: { $gt: now } }] }
+        ]
+    };
+    if (region) {
+        query.regions = { $in: ['GLOBAL', region] };
+    }
+    return this.find(query).sort({ sort_order: 1, points_price: 1 });
+};
+
+// Instance method to check whether an item is on sale to a user
+rewardItemSchema.methods.isAvailableTo = function(user, now = new Date()) {
+    if (!this.is_active) {
+        return false;
+    }
+    if ((this.starts_at && this.starts_at > now) || (this.ends_at && this.ends_at <= now)) {
+        return false;
+    }
+    return this.regions.includes('GLOBAL') || this.regions.includes(user.region);
+};
+
+const RewardItem = mongoose.models.RewardItem || mongoose.model('RewardItem', rewardItemSchema);
+
+module.exports = RewardItem;
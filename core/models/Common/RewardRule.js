@@ -0,0 +1,181 @@
+/**
+ * RewardRule Model - INGAIN Platform
+ *
+ * This model represents a share reward rule: a condition over the sharer's
+ * facts (level, streak, tournament rank...) and an effect on the share's XP and
+ * points, limited to a date window and a set of regions. Rules are versioned:
+ * editing a rule stores a new version under the same rule_key and only the
+ * current version is evaluated.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+const RULE_SCOPES = ['regular', 'tournament'];
+const RULE_OPERATORS = ['>=', '==', '<=', '>', '<', '!=', 'in', 'not_in'];
+const RULE_EFFECT_TYPES = ['base_multiplier', 'percent_bonus', 'flat_bonus', 'per_unit_bonus'];
+
+const ruleConditionSchema = new mongoose.Schema({
+    fact: {
+        type: String,
+        required: [true, 'Condition fact is required']
+    },
+    operator: {
+        type: String,
+        enum: RULE_OPERATORS,
+        default: '>='
+    },
+    value: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    }
+}, { _id: false });
+
+const rewardRuleSchema = new mongoose.Schema({
+    unique_id: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => require('uuid').v4()
+    },
+    rule_key: {
+        type: String,
+        required: [true, 'Rule key is required'],
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9_]+$/, 'Rule key may only contain letters, numbers and underscores']
+    },
+    version: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    is_current: {
+        type: Boolean,
+        default: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Rule name is required'],
+        trim: true,
+        maxlength: [255, 'Rule name cannot exceed 255 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Rule description cannot exceed 1000 characters']
+    },
+    scope: {
+        type: String,
+        required: [true, 'Rule scope is required'],
+        enum: RULE_SCOPES
+    },
+    // Every condition in `all` and at least one in `any` (when present) must hold
+    conditions: {
+        all: {
+            type: [ruleConditionSchema],
+            default: []
+        },
+        any: {
+            type: [ruleConditionSchema],
+            default: []
+        }
+    },
+    effect: {
+        type: {
+            type: String,
+            required: [true, 'Effect type is required'],
+            enum: RULE_EFFECT_TYPES
+        },
+        xp: {
+            type: Number,
+            default: 0
+        },
+        points: {
+            type: Number,
+            default: 0
+        },
+        // Fact whose value multiplies per_unit_bonus effects
+        unit_fact: {
+            type: String,
+            default: null
+        }
+    },
+    // Breakdown key the rule's bonus is reported under (e.g. streak_bonus -> streak_bonus_xp)
+    bonus_key: {
+        type: String,
+        default: null
+    },
+    // Only the highest-priority firing rule of an exclusive group applies
+    exclusive_group: {
+        type: String,
+        default: null
+    },
+    priority: {
+        type: Number,
+        default: 0
+    },
+    starts_at: {
+        type: Date,
+        default: null
+    },
+    ends_at: {
+        type: Date,
+        default: null
+    },
+    regions: {
+        type: [String],
+        default: ['GLOBAL']
+    },
+    is_active: {
+        type: Boolean,
+        default: true
+    },
+    created_by: {
+        type: String,
+        ref: 'AdminUser',
+        default: null
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Virtual for whether the rule's date window is open
+rewardRuleSchema.virtual('is_in_window').get(function() {
+    const now = new Date();
+    if (this.starts_at && now < this.starts_at) return false;
+    if (this.ends_at && now > this.ends_at) return false;
+    return true;
+});
+
+// Indexes for better performance
+rewardRuleSchema.index({ rule_key: 1, version: -1 }, { unique: true });
+rewardRuleSchema.index({ is_current: 1, scope: 1, priority: -1 });
+rewardRuleSchema.index({ created_at: -1 });
+
+// Static method to find the current version of every rule for a scope
+rewardRuleSchema.statics.findCurrent = function(scope = null) {
+    const query = { is_current: true };
+    if (scope) query.scope = scope;
+
+    return this.find(query).sort({ priority: -1, rule_key: 1 });
+};
+
+// Static method to find every version of a rule
+rewardRuleSchema.statics.findVersions = function(ruleKey) {
+    return this.find({ rule_key: ruleKey }).sort({ version: -1 });
+};
+
+const RewardRule = mongoose.models.RewardRule || mongoose.model('RewardRule', rewardRuleSchema);
+
+module.exports = RewardRule;
@@ -0,0 +1,144 @@
+/**
+ * Season Model - INGAIN Platform
+ *
+ * This model defines competitive seasons. During the active season users earn
+ * seasonal XP alongside their lifetime totals. When a season ends, the season
+ * job archives every user's final standing per region, grants the season's
+ * rank rewards and resets seasonal XP for the next season.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+const seasonRewardSchema = new mongoose.Schema({
+    rank_from: {
+        type: Number,
+        required: [true, 'Reward rank_from is required'],
+        min: [1, 'Ranks start at 1']
+    },
+    rank_to: {
+        type: Number,
+        required: [true, 'Reward rank_to is required'],
+        min: [1, 'Ranks start at 1']
+    },
+    xp: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    points: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, { _id: false });
+
+const seasonSchema = new mongoose.Schema({
+    unique_id: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => require('uuid').v4()
+    },
+    season_number: {
+        type: Number,
+        required: [true, 'Season number is required'],
+        unique: true,
+        min: 1
+    },
+    name: {
+        type: String,
+        required: [true, 'Season name is required'],
+        trim: true,
+        maxlength: [100, 'Season name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    starts_at: {
+        type: Date,
+        required: [true, 'Season start is required']
+    },
+    ends_at: {
+        type: Date,
+        required: [true, 'Season end is required']
+    },
+    // closing: standings are being archived and rewarded
+    status: {
+        type: String,
+        enum: ['upcoming', 'active', 'closing', 'closed'],
+        default: 'upcoming'
+    },
+    // End-of-season rewards by final rank within the user's region
+    rewards: {
+        type: [seasonRewardSchema],
+        default: []
+    },
+    participants_count: {
+        type: Number,
+        default: 0
+    },
+    rewards_granted: {
+        xp: { type: Number, default: 0 },
+        points: { type: Number, default: 0 }
+    },
+    activated_at: {
+        type: Date,
+        default: null
+    },
+    closed_at: {
+        type: Date,
+        default: null
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    },
+    created_by: {
+        type: String,
+        ref: 'AdminUser',
+        default: null
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Indexes for better performance
+seasonSchema.index({ status: 1, starts_at: 1 });
+seasonSchema.index({ ends_at: -1 });
+
+// Validate the season window
+seasonSchema.pre('validate', function(next) {
+    if (this.starts_at && this.ends_at && this.ends_at <= this.starts_at) {
+        this.invalidate('ends_at', 'Season must end after it starts');
+    }
+    next();
+});
+
+// Static method to find the active season
+seasonSchema.statics.findActive = function() {
+    return this.findOne({ status: 'active' }).sort({ starts_at: -1 });
+};
+
+// Static method to find the latest season by number
+seasonSchema.statics.findLatest = function() {
+    return this.findOne({}).sort({ season_number: -1 });
+};
+
+// Instance method to get the reward for a final rank
+seasonSchema.methods.getRewardForRank = function(rank) {
+    const reward = this.rewards.find(tier => rank >= tier.rank_from && rank <= tier.rank_to);
+    return reward ? { xp: reward.xp, points: reward.points } : null;
+};
+
+const Season = mongoose.models.Season || mongoose.model('Season', seasonSchema);
+
+module.exports = Season;
@@ -169,6 +169,12 @@ const tournamentSchema = new mongoose.Schema({
         min: 1.00,
         max: 5.00
     },
+    // Users need a level whose max_tournament_tier perk reaches this tier
+    tournament_tier: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
     created_at: {
         type: Date,
         default: Date.now
@@ -287,8 +293,10 @@ tournamentSchema.methods.isUserEligible = function(user) {
     const regionEligible = this.eligible_regions.includes('GLOBAL') || 
                           this.eligible_regions.includes(user.region);
     
-    // Check level requirement
-    const levelEligible = user.user_level >= (this.participant_details?.min_level_required || 1);
+    // Check level requirement and the tournament tier the user's level unlocks
+    const { canUserJoinTournamentTier } = require('../../../utils/levelAlgorithms');
+    const levelEligible = user.user_level >= (this.participant_details?.min_level_required || 1) &&
+                          canUserJoinTournamentTier(user, this);
     
     // Check if tournament is active and registration is open
     const tournamentActive = this.status === 'scheduled' || this.status === 'live';
@@ -70,6 +70,39 @@ const activityLogSchema = new mongoose.Schema({
             'badge_creation',
             'badge_update',
 
+            // Reward rule activities
+            'reward_rule_creation',
+            'reward_rule_update',
+
+            // Season activities
+            'season_creation',
+            'season_update',
+            'season_close',
+
+            // Quest activities
+            'quest_template_creation',
+            'quest_template_update',
+            'quest_reward_claimed',
+
+            // Reward store activities
+            'reward_item_creation',
+            'reward_item_update',
+            'reward_codes_upload',
+            'reward_redeemed',
+
+            // Points transfer activities
+            'points_transfer_sent',
+            'points_transfer_accepted',
+            'points_transfer_declined',
+            'points_transfer_cancelled',
+            'points_transfer_review',
+
+            // Streak activities
+            'streak_freeze_earned',
+            'streak_freeze_purchased',
+            'streak_freeze_used',
+            'streak_reset',
+
             // Payment activities
             'payout_request',
             'payout_approval',
@@ -112,7 +145,12 @@ const activityLogSchema = new mongoose.Schema({
             'system',
             'notification',
             'category',
-            'fraud_report'
+            'fraud_report',
+            'reward_rule',
+            'season',
+            'quest',
+            'reward_item',
+            'points_transfer'
         ],
         default: 'system'
     },
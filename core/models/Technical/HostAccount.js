@@ -402,6 +402,17 @@ const hostAccountSchema = new mongoose.Schema({
             }
         }
     },
+    api_credentials: {
+        postback_secret: {
+            type: String,
+            select: false,
+            default: null
+        },
+        secret_rotated_at: {
+            type: Date,
+            default: null
+        }
+    },
     metadata: {
         registration_ip: String,
         registration_user_agent: String,
@@ -631,6 +642,34 @@ hostAccountSchema.methods.rejectVerification = function(reason, rejectedBy) {
     return this.save();
 };
 
+// Instance method to rotate the postback signing secret
+hostAccountSchema.methods.rotatePostbackSecret = async function() {
+    const secret = require('crypto').randomBytes(32).toString('hex');
+    this.api_credentials.postback_secret = secret;
+    this.api_credentials.secret_rotated_at = new Date();
+    await this.save();
+    return secret;
+};
+
+// Instance method to verify a postback request signature
+hostAccountSchema.methods.verifyPostbackSignature = function(timestamp, rawBody, signature) {
+    const crypto = require('crypto');
+    const secret = this.api_credentials && this.api_credentials.postback_secret;
+    if (!secret || !signature) {
+        return false;
+    }
+
+    const expected = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${rawBody}`)
+        .digest('hex');
+
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const signatureBuffer = Buffer.from(String(signature), 'hex');
+    return expectedBuffer.length === signatureBuffer.length &&
+        crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+};
+
 // Instance method to get account summary
 hostAccountSchema.methods.getSummary = function() {
     return {
@@ -0,0 +1,61 @@
+/**
+ * LedgerAccount Model - INGAIN Platform
+ *
+ * This model holds the running balance of each system ledger account (the
+ * counterpart of user wallets in the double-entry ledger). User wallet balances
+ * live on PlatformUser as current_xp and current_points.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+const ledgerAccountSchema = new mongoose.Schema({
+    unique_id: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => require('uuid').v4()
+    },
+    account_id: {
+        type: String,
+        required: [true, 'Account ID is required']
+    },
+    currency: {
+        type: String,
+        required: [true, 'Currency is required'],
+        enum: ['xp', 'points']
+    },
+    balance: {
+        type: Number,
+        default: 0
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Indexes for better performance
+ledgerAccountSchema.index({ account_id: 1, currency: 1 }, { unique: true });
+
+// Static method to apply a signed amount to an account and return the new balance
+ledgerAccountSchema.statics.applyAmount = async function(accountId, currency, signedAmount, session = null) {
+    const account = await this.findOneAndUpdate(
+        { account_id: accountId, currency: currency },
+        { $inc: { balance: signedAmount } },
+        { new: true, upsert: true, setDefaultsOnInsert: true, session }
+    );
+    return account.balance;
+};
+
+const LedgerAccount = mongoose.models.LedgerAccount || mongoose.model('LedgerAccount', ledgerAccountSchema);
+
+module.exports = LedgerAccount;
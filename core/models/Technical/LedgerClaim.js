@@ -0,0 +1,53 @@
+/**
+ * LedgerClaim Model - INGAIN Platform
+ *
+ * This model claims a ledger idempotency key before a posting outside a Mongo
+ * transaction moves any balance. The unique key lets only one of several
+ * concurrent postings with the same key go ahead.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+const ledgerClaimSchema = new mongoose.Schema({
+    idempotency_key: {
+        type: String,
+        required: [true, 'Idempotency key is required'],
+        unique: true
+    },
+    transaction_id: {
+        type: String,
+        required: [true, 'Transaction ID is required']
+    },
+    user_id: {
+        type: String,
+        ref: 'PlatformUser',
+        required: [true, 'User ID is required']
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Static method to claim a key; resolves to null when another posting holds it
+ledgerClaimSchema.statics.claim = async function(idempotencyKey, transactionId, userId) {
+    try {
+        return await this.create({
+            idempotency_key: idempotencyKey,
+            transaction_id: transactionId,
+            user_id: userId
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return null;
+        }
+        throw error;
+    }
+};
+
+const LedgerClaim = mongoose.models.LedgerClaim || mongoose.model('LedgerClaim', ledgerClaimSchema);
+
+module.exports = LedgerClaim;
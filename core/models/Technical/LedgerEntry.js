@@ -0,0 +1,188 @@
+/**
+ * LedgerEntry Model - INGAIN Platform
+ *
+ * This model is the double-entry ledger for XP and points. Every balance change
+ * is a transaction of two immutable entries: one on the user's wallet and the
+ * opposite one on a system account named after the source (e.g. system:badge_reward).
+ * A user's current_xp and current_points are projections of their wallet entries.
+ *
+ * Every account's balance is its credits minus its debits, so the entries of a
+ * transaction always sum to zero.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+const LEDGER_CURRENCIES = ['xp', 'points'];
+
+const LEDGER_SOURCE_TYPES = [
+    'opening_balance',
+    'share_reward',
+    'referral_reward',
+    'referral_bonus',
+    'welcome_bonus',
+    'tournament_reward',
+    'badge_reward',
+    'admin_adjustment',
+    'payout',
+    'payout_refund',
+    'streak_freeze_purchase',
+    'points_expiry',
+    'season_reward',
+    'quest_reward',
+    'reward_redemption',
+    'points_transfer'
+];
+
+const ledgerEntrySchema = new mongoose.Schema({
+    unique_id: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => require('uuid').v4()
+    },
+    transaction_id: {
+        type: String,
+        required: [true, 'Transaction ID is required']
+    },
+    account_type: {
+        type: String,
+        required: [true, 'Account type is required'],
+        enum: ['user', 'system']
+    },
+    account_id: {
+        type: String,
+        required: [true, 'Account ID is required']
+    },
+    currency: {
+        type: String,
+        required: [true, 'Currency is required'],
+        enum: LEDGER_CURRENCIES
+    },
+    direction: {
+        type: String,
+        required: [true, 'Direction is required'],
+        enum: ['credit', 'debit']
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required'],
+        min: [0, 'Amount cannot be negative']
+    },
+    balance_after: {
+        type: Number,
+        required: [true, 'Balance after is required']
+    },
+    source_type: {
+        type: String,
+        required: [true, 'Source type is required'],
+        enum: LEDGER_SOURCE_TYPES
+    },
+    source_id: {
+        type: String,
+        default: null
+    },
+    idempotency_key: {
+        type: String,
+        default: null
+    },
+    actor: {
+        type: {
+            type: String,
+            enum: ['system', 'user', 'admin', 'host'],
+            default: 'system'
+        },
+        id: {
+            type: String,
+            default: null
+        }
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    metadata: {
+        type: Object,
+        default: {}
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: false }
+});
+
+// Virtual for the signed effect of the entry on its account
+ledgerEntrySchema.virtual('signed_amount').get(function() {
+    return this.direction === 'credit' ? this.amount : -this.amount;
+});
+
+// Indexes for better performance
+ledgerEntrySchema.index({ transaction_id: 1 });
+ledgerEntrySchema.index({ account_id: 1, currency: 1, created_at: -1 });
+ledgerEntrySchema.index({ source_type: 1, source_id: 1 });
+ledgerEntrySchema.index({ created_at: -1 });
+
+// One user-side entry per currency for each idempotency key, so a source is never credited twice
+ledgerEntrySchema.index(
+    { idempotency_key: 1, account_type: 1, currency: 1 },
+    { unique: true, partialFilterExpression: { idempotency_key: { $type: 'string' } } }
+);
+
+// Entries are immutable once written
+ledgerEntrySchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(new Error('Ledger entries are immutable'));
+    }
+    next();
+});
+
+[
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+].forEach(operation => {
+    ledgerEntrySchema.pre(operation, function(next) {
+        next(new Error('Ledger entries are immutable'));
+    });
+});
+
+// Static method to find an account's entries
+ledgerEntrySchema.statics.findAccountEntries = function(accountId, currency = null, limit = 50, skip = 0) {
+    const query = { account_id: accountId };
+    if (currency) query.currency = currency;
+
+    return this.find(query)
+        .sort({ created_at: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit);
+};
+
+// Static method to sum account balances per currency from the entries
+ledgerEntrySchema.statics.sumBalances = function(match = {}) {
+    return this.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: { account_id: '$account_id', currency: '$currency' },
+                balance: {
+                    $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] }
+                },
+                entries: { $sum: 1 }
+            }
+        }
+    ]);
+};
+
+const LedgerEntry = mongoose.models.LedgerEntry || mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
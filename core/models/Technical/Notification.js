@@ -45,7 +45,13 @@ const notificationSchema = new mongoose.Schema({
             'payout_processed',
             'fraud_alert',
             'kyc_approved',
-            'kyc_rejected'
+            'kyc_rejected',
+            'points_expiring',
+            'points_expired',
+            'season_ended',
+            'quest_completed',
+            'points_transfer_received',
+            'points_transfer_update'
         ]
     },
     title: {
@@ -168,6 +174,7 @@ notificationSchema.pre('save', function(next) {
     if (this.delivery_channels.length === 0) {
         switch (this.notification_type) {
             case 'badge_earned':
+            case 'quest_completed':
             case 'level_up':
             case 'streak_bonus':
                 this.delivery_channels = ['in_app', 'push'];
@@ -175,16 +182,23 @@ notificationSchema.pre('save', function(next) {
             case 'tournament_start':
             case 'tournament_end':
             case 'tournament_winner':
+            case 'season_ended':
                 this.delivery_channels = ['in_app', 'email', 'push'];
                 break;
             case 'payment_approved':
             case 'payment_rejected':
             case 'payout_processed':
+            case 'points_transfer_received':
+            case 'points_transfer_update':
                 this.delivery_channels = ['in_app', 'email'];
                 break;
             case 'system_announcement':
                 this.delivery_channels = ['in_app', 'email', 'push'];
                 break;
+            case 'points_expiring':
+            case 'points_expired':
+                this.delivery_channels = ['in_app', 'email', 'push'];
+                break;
             default:
                 this.delivery_channels = ['in_app'];
         }
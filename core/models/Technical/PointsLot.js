@@ -0,0 +1,106 @@
+/**
+ * PointsLot Model - INGAIN Platform
+ *
+ * This model tracks points as lots: every points credit opens a lot with its
+ * earned date and expiry date, and every points debit consumes the oldest open
+ * lots first. Lots past their expiry are expired by the points expiry job,
+ * which debits what is left of them from the user's wallet.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+const pointsLotSchema = new mongoose.Schema({
+    unique_id: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => require('uuid').v4()
+    },
+    user_id: {
+        type: String,
+        required: [true, 'User ID is required'],
+        ref: 'PlatformUser'
+    },
+    source_type: {
+        type: String,
+        required: [true, 'Source type is required']
+    },
+    source_id: {
+        type: String,
+        default: null
+    },
+    ledger_transaction_id: {
+        type: String,
+        default: null
+    },
+    original_amount: {
+        type: Number,
+        required: [true, 'Original amount is required'],
+        min: [1, 'Lot amount must be at least 1']
+    },
+    remaining_amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Remaining amount cannot be negative']
+    },
+    expired_amount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    status: {
+        type: String,
+        enum: ['active', 'consumed', 'expired'],
+        default: 'active'
+    },
+    earned_at: {
+        type: Date,
+        default: Date.now
+    },
+    // Null when points did not expire under the policy at the time they were earned
+    expires_at: {
+        type: Date,
+        default: null
+    },
+    expired_at: {
+        type: Date,
+        default: null
+    },
+    expiry_transaction_id: {
+        type: String,
+        default: null
+    },
+    // Reminder thresholds (days before expiry) already sent for this lot
+    reminders_sent: {
+        type: [Number],
+        default: []
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Indexes for better performance
+pointsLotSchema.index({ user_id: 1, status: 1, earned_at: 1 });
+pointsLotSchema.index({ status: 1, expires_at: 1 });
+pointsLotSchema.index({ source_type: 1, source_id: 1 });
+
+// Static method to find a user's open lots, oldest first
+pointsLotSchema.statics.findOpenLots = function(userId) {
+    return this.find({ user_id: userId, status: 'active', remaining_amount: { $gt: 0 } })
+        .sort({ earned_at: 1, _id: 1 });
+};
+
+const PointsLot = mongoose.models.PointsLot || mongoose.model('PointsLot', pointsLotSchema);
+
+module.exports = PointsLot;
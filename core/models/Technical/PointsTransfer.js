@@ -0,0 +1,172 @@
+/**
+ * PointsTransfer Model - INGAIN Platform
+ *
+ * This model records a user sending points to another user. The points leave
+ * the sender's wallet when the transfer is created and are held on the
+ * system:points_transfer ledger account until the recipient accepts them
+ * (credited to the recipient) or the transfer is declined, cancelled, rejected
+ * or expires (refunded to the sender).
+ *
+ * Status flow:
+ *   pending_review → pending_confirmation → completed
+ *   pending_review → rejected | cancelled
+ *   pending_confirmation → declined | cancelled | expired
+ *   blocked (fraud screening refused it; no points moved)
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+const TRANSFER_STATUSES = [
+    'pending_review',
+    'pending_confirmation',
+    'completed',
+    'declined',
+    'cancelled',
+    'rejected',
+    'expired',
+    'blocked'
+];
+
+// Statuses whose points are held in escrow
+const OPEN_TRANSFER_STATUSES = ['pending_review', 'pending_confirmation'];
+
+const fraudScreeningSchema = new mongoose.Schema({
+    fraud_score: { type: Number, default: 0 },
+    fraud_level: { type: String, default: null },
+    fraud_flags: { type: [String], default: [] },
+    automatic_action: { type: String, default: null }
+}, { _id: false });
+
+const pointsTransferSchema = new mongoose.Schema({
+    unique_id: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => require('uuid').v4()
+    },
+    sender_id: {
+        type: String,
+        required: [true, 'Sender ID is required'],
+        ref: 'PlatformUser'
+    },
+    recipient_id: {
+        type: String,
+        required: [true, 'Recipient ID is required'],
+        ref: 'PlatformUser'
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Transfer amount is required'],
+        min: [1, 'Transfer amount must be at least 1 point']
+    },
+    message: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Message cannot exceed 200 characters'],
+        default: null
+    },
+    status: {
+        type: String,
+        enum: TRANSFER_STATUSES,
+        default: 'pending_confirmation'
+    },
+    fraud_screening: {
+        sender: { type: fraudScreeningSchema, default: () => ({}) },
+        recipient: { type: fraudScreeningSchema, default: () => ({}) }
+    },
+    // The recipient must accept before this time, or the points return to the sender
+    expires_at: {
+        type: Date,
+        default: null
+    },
+    send_transaction_id: {
+        type: String,
+        default: null
+    },
+    settle_transaction_id: {
+        type: String,
+        default: null
+    },
+    reviewed_by: {
+        type: String,
+        ref: 'AdminUser',
+        default: null
+    },
+    reviewed_at: {
+        type: Date,
+        default: null
+    },
+    review_notes: {
+        type: String,
+        default: null
+    },
+    settled_at: {
+        type: Date,
+        default: null
+    },
+    ip_address: {
+        type: String,
+        default: null
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Indexes for better performance
+pointsTransferSchema.index({ sender_id: 1, created_at: -1 });
+pointsTransferSchema.index({ recipient_id: 1, created_at: -1 });
+pointsTransferSchema.index({ status: 1, expires_at: 1 });
+pointsTransferSchema.index({ status: 1, created_at: -1 });
+
+// Static method to build the query for a user's sent and received transfers
+pointsTransferSchema.statics.getUserTransfersQuery = function(userId, options = {}) {
+    let query;
+    if (options.direction === 'sent') {
+        query = { sender_id: userId };
+    } else if (options.direction === 'received') {
+        // Blocked transfers never reached the recipient
+        query = { recipient_id: userId, status: { $ne: 'blocked' } };
+    } else {
+        query = {
+            $or: [
+                { sender_id: userId },
+                { recipient_id: userId, status: { $ne: 'blocked' } }
+            ]
+        };
+    }
+    if (options.status) {
+        query = { $and: [query, { status: options.status }] };
+    }
+    return query;
+};
+
+// Static method to total a user's recent transfers that count towards daily limits
+pointsTransferSchema.statics.getRecentTotals = async function(field, userId, since, session = null) {
+    const [totals] = await this.aggregate([
+        {
+            $match: {
+                [field]: userId,
+                created_at: { $gte: since },
+                status: { $in: [...OPEN_TRANSFER_STATUSES, 'completed'] }
+            }
+        },
+        { $group: { _id: null, amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]).session(session);
+
+    return { amount: totals ? totals.amount : 0, count: totals ? totals.count : 0 };
+};
+
+const PointsTransfer = mongoose.models.PointsTransfer || mongoose.model('PointsTransfer', pointsTransferSchema);
+
+module.exports = PointsTransfer;
@@ -0,0 +1,92 @@
+/**
+ * RewardCode Model - INGAIN Platform
+ *
+ * This model is the code pool of a gift card reward item. Admins upload codes
+ * in batches; each redemption takes one available code and binds it to the
+ * order, so a code is never delivered twice.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+const rewardCodeSchema = new mongoose.Schema({
+    unique_id: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => require('uuid').v4()
+    },
+    item_id: {
+        type: String,
+        required: [true, 'Item ID is required'],
+        ref: 'RewardItem'
+    },
+    code: {
+        type: String,
+        required: [true, 'Code is required'],
+        trim: true
+    },
+    batch_id: {
+        type: String,
+        required: [true, 'Batch ID is required']
+    },
+    status: {
+        type: String,
+        enum: ['available', 'redeemed', 'void'],
+        default: 'available'
+    },
+    order_id: {
+        type: String,
+        ref: 'RewardOrder',
+        default: null
+    },
+    user_id: {
+        type: String,
+        ref: 'PlatformUser',
+        default: null
+    },
+    redeemed_at: {
+        type: Date,
+        default: null
+    },
+    uploaded_by: {
+        type: String,
+        ref: 'AdminUser',
+        default: null
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Indexes for better performance
+rewardCodeSchema.index({ item_id: 1, code: 1 }, { unique: true });
+rewardCodeSchema.index({ item_id: 1, status: 1, created_at: 1 });
+rewardCodeSchema.index({ batch_id: 1 });
+
+// Static method to count the codes of an item by status
+rewardCodeSchema.statics.getPoolStats = async function(itemId) {
+    const counts = await this.aggregate([
+        { $match: { item_id: itemId } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const stats = { available: 0, redeemed: 0, void: 0 };
+    counts.forEach(row => {
+        stats[row._id] = row.count;
+    });
+    return stats;
+};
+
+const RewardCode = mongoose.models.RewardCode || mongoose.model('RewardCode', rewardCodeSchema);
+
+module.exports = RewardCode;
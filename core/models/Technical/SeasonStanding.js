@@ -0,0 +1,102 @@
+/**
+ * SeasonStanding Model - INGAIN Platform
+ *
+ * This model is the season history: one archived standing per user per closed
+ * season, with the seasonal XP the user finished on, their final rank within
+ * their region and the end-of-season reward they received.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+const seasonStandingSchema = new mongoose.Schema({
+    unique_id: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => require('uuid').v4()
+    },
+    season_id: {
+        type: String,
+        required: [true, 'Season ID is required'],
+        ref: 'Season'
+    },
+    season_number: {
+        type: Number,
+        required: true
+    },
+    season_name: {
+        type: String,
+        required: true
+    },
+    user_id: {
+        type: String,
+        required: [true, 'User ID is required'],
+        ref: 'PlatformUser'
+    },
+    region: {
+        type: String,
+        required: [true, 'Region is required']
+    },
+    seasonal_xp: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Rank within the region; set once every standing of the season is archived
+    rank: {
+        type: Number,
+        default: null
+    },
+    region_participants: {
+        type: Number,
+        default: null
+    },
+    reward_xp: {
+        type: Number,
+        default: 0
+    },
+    reward_points: {
+        type: Number,
+        default: 0
+    },
+    reward_transaction_id: {
+        type: String,
+        default: null
+    },
+    // Set when the reward (if any) is granted and the user notified
+    finalized_at: {
+        type: Date,
+        default: null
+    },
+    archived_at: {
+        type: Date,
+        default: Date.now
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Indexes for better performance
+seasonStandingSchema.index({ season_id: 1, user_id: 1 }, { unique: true });
+seasonStandingSchema.index({ season_id: 1, region: 1, rank: 1 });
+seasonStandingSchema.index({ user_id: 1, season_number: -1 });
+
+// Static method to get a user's season history, newest season first
+seasonStandingSchema.statics.findUserHistory = function(userId) {
+    return this.find({ user_id: userId }).sort({ season_number: -1 });
+};
+
+const SeasonStanding = mongoose.models.SeasonStanding || mongoose.model('SeasonStanding', seasonStandingSchema);
+
+module.exports = SeasonStanding;
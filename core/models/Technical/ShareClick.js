@@ -0,0 +1,155 @@
+/**
+ * ShareClick Model - INGAIN Platform
+ *
+ * This model records every click on a public share link before the visitor is
+ * redirected to the app store. Clicks feed attribution and share analytics.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+const shareClickSchema = new mongoose.Schema({
+    unique_id: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => require('uuid').v4()
+    },
+    share_id: {
+        type: String,
+        required: [true, 'Share ID is required'],
+        ref: 'ShareLog'
+    },
+    tracking_id: {
+        type: String,
+        required: [true, 'Tracking ID is required']
+    },
+    user_id: {
+        type: String,
+        required: [true, 'User ID is required'],
+        ref: 'PlatformUser'
+    },
+    app_id: {
+        type: String,
+        required: [true, 'App ID is required'],
+        ref: 'App'
+    },
+    tournament_id: {
+        type: String,
+        ref: 'Tournament',
+        default: null
+    },
+    share_channel: {
+        type: String,
+        required: [true, 'Share channel is required']
+    },
+    visitor_id: {
+        type: String,
+        default: null
+    },
+    fingerprint: {
+        type: String,
+        default: null
+    },
+    ip_address: {
+        type: String,
+        default: null
+    },
+    user_agent: {
+        type: String,
+        default: null
+    },
+    referrer: {
+        type: String,
+        default: null
+    },
+    outcome: {
+        type: String,
+        enum: ['redirected', 'share_expired', 'share_invalid', 'app_inactive', 'no_store_url'],
+        default: 'redirected'
+    },
+    destination_url: {
+        type: String,
+        default: null
+    },
+    clicked_at: {
+        type: Date,
+        default: Date.now
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for whether the click reached the app store
+shareClickSchema.virtual('was_redirected').get(function() {
+    return this.outcome === 'redirected';
+});
+
+// Indexes for better performance
+shareClickSchema.index({ share_id: 1 });
+shareClickSchema.index({ tracking_id: 1 });
+shareClickSchema.index({ user_id: 1, clicked_at: -1 });
+shareClickSchema.index({ app_id: 1, clicked_at: -1 });
+shareClickSchema.index({ share_channel: 1 });
+shareClickSchema.index({ clicked_at: -1 });
+shareClickSchema.index({ app_id: 1, visitor_id: 1, clicked_at: 1 });
+shareClickSchema.index({ app_id: 1, fingerprint: 1, clicked_at: 1 });
+
+// Static method to record a click against a share
+shareClickSchema.statics.recordClick = function(share, clickData = {}) {
+    return this.create({
+        ...(clickData.clickId && { unique_id: clickData.clickId }),
+        share_id: share.unique_id,
+        tracking_id: share.tracking_id,
+        user_id: share.user_id,
+        app_id: share.app_id,
+        tournament_id: share.tournament_id || null,
+        share_channel: clickData.channel || share.share_channel,
+        visitor_id: clickData.visitorId || null,
+        fingerprint: clickData.fingerprint || null,
+        ip_address: clickData.ipAddress || null,
+        user_agent: clickData.userAgent || null,
+        referrer: clickData.referrer || null,
+        outcome: clickData.outcome || 'redirected',
+        destination_url: clickData.destinationUrl || null,
+        clicked_at: new Date()
+    });
+};
+
+// Static method to find a visitor's redirected clicks on an app within a time range
+shareClickSchema.statics.findVisitorClicks = function(appId, visitorId, fingerprint, startDate, endDate) {
+    const visitorMatch = [];
+    if (visitorId) visitorMatch.push({ visitor_id: visitorId });
+    if (fingerprint) visitorMatch.push({ fingerprint: fingerprint });
+    if (visitorMatch.length === 0) {
+        return Promise.resolve([]);
+    }
+
+    return this.find({
+        app_id: appId,
+        outcome: 'redirected',
+        $or: visitorMatch,
+        clicked_at: { $gte: startDate, $lte: endDate }
+    }).sort({ clicked_at: 1 });
+};
+
+// Static method to count clicks for a share
+shareClickSchema.statics.countForShare = function(shareId) {
+    return this.countDocuments({ share_id: shareId });
+};
+
+const ShareClick = mongoose.models.ShareClick || mongoose.model('ShareClick', shareClickSchema);
+
+module.exports = ShareClick;
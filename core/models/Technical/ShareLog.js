@@ -40,7 +40,7 @@ const shareLogSchema = new mongoose.Schema({
     share_channel: {
         type: String,
         required: [true, 'Share channel is required'],
-        enum: ['whatsapp', 'telegram', 'sms', 'email', 'facebook', 'twitter', 'instagram', 'linkedin', 'discord', 'other']
+        enum: ['whatsapp', 'telegram', 'sms', 'email', 'facebook', 'twitter', 'instagram', 'linkedin', 'discord', 'qr', 'other']
     },
     share_url: {
         type: String,
@@ -66,6 +66,11 @@ const shareLogSchema = new mongoose.Schema({
         required: [true, 'Tracking ID is required'],
         unique: true
     },
+    short_code: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
     device_info: {
         type: Object,
         default: {
@@ -79,6 +84,15 @@ const shareLogSchema = new mongoose.Schema({
             timezone: null
         }
     },
+    click_count: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    last_clicked_at: {
+        type: Date,
+        default: null
+    },
     validation_status: {
         type: String,
         enum: ['pending', 'verified', 'invalid', 'expired', 'fraudulent'],
@@ -95,6 +109,27 @@ const shareLogSchema = new mongoose.Schema({
             final_score: 0
         }
     },
+    attribution: {
+        type: Object,
+        default: null
+    },
+    budget_reserved: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    reward_idempotency_key: {
+        type: String,
+        default: null
+    },
+    rewards_credited_at: {
+        type: Date,
+        default: null
+    },
+    reward_transaction_id: {
+        type: String,
+        default: null
+    },
     xp_awarded: {
         type: Number,
         default: 0,
@@ -226,6 +261,10 @@ shareLogSchema.index({ created_at: 1 });
 shareLogSchema.index({ expires_at: 1 });
 shareLogSchema.index({ share_type: 1 });
 shareLogSchema.index({ share_channel: 1 });
+shareLogSchema.index(
+    { reward_idempotency_key: 1 },
+    { unique: true, partialFilterExpression: { reward_idempotency_key: { $type: 'string' } } }
+);
 
 // Compound indexes for common queries
 shareLogSchema.index({ user_id: 1, created_at: -1 });
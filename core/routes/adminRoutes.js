@@ -14,6 +14,7 @@
  */
 
 const express = require('express');
+const multer = require('multer');
 const PlatformUser = require('../models/App/PlatformUser');
 const AdminUser = require('../models/Admin/AdminUser');
 const App = require('../models/Common/App');
@@ -23,6 +24,44 @@ const ShareLog = require('../models/Technical/ShareLog');
 const FraudReport = require('../models/Technical/FraudReport');
 const ActivityLog = require('../models/Technical/ActivityLog');
 const { authenticateAdmin, requirePermission } = require('../../middleware/auth');
+const RewardRule = require('../models/Common/RewardRule');
+const Season = require('../models/Common/Season');
+const SeasonStanding = require('../models/Technical/SeasonStanding');
+const QuestTemplate = require('../models/Common/QuestTemplate');
+const UserQuest = require('../models/App/UserQuest');
+const RewardItem = require('../models/Common/RewardItem');
+const RewardCode = require('../models/Technical/RewardCode');
+const RewardOrder = require('../models/App/RewardOrder');
+const PointsTransfer = require('../models/Technical/PointsTransfer');
+const Badge = require('../models/Common/Badge');
+const { postLedgerTransaction, getUserLedger } = require('../../utils/ledger');
+const {
+    REWARD_FACTS,
+    loadRewardRules,
+    saveRewardRuleVersion,
+    seedDefaultRewardRules
+} = require('../../utils/rewardRulesEngine');
+const { calculateRegularShareRewards, calculateTournamentShareRewards } = require('../../utils/shareAlgorithms');
+const { getLevelCurve, getLevelPerks, recomputeUserLevels } = require('../../utils/levelAlgorithms');
+const { createSeason, updateSeason, closeSeason } = require('../../utils/seasonAlgorithms');
+const { uploadRewardCodes } = require('../../utils/rewardStoreAlgorithms');
+const { reviewPointsTransfer, findTransferRings } = require('../../utils/pointsTransferAlgorithms');
+const { simulateRewards } = require('../../utils/rewardSimulatorAlgorithms');
+const { getUserBadgeStats } = require('../../utils/badgeStatsProvider');
+const {
+    createBadge,
+    updateBadge,
+    deactivateBadge,
+    reorderBadges,
+    saveBadgeIcon
+} = require('../../utils/badgeManagementAlgorithms');
+const {
+    validateBadgeExpression,
+    traceBadgeExpression,
+    getStoredBadgeExpression,
+    buildBadgeExpressionFacts,
+    formatBadgeExpression
+} = require('../../utils/badgeCriteriaExpressions');
 const { 
     successResponse, 
     errorResponse, 
@@ -33,9 +72,17 @@ const {
     notFoundResponse,
     validationErrorResponse
 } = require('../../utils/responseHelper');
+const config = require('../../config');
 
 const router = express.Router();
 
+// Badge icons are kept in memory until sharp has resized them
+const badgeIconUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.upload.maxFileSize, files: 1 },
+    fileFilter: (req, file, callback) => callback(null, config.upload.allowedTypes.includes(file.mimetype))
+});
+
 // ==================== USER MANAGEMENT ====================
 
 /**
@@ -269,25 +316,33 @@ router.post('/users/:id/adjust-points', authenticateAdmin, requirePermission('us
             });
         }
 
-        // Apply adjustments
-        if (xp_adjustment || points_adjustment) {
-            // Use updateReferralStats to update total earnings consistently
-            user.updateReferralStats(
-                xp_adjustment || 0, 
-                points_adjustment || 0
-            );
-            
-            // Update current XP and points (updateReferralStats only updates total earnings)
-            if (xp_adjustment) {
-                user.current_xp = Math.max(0, user.current_xp + xp_adjustment);
-            }
-            
-            if (points_adjustment) {
-                user.current_points = Math.max(0, user.current_points + points_adjustment);
+        // Post the adjustments to the ledger; debits are capped at the current balance
+        const adjustment = await postLedgerTransaction(id, {
+            xp: Math.max(-(user.current_xp || 0), xp_adjustment || 0),
+            points: Math.max(-(user.current_points || 0), points_adjustment || 0)
+        }, {
+            sourceType: 'admin_adjustment',
+            actor: { type: 'admin', id: adminId },
+            description: reason,
+            metadata: {
+                requested_xp_adjustment: xp_adjustment || 0,
+                requested_points_adjustment: points_adjustment || 0
             }
+        });
+
+        if (!adjustment.success) {
+            return res.status(adjustment.reason === 'insufficient_balance' ? 409 : 500).json({
+                success: false,
+                message: 'Failed to adjust user points',
+                error_code: adjustment.reason
+            });
         }
 
-        await user.save();
+        // Use updateReferralStats to update total earnings consistently
+        await user.updateReferralStats(
+            xp_adjustment || 0, 
+            points_adjustment || 0
+        );
 
         // Log admin action
         await ActivityLog.logAdminActivity(
@@ -298,7 +353,8 @@ router.post('/users/:id/adjust-points', authenticateAdmin, requirePermission('us
                 target_user_id: id,
                 xp_adjustment: xp_adjustment || 0,
                 points_adjustment: points_adjustment || 0,
-                reason: reason
+                reason: reason,
+                ledger_transaction_id: adjustment.transaction_id
             },
             {
                 entityType: 'user',
@@ -314,8 +370,8 @@ router.post('/users/:id/adjust-points', authenticateAdmin, requirePermission('us
             user: {
                 unique_id: user.unique_id,
                 name: user.name,
-                current_xp: user.current_xp,
-                current_points: user.current_points,
+                current_xp: adjustment.balances.xp,
+                current_points: adjustment.balances.points,
                 total_xp_earned: user.total_xp_earned,
                 total_points_earned: user.total_points_earned
             }
@@ -330,6 +386,47 @@ router.post('/users/:id/adjust-points', authenticateAdmin, requirePermission('us
     }
 });
 
+/**
+ * @route GET /api/admin/users/:id/ledger
+ * @desc Get a user's XP and points ledger entries
+ * @access Private (Admin Only)
+ */
+router.get('/users/:id/ledger', authenticateAdmin, requirePermission('user_management'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { currency, source_type, page, limit } = req.query;
+
+        const user = await PlatformUser.findOne({ unique_id: id }).select('unique_id name current_xp current_points');
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const ledger = await getUserLedger(id, { currency, source_type, page, limit });
+
+        res.json({
+            success: true,
+            user: {
+                unique_id: user.unique_id,
+                name: user.name,
+                current_xp: user.current_xp,
+                current_points: user.current_points
+            },
+            entries: ledger.entries,
+            pagination: ledger.pagination
+        });
+
+    } catch (error) {
+        console.error('Admin user ledger error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get user ledger'
+        });
+    }
+});
+
 // ==================== TOURNAMENT MANAGEMENT ====================
 
 /**
@@ -349,7 +446,8 @@ router.post('/tournaments', authenticateAdmin, requirePermission('tournament_man
             eligible_regions,
             apps_involved,
             rules,
-            reward_multiplier
+            reward_multiplier,
+            tournament_tier
         } = req.body;
 
         const adminId = req.user.unique_id;
@@ -375,6 +473,7 @@ router.post('/tournaments', authenticateAdmin, requirePermission('tournament_man
             apps_involved: apps_involved || [],
             rules: rules || [],
             reward_multiplier: reward_multiplier || 1.5,
+            tournament_tier: tournament_tier || 1,
             is_active: true,
             created_by: adminId,
             created_at: new Date()
@@ -471,237 +570,2020 @@ router.put('/tournaments/:id', authenticateAdmin, requirePermission('tournament_
     }
 });
 
-// ==================== FRAUD MANAGEMENT ====================
+// ==================== REWARD RULES ====================
 
 /**
- * @route GET /api/admin/fraud-reports
- * @desc Get all fraud reports with filtering
+ * @route GET /api/admin/reward-rules
+ * @desc Get the current version of every reward rule
  * @access Private (Admin Only)
  */
-router.get('/fraud-reports', authenticateAdmin, requirePermission('fraud_management'), async (req, res) => {
+router.get('/reward-rules', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
     try {
-        const {
-            page = 1,
-            limit = 50,
-            status,
-            report_type,
-            sort_by = 'created_at',
-            sort_order = 'desc'
-        } = req.query;
-
-        const query = {};
-        if (status) query.status = status;
-        if (report_type) query.report_type = report_type;
+        const { scope } = req.query;
+        const scopes = scope ? [scope] : ['regular', 'tournament'];
+
+        const rules = [];
+        const usingDefaults = {};
+        for (const ruleScope of scopes) {
+            const scopeRules = await loadRewardRules(ruleScope);
+            usingDefaults[ruleScope] = scopeRules.some(rule => rule.is_default);
+            rules.push(...scopeRules);
+        }
 
-        const sortOptions = {};
-        sortOptions[sort_by] = sort_order === 'desc' ? -1 : 1;
+        res.json({
+            success: true,
+            rules,
+            using_defaults: usingDefaults,
+            facts: REWARD_FACTS
+        });
 
-        const reports = await FraudReport.find(query)
-            .populate('reporter_id', 'name email')
-            .populate('reported_user_id', 'name email')
-            .sort(sortOptions)
-            .limit(parseInt(limit))
-            .skip((parseInt(page) - 1) * parseInt(limit));
+    } catch (error) {
+        console.error('Admin reward rules error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get reward rules'
+        });
+    }
+});
 
-        const total = await FraudReport.countDocuments(query);
+/**
+ * @route GET /api/admin/reward-rules/:ruleKey/versions
+ * @desc Get every version of a reward rule, newest first
+ * @access Private (Admin Only)
+ */
+router.get('/reward-rules/:ruleKey/versions', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const versions = await RewardRule.findVersions(req.params.ruleKey);
+        if (versions.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reward rule not found'
+            });
+        }
 
         res.json({
             success: true,
-            reports,
-            pagination: {
-                current_page: parseInt(page),
-                total_pages: Math.ceil(total / limit),
-                total_items: total,
-                items_per_page: parseInt(limit)
-            }
+            rule_key: req.params.ruleKey,
+            versions
         });
 
     } catch (error) {
-        console.error('Admin fraud reports error:', error);
+        console.error('Admin reward rule versions error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to retrieve fraud reports'
+            message: 'Failed to get reward rule versions'
         });
     }
 });
 
 /**
- * @route POST /api/admin/fraud-reports/:id/review
- * @desc Review and resolve fraud report
+ * @route POST /api/admin/reward-rules
+ * @desc Create a reward rule
  * @access Private (Admin Only)
  */
-router.post('/fraud-reports/:id/review', authenticateAdmin, requirePermission('fraud_management'), async (req, res) => {
+router.post('/reward-rules', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { action, resolution_notes, penalty_applied } = req.body;
+        const { rule_key } = req.body;
         const adminId = req.user.unique_id;
 
-        if (!['resolved', 'dismissed', 'escalated'].includes(action)) {
+        if (!rule_key || !/^[a-z0-9_]+$/.test(rule_key)) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid action specified'
+                message: 'A rule_key of lowercase letters, numbers and underscores is required'
             });
         }
 
-        const report = await FraudReport.findOne({ unique_id: id });
-        if (!report) {
-            return res.status(404).json({
+        if (await RewardRule.exists({ rule_key })) {
+            return res.status(409).json({
                 success: false,
-                message: 'Fraud report not found'
+                message: 'A reward rule with this key already exists; update it instead'
             });
         }
 
-        // Update report status
-        report.status = action;
-        report.resolution_notes = resolution_notes;
-        report.resolved_at = new Date();
-        report.resolved_by = adminId;
-
-        if (action === 'resolved' && penalty_applied) {
-            report.penalty_applied = penalty_applied;
+        const result = await saveRewardRuleVersion(rule_key, req.body, adminId);
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid reward rule',
+                errors: result.errors || [result.reason]
+            });
         }
 
-        await report.save();
-
-        // Log admin action
-        await ActivityLog.logAdminActivity(
-            adminId,
-            'fraud_report_reviewed',
-            'Fraud report reviewed by admin',
-            {
-                report_id: id,
-                action: action,
-                resolution_notes: resolution_notes,
-                penalty_applied: penalty_applied
-            },
-            {
-                entityType: 'fraud_report',
-                entityId: id,
-                ipAddress: req.ip,
-                userAgent: req.get('User-Agent')
-            }
-        );
+        await logRewardRuleChange(req, 'reward_rule_creation', 'Reward rule created by admin', result.rule);
 
-        res.json({
+        res.status(201).json({
             success: true,
-            message: 'Fraud report reviewed successfully',
-            report
+            message: 'Reward rule created successfully',
+            rule: result.rule
         });
 
     } catch (error) {
-        console.error('Admin fraud report review error:', error);
+        console.error('Admin reward rule creation error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to review fraud report'
+            message: 'Failed to create reward rule'
         });
     }
 });
 
-// ==================== SYSTEM ANALYTICS ====================
-
 /**
- * @route GET /api/admin/analytics/dashboard
- * @desc Get comprehensive platform analytics
+ * @route PUT /api/admin/reward-rules/:ruleKey
+ * @desc Edit a reward rule by storing a new version of it
  * @access Private (Admin Only)
  */
-router.get('/analytics/dashboard', authenticateAdmin, requirePermission('analytics'), async (req, res) => {
+router.put('/reward-rules/:ruleKey', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
     try {
-        const { period = '30d' } = req.query;
-
-        let dateFilter = {};
-        const now = new Date();
+        const { ruleKey } = req.params;
+        const adminId = req.user.unique_id;
 
-        switch (period) {
-            case '7d':
-                dateFilter = { $gte: new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000) };
-                break;
-            case '30d':
-                dateFilter = { $gte: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000) };
-                break;
-            case '90d':
-                dateFilter = { $gte: new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000) };
-                break;
-            case '1y':
-                dateFilter = { $gte: new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000) };
-                break;
+        const current = await RewardRule.findOne({ rule_key: ruleKey, is_current: true });
+        if (!current) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reward rule not found'
+            });
         }
 
-        // User statistics
-        const totalUsers = await PlatformUser.countDocuments();
-        const activeUsers = await PlatformUser.countDocuments({ status: 'active' });
-        const newUsers = await PlatformUser.countDocuments({ created_at: dateFilter });
+        // Fields not sent keep their current values
+        const definition = { ...current.toObject(), ...req.body };
 
-        // App statistics
-        const totalApps = await App.countDocuments();
-        const activeApps = await App.countDocuments({ is_active: true });
+        const result = await saveRewardRuleVersion(ruleKey, definition, adminId);
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid reward rule',
+                errors: result.errors || [result.reason]
+            });
+        }
 
-        // Tournament statistics
-        const totalTournaments = await Tournament.countDocuments();
-        const activeTournaments = await Tournament.countDocuments({ is_active: true });
+        await logRewardRuleChange(req, 'reward_rule_update', 'Reward rule updated by admin', result.rule, {
+            previous_version: current.version,
+            updates: req.body
+        });
 
-        // Share statistics
-        const totalShares = await ShareLog.countDocuments({ created_at: dateFilter });
-        const verifiedShares = await ShareLog.countDocuments({
-            created_at: dateFilter,
-            validation_status: 'verified'
+        res.json({
+            success: true,
+            message: 'Reward rule updated successfully',
+            rule: result.rule
         });
 
-        // Payment statistics
-        const totalPayments = await Payment.countDocuments({ created_at: dateFilter });
-        const totalPayoutAmount = await Payment.aggregate([
-            { $match: { created_at: dateFilter, status: { $in: ['completed', 'processing'] } } },
-            { $group: { _id: null, total: { $sum: '$amount' } } }
-        ]);
+    } catch (error) {
+        console.error('Admin reward rule update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update reward rule'
+        });
+    }
+});
 
-        // Fraud statistics
-        const totalFraudReports = await FraudReport.countDocuments({ created_at: dateFilter });
-        const resolvedFraudReports = await FraudReport.countDocuments({
-            created_at: dateFilter,
-            status: 'resolved'
+/**
+ * @route DELETE /api/admin/reward-rules/:ruleKey
+ * @desc Deactivate a reward rule (stored as a new, inactive version)
+ * @access Private (Admin Only)
+ */
+router.delete('/reward-rules/:ruleKey', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const { ruleKey } = req.params;
+        const adminId = req.user.unique_id;
+
+        const current = await RewardRule.findOne({ rule_key: ruleKey, is_current: true });
+        if (!current) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reward rule not found'
+            });
+        }
+
+        const result = await saveRewardRuleVersion(ruleKey, { ...current.toObject(), is_active: false }, adminId);
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Failed to deactivate reward rule',
+                errors: result.errors || [result.reason]
+            });
+        }
+
+        await logRewardRuleChange(req, 'reward_rule_update', 'Reward rule deactivated by admin', result.rule, {
+            previous_version: current.version
         });
 
         res.json({
             success: true,
-            analytics: {
-                period,
-                users: {
-                    total: totalUsers,
-                    active: activeUsers,
-                    new: newUsers,
-                    growth_rate: totalUsers > 0 ? ((newUsers / totalUsers) * 100).toFixed(2) : 0
-                },
-                apps: {
-                    total: totalApps,
-                    active: activeApps
-                },
-                tournaments: {
-                    total: totalTournaments,
-                    active: activeTournaments
-                },
-                shares: {
-                    total: totalShares,
-                    verified: verifiedShares,
-                    verification_rate: totalShares > 0 ? (verifiedShares / totalShares * 100).toFixed(2) : 0
-                },
-                payments: {
-                    total: totalPayments,
-                    total_amount: totalPayoutAmount[0]?.total || 0
-                },
-                fraud: {
-                    total_reports: totalFraudReports,
-                    resolved: resolvedFraudReports,
-                    resolution_rate: totalFraudReports > 0 ? (resolvedFraudReports / totalFraudReports * 100).toFixed(2) : 0
-                }
-            }
+            message: 'Reward rule deactivated successfully',
+            rule: result.rule
         });
 
     } catch (error) {
-        console.error('Admin analytics error:', error);
+        console.error('Admin reward rule deactivation error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to retrieve analytics'
+            message: 'Failed to deactivate reward rule'
         });
     }
 });
 
+/**
+ * @route POST /api/admin/reward-rules/seed-defaults
+ * @desc Store the built-in reward rules so they can be edited
+ * @access Private (Admin Only)
+ */
+router.post('/reward-rules/seed-defaults', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const result = await seedDefaultRewardRules(req.user.unique_id);
+
+        res.json({
+            success: true,
+            message: `${result.created.length} default reward rule(s) stored`,
+            created: result.created
+        });
+
+    } catch (error) {
+        console.error('Admin reward rule seeding error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to store default reward rules'
+        });
+    }
+});
+
+/**
+ * @route POST /api/admin/reward-rules/dry-run
+ * @desc Show which reward rules would fire for a user, app and tournament, and the resulting breakdown
+ * @access Private (Admin Only)
+ */
+router.post('/reward-rules/dry-run', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const { user_id, app_id, tournament_id } = req.body;
+
+        if (!user_id || !app_id) {
+            return res.status(400).json({
+                success: false,
+                message: 'user_id and app_id are required'
+            });
+        }
+
+        const rewards = tournament_id
+            ? await calculateTournamentShareRewards(user_id, app_id, tournament_id)
+            : await calculateRegularShareRewards(user_id, app_id);
+
+        if (!rewards.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reward calculation failed',
+                reason: rewards.reason
+            });
+        }
+
+        const regularRewards = rewards.base_rewards || rewards;
+
+        res.json({
+            success: true,
+            dry_run: true,
+            share_type: tournament_id ? 'tournament' : 'regular',
+            facts: regularRewards.facts,
+            fired_rules: rewards.rule_evaluations.filter(result => result.fired),
+            skipped_rules: rewards.rule_evaluations.filter(result => !result.fired),
+            total_xp: rewards.total_xp,
+            total_points: rewards.total_points,
+            breakdown: regularRewards.breakdown,
+            tournament_bonuses: rewards.tournament_bonuses || null
+        });
+
+    } catch (error) {
+        console.error('Admin reward rule dry run error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to run reward rules'
+        });
+    }
+});
+
+/**
+ * @route POST /api/admin/reward-simulator
+ * @desc Replay an app's or tournament's historical shares under proposed app_xp, app_points or reward_multiplier
+ * @access Private (Admin Only)
+ */
+router.post('/reward-simulator', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const { app_id, tournament_id, app_xp, app_points, reward_multiplier, lookback_days } = req.body;
+
+        const result = await simulateRewards({
+            appId: app_id,
+            tournamentId: tournament_id,
+            appXp: app_xp !== undefined ? Number(app_xp) : undefined,
+            appPoints: app_points !== undefined ? Number(app_points) : undefined,
+            rewardMultiplier: reward_multiplier !== undefined ? Number(reward_multiplier) : undefined,
+            lookbackDays: lookback_days !== undefined ? Number(lookback_days) : undefined
+        });
+
+        if (!result.success) {
+            return sendSimulationError(res, result);
+        }
+
+        const { success, ...simulation } = result;
+        res.json({
+            success: true,
+            simulation
+        });
+
+    } catch (error) {
+        console.error('Admin reward simulator error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to simulate rewards'
+        });
+    }
+});
+
+// ==================== SEASONS ====================
+
+/**
+ * @route GET /api/admin/seasons
+ * @desc Get all seasons, newest first
+ * @access Private (Admin Only)
+ */
+router.get('/seasons', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const { status } = req.query;
+        const query = status ? { status } : {};
+
+        const seasons = await Season.find(query).sort({ season_number: -1 });
+
+        res.json({
+            success: true,
+            seasons
+        });
+
+    } catch (error) {
+        console.error('Admin seasons error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get seasons'
+        });
+    }
+});
+
+/**
+ * @route GET /api/admin/seasons/:id/standings
+ * @desc Get the archived standings of a closed season
+ * @access Private (Admin Only)
+ */
+router.get('/seasons/:id/standings', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { region, page = 1, limit = 50 } = req.query;
+
+        const query = { season_id: id };
+        if (region) query.region = region;
+
+        const standings = await SeasonStanding.find(query)
+            .sort({ region: 1, rank: 1 })
+            .skip((page - 1) * limit)
+            .limit(parseInt(limit));
+
+        const total = await SeasonStanding.countDocuments(query);
+
+        res.json({
+            success: true,
+            standings,
+            pagination: {
+                current_page: parseInt(page),
+                total_pages: Math.ceil(total / limit),
+                total_items: total,
+                items_per_page: parseInt(limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Admin season standings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get season standings'
+        });
+    }
+});
+
+/**
+ * @route POST /api/admin/seasons
+ * @desc Schedule a season after the latest one
+ * @access Private (Admin Only)
+ */
+router.post('/seasons', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const result = await createSeason(req.body, req.user.unique_id);
+        if (!result.success) {
+            return sendSeasonError(res, result, 'Failed to create season');
+        }
+
+        await logSeasonChange(req, 'season_creation', 'Season created by admin', result.season);
+
+        res.status(201).json({
+            success: true,
+            message: 'Season created successfully',
+            season: result.season
+        });
+
+    } catch (error) {
+        console.error('Admin season creation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create season'
+        });
+    }
+});
+
+/**
+ * @route PUT /api/admin/seasons/:id
+ * @desc Update an upcoming or active season
+ * @access Private (Admin Only)
+ */
+router.put('/seasons/:id', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const result = await updateSeason(req.params.id, req.body);
+        if (!result.success) {
+            return sendSeasonError(res, result, 'Failed to update season');
+        }
+
+        await logSeasonChange(req, 'season_update', 'Season updated by admin', result.season, {
+            updates: req.body
+        });
+
+        res.json({
+            success: true,
+            message: 'Season updated successfully',
+            season: result.season
+        });
+
+    } catch (error) {
+        console.error('Admin season update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update season'
+        });
+    }
+});
+
+/**
+ * @route POST /api/admin/seasons/:id/close
+ * @desc Close the active season now, archiving standings and granting rank rewards
+ * @access Private (Admin Only)
+ */
+router.post('/seasons/:id/close', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const result = await closeSeason(req.params.id, { force: true });
+        if (!result.success) {
+            return sendSeasonError(res, result, 'Failed to close season');
+        }
+
+        const season = await Season.findOne({ unique_id: req.params.id });
+        await logSeasonChange(req, 'season_close', 'Season closed by admin', season, {
+            standings_archived: result.standings_archived,
+            rewards_granted: result.rewards_granted
+        });
+
+        res.json({
+            success: true,
+            message: 'Season closed successfully',
+            summary: result
+        });
+
+    } catch (error) {
+        console.error('Admin season close error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to close season'
+        });
+    }
+});
+
+// ==================== QUESTS ====================
+
+/**
+ * @route GET /api/admin/quests
+ * @desc Get quest templates
+ * @access Private (Admin Only)
+ */
+router.get('/quests', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const { cadence, is_active } = req.query;
+
+        const query = {};
+        if (cadence) query.cadence = cadence;
+        if (is_active !== undefined) query.is_active = is_active === 'true';
+
+        const templates = await QuestTemplate.find(query).sort({ cadence: 1, quest_key: 1 });
+
+        res.json({
+            success: true,
+            templates
+        });
+
+    } catch (error) {
+        console.error('Admin quests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get quest templates'
+        });
+    }
+});
+
+/**
+ * @route GET /api/admin/quests/:questKey
+ * @desc Get a quest template with its assignment and completion counts
+ * @access Private (Admin Only)
+ */
+router.get('/quests/:questKey', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const template = await QuestTemplate.findOne({ quest_key: req.params.questKey });
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quest template not found'
+            });
+        }
+
+        const counts = await UserQuest.aggregate([
+            { $match: { template_id: template.unique_id } },
+            { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]);
+        const stats = { active: 0, completed: 0, claimed: 0, expired: 0 };
+        counts.forEach(row => {
+            stats[row._id] = row.count;
+        });
+
+        res.json({
+            success: true,
+            template,
+            stats: {
+                assigned: stats.active + stats.completed + stats.claimed + stats.expired,
+                ...stats
+            }
+        });
+
+    } catch (error) {
+        console.error('Admin quest error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get quest template'
+        });
+    }
+});
+
+/**
+ * @route POST /api/admin/quests
+ * @desc Create a quest template
+ * @access Private (Admin Only)
+ */
+router.post('/quests', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const adminId = req.user.unique_id;
+
+        if (req.body.quest_key && await QuestTemplate.exists({ quest_key: String(req.body.quest_key).toLowerCase() })) {
+            return res.status(409).json({
+                success: false,
+                message: 'A quest with this key already exists; update it instead'
+            });
+        }
+
+        const template = new QuestTemplate({
+            ...pickQuestTemplateFields(req.body),
+            quest_key: req.body.quest_key,
+            created_by: adminId,
+            updated_by: adminId
+        });
+
+        const validationError = template.validateSync();
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid quest template',
+                errors: Object.values(validationError.errors).map(error => error.message)
+            });
+        }
+
+        await template.save();
+        await logQuestTemplateChange(req, 'quest_template_creation', 'Quest template created by admin', template);
+
+        res.status(201).json({
+            success: true,
+            message: 'Quest template created successfully',
+            template
+        });
+
+    } catch (error) {
+        console.error('Admin quest creation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create quest template'
+        });
+    }
+});
+
+/**
+ * @route PUT /api/admin/quests/:questKey
+ * @desc Update a quest template; quests already assigned keep their objectives and rewards
+ * @access Private (Admin Only)
+ */
+router.put('/quests/:questKey', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const template = await QuestTemplate.findOne({ quest_key: req.params.questKey });
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quest template not found'
+            });
+        }
+
+        const updates = pickQuestTemplateFields(req.body);
+        Object.assign(template, updates);
+        template.updated_by = req.user.unique_id;
+
+        const validationError = template.validateSync();
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid quest template',
+                errors: Object.values(validationError.errors).map(error => error.message)
+            });
+        }
+
+        await template.save();
+        await logQuestTemplateChange(req, 'quest_template_update', 'Quest template updated by admin', template, {
+            updates
+        });
+
+        res.json({
+            success: true,
+            message: 'Quest template updated successfully',
+            template
+        });
+
+    } catch (error) {
+        console.error('Admin quest update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update quest template'
+        });
+    }
+});
+
+/**
+ * @route DELETE /api/admin/quests/:questKey
+ * @desc Deactivate a quest template; it is no longer assigned from the next period
+ * @access Private (Admin Only)
+ */
+router.delete('/quests/:questKey', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const template = await QuestTemplate.findOneAndUpdate(
+            { quest_key: req.params.questKey },
+            { $set: { is_active: false, updated_by: req.user.unique_id } },
+            { new: true }
+        );
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quest template not found'
+            });
+        }
+
+        await logQuestTemplateChange(req, 'quest_template_update', 'Quest template deactivated by admin', template);
+
+        res.json({
+            success: true,
+            message: 'Quest template deactivated successfully',
+            template
+        });
+
+    } catch (error) {
+        console.error('Admin quest deactivation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to deactivate quest template'
+        });
+    }
+});
+
+// ==================== REWARD STORE ====================
+
+/**
+ * @route GET /api/admin/rewards
+ * @desc Get rewards store items
+ * @access Private (Admin Only)
+ */
+router.get('/rewards', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const { item_type, is_active } = req.query;
+
+        const query = {};
+        if (item_type) query.item_type = item_type;
+        if (is_active !== undefined) query.is_active = is_active === 'true';
+
+        const items = await RewardItem.find(query).sort({ sort_order: 1, sku: 1 });
+
+        res.json({
+            success: true,
+            items
+        });
+
+    } catch (error) {
+        console.error('Admin rewards error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get reward items'
+        });
+    }
+});
+
+/**
+ * @route GET /api/admin/rewards/:sku
+ * @desc Get a rewards store item with its code pool and redemption counts
+ * @access Private (Admin Only)
+ */
+router.get('/rewards/:sku', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const item = await RewardItem.findOne({ sku: req.params.sku });
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reward item not found'
+            });
+        }
+
+        const [codePool, redemptions] = await Promise.all([
+            item.item_type === 'gift_card' ? RewardCode.getPoolStats(item.unique_id) : null,
+            RewardOrder.aggregate([
+                { $match: { item_id: item.unique_id } },
+                {
+                    $group: {
+                        _id: null,
+                        orders: { $sum: 1 },
+                        users: { $addToSet: '$user_id' },
+                        points_spent: { $sum: '$points_spent' }
+                    }
+                }
+            ])
+        ]);
+
+        res.json({
+            success: true,
+            item,
+            code_pool: codePool,
+            stats: {
+                orders: redemptions[0] ? redemptions[0].orders : 0,
+                unique_users: redemptions[0] ? redemptions[0].users.length : 0,
+                points_spent: redemptions[0] ? redemptions[0].points_spent : 0
+            }
+        });
+
+    } catch (error) {
+        console.error('Admin reward error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get reward item'
+        });
+    }
+});
+
+/**
+ * @route POST /api/admin/rewards
+ * @desc Create a rewards store item; gift card stock starts at zero until codes are uploaded
+ * @access Private (Admin Only)
+ */
+router.post('/rewards', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const adminId = req.user.unique_id;
+
+        if (req.body.sku && await RewardItem.exists({ sku: String(req.body.sku).toLowerCase() })) {
+            return res.status(409).json({
+                success: false,
+                message: 'A reward item with this SKU already exists; update it instead'
+            });
+        }
+
+        const fields = pickRewardItemFields(req.body);
+        if (req.body.item_type === 'gift_card') {
+            delete fields.stock;
+        }
+
+        const item = new RewardItem({
+            ...fields,
+            sku: req.body.sku,
+            item_type: req.body.item_type,
+            created_by: adminId,
+            updated_by: adminId
+        });
+
+        const validationError = await item.validate().then(() => null, error => error);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid reward item',
+                errors: Object.values(validationError.errors || {}).map(error => error.message)
+            });
+        }
+
+        await item.save();
+        await logRewardItemChange(req, 'reward_item_creation', 'Reward item created by admin', item);
+
+        res.status(201).json({
+            success: true,
+            message: 'Reward item created successfully',
+            item
+        });
+
+    } catch (error) {
+        console.error('Admin reward creation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create reward item'
+        });
+    }
+});
+
+/**
+ * @route PUT /api/admin/rewards/:sku
+ * @desc Update a rewards store item; past orders keep the name and price they were placed at
+ * @access Private (Admin Only)
+ */
+router.put('/rewards/:sku', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const item = await RewardItem.findOne({ sku: req.params.sku });
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reward item not found'
+            });
+        }
+
+        // Gift card stock follows the code pool
+        const updates = pickRewardItemFields(req.body);
+        if (item.item_type === 'gift_card') {
+            delete updates.stock;
+        }
+        Object.assign(item, updates);
+        item.updated_by = req.user.unique_id;
+
+        const validationError = await item.validate().then(() => null, error => error);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid reward item',
+                errors: Object.values(validationError.errors || {}).map(error => error.message)
+            });
+        }
+
+        await item.save();
+        await logRewardItemChange(req, 'reward_item_update', 'Reward item updated by admin', item, {
+            updates
+        });
+
+        res.json({
+            success: true,
+            message: 'Reward item updated successfully',
+            item
+        });
+
+    } catch (error) {
+        console.error('Admin reward update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update reward item'
+        });
+    }
+});
+
+/**
+ * @route DELETE /api/admin/rewards/:sku
+ * @desc Take a rewards store item off sale; its orders and unused codes are kept
+ * @access Private (Admin Only)
+ */
+router.delete('/rewards/:sku', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const item = await RewardItem.findOneAndUpdate(
+            { sku: req.params.sku },
+            { $set: { is_active: false, updated_by: req.user.unique_id } },
+            { new: true }
+        );
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reward item not found'
+            });
+        }
+
+        await logRewardItemChange(req, 'reward_item_update', 'Reward item deactivated by admin', item);
+
+        res.json({
+            success: true,
+            message: 'Reward item deactivated successfully',
+            item
+        });
+
+    } catch (error) {
+        console.error('Admin reward deactivation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to deactivate reward item'
+        });
+    }
+});
+
+/**
+ * @route POST /api/admin/rewards/:sku/codes
+ * @desc Upload gift card codes to an item's pool, as an array or one code per line
+ * @access Private (Admin Only)
+ */
+router.post('/rewards/:sku/codes', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const { codes } = req.body;
+        const codeList = typeof codes === 'string' ? codes.split(/\r?\n/) : codes;
+
+        const item = await RewardItem.findOne({ sku: req.params.sku }).select('unique_id');
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reward item not found'
+            });
+        }
+
+        const result = await uploadRewardCodes(item.unique_id, codeList, req.user.unique_id);
+        if (!result.success) {
+            const errors = {
+                item_not_found: { status: 404, message: 'Reward item not found' },
+                item_not_code_based: { status: 400, message: 'Codes can only be uploaded to gift card items' },
+                invalid_codes: { status: 400, message: 'Codes must be a non-empty array or one code per line' },
+                too_many_codes: { status: 400, message: 'Too many codes in one upload' }
+            };
+            const error = errors[result.reason] || { status: 500, message: 'Failed to upload codes' };
+            const { success, reason, ...details } = result;
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                error_code: reason,
+                ...details
+            });
+        }
+
+        await logRewardItemChange(req, 'reward_codes_upload', 'Reward codes uploaded by admin', result.item, {
+            batch_id: result.batch_id,
+            uploaded: result.uploaded,
+            skipped: result.skipped
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `${result.uploaded} code(s) uploaded`,
+            batch_id: result.batch_id,
+            uploaded: result.uploaded,
+            skipped: result.skipped,
+            stock: result.stock
+        });
+
+    } catch (error) {
+        console.error('Admin reward codes upload error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to upload codes'
+        });
+    }
+});
+
+// ==================== BADGES ====================
+
+/**
+ * @route GET /api/admin/badges
+ * @desc Get all badges, including inactive ones, in display order
+ * @access Private (Admin Only)
+ */
+router.get('/badges', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const { active } = req.query;
+
+        const query = {};
+        if (active !== undefined) {
+            query.is_active = active === 'true';
+        }
+
+        const badges = await Badge.find(query).sort({ sort_order: 1, created_at: 1 });
+
+        res.json({
+            success: true,
+            badges
+        });
+
+    } catch (error) {
+        console.error('Admin badges error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get badges'
+        });
+    }
+});
+
+/**
+ * @route POST /api/admin/badges
+ * @desc Create a badge; it is placed last unless sort_order is given
+ * @access Private (Admin Only)
+ */
+router.post('/badges', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const result = await createBadge(req.body, req.user.unique_id);
+        if (!result.success) {
+            return sendBadgeError(res, result, 'Failed to create badge');
+        }
+
+        await logBadgeChange(req, 'badge_creation', 'Badge created by admin', result.badge);
+
+        res.status(201).json({
+            success: true,
+            message: 'Badge created successfully',
+            badge: result.badge
+        });
+
+    } catch (error) {
+        console.error('Admin badge creation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create badge'
+        });
+    }
+});
+
+/**
+ * @route PUT /api/admin/badges/order
+ * @desc Reorder badges; badge_ids lists badge IDs first to last
+ * @access Private (Admin Only)
+ */
+router.put('/badges/order', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const result = await reorderBadges(req.body.badge_ids);
+        if (!result.success) {
+            return sendBadgeError(res, result, 'Failed to reorder badges');
+        }
+
+        await ActivityLog.logAdminActivity(
+            req.user.unique_id,
+            'badge_update',
+            'Badges reordered by admin',
+            { badge_ids: req.body.badge_ids },
+            {
+                entityType: 'badge',
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent')
+            }
+        );
+
+        res.json({
+            success: true,
+            message: 'Badges reordered successfully',
+            badges: result.badges
+        });
+
+    } catch (error) {
+        console.error('Admin badge reorder error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reorder badges'
+        });
+    }
+});
+
+/**
+ * @route PUT /api/admin/badges/:id
+ * @desc Update a badge; exclusions are kept mutual on the other badges
+ * @access Private (Admin Only)
+ */
+router.put('/badges/:id', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const result = await updateBadge(req.params.id, req.body);
+        if (!result.success) {
+            return sendBadgeError(res, result, 'Failed to update badge');
+        }
+
+        await logBadgeChange(req, 'badge_update', 'Badge updated by admin', result.badge, {
+            updates: req.body
+        });
+
+        res.json({
+            success: true,
+            message: 'Badge updated successfully',
+            badge: result.badge
+        });
+
+    } catch (error) {
+        console.error('Admin badge update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update badge'
+        });
+    }
+});
+
+/**
+ * @route DELETE /api/admin/badges/:id
+ * @desc Deactivate a badge; users keep it if already earned
+ * @access Private (Admin Only)
+ */
+router.delete('/badges/:id', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const result = await deactivateBadge(req.params.id);
+        if (!result.success) {
+            return sendBadgeError(res, result, 'Failed to deactivate badge');
+        }
+
+        await logBadgeChange(req, 'badge_update', 'Badge deactivated by admin', result.badge);
+
+        res.json({
+            success: true,
+            message: 'Badge deactivated successfully',
+            badge: result.badge
+        });
+
+    } catch (error) {
+        console.error('Admin badge deactivation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to deactivate badge'
+        });
+    }
+});
+
+/**
+ * @route POST /api/admin/badges/:id/icon
+ * @desc Upload a badge icon (multipart field "icon"); it is resized to the standard sizes
+ * @access Private (Admin Only)
+ */
+router.post('/badges/:id/icon', authenticateAdmin, requirePermission('system_configuration'), receiveBadgeIcon, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: `An icon image is required (${config.upload.allowedTypes.join(', ')})`
+            });
+        }
+
+        const result = await saveBadgeIcon(req.params.id, req.file.buffer);
+        if (!result.success) {
+            return sendBadgeError(res, result, 'Failed to upload badge icon');
+        }
+
+        await logBadgeChange(req, 'badge_update', 'Badge icon uploaded by admin', result.badge, {
+            badge_icon: result.badge.badge_icon
+        });
+
+        res.json({
+            success: true,
+            message: 'Badge icon uploaded successfully',
+            badge_icon: result.badge.badge_icon,
+            variants: result.variants
+        });
+
+    } catch (error) {
+        console.error('Admin badge icon upload error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to upload badge icon'
+        });
+    }
+});
+
+/**
+ * @route POST /api/admin/badges/criteria-preview
+ * @desc Validate a secondary criteria expression (or a badge's stored one) and evaluate it for a user
+ * @access Private (Admin Only)
+ */
+router.post('/badges/criteria-preview', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const { user_id, badge_id } = req.body;
+        let { expression } = req.body;
+
+        if (!user_id || (!expression && !badge_id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'user_id and an expression or badge_id are required'
+            });
+        }
+
+        let badge = null;
+        if (badge_id) {
+            badge = await Badge.findOne({ unique_id: badge_id });
+            if (!badge) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Badge not found'
+                });
+            }
+            expression = expression || getStoredBadgeExpression(badge.secondary_criteria);
+        }
+
+        if (expression) {
+            const validation = validateBadgeExpression(expression);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid expression',
+                    errors: validation.errors
+                });
+            }
+        }
+
+        const userStats = await getUserBadgeStats(user_id, { refresh: true });
+        if (!userStats) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const facts = buildBadgeExpressionFacts(userStats, Badge.getCriteriaValue);
+        const trace = expression ? traceBadgeExpression(expression, facts) : null;
+        const threshold = badge ? {
+            criteria_type: badge.criteria_type,
+            operator: badge.threshold_operator,
+            value: badge.threshold_value,
+            actual: badge.getCurrentValue(userStats),
+            result: badge.evaluateThreshold(badge.getCurrentValue(userStats))
+        } : null;
+
+        res.json({
+            success: true,
+            preview: true,
+            expression: expression || null,
+            expression_text: expression ? formatBadgeExpression(expression) : null,
+            facts,
+            threshold,
+            trace,
+            result: (threshold ? threshold.result : true) && (trace ? trace.result : true)
+        });
+
+    } catch (error) {
+        console.error('Admin badge criteria preview error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to preview badge criteria'
+        });
+    }
+});
+
+// ==================== LEVELS ====================
+
+/**
+ * @route GET /api/admin/levels
+ * @desc Get the level curve with each level's resolved perks and user count
+ * @access Private (Admin Only)
+ */
+router.get('/levels', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const distribution = await PlatformUser.aggregate([
+            { $group: { _id: '$user_level', users: { $sum: 1 } } }
+        ]);
+        const usersByLevel = new Map(distribution.map(row => [row._id, row.users]));
+
+        const levels = getLevelCurve().map(step => ({
+            level: step.level,
+            min_xp: step.min_xp,
+            perks: getLevelPerks(step.level),
+            users: usersByLevel.get(step.level) || 0
+        }));
+
+        // Users whose stored level is not on the curve need a recompute
+        const curveLevels = new Set(levels.map(step => step.level));
+        const offCurveUsers = distribution
+            .filter(row => !curveLevels.has(row._id))
+            .reduce((sum, row) => sum + row.users, 0);
+
+        res.json({
+            success: true,
+            levels,
+            off_curve_users: offCurveUsers
+        });
+
+    } catch (error) {
+        console.error('Admin levels error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get levels'
+        });
+    }
+});
+
+/**
+ * @route POST /api/admin/levels/recompute
+ * @desc Recompute users' levels from the current level curve
+ * @access Private (Admin Only)
+ */
+router.post('/levels/recompute', authenticateAdmin, requirePermission('system_configuration'), async (req, res) => {
+    try {
+        const { notify = false, user_ids } = req.body;
+        const adminId = req.user.unique_id;
+
+        const summary = await recomputeUserLevels({
+            notify: notify === true,
+            userIds: Array.isArray(user_ids) ? user_ids : []
+        });
+
+        await ActivityLog.logAdminActivity(
+            adminId,
+            'system_configuration_change',
+            'User levels recomputed by admin',
+            {
+                notify: notify === true,
+                users_checked: summary.users_checked,
+                users_promoted: summary.users_promoted,
+                users_demoted: summary.users_demoted
+            },
+            {
+                entityType: 'system',
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent')
+            }
+        );
+
+        res.json({
+            success: true,
+            message: 'User levels recomputed successfully',
+            summary
+        });
+
+    } catch (error) {
+        console.error('Admin level recompute error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to recompute user levels'
+        });
+    }
+});
+
+// ==================== FRAUD MANAGEMENT ====================
+
+/**
+ * @route GET /api/admin/fraud-reports
+ * @desc Get all fraud reports with filtering
+ * @access Private (Admin Only)
+ */
+router.get('/fraud-reports', authenticateAdmin, requirePermission('fraud_management'), async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 50,
+            status,
+            report_type,
+            sort_by = 'created_at',
+            sort_order = 'desc'
+        } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (report_type) query.report_type = report_type;
+
+        const sortOptions = {};
+        sortOptions[sort_by] = sort_order === 'desc' ? -1 : 1;
+
+        const reports = await FraudReport.find(query)
+            .populate('reporter_id', 'name email')
+            .populate('reported_user_id', 'name email')
+            .sort(sortOptions)
+            .limit(parseInt(limit))
+            .skip((parseInt(page) - 1) * parseInt(limit));
+
+        const total = await FraudReport.countDocuments(query);
+
+        res.json({
+            success: true,
+            reports,
+            pagination: {
+                current_page: parseInt(page),
+                total_pages: Math.ceil(total / limit),
+                total_items: total,
+                items_per_page: parseInt(limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Admin fraud reports error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve fraud reports'
+        });
+    }
+});
+
+/**
+ * @route POST /api/admin/fraud-reports/:id/review
+ * @desc Review and resolve fraud report
+ * @access Private (Admin Only)
+ */
+router.post('/fraud-reports/:id/review', authenticateAdmin, requirePermission('fraud_management'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { action, resolution_notes, penalty_applied } = req.body;
+        const adminId = req.user.unique_id;
+
+        if (!['resolved', 'dismissed', 'escalated'].includes(action)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid action specified'
+            });
+        }
+
+        const report = await FraudReport.findOne({ unique_id: id });
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: 'Fraud report not found'
+            });
+        }
+
+        // Update report status
+        report.status = action;
+        report.resolution_notes = resolution_notes;
+        report.resolved_at = new Date();
+        report.resolved_by = adminId;
+
+        if (action === 'resolved' && penalty_applied) {
+            report.penalty_applied = penalty_applied;
+        }
+
+        await report.save();
+
+        // Log admin action
+        await ActivityLog.logAdminActivity(
+            adminId,
+            'fraud_report_reviewed',
+            'Fraud report reviewed by admin',
+            {
+                report_id: id,
+                action: action,
+                resolution_notes: resolution_notes,
+                penalty_applied: penalty_applied
+            },
+            {
+                entityType: 'fraud_report',
+                entityId: id,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent')
+            }
+        );
+
+        res.json({
+            success: true,
+            message: 'Fraud report reviewed successfully',
+            report
+        });
+
+    } catch (error) {
+        console.error('Admin fraud report review error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to review fraud report'
+        });
+    }
+});
+
+/**
+ * @route GET /api/admin/transfers
+ * @desc Get points transfers, e.g. those held for review
+ * @access Private (Admin Only)
+ */
+router.get('/transfers', authenticateAdmin, requirePermission('fraud_management'), async (req, res) => {
+    try {
+        const { page = 1, limit = 50, status, user_id } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (user_id) query.$or = [{ sender_id: user_id }, { recipient_id: user_id }];
+
+        const transfers = await PointsTransfer.find(query)
+            .sort({ created_at: -1 })
+            .limit(parseInt(limit))
+            .skip((parseInt(page) - 1) * parseInt(limit));
+
+        const total = await PointsTransfer.countDocuments(query);
+
+        res.json({
+            success: true,
+            transfers,
+            pagination: {
+                current_page: parseInt(page),
+                total_pages: Math.ceil(total / limit),
+                total_items: total,
+                items_per_page: parseInt(limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Admin transfers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve transfers'
+        });
+    }
+});
+
+/**
+ * @route GET /api/admin/transfers/rings
+ * @desc Report groups of accounts whose points transfers lead back to each other
+ * @access Private (Admin Only)
+ */
+router.get('/transfers/rings', authenticateAdmin, requirePermission('fraud_management'), async (req, res) => {
+    try {
+        const days = Math.min(parseInt(req.query.days) || 30, 365);
+        const minTransfers = parseInt(req.query.min_transfers) || 3;
+
+        const result = await findTransferRings({ days, minTransfers });
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to build transfer ring report'
+            });
+        }
+
+        res.json({
+            success: true,
+            since: result.since,
+            rings: result.rings
+        });
+
+    } catch (error) {
+        console.error('Admin transfer rings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to build transfer ring report'
+        });
+    }
+});
+
+/**
+ * @route POST /api/admin/transfers/:id/review
+ * @desc Approve or reject a points transfer held by fraud screening
+ * @access Private (Admin Only)
+ */
+router.post('/transfers/:id/review', authenticateAdmin, requirePermission('fraud_management'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { decision, notes } = req.body;
+        const adminId = req.user.unique_id;
+
+        const result = await reviewPointsTransfer(adminId, id, decision, notes);
+        if (!result.success) {
+            const errors = {
+                invalid_decision: { status: 400, message: 'Decision must be approve or reject' },
+                transfer_not_found: { status: 404, message: 'Transfer not found' },
+                transfer_not_pending: { status: 409, message: 'Transfer is not awaiting review' }
+            };
+            const error = errors[result.reason] || { status: 500, message: 'Failed to review transfer' };
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                error_code: result.reason
+            });
+        }
+
+        await ActivityLog.logAdminActivity(
+            adminId,
+            'points_transfer_review',
+            `Points transfer ${decision === 'approve' ? 'approved' : 'rejected'} by admin`,
+            {
+                transfer_id: id,
+                decision: decision,
+                notes: notes,
+                sender_id: result.transfer.sender_id,
+                recipient_id: result.transfer.recipient_id,
+                amount: result.transfer.amount
+            },
+            {
+                entityType: 'points_transfer',
+                entityId: id,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent')
+            }
+        );
+
+        res.json({
+            success: true,
+            message: `Transfer ${decision === 'approve' ? 'approved' : 'rejected'} successfully`,
+            transfer: result.transfer
+        });
+
+    } catch (error) {
+        console.error('Admin transfer review error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to review transfer'
+        });
+    }
+});
+
+// ==================== SYSTEM ANALYTICS ====================
+
+/**
+ * @route GET /api/admin/analytics/dashboard
+ * @desc Get comprehensive platform analytics
+ * @access Private (Admin Only)
+ */
+router.get('/analytics/dashboard', authenticateAdmin, requirePermission('analytics'), async (req, res) => {
+    try {
+        const { period = '30d' } = req.query;
+
+        let dateFilter = {};
+        const now = new Date();
+
+        switch (period) {
+            case '7d':
+                dateFilter = { $gte: new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000) };
+                break;
+            case '30d':
+                dateFilter = { $gte: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000) };
+                break;
+            case '90d':
+                dateFilter = { $gte: new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000) };
+                break;
+            case '1y':
+                dateFilter = { $gte: new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000) };
+                break;
+        }
+
+        // User statistics
+        const totalUsers = await PlatformUser.countDocuments();
+        const activeUsers = await PlatformUser.countDocuments({ status: 'active' });
+        const newUsers = await PlatformUser.countDocuments({ created_at: dateFilter });
+
+        // App statistics
+        const totalApps = await App.countDocuments();
+        const activeApps = await App.countDocuments({ is_active: true });
+
+        // Tournament statistics
+        const totalTournaments = await Tournament.countDocuments();
+        const activeTournaments = await Tournament.countDocuments({ is_active: true });
+
+        // Share statistics
+        const totalShares = await ShareLog.countDocuments({ created_at: dateFilter });
+        const verifiedShares = await ShareLog.countDocuments({
+            created_at: dateFilter,
+            validation_status: 'verified'
+        });
+
+        // Payment statistics
+        const totalPayments = await Payment.countDocuments({ created_at: dateFilter });
+        const totalPayoutAmount = await Payment.aggregate([
+            { $match: { created_at: dateFilter, status: { $in: ['completed', 'processing'] } } },
+            { $group: { _id: null, total: { $sum: '$amount' } } }
+        ]);
+
+        // Fraud statistics
+        const totalFraudReports = await FraudReport.countDocuments({ created_at: dateFilter });
+        const resolvedFraudReports = await FraudReport.countDocuments({
+            created_at: dateFilter,
+            status: 'resolved'
+        });
+
+        res.json({
+            success: true,
+            analytics: {
+                period,
+                users: {
+                    total: totalUsers,
+                    active: activeUsers,
+                    new: newUsers,
+                    growth_rate: totalUsers > 0 ? ((newUsers / totalUsers) * 100).toFixed(2) : 0
+                },
+                apps: {
+                    total: totalApps,
+                    active: activeApps
+                },
+                tournaments: {
+                    total: totalTournaments,
+                    active: activeTournaments
+                },
+                shares: {
+                    total: totalShares,
+                    verified: verifiedShares,
+                    verification_rate: totalShares > 0 ? (verifiedShares / totalShares * 100).toFixed(2) : 0
+                },
+                payments: {
+                    total: totalPayments,
+                    total_amount: totalPayoutAmount[0]?.total || 0
+                },
+                fraud: {
+                    total_reports: totalFraudReports,
+                    resolved: resolvedFraudReports,
+                    resolution_rate: totalFraudReports > 0 ? (resolvedFraudReports / totalFraudReports * 100).toFixed(2) : 0
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Admin analytics error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve analytics'
+        });
+    }
+});
+
+// Helper Functions
+
+/**
+ * Record an admin change to a reward rule
+ *
+ * @param {Object} req - Express request of the admin
+ * @param {string} activityType - reward_rule_creation or reward_rule_update
+ * @param {string} action - Action description
+ * @param {Object} rule - Stored rule version
+ * @param {Object} details - Extra details to log
+ */
+async function logRewardRuleChange(req, activityType, action, rule, details = {}) {
+    await ActivityLog.logAdminActivity(
+        req.user.unique_id,
+        activityType,
+        action,
+        {
+            rule_key: rule.rule_key,
+            version: rule.version,
+            scope: rule.scope,
+            is_active: rule.is_active,
+            ...details
+        },
+        {
+            entityType: 'reward_rule',
+            entityId: rule.rule_key,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        }
+    );
+}
+
+/**
+ * Send the error response for a failed reward simulation
+ *
+ * @param {Object} res - Express response
+ * @param {Object} result - Failed result from rewardSimulatorAlgorithms
+ */
+function sendSimulationError(res, result) {
+    const errors = {
+        app_or_tournament_required: { status: 400, message: 'app_id or tournament_id is required' },
+        app_required_for_app_rewards: { status: 400, message: 'app_id is required to simulate app_xp or app_points' },
+        tournament_required_for_multiplier: { status: 400, message: 'tournament_id is required to simulate reward_multiplier' },
+        invalid_app_rewards: { status: 400, message: 'app_xp and app_points must be non-negative numbers' },
+        invalid_reward_multiplier: { status: 400, message: 'reward_multiplier must be between 1 and 5' },
+        invalid_lookback_days: { status: 400, message: 'lookback_days must be a whole number between 1 and 365' },
+        app_not_found: { status: 404, message: 'App not found' },
+        tournament_not_found: { status: 404, message: 'Tournament not found' },
+        app_not_in_tournament: { status: 400, message: 'App is not part of the tournament' },
+        tournament_not_started: { status: 400, message: 'Tournament has no share history yet' }
+    };
+    const error = errors[result.reason] || { status: 500, message: 'Failed to simulate rewards' };
+
+    res.status(error.status).json({
+        success: false,
+        message: error.message,
+        error_code: result.reason
+    });
+}
+
+/**
+ * Send the error response for a failed season operation
+ *
+ * @param {Object} res - Express response
+ * @param {Object} result - Failed result from seasonAlgorithms
+ * @param {string} fallbackMessage - Message for unexpected failures
+ */
+function sendSeasonError(res, result, fallbackMessage) {
+    const errors = {
+        season_not_found: { status: 404, message: 'Season not found' },
+        invalid_season_window: { status: 400, message: 'Season must end after it starts (and in the future once active)' },
+        invalid_rewards: { status: 400, message: 'Rewards must be non-overlapping rank ranges with non-negative XP and points' },
+        season_overlap: { status: 409, message: 'Season overlaps another season' },
+        field_not_editable: { status: 400, message: 'Field cannot be changed in the season\'s current status' },
+        season_closed: { status: 409, message: 'Season is closing or closed' },
+        season_not_active: { status: 409, message: 'Only the active season can be closed' }
+    };
+    const error = errors[result.reason] || { status: 500, message: fallbackMessage };
+    const { success, reason, ...details } = result;
+
+    res.status(error.status).json({
+        success: false,
+        message: error.message,
+        error_code: reason,
+        ...details
+    });
+}
+
+/**
+ * Log an admin change to a season
+ *
+ * @param {Object} req - Express request
+ * @param {string} activityType - ActivityLog activity type
+ * @param {string} action - Action description
+ * @param {Object} season - Season document
+ * @param {Object} details - Extra details (optional)
+ */
+async function logSeasonChange(req, activityType, action, season, details = {}) {
+    await ActivityLog.logAdminActivity(
+        req.user.unique_id,
+        activityType,
+        action,
+        {
+            season_number: season.season_number,
+            status: season.status,
+            starts_at: season.starts_at,
+            ends_at: season.ends_at,
+            ...details
+        },
+        {
+            entityType: 'season',
+            entityId: season.unique_id,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        }
+    );
+}
+
+/**
+ * Pick the editable quest template fields from a request body
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Template fields present in the body
+ */
+function pickQuestTemplateFields(body) {
+    const fields = [
+        'name', 'description', 'cadence', 'objectives', 'xp_reward', 'points_reward',
+        'rotation_group', 'min_user_level', 'regions', 'starts_at', 'ends_at', 'is_active'
+    ];
+    return fields.reduce((picked, field) => {
+        if (body[field] !== undefined) {
+            picked[field] = body[field];
+        }
+        return picked;
+    }, {});
+}
+
+/**
+ * Log an admin change to a quest template
+ *
+ * @param {Object} req - Express request
+ * @param {string} activityType - ActivityLog activity type
+ * @param {string} action - Action description
+ * @param {Object} template - QuestTemplate document
+ * @param {Object} details - Extra details (optional)
+ */
+async function logQuestTemplateChange(req, activityType, action, template, details = {}) {
+    await ActivityLog.logAdminActivity(
+        req.user.unique_id,
+        activityType,
+        action,
+        {
+            quest_key: template.quest_key,
+            cadence: template.cadence,
+            is_active: template.is_active,
+            ...details
+        },
+        {
+            entityType: 'quest',
+            entityId: template.unique_id,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        }
+    );
+}
+
+/**
+ * Pick the editable reward item fields from a request body
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Item fields present in the body
+ */
+function pickRewardItemFields(body) {
+    const fields = [
+        'name', 'description', 'image_url', 'face_value', 'currency', 'perk', 'points_price',
+        'stock', 'per_user_limit', 'regions', 'sort_order', 'starts_at', 'ends_at', 'is_active'
+    ];
+    return fields.reduce((picked, field) => {
+        if (body[field] !== undefined) {
+            picked[field] = body[field];
+        }
+        return picked;
+    }, {});
+}
+
+/**
+ * Log an admin change to a reward item
+ *
+ * @param {Object} req - Express request
+ * @param {string} activityType - ActivityLog activity type
+ * @param {string} action - Action description
+ * @param {Object} item - RewardItem document
+ * @param {Object} details - Extra details (optional)
+ */
+async function logRewardItemChange(req, activityType, action, item, details = {}) {
+    await ActivityLog.logAdminActivity(
+        req.user.unique_id,
+        activityType,
+        action,
+        {
+            sku: item.sku,
+            item_type: item.item_type,
+            points_price: item.points_price,
+            stock: item.stock,
+            is_active: item.is_active,
+            ...details
+        },
+        {
+            entityType: 'reward_item',
+            entityId: item.unique_id,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        }
+    );
+}
+
+/**
+ * Send the error response for a failed badge operation
+ *
+ * @param {Object} res - Express response
+ * @param {Object} result - Failed result from badgeManagementAlgorithms
+ * @param {string} fallbackMessage - Message for unexpected failures
+ */
+function sendBadgeError(res, result, fallbackMessage) {
+    const errors = {
+        badge_not_found: { status: 404, message: 'Badge not found' },
+        season_not_found: { status: 404, message: 'Season not found' },
+        invalid_badge: { status: 400, message: 'Invalid badge' },
+        invalid_secondary_criteria: { status: 400, message: 'Invalid secondary criteria' },
+        invalid_image: { status: 400, message: 'Icon is not a readable image' },
+        invalid_badge_order: { status: 400, message: 'badge_ids must be a non-empty array of badge IDs' },
+        duplicate_badges: { status: 400, message: 'badge_ids cannot list a badge twice' },
+        unknown_badges: { status: 400, message: 'Unknown badge IDs' },
+        self_dependency: { status: 400, message: 'A badge cannot require or exclude itself' },
+        prerequisite_exclusive_conflict: { status: 400, message: 'A badge cannot both require and exclude the same badge' },
+        dependency_cycle: { status: 409, message: 'Prerequisites would form a cycle' },
+        unearnable_badge: { status: 409, message: 'A badge would require two badges that exclude each other' },
+        badge_has_dependents: { status: 409, message: 'Active badges require this badge' }
+    };
+    const error = errors[result.reason] || { status: 500, message: fallbackMessage };
+    const { success, reason, ...details } = result;
+
+    res.status(error.status).json({
+        success: false,
+        message: error.message,
+        error_code: reason,
+        ...details
+    });
+}
+
+/**
+ * Log an admin change to a badge
+ *
+ * @param {Object} req - Express request
+ * @param {string} activityType - ActivityLog activity type
+ * @param {string} action - Action description
+ * @param {Object} badge - Badge document
+ * @param {Object} details - Extra details (optional)
+ */
+async function logBadgeChange(req, activityType, action, badge, details = {}) {
+    await ActivityLog.logAdminActivity(
+        req.user.unique_id,
+        activityType,
+        action,
+        {
+            badge_name: badge.badge_name,
+            criteria_type: badge.criteria_type,
+            threshold_value: badge.threshold_value,
+            is_active: badge.is_active,
+            ...details
+        },
+        {
+            entityType: 'badge',
+            entityId: badge.unique_id,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        }
+    );
+}
+
+/**
+ * Receive a badge icon upload, answering 400 when multer rejects it
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function receiveBadgeIcon(req, res, next) {
+    badgeIconUpload.single('icon')(req, res, error => {
+        if (error instanceof multer.MulterError) {
+            return res.status(400).json({
+                success: false,
+                message: error.code === 'LIMIT_FILE_SIZE'
+                    ? `Icon cannot be larger than ${config.upload.maxFileSize} bytes`
+                    : 'Invalid icon upload',
+                error_code: error.code
+            });
+        }
+        if (error) {
+            return next(error);
+        }
+        next();
+    });
+}
+
 module.exports = router;
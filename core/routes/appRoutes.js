@@ -4,6 +4,8 @@ const App = require('../models/Common/App.js');
 const Category = require('../models/Common/Category.js');
 const PlatformUser = require('../models/App/PlatformUser.js');
 const { authenticateToken } = require('../../middleware/auth.js');
+const { creditUser } = require('../../utils/ledger');
+const { DOMAIN_EVENTS, publishEvent } = require('../events/eventBus');
 const { 
     successResponse, 
     errorResponse, 
@@ -23,8 +25,6 @@ router.post('/:id/successful-referral', authenticateToken, async (req, res) => {
     const userId = req.user.unique_id;
     const AppModel = require('../models/Common/App');
     const PlatformUserModel = require('../models/App/PlatformUser');
-    const BadgeModel = require('../models/Common/Badge');
-    const badgeAlgorithms = require('../utils/badgeAlgorithms');
     const app = await AppModel.findOne({ unique_id: appId });
     if (!app) {
       return res.status(404).json({ error: 'App not found' });
@@ -34,46 +34,37 @@ router.post('/:id/successful-referral', authenticateToken, async (req, res) => {
     app.total_xp_allocated += app.app_xp;
     app.total_points_allocated += app.app_points;
     await app.save();
+    // Credit XP and points through the ledger
+    const credit = await creditUser(userId, { xp: app.app_xp, points: app.app_points }, {
+      sourceType: 'referral_reward',
+      sourceId: appId,
+      actor: { type: 'user', id: userId },
+      description: 'Successful app referral'
+    });
+    if (!credit.success) {
+      return res.status(credit.reason === 'user_not_found' ? 404 : 500).json({ error: 'Failed to credit rewards' });
+    }
+
     // Update user stats
     const user = await PlatformUserModel.findOne({ unique_id: userId });
     user.referral_count += 1;
 
-    // Use updateReferralStats to update XP and points consistently
     // Use updateReferralStats to update total XP and points earned consistently
-    user.updateReferralStats(app.app_xp, app.app_points);
-
-    // Update current XP and points (updateReferralStats only updates total earnings)
-    user.current_xp += app.app_xp;
-    user.current_points += app.app_points;
+    await user.updateReferralStats(app.app_xp, app.app_points);
 
     user.total_apps_shared += 1;
     user.last_share_date = new Date();
-    // Badge check and addition
-    const allBadges = await BadgeModel.find({ is_active: true });
-    const newlyAwardedBadges = [];
-    const currentUserStats = {
-      current_xp: user.current_xp,
-      total_points_earned: user.total_points_earned,
-      total_apps_shared: user.total_apps_shared,
-      total_tournaments_won: user.total_tournaments_won,
-      sharing_streak_days: user.sharing_streak_days,
-      successful_referrals_count: user.successful_referrals_count,
-      user_level: user.user_level
-    };
-    for (const badge of allBadges) {
-      if (user.badges_ids.includes(badge.unique_id)) continue;
-      const eligibility = await badgeAlgorithms.checkBadgeEligibility(user.unique_id, badge.unique_id, 'progress_check', currentUserStats);
-      if (eligibility.eligible) {
-        user.badges_ids.push(badge.unique_id);
-        badge.users_achieved_count += 1;
-        await badge.save();
-        newlyAwardedBadges.push(badge);
-      }
-    }
-    if (newlyAwardedBadges.length > 0) {
-      user.total_badges_earned = user.badges_ids.length;
-    }
     await user.save();
+    // Badges are evaluated and granted by the badge subscriber
+    const eventResults = await publishEvent(DOMAIN_EVENTS.REFERRAL_COMPLETED, {
+      user_id: userId,
+      app_id: appId,
+      xp_awarded: app.app_xp,
+      points_awarded: app.app_points
+    });
+    const newlyAwardedBadges = eventResults.badges && eventResults.badges.success
+      ? eventResults.badges.newly_earned_badges
+      : [];
     res.json({
       message: 'Referral processed, points/xp/badges updated',
       xpGained: app.app_xp,
@@ -252,15 +243,22 @@ router.post('/:id/refer', authenticateToken, async (req, res) => {
     app.total_xp_allocated += app.app_xp;
     app.total_points_allocated += app.app_points;
     await app.save();
+    // Credit XP and points through the ledger
+    const credit = await creditUser(userId, { xp: app.app_xp, points: app.app_points }, {
+      sourceType: 'referral_reward',
+      sourceId: appId,
+      actor: { type: 'user', id: userId },
+      description: 'App referred'
+    });
+    if (!credit.success) {
+      return res.status(credit.reason === 'user_not_found' ? 404 : 500).json({ error: 'Failed to credit rewards' });
+    }
+
     // Update user stats
     const user = await PlatformUserModel.findOne({ unique_id: userId });
 
     // Use updateReferralStats to update total XP and points earned consistently
-    user.updateReferralStats(app.app_xp, app.app_points);
-
-    // Update current XP and points (updateReferralStats only updates total earnings)
-    user.current_xp += app.app_xp;
-    user.current_points += app.app_points;
+    await user.updateReferralStats(app.app_xp, app.app_points);
 
     user.total_apps_shared += 1;
     user.last_share_date = new Date();
@@ -17,6 +17,7 @@ const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const PlatformUser = require('../models/App/PlatformUser');
 const ActivityLog = require('../models/Technical/ActivityLog');
+const { creditUser } = require('../../utils/ledger');
 const { authenticateToken } = require('../../middleware/auth');
 const config = require('../../config');
 const { 
@@ -898,12 +899,18 @@ async function processReferral(newUser, referralCode) {
             points: 5
         };
 
-        newUser.current_xp += welcomeBonus.xp;
-        newUser.current_points += welcomeBonus.points;
+        const credit = await creditUser(newUser.unique_id, welcomeBonus, {
+            sourceType: 'welcome_bonus',
+            sourceId: referral.unique_id,
+            description: 'Referral welcome bonus'
+        });
+        if (credit.success) {
+            newUser.current_xp = credit.balances.xp;
+            newUser.current_points = credit.balances.points;
+        }
         
         // Use updateReferralStats to consistently update XP and points
         await newUser.updateReferralStats(welcomeBonus.xp, welcomeBonus.points);
-        await newUser.save();
 
         // Log referral activity
         await ActivityLog.logUserActivity(
@@ -1,7 +1,10 @@
 const express = require('express');
 const Badge = require('../models/Common/Badge.js');
+const UserBadge = require('../models/App/UserBadge.js');
 const PlatformUser = require('../models/App/PlatformUser.js');
 const { authenticateToken } = require('../../middleware/auth.js');
+const { checkBadgeEligibility, evaluateUserBadges } = require('../../utils/badgeAlgorithms');
+const { getUserBadgeStats } = require('../../utils/badgeStatsProvider');
 const { 
     successResponse, 
     errorResponse, 
@@ -22,7 +25,7 @@ router.get('/', async (req, res) => {
     }
 
     const badges = await Badge.find(query)
-      .sort({ 'criteria.threshold': 1 }) // Sort by points in ascending order
+      .sort({ sort_order: 1, threshold_value: 1 }) // Admin-defined order, then easiest first
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .exec();
@@ -42,23 +45,8 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get single badge by ID
-router.get('/:id', async (req, res) => {
-  try {
-    const badge = await Badge.findById(req.params.id);
-
-    if (!badge) {
-      return res.status(404).json({ error: 'Badge not found' });
-    }
-
-    res.json({ badge });
-  } catch (error) {
-    console.log('badgeRoutes.js error:', error);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-// Get user's badges
+// Get user's badges, with how often each was earned and when repeatable ones can be earned again
+// (registered before /:id so "user" is not taken for a badge ID)
 router.get('/user', authenticateToken, async (req, res) => {
   try {
     const user = await PlatformUser.findOne({ unique_id: req.user.unique_id });
@@ -66,20 +54,37 @@ router.get('/user', authenticateToken, async (req, res) => {
       return res.status(404).json(errorResponse('User not found', 404));
     }
 
-    // Get user's badges with full badge details
-    const userBadges = await Badge.find({ 
-      unique_id: { $in: user.badges_ids || [] } 
-    });
+    const userBadges = await UserBadge.find({ user_id: user.unique_id })
+      .sort({ last_earned_at: -1 });
 
-    const badges = userBadges.map(badge => ({
-      _id: badge._id,
-      badge_name: badge.badge_name,
-      badge_description: badge.badge_description,
-      badge_icon: badge.badge_icon,
-      earned_at: new Date().toISOString(), // TODO: Store actual earned date
-      xp_reward: badge.xp_reward,
-      points_reward: badge.points_reward
-    }));
+    // Get full badge details
+    const badgeDetails = await Badge.find({
+      unique_id: { $in: userBadges.map(userBadge => userBadge.badge_id) }
+    });
+    const badgesById = new Map(badgeDetails.map(badge => [badge.unique_id, badge]));
+
+    const now = new Date();
+    const badges = userBadges
+      .filter(userBadge => badgesById.has(userBadge.badge_id))
+      .map(userBadge => {
+        const badge = badgesById.get(userBadge.badge_id);
+        return {
+          _id: badge._id,
+          badge_id: badge.unique_id,
+          badge_name: badge.badge_name,
+          badge_description: badge.badge_description,
+          badge_icon: badge.badge_icon,
+          earned_at: userBadge.earned_at,
+          last_earned_at: userBadge.last_earned_at || userBadge.earned_at,
+          times_earned: userBadge.times_earned || 1,
+          streak_count: userBadge.streak_count,
+          is_repeatable: badge.is_repeatable,
+          next_achievable_at: badge.is_repeatable ? userBadge.next_achievable_at : null,
+          can_earn_again: badge.is_repeatable && (!userBadge.next_achievable_at || userBadge.next_achievable_at <= now),
+          xp_reward: badge.xp_value_gifted,
+          points_reward: badge.points_value_gifted
+        };
+      });
 
     res.json(listResponse(badges));
   } catch (error) {
@@ -88,39 +93,34 @@ router.get('/user', authenticateToken, async (req, res) => {
   }
 });
 
+// Get single badge by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const badge = await Badge.findById(req.params.id);
+
+    if (!badge) {
+      return res.status(404).json({ error: 'Badge not found' });
+    }
+
+    res.json({ badge });
+  } catch (error) {
+    console.log('badgeRoutes.js error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Check and award badges based on user progress
 router.post('/check-progress', authenticateToken, async (req, res) => {
   try {
-    const user = await PlatformUser.findOne({ unique_id: req.user.unique_id });
-    const allBadges = await Badge.find({ is_active: true });
-    const badgeAlgorithms = require('../utils/badgeAlgorithms');
-    const newlyAwardedBadges = [];
-    // Build user stats for eligibility check
-    const currentUserStats = {
-      current_xp: user.current_xp,
-      total_points_earned: user.total_points_earned,
-      total_apps_shared: user.total_apps_shared,
-      total_tournaments_won: user.total_tournaments_won,
-      sharing_streak_days: user.sharing_streak_days,
-      successful_referrals_count: user.successful_referrals_count,
-      user_level: user.user_level
-    };
-    for (const badge of allBadges) {
-      if (user.badges_ids.includes(badge.unique_id)) continue;
-      const eligibility = await badgeAlgorithms.checkBadgeEligibility(user.unique_id, badge.unique_id, 'progress_check', currentUserStats);
-      if (eligibility.eligible) {
-        user.badges_ids.push(badge.unique_id);
-        badge.users_achieved_count += 1;
-        await badge.save();
-        newlyAwardedBadges.push(badge);
-      }
-    }
-    if (newlyAwardedBadges.length > 0) {
-      user.total_badges_earned = user.badges_ids.length;
-      await user.save();
+    const result = await evaluateUserBadges(req.user.unique_id, 'progress_check');
+    if (!result.success) {
+      const status = result.reason === 'user_not_found' ? 404 : 500;
+      return res.status(status).json(errorResponse(status === 404 ? 'User not found' : 'Server error', status));
     }
+
+    const user = await PlatformUser.findOne({ unique_id: req.user.unique_id });
     res.json({
-      newlyAwardedBadges,
+      newlyAwardedBadges: result.newly_earned_badges,
       totalBadges: user.badges_ids.length
     });
   } catch (error) {
@@ -190,20 +190,11 @@ router.get('/progress', authenticateToken, async (req, res) => {
     }
 
     const allBadges = await Badge.find({ is_active: true });
-    const badgeAlgorithms = require('../utils/badgeAlgorithms');
-    const currentUserStats = {
-      current_xp: user.current_xp,
-      total_points_earned: user.total_points_earned,
-      total_apps_shared: user.total_apps_shared,
-      total_tournaments_won: user.total_tournaments_won,
-      sharing_streak_days: user.sharing_streak_days,
-      successful_referrals_count: user.successful_referrals_count,
-      user_level: user.user_level
-    };
+    const currentUserStats = await getUserBadgeStats(user);
     
     const progress = await Promise.all(allBadges.map(async badge => {
       const hasBadge = user.badges_ids.includes(badge.unique_id);
-      const eligibility = await badgeAlgorithms.checkBadgeEligibility(user.unique_id, badge.unique_id, 'progress_check', currentUserStats);
+      const eligibility = await checkBadgeEligibility(user.unique_id, badge.unique_id, 'progress_check', currentUserStats);
       return {
         badge_id: badge.unique_id,
         badge_name: badge.badge_name,
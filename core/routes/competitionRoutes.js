@@ -4,6 +4,10 @@ const PlatformUser = require('../models/App/PlatformUser.js');
 const App = require('../models/Common/App.js');
 const TournamentParticipant = require('../models/Common/TournamentParticipant.js');
 const { authenticateToken } = require('../../middleware/auth.js');
+const { creditUser } = require('../../utils/ledger');
+const { canUserJoinTournamentTier } = require('../../utils/levelAlgorithms');
+const { recordQuestEvent } = require('../../utils/questAlgorithms');
+const { DOMAIN_EVENTS, publishEvent } = require('../events/eventBus');
 const { 
     successResponse, 
     errorResponse, 
@@ -93,6 +97,12 @@ router.post('/:id/join', authenticateToken, async (req, res) => {
       return res.status(400).json(errorResponse('Tournament is not open for participation', 400));
     }
     
+    // Higher-tier tournaments are a level perk
+    const user = await PlatformUser.findOne({ unique_id: userId });
+    if (!user || !canUserJoinTournamentTier(user, tournament)) {
+      return res.status(403).json(errorResponse(`Tier ${tournament.tournament_tier || 1} tournaments require a higher level`, 403));
+    }
+    
     // Check if user already joined
     const participant = await TournamentParticipant.findOne({ 
       tournament_id: tournament.unique_id, 
@@ -122,6 +132,11 @@ router.post('/:id/join', authenticateToken, async (req, res) => {
       { unique_id: userId }, 
       { $addToSet: { active_tournament_ids: tournament.unique_id } }
     );
+
+    await recordQuestEvent(userId, 'tournament_joined', {
+      event_id: tournament.unique_id,
+      tournament_id: tournament.unique_id
+    });
     
     res.json(successResponse(null, 'Successfully joined tournament'));
   } catch (error) {
@@ -203,16 +218,24 @@ router.post('/:id/submit', authenticateToken, async (req, res) => {
     const shareVerificationResult = {}; // Populate as needed
     const rewards = await tournamentAlgorithms.calculateTournamentShareReward(userId, appId, tournament.unique_id, shareVerificationResult);
     
+    // Credit XP and points through the ledger
+    const credit = await creditUser(userId, { xp: rewards.total_xp, points: rewards.total_points }, {
+      sourceType: 'tournament_reward',
+      sourceId: tournament.unique_id,
+      actor: { type: 'user', id: userId },
+      description: 'Tournament entry submitted',
+      metadata: { app_id: appId }
+    });
+    if (!credit.success) {
+      return res.status(500).json(errorResponse('Failed to credit tournament rewards', 500));
+    }
+
     // Update user stats
     const user = await PlatformUser.findOne({ unique_id: userId });
     
     // Use updateReferralStats to update total XP and points earned consistently
     user.updateReferralStats(rewards.total_xp, rewards.total_points);
     
-    // Update current XP and points (updateReferralStats only updates total earnings)
-    user.current_xp += rewards.total_xp;
-    user.current_points += rewards.total_points;
-    
     user.total_apps_shared += 1;
     user.last_share_date = new Date();
     await user.save();
@@ -237,6 +260,14 @@ router.post('/:id/submit', authenticateToken, async (req, res) => {
         points_awarded: rewards.total_points
       });
     }
+
+    await publishEvent(DOMAIN_EVENTS.SHARE_VERIFIED, {
+      user_id: userId,
+      app_id: appId,
+      tournament_id: tournament.unique_id,
+      xp_awarded: rewards.total_xp,
+      points_awarded: rewards.total_points
+    });
     
     res.json(successResponse({
       xpGained: rewards.total_xp,
@@ -21,6 +21,9 @@ const Payment = require('../models/Technical/Payment');
 const ActivityLog = require('../models/Technical/ActivityLog');
 const { authenticateToken, authenticateAdmin } = require('../../middleware/auth');
 const { v4: uuidv4 } = require('uuid');
+const { ATTRIBUTION_MODELS } = require('../../utils/conversionAlgorithms');
+const { getAppTemplates, validateTemplates, TEMPLATE_VARIABLES } = require('../../utils/shareTemplates');
+const { simulateRewards } = require('../../utils/rewardSimulatorAlgorithms');
 const { 
     successResponse, 
     errorResponse, 
@@ -236,6 +239,58 @@ router.put('/profile', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * @route POST /api/host/postback-secret
+ * @desc Generate or rotate the secret used to sign conversion postbacks
+ * @access Private (Host Users)
+ */
+router.post('/postback-secret', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.unique_id;
+
+        const hostAccount = await HostAccount.findOne({ user_id: userId });
+        if (!hostAccount || hostAccount.verification_status !== 'verified') {
+            return res.status(403).json({
+                success: false,
+                message: 'Host account not verified or not found'
+            });
+        }
+
+        const secret = await hostAccount.rotatePostbackSecret();
+
+        // Log activity
+        await ActivityLog.logUserActivity(
+            userId,
+            'user_profile_update',
+            'Host postback secret rotated',
+            {
+                host_account_id: hostAccount.unique_id
+            },
+            {
+                entityType: 'user',
+                entityId: userId,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent')
+            }
+        );
+
+        res.json({
+            success: true,
+            message: 'Postback secret generated successfully. Store it securely, it will not be shown again.',
+            host_id: hostAccount.unique_id,
+            postback_secret: secret,
+            rotated_at: hostAccount.api_credentials.secret_rotated_at
+        });
+
+    } catch (error) {
+        console.error('Postback secret rotation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate postback secret'
+        });
+    }
+});
+
 // ==================== APP MANAGEMENT ====================
 
 /**
@@ -459,6 +514,176 @@ router.put('/apps/:id', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * @route PUT /api/host/apps/:id/tracking-config
+ * @desc Update an app's tracking domain and attribution model
+ * @access Private (Host Users)
+ */
+router.put('/apps/:id/tracking-config', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.unique_id;
+        const { tracking_domain, attribution_model } = req.body;
+
+        const app = await App.findOne({ unique_id: id, host_id: userId });
+        if (!app) {
+            return res.status(404).json({
+                success: false,
+                message: 'App not found or access denied'
+            });
+        }
+
+        if (attribution_model !== undefined && !ATTRIBUTION_MODELS.includes(attribution_model)) {
+            return res.status(400).json({
+                success: false,
+                message: `Attribution model must be one of: ${ATTRIBUTION_MODELS.join(', ')}`
+            });
+        }
+
+        const trackingConfig = { ...(app.tracking_config || {}) };
+        if (tracking_domain !== undefined) trackingConfig.tracking_domain = tracking_domain || null;
+        if (attribution_model !== undefined) trackingConfig.attribution_model = attribution_model;
+
+        app.tracking_config = trackingConfig;
+        app.markModified('tracking_config');
+        app.updated_at = new Date();
+        await app.save();
+
+        // Log activity
+        await ActivityLog.logUserActivity(
+            userId,
+            'app_update',
+            'App tracking configuration updated by host',
+            {
+                app_id: id,
+                tracking_domain: trackingConfig.tracking_domain,
+                attribution_model: trackingConfig.attribution_model
+            },
+            {
+                entityType: 'app',
+                entityId: id,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent')
+            }
+        );
+
+        res.json({
+            success: true,
+            message: 'Tracking configuration updated successfully',
+            tracking_config: app.tracking_config
+        });
+
+    } catch (error) {
+        console.error('Tracking config update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update tracking configuration'
+        });
+    }
+});
+
+/**
+ * @route GET /api/host/apps/:id/share-templates
+ * @desc Get an app's effective share message templates (defaults with host overrides)
+ * @access Private (Host Users)
+ */
+router.get('/apps/:id/share-templates', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.unique_id;
+
+        const app = await App.findOne({ unique_id: id, host_id: userId });
+        if (!app) {
+            return res.status(404).json({
+                success: false,
+                message: 'App not found or access denied'
+            });
+        }
+
+        res.json({
+            success: true,
+            overrides: app.share_templates || {},
+            templates: {
+                regular: getAppTemplates(app, false),
+                tournament: getAppTemplates(app, true)
+            },
+            variables: TEMPLATE_VARIABLES
+        });
+
+    } catch (error) {
+        console.error('Share templates retrieval error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve share templates'
+        });
+    }
+});
+
+/**
+ * @route PUT /api/host/apps/:id/share-templates
+ * @desc Override an app's share message templates per kind (regular, tournament) and channel
+ * @access Private (Host Users)
+ */
+router.put('/apps/:id/share-templates', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.unique_id;
+        const { templates } = req.body;
+
+        const app = await App.findOne({ unique_id: id, host_id: userId });
+        if (!app) {
+            return res.status(404).json({
+                success: false,
+                message: 'App not found or access denied'
+            });
+        }
+
+        const validation = validateTemplates(templates);
+        if (!validation.valid) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid share templates',
+                errors: validation.errors
+            });
+        }
+
+        app.share_templates = templates;
+        app.markModified('share_templates');
+        app.updated_at = new Date();
+        await app.save();
+
+        // Log activity
+        await ActivityLog.logUserActivity(
+            userId,
+            'app_update',
+            'App share templates updated by host',
+            {
+                app_id: id,
+                kinds: Object.keys(templates)
+            },
+            {
+                entityType: 'app',
+                entityId: id,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent')
+            }
+        );
+
+        res.json({
+            success: true,
+            message: 'Share templates updated successfully',
+            overrides: app.share_templates
+        });
+
+    } catch (error) {
+        console.error('Share templates update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update share templates'
+        });
+    }
+});
+
 /**
  * @route DELETE /api/host/apps/:id
  * @desc Delete an app
@@ -710,4 +935,67 @@ router.get('/apps/:id/analytics', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * @route POST /api/host/apps/:id/reward-simulator
+ * @desc Forecast XP, points and budget for proposed app_xp / app_points, or a tournament's reward_multiplier, from the app's share history
+ * @access Private (App Host)
+ */
+router.post('/apps/:id/reward-simulator', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.unique_id;
+        const { app_xp, app_points, tournament_id, reward_multiplier, lookback_days } = req.body;
+
+        // Verify app ownership
+        const app = await App.findOne({ unique_id: id, host_id: userId });
+        if (!app) {
+            return res.status(404).json({
+                success: false,
+                message: 'App not found or access denied'
+            });
+        }
+
+        // Tournament simulations only replay this app's shares in the tournament
+        const result = await simulateRewards({
+            appId: id,
+            tournamentId: tournament_id,
+            appXp: app_xp !== undefined ? Number(app_xp) : undefined,
+            appPoints: app_points !== undefined ? Number(app_points) : undefined,
+            rewardMultiplier: reward_multiplier !== undefined ? Number(reward_multiplier) : undefined,
+            lookbackDays: lookback_days !== undefined ? Number(lookback_days) : undefined
+        });
+
+        if (!result.success) {
+            const errors = {
+                tournament_required_for_multiplier: { status: 400, message: 'tournament_id is required to simulate reward_multiplier' },
+                invalid_app_rewards: { status: 400, message: 'app_xp and app_points must be non-negative numbers' },
+                invalid_reward_multiplier: { status: 400, message: 'reward_multiplier must be between 1 and 5' },
+                invalid_lookback_days: { status: 400, message: 'lookback_days must be a whole number between 1 and 365' },
+                tournament_not_found: { status: 404, message: 'Tournament not found' },
+                app_not_in_tournament: { status: 400, message: 'App is not part of the tournament' },
+                tournament_not_started: { status: 400, message: 'Tournament has no share history yet' }
+            };
+            const error = errors[result.reason] || { status: 500, message: 'Failed to simulate rewards' };
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                error_code: result.reason
+            });
+        }
+
+        const { success, ...simulation } = result;
+        res.json({
+            success: true,
+            simulation
+        });
+
+    } catch (error) {
+        console.error('App reward simulator error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to simulate rewards'
+        });
+    }
+});
+
 module.exports = router;
@@ -14,12 +14,12 @@
 
 const express = require('express');
 const Payment = require('../models/Technical/Payment');
-const PlatformUser = require('../models/App/PlatformUser');
 const AdminUser = require('../models/Admin/AdminUser');
 const ActivityLog = require('../models/Technical/ActivityLog');
 const { authenticateToken, authenticateAdmin, requirePermission } = require('../../middleware/auth');
 const { processPayoutRequest, validatePayoutRequest, calculateFees } = require('../../utils/paymentAlgorithms');
 const { analyzeFraud } = require('../../utils/fraudAlgorithms');
+const { creditUser } = require('../../utils/ledger');
 const { 
     successResponse, 
     errorResponse, 
@@ -178,10 +178,12 @@ router.post('/:id/cancel', authenticateToken, async (req, res) => {
 
         // Refund points to user if they were deducted
         if (payment.points_converted > 0) {
-            await PlatformUser.updateOne(
-                { unique_id: userId },
-                { $inc: { current_points: payment.points_converted } }
-            );
+            await creditUser(userId, { points: payment.points_converted }, {
+                sourceType: 'payout_refund',
+                sourceId: payment.unique_id,
+                actor: { type: 'user', id: userId },
+                description: 'Payment cancelled by user'
+            });
         }
 
         // Log activity
@@ -360,10 +362,12 @@ router.post('/admin/:id/reject', authenticateAdmin, requirePermission('payment_a
 
         // Refund points to user
         if (payment.points_converted > 0) {
-            await PlatformUser.updateOne(
-                { unique_id: payment.user_id },
-                { $inc: { current_points: payment.points_converted } }
-            );
+            await creditUser(payment.user_id, { points: payment.points_converted }, {
+                sourceType: 'payout_refund',
+                sourceId: payment.unique_id,
+                actor: { type: 'admin', id: adminId },
+                description: `Payment rejected: ${rejection_reason}`
+            });
         }
 
         // Log admin activity
@@ -0,0 +1,80 @@
+/**
+ * Postback Routes - INGAIN Platform
+ *
+ * This module handles server-to-server callbacks from app hosts including:
+ * - Conversion event reporting (install, register, purchase)
+ * - HMAC request signature verification
+ * - Share verification and reward crediting
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { authenticateHostSignature } = require('../../middleware/auth');
+const { processConversionEvent } = require('../../utils/conversionAlgorithms');
+
+const router = express.Router();
+
+const REJECTION_STATUS_CODES = {
+    share_not_found: 404,
+    app_not_owned_by_host: 403,
+    event_type_not_allowed: 422,
+    invalid_event_time: 400,
+    outside_attribution_window: 422,
+    share_not_eligible: 409
+};
+
+// ==================== CONVERSIONS ====================
+
+/**
+ * @route POST /api/postbacks/conversions
+ * @desc Report a conversion event for a share tracking ID
+ * @access Host (HMAC signed)
+ */
+router.post('/conversions', authenticateHostSignature, async (req, res) => {
+    try {
+        const { tracking_id, event_type, click_id, event_id, occurred_at, metadata } = req.body;
+
+        if (!tracking_id || !event_type) {
+            return res.status(400).json({
+                success: false,
+                message: 'Tracking ID and event type are required'
+            });
+        }
+
+        const result = await processConversionEvent(req.hostAccount, {
+            tracking_id,
+            event_type,
+            click_id,
+            event_id,
+            occurred_at,
+            metadata
+        });
+
+        if (!result.success) {
+            const { success, reason, ...details } = result;
+            return res.status(REJECTION_STATUS_CODES[reason] || 500).json({
+                success: false,
+                message: 'Conversion event rejected',
+                error_code: reason,
+                ...details
+            });
+        }
+
+        res.json({
+            success: true,
+            message: result.duplicate ? 'Conversion event already recorded' : 'Conversion event recorded',
+            conversion: result
+        });
+
+    } catch (error) {
+        console.error('Conversion postback error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process conversion event'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,10 @@
 const express = require('express');
 const PlatformUser = require('../models/App/PlatformUser.js');
 const { authenticateToken } = require('../../middleware/auth.js');
+const { getUserStreak, purchaseStreakFreezes, isValidTimezone } = require('../../utils/streakAlgorithms');
+const { getUpcomingExpirations } = require('../../utils/pointsLots');
+const { getLevelProgress } = require('../../utils/levelAlgorithms');
+const { getCurrentSeasonStanding, getUserSeasonHistory } = require('../../utils/seasonAlgorithms');
 const { 
     successResponse, 
     errorResponse, 
@@ -38,10 +42,17 @@ router.get('/', authenticateToken, async (req, res) => {
 // Update user profile
 router.put('/', authenticateToken, async (req, res) => {
   try {
-    const { name, email } = req.body;
+    const { name, email, timezone } = req.body;
     const updates = {};
     if (name) updates.name = name;
     if (email) updates.email = email;
+    if (timezone !== undefined) {
+      // Streak days are counted in this timezone
+      if (!isValidTimezone(timezone)) {
+        return res.status(400).json(errorResponse('Invalid timezone', 400));
+      }
+      updates['preferences.timezone'] = timezone;
+    }
     updates.updated_at = new Date();
     const user = await PlatformUser.findOneAndUpdate(
       { unique_id: req.user.unique_id },
@@ -56,7 +67,8 @@ router.put('/', authenticateToken, async (req, res) => {
         email: user.email,
         total_xp_earned: user.total_xp_earned,
         total_points_earned: user.total_points_earned,
-        referral_count: user.referral_count
+        referral_count: user.referral_count,
+        timezone: (user.preferences || {}).timezone || null
       }
     });
   } catch (error) {
@@ -87,26 +99,108 @@ router.get('/activity', authenticateToken, async (req, res) => {
   }
 });
 
+// Get user's sharing streak, freezes and streak history
+router.get('/streak', authenticateToken, async (req, res) => {
+  try {
+    const result = await getUserStreak(req.user.unique_id);
+    if (!result.success) {
+      const status = result.reason === 'user_not_found' ? 404 : 500;
+      return res.status(status).json(errorResponse('Failed to get streak', status));
+    }
+
+    const { success, ...streak } = result;
+    res.json(itemResponse({ streak }));
+  } catch (error) {
+    console.error('profileRoutes.js error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Buy streak freezes with points
+router.post('/streak/freezes', authenticateToken, async (req, res) => {
+  try {
+    const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+    const result = await purchaseStreakFreezes(req.user.unique_id, quantity);
+
+    if (!result.success) {
+      const { success, reason, ...details } = result;
+      const errors = {
+        invalid_quantity: { status: 400, message: 'Invalid freeze quantity' },
+        freeze_limit_reached: { status: 409, message: 'Streak freeze limit reached' },
+        insufficient_points: { status: 402, message: 'Insufficient points' },
+        user_not_found: { status: 404, message: 'User not found' }
+      };
+      const error = errors[reason] || { status: 500, message: 'Failed to purchase streak freezes' };
+      return res.status(error.status).json({
+        ...errorResponse(error.message, error.status),
+        error_code: reason,
+        ...details
+      });
+    }
+
+    const { success, ...purchase } = result;
+    res.json(successResponse({ purchase }, 'Streak freezes purchased'));
+  } catch (error) {
+    console.error('profileRoutes.js error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get user statistics
 router.get('/stats', authenticateToken, async (req, res) => {
   try {
-    const user = await PlatformUser.findById(req.user._id)
-      .populate('badges')
-      .populate('tournaments');
+    const user = await PlatformUser.findOne({ unique_id: req.user.unique_id });
+    if (!user) {
+      return res.status(404).json(errorResponse('User not found', 404));
+    }
+
+    const pointsExpiring = await getUpcomingExpirations(user.unique_id);
 
     const stats = {
-      totalXp: user.totalXp,
-      totalPoints: user.totalPoints,
-      referralCount: user.referralCount,
-      badgeCount: user.badges.length,
-      tournamentCount: user.tournaments.length,
-      savedAppsCount: user.savedApps.length,
-      joinDate: user.createdAt,
-      lastLogin: user.lastLogin
+      current_xp: user.current_xp,
+      current_points: user.current_points,
+      total_xp_earned: user.total_xp_earned,
+      total_points_earned: user.total_points_earned,
+      user_level: user.user_level,
+      total_apps_shared: user.total_apps_shared,
+      referral_count: user.referral_count,
+      badge_count: user.badges_ids.length,
+      tournament_count: user.total_tournaments_participated,
+      sharing_streak_days: user.sharing_streak_days,
+      join_date: user.created_at,
+      last_login: user.last_login_at,
+      points_expiring: pointsExpiring,
+      level_progress: getLevelProgress(user.current_xp),
+      seasonal_xp: user.seasonal_xp
     };
 
-    res.json({ stats });
+    res.json(itemResponse({ stats }));
   } catch (error) {
+    console.error('profileRoutes.js error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get the user's standing in the active season and their past season results
+router.get('/seasons', authenticateToken, async (req, res) => {
+  try {
+    const user = await PlatformUser.findOne({ unique_id: req.user.unique_id });
+    if (!user) {
+      return res.status(404).json(errorResponse('User not found', 404));
+    }
+
+    const [current, history] = await Promise.all([
+      getCurrentSeasonStanding(user),
+      getUserSeasonHistory(user.unique_id, req.query)
+    ]);
+
+    res.json(itemResponse({
+      current_season: current,
+      past_seasons: history.standings,
+      pagination: history.pagination
+    }));
+  } catch (error) {
+    console.error('profileRoutes.js error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
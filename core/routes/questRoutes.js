@@ -0,0 +1,195 @@
+/**
+ * Quest Routes - INGAIN Platform
+ *
+ * This module handles the user side of daily and weekly quests:
+ * - Listing the quests of the current day and week with their progress
+ * - Quest history
+ * - Claiming the XP and points of completed quests
+ *
+ * Quest templates are authored through the admin routes.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const UserQuest = require('../models/App/UserQuest');
+const ActivityLog = require('../models/Technical/ActivityLog');
+const { authenticateToken } = require('../../middleware/auth');
+const { getUserQuests, claimQuestReward } = require('../../utils/questAlgorithms');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/quests
+ * @desc Get the user's quests for the current day and week, and completed quests to claim
+ * @access Private (Authenticated Users)
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const { cadence } = req.query;
+
+        if (cadence && !['daily', 'weekly'].includes(cadence)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cadence must be daily or weekly'
+            });
+        }
+
+        const result = await getUserQuests(req.user.unique_id, { cadence });
+        if (!result.success) {
+            const status = result.reason === 'user_not_found' ? 404 : 500;
+            return res.status(status).json({
+                success: false,
+                message: status === 404 ? 'User not found' : 'Failed to get quests'
+            });
+        }
+
+        const { success, ...quests } = result;
+        res.json({
+            success: true,
+            ...quests
+        });
+
+    } catch (error) {
+        console.error('Quests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get quests'
+        });
+    }
+});
+
+/**
+ * @route GET /api/quests/history
+ * @desc Get the user's quests from past periods
+ * @access Private (Authenticated Users)
+ */
+router.get('/history', authenticateToken, async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status } = req.query;
+        const userId = req.user.unique_id;
+
+        const query = { user_id: userId, ends_at: { $lte: new Date() } };
+        if (status) query.status = status;
+
+        const quests = await UserQuest.find(query)
+            .sort({ ends_at: -1 })
+            .limit(parseInt(limit))
+            .skip((parseInt(page) - 1) * parseInt(limit))
+            .select('-counted_event_ids');
+
+        const total = await UserQuest.countDocuments(query);
+
+        res.json({
+            success: true,
+            quests,
+            pagination: {
+                current_page: parseInt(page),
+                total_pages: Math.ceil(total / limit),
+                total_items: total,
+                items_per_page: parseInt(limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Quest history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get quest history'
+        });
+    }
+});
+
+/**
+ * @route GET /api/quests/:id
+ * @desc Get one of the user's quests with its progress
+ * @access Private (Authenticated Users)
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const quest = await UserQuest.findOne({
+            unique_id: req.params.id,
+            user_id: req.user.unique_id
+        }).select('-counted_event_ids');
+
+        if (!quest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quest not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            quest
+        });
+
+    } catch (error) {
+        console.error('Quest error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get quest'
+        });
+    }
+});
+
+/**
+ * @route POST /api/quests/:id/claim
+ * @desc Claim the XP and points of a completed quest
+ * @access Private (Authenticated Users)
+ */
+router.post('/:id/claim', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.unique_id;
+        const result = await claimQuestReward(userId, req.params.id);
+
+        if (!result.success) {
+            const errors = {
+                quest_not_found: { status: 404, message: 'Quest not found' },
+                quest_not_completed: { status: 400, message: 'Quest is not completed' },
+                already_claimed: { status: 409, message: 'Quest reward already claimed' },
+                claim_window_closed: { status: 410, message: 'Quest reward can no longer be claimed' }
+            };
+            const error = errors[result.reason] || { status: 500, message: 'Failed to claim quest reward' };
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                error_code: result.reason
+            });
+        }
+
+        await ActivityLog.logUserActivity(
+            userId,
+            'quest_reward_claimed',
+            'Quest reward claimed',
+            {
+                quest_id: result.quest.unique_id,
+                quest_key: result.quest.quest_key,
+                period_key: result.quest.period_key,
+                xp_awarded: result.reward.xp,
+                points_awarded: result.reward.points
+            },
+            {
+                entityType: 'quest',
+                entityId: result.quest.unique_id
+            }
+        );
+
+        res.json({
+            success: true,
+            message: 'Quest reward claimed',
+            reward: result.reward,
+            balances: result.balances
+        });
+
+    } catch (error) {
+        console.error('Quest claim error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to claim quest reward'
+        });
+    }
+});
+
+module.exports = router;
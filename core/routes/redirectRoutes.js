@@ -0,0 +1,196 @@
+/**
+ * Redirect Routes - INGAIN Platform
+ *
+ * This module resolves public share links for visitors:
+ * - Share link resolution by tracking ID or short code
+ * - Click recording for attribution and analytics
+ * - App store redirection with attribution parameters
+ * - Fallback landing page for expired shares and inactive apps
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const ShareLog = require('../models/Technical/ShareLog');
+const ShareClick = require('../models/Technical/ShareClick');
+const App = require('../models/Common/App');
+const { resolveShortCode } = require('../../utils/shortUrlAlgorithms');
+const config = require('../../config');
+
+const router = express.Router();
+
+const DEFAULT_ATTRIBUTION_PARAMETERS = ['utm_source', 'utm_medium', 'utm_campaign'];
+const CHANNEL_OVERRIDES = ['qr'];
+const TRACKING_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Pick the store URL that matches the visitor's platform
+ *
+ * @param {Object} app - App document
+ * @param {string} userAgent - Visitor's user agent
+ * @returns {string|null} Store URL or null when the app has none
+ */
+function getStoreUrl(app, userAgent = '') {
+    const isIos = /iphone|ipad|ipod/i.test(userAgent || '');
+    if (isIos) {
+        return app.app_store_url || app.play_store_url || null;
+    }
+    return app.play_store_url || app.app_store_url || null;
+}
+
+/**
+ * Read the visitor ID cookie set on a previous click
+ *
+ * @param {Object} req - Express request object
+ * @returns {string|null} Visitor ID or null for first-time visitors
+ */
+function getVisitorId(req) {
+    const cookieHeader = req.get('Cookie') || '';
+    const cookie = cookieHeader
+        .split(';')
+        .map(part => part.trim().split('='))
+        .find(([name]) => name === config.share.visitorCookieName);
+    return cookie && cookie[1] ? decodeURIComponent(cookie[1]) : null;
+}
+
+/**
+ * Fingerprint a visitor by IP and user agent, used when the cookie is missing
+ *
+ * @param {Object} req - Express request object
+ * @returns {string} SHA-256 fingerprint
+ */
+function getVisitorFingerprint(req) {
+    return crypto
+        .createHash('sha256')
+        .update(`${req.ip || ''}|${req.get('User-Agent') || ''}`)
+        .digest('hex');
+}
+
+/**
+ * Append the app's attribution parameters, the share tracking ID and the click ID to a store URL
+ *
+ * @param {string} storeUrl - App store URL
+ * @param {Object} app - App document
+ * @param {Object} share - ShareLog document
+ * @param {string} clickId - ShareClick unique ID
+ * @param {string} channel - Channel the click came through
+ * @returns {string} Store URL with attribution parameters
+ */
+function buildAttributedUrl(storeUrl, app, share, clickId, channel) {
+    const url = new URL(storeUrl);
+    const trackingConfig = app.tracking_config || {};
+    const parameters = trackingConfig.attribution_parameters || DEFAULT_ATTRIBUTION_PARAMETERS;
+
+    const values = {
+        utm_source: config.platform.name.toLowerCase(),
+        utm_medium: channel,
+        utm_campaign: share.tournament_id || share.app_id,
+        utm_content: share.tracking_id
+    };
+
+    parameters.forEach(parameter => {
+        if (values[parameter]) {
+            url.searchParams.set(parameter, values[parameter]);
+        }
+    });
+    url.searchParams.set(config.share.trackingParameter, share.tracking_id);
+    url.searchParams.set(config.share.clickParameter, clickId);
+
+    return url.toString();
+}
+
+/**
+ * Build the fallback landing page URL for a share that cannot be redirected
+ *
+ * @param {string} reason - Why the visitor is not redirected to the store
+ * @param {Object} share - ShareLog document (optional)
+ * @returns {string} Fallback URL
+ */
+function buildFallbackUrl(reason, share = null) {
+    const url = new URL(config.share.fallbackUrl);
+    url.searchParams.set('reason', reason);
+    if (share) {
+        url.searchParams.set('app_id', share.app_id);
+    }
+    return url.toString();
+}
+
+/**
+ * @route GET /s/:code
+ * @desc Resolve a share link by tracking ID or short code, record the click and redirect to the app store
+ * @access Public
+ */
+router.get('/:code', async (req, res) => {
+    try {
+        const { code } = req.params;
+        const trackingId = TRACKING_ID_PATTERN.test(code) ? code : await resolveShortCode(code);
+
+        const share = trackingId ? await ShareLog.findOne({ tracking_id: trackingId }) : null;
+        if (!share) {
+            return res.redirect(302, buildFallbackUrl('share_not_found'));
+        }
+
+        const app = await App.findOne({ unique_id: share.app_id });
+        const channel = CHANNEL_OVERRIDES.includes(req.query.ch) ? req.query.ch : share.share_channel;
+        const clickId = uuidv4();
+        const visitorId = getVisitorId(req) || uuidv4();
+
+        let outcome = 'redirected';
+        let destinationUrl = null;
+
+        if (share.is_expired || share.validation_status === 'expired') {
+            outcome = 'share_expired';
+        } else if (['invalid', 'fraudulent'].includes(share.validation_status)) {
+            outcome = 'share_invalid';
+        } else if (!app || !app.is_active) {
+            outcome = 'app_inactive';
+        } else {
+            const storeUrl = getStoreUrl(app, req.get('User-Agent'));
+            if (storeUrl) {
+                destinationUrl = buildAttributedUrl(storeUrl, app, share, clickId, channel);
+            } else {
+                outcome = 'no_store_url';
+            }
+        }
+
+        if (outcome !== 'redirected') {
+            destinationUrl = buildFallbackUrl(outcome, share);
+        }
+
+        await ShareClick.recordClick(share, {
+            clickId: clickId,
+            channel: channel,
+            visitorId: visitorId,
+            fingerprint: getVisitorFingerprint(req),
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            referrer: req.get('Referer'),
+            outcome: outcome,
+            destinationUrl: destinationUrl
+        });
+
+        await ShareLog.updateOne(
+            { unique_id: share.unique_id },
+            { $inc: { click_count: 1 }, $set: { last_clicked_at: new Date() } }
+        );
+
+        // Remember the visitor so clicks on other users' links can be attributed together
+        res.cookie(config.share.visitorCookieName, visitorId, {
+            maxAge: 365 * 24 * 60 * 60 * 1000,
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: req.secure
+        });
+
+        res.redirect(302, destinationUrl);
+
+    } catch (error) {
+        console.error('Share redirect error:', error);
+        res.redirect(302, buildFallbackUrl('error'));
+    }
+});
+
+module.exports = router;
@@ -16,6 +16,8 @@ const PlatformUser = require('../models/App/PlatformUser.js');
 const Referral = require('../models/App/Referral.js');
 const App = require('../models/Common/App.js');
 const { authenticateToken } = require('../../middleware/auth.js');
+const { recordQuestEvent } = require('../../utils/questAlgorithms');
+const { DOMAIN_EVENTS, publishEvent } = require('../events/eventBus');
 const { 
     successResponse, 
     errorResponse, 
@@ -352,6 +354,18 @@ router.post('/rewards/:referralId/process', authenticateToken, async (req, res)
     // Process rewards for both users
     const result = await referral.processBothRewards();
 
+    await recordQuestEvent(referral.referrer_id, 'referral_completed', {
+      event_id: referral.unique_id
+    });
+
+    for (const [userId, role] of [[referral.referrer_id, 'referrer'], [referral.referred_id, 'referred']]) {
+      await publishEvent(DOMAIN_EVENTS.REFERRAL_COMPLETED, {
+        user_id: userId,
+        referral_id: referral.unique_id,
+        role: role
+      });
+    }
+
     res.json({
       success: true,
       message: 'Rewards processed successfully',
@@ -0,0 +1,229 @@
+/**
+ * Reward Routes - INGAIN Platform
+ *
+ * This module handles the rewards store, where users spend points:
+ * - Browsing the catalog of gift cards and perks on sale in the user's region
+ * - Redeeming an item (points debited, code or perk delivered at once)
+ * - Order history
+ *
+ * Catalog items and gift card codes are managed through the admin routes.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const RewardItem = require('../models/Common/RewardItem');
+const RewardOrder = require('../models/App/RewardOrder');
+const ActivityLog = require('../models/Technical/ActivityLog');
+const { authenticateToken } = require('../../middleware/auth');
+const { getRewardCatalog, redeemRewardItem } = require('../../utils/rewardStoreAlgorithms');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/rewards
+ * @desc Get the rewards catalog for the user's region
+ * @access Private (Authenticated Users)
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const { item_type } = req.query;
+
+        if (item_type && !['gift_card', 'perk'].includes(item_type)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Item type must be gift_card or perk'
+            });
+        }
+
+        const result = await getRewardCatalog(req.user.unique_id, { item_type });
+        if (!result.success) {
+            const status = result.reason === 'user_not_found' ? 404 : 500;
+            return res.status(status).json({
+                success: false,
+                message: status === 404 ? 'User not found' : 'Failed to get rewards catalog'
+            });
+        }
+
+        res.json({
+            success: true,
+            current_points: result.current_points,
+            items: result.items
+        });
+
+    } catch (error) {
+        console.error('Rewards catalog error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get rewards catalog'
+        });
+    }
+});
+
+/**
+ * @route GET /api/rewards/orders
+ * @desc Get the user's redemption history
+ * @access Private (Authenticated Users)
+ */
+router.get('/orders', authenticateToken, async (req, res) => {
+    try {
+        const { page = 1, limit = 20, item_type } = req.query;
+        const userId = req.user.unique_id;
+
+        const orders = await RewardOrder.findUserOrders(userId, {
+            itemType: item_type,
+            limit: parseInt(limit),
+            skip: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        const query = { user_id: userId };
+        if (item_type) query.item_type = item_type;
+        const total = await RewardOrder.countDocuments(query);
+
+        res.json({
+            success: true,
+            orders,
+            pagination: {
+                current_page: parseInt(page),
+                total_pages: Math.ceil(total / limit),
+                total_items: total,
+                items_per_page: parseInt(limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Reward orders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get reward orders'
+        });
+    }
+});
+
+/**
+ * @route GET /api/rewards/orders/:id
+ * @desc Get one of the user's orders, including the delivered code
+ * @access Private (Authenticated Users)
+ */
+router.get('/orders/:id', authenticateToken, async (req, res) => {
+    try {
+        const order = await RewardOrder.findOne({
+            unique_id: req.params.id,
+            user_id: req.user.unique_id
+        });
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            order
+        });
+
+    } catch (error) {
+        console.error('Reward order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get reward order'
+        });
+    }
+});
+
+/**
+ * @route GET /api/rewards/:id
+ * @desc Get a catalog item
+ * @access Private (Authenticated Users)
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const item = await RewardItem.findOne({ unique_id: req.params.id });
+
+        if (!item || !item.isAvailableTo(req.user)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reward not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            item
+        });
+
+    } catch (error) {
+        console.error('Reward item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get reward'
+        });
+    }
+});
+
+/**
+ * @route POST /api/rewards/:id/redeem
+ * @desc Redeem a catalog item for points
+ * @access Private (Authenticated Users)
+ */
+router.post('/:id/redeem', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.unique_id;
+        const result = await redeemRewardItem(userId, req.params.id);
+
+        if (!result.success) {
+            const errors = {
+                user_not_found: { status: 404, message: 'User not found' },
+                item_not_available: { status: 404, message: 'Reward not available' },
+                out_of_stock: { status: 409, message: 'Reward is out of stock' },
+                per_user_limit_reached: { status: 409, message: 'Redemption limit reached for this reward' },
+                freeze_limit_reached: { status: 409, message: 'Streak freeze limit reached' },
+                redemption_conflict: { status: 409, message: 'Another redemption of this reward is in progress' },
+                insufficient_points: { status: 400, message: 'Insufficient points' }
+            };
+            const error = errors[result.reason] || { status: 500, message: 'Failed to redeem reward' };
+            const { success, reason, ...details } = result;
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                error_code: reason,
+                ...details
+            });
+        }
+
+        await ActivityLog.logUserActivity(
+            userId,
+            'reward_redeemed',
+            `Redeemed ${result.order.item_name}`,
+            {
+                order_id: result.order.unique_id,
+                sku: result.order.sku,
+                item_type: result.order.item_type,
+                points_spent: result.order.points_spent
+            },
+            {
+                entityType: 'reward_item',
+                entityId: result.order.item_id
+            }
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Reward redeemed',
+            order: result.order,
+            balances: result.balances
+        });
+
+    } catch (error) {
+        console.error('Reward redemption error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to redeem reward'
+        });
+    }
+});
+
+module.exports = router;
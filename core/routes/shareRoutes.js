@@ -20,6 +20,13 @@ const PlatformUser = require('../models/App/PlatformUser');
 const TournamentParticipant = require('../models/Common/TournamentParticipant');
 const { authenticateToken, authenticateAdmin } = require('../../middleware/auth');
 const { v4: uuidv4 } = require('uuid');
+const { validateShareLimits, determineShareType, calculateShareBudgetCost } = require('../../utils/shareAlgorithms');
+const { generateUniqueShortCode, buildShortUrl, isShortCodeCollision } = require('../../utils/shortUrlAlgorithms');
+const { normalizeQrOptions, generateQrCode } = require('../../utils/qrCodeAlgorithms');
+const { renderSharePayloads } = require('../../utils/shareTemplates');
+const { getUserShareFunnel } = require('../../utils/shareAnalyticsAlgorithms');
+const { recordQuestEvent } = require('../../utils/questAlgorithms');
+const config = require('../../config');
 const { 
     successResponse, 
     errorResponse, 
@@ -31,6 +38,19 @@ const {
 
 const router = express.Router();
 
+// Share limit failures returned by validateShareLimits, keyed by error code
+const SHARE_LIMIT_ERRORS = {
+    cooldown_active: { status: 429, message: 'Please wait before sharing this app again' },
+    user_daily_limit_exceeded: { status: 429, message: 'Daily share limit reached for this app' },
+    global_daily_limit_exceeded: { status: 429, message: 'This app has reached its share limit for today' },
+    level_too_low: { status: 403, message: 'Your level is too low to share this app' },
+    app_budget_exhausted: { status: 403, message: 'This app has no remaining reward budget' },
+    app_not_found: { status: 404, message: 'App not found or inactive' },
+    user_not_found: { status: 404, message: 'User not found' }
+};
+
+const SHARE_CHANNELS = ['whatsapp', 'telegram', 'sms', 'email', 'facebook', 'twitter', 'instagram', 'linkedin', 'discord', 'qr', 'other'];
+
 /**
  * @route POST /api/shares/generate
  * @desc Generate a share link for an app (Regular or Tournament)
@@ -50,37 +70,126 @@ router.post('/generate', authenticateToken, async (req, res) => {
             });
         }
 
+        if (share_channel && !SHARE_CHANNELS.includes(share_channel)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid share channel',
+                error_code: 'invalid_share_channel',
+                allowed_channels: SHARE_CHANNELS
+            });
+        }
+
+        // Enforce cooldowns, daily limits, level requirement and app budget
+        const limitCheck = await validateShareLimits(userId, app_id);
+        if (!limitCheck.valid) {
+            const limitError = SHARE_LIMIT_ERRORS[limitCheck.reason] || { status: 500, message: 'Failed to validate share limits' };
+            if (limitCheck.retry_after) {
+                res.set('Retry-After', String(limitCheck.retry_after));
+            }
+            return res.status(limitError.status).json({
+                success: false,
+                message: limitError.message,
+                error_code: limitCheck.reason,
+                ...(limitCheck.retry_after && { retry_after: limitCheck.retry_after }),
+                ...(limitCheck.required_level && { required_level: limitCheck.required_level })
+            });
+        }
+
+        // Resolve share type, validating a requested tournament or auto-detecting a live one
+        const shareType = await determineShareType(userId, app_id, tournament_id || null);
+        if (tournament_id && shareType.share_type !== 'tournament') {
+            return res.status(400).json({
+                success: false,
+                message: 'Share cannot be attached to the requested tournament',
+                error_code: shareType.reason || 'tournament_not_eligible'
+            });
+        }
+        const tournament = shareType.share_type === 'tournament' ? shareType.tournament : null;
+
         // Generate unique tracking ID
         const trackingId = uuidv4();
 
-        // Create share log entry
-        const shareLog = await ShareLog.create({
-            unique_id: uuidv4(),
-            user_id: userId,
-            app_id: app_id,
-            tournament_id: tournament_id || null,
-            share_type: tournament_id ? 'tournament' : 'regular',
-            share_channel: share_channel || 'general',
-            tracking_id: trackingId,
-            custom_message: custom_message || null,
-            validation_status: 'pending',
-            fraud_score: 0,
-            created_at: new Date()
-        });
-
         // Generate share link
         const baseUrl = process.env.FRONTEND_URL || 'https://ingain.com';
         const shareUrl = `${baseUrl}/share/${trackingId}`;
 
+        // Share links stay valid for the app's attribution window
+        const shareRules = app.share_rules || {};
+        const windowHours = shareRules.attribution_window_hours || config.share.defaultAttributionWindowHours;
+        const expiresAt = new Date(Date.now() + windowHours * 60 * 60 * 1000);
+
+        // Budget held against the app until the share is verified or expires
+        const budgetReserved = calculateShareBudgetCost(app);
+
+        // Create share log entry, retrying if a concurrent share claimed the same short code
+        let shareLog = null;
+        for (let attempt = 0; !shareLog; attempt++) {
+            const shortCode = await generateUniqueShortCode();
+            const shareId = uuidv4();
+            try {
+                shareLog = await ShareLog.create({
+                    unique_id: shareId,
+                    user_id: userId,
+                    app_id: app_id,
+                    tournament_id: tournament ? tournament.unique_id : null,
+                    share_type: tournament ? 'tournament' : 'regular',
+                    share_channel: share_channel || 'other',
+                    share_url: shareUrl,
+                    short_code: shortCode,
+                    short_url: buildShortUrl(shortCode, app),
+                    tracking_id: trackingId,
+                    custom_message: custom_message || null,
+                    device_info: {
+                        user_agent: req.get('User-Agent') || null,
+                        ip_address: req.ip || null
+                    },
+                    validation_status: 'pending',
+                    fraud_score: 0,
+                    budget_reserved: budgetReserved,
+                    reward_idempotency_key: `share_reward:${shareId}`,
+                    expires_at: expiresAt,
+                    created_at: new Date()
+                });
+            } catch (error) {
+                if (!isShortCodeCollision(error) || attempt >= 2) {
+                    throw error;
+                }
+            }
+        }
+
+        await App.updateOne({ unique_id: app_id }, { $inc: { budget_reserved: budgetReserved } });
+        await PlatformUser.updateOne({ unique_id: userId }, { $inc: { pending_shares_count: 1 } });
+
+        await recordQuestEvent(userId, 'share_created', {
+            event_id: shareLog.unique_id,
+            app_id: app_id,
+            categories: app.categories,
+            tournament_id: shareLog.tournament_id,
+            share_channel: shareLog.share_channel
+        });
+
+        // Render ready-to-open messages for every channel the app allows
+        const sharePayloads = renderSharePayloads(app, {
+            share_url: shareLog.short_url || shareUrl,
+            user_name: req.user.name,
+            tournament_name: tournament ? tournament.tournament_name : null,
+            custom_message: custom_message
+        });
+
         res.status(201).json({
             success: true,
             message: 'Share link generated successfully',
             share_data: {
                 tracking_id: trackingId,
                 share_url: shareUrl,
-                share_type: tournament_id ? 'tournament' : 'regular',
+                short_url: shareLog.short_url,
+                share_type: shareLog.share_type,
                 app_name: app.app_name,
-                expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+                tournament_id: shareLog.tournament_id,
+                tournament_name: tournament ? tournament.tournament_name : null,
+                tournament_auto_detected: !!(tournament && shareType.auto_detected),
+                expires_at: expiresAt,
+                share_payloads: sharePayloads
             }
         });
 
@@ -136,4 +245,106 @@ router.get('/history', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * @route GET /api/shares/analytics
+ * @desc Get the user's share funnel (generated → clicked → installed → registered → purchased) by app, channel and day
+ * @access Private (Authenticated Users)
+ */
+router.get('/analytics', authenticateToken, async (req, res) => {
+    try {
+        const { start_date, end_date } = req.query;
+        const userId = req.user.unique_id;
+
+        const endDate = end_date ? new Date(end_date) : new Date();
+        const startDate = start_date ? new Date(start_date) : new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+        if (isNaN(startDate.getTime()) || isNaN(endDate.getTime()) || startDate > endDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date range'
+            });
+        }
+
+        // A date-only end date covers the whole day
+        if (end_date && /^\d{4}-\d{2}-\d{2}$/.test(end_date)) {
+            endDate.setTime(endDate.getTime() + 24 * 60 * 60 * 1000 - 1);
+        }
+
+        const funnel = await getUserShareFunnel(userId, {
+            startDate,
+            endDate,
+            timezone: (req.user.preferences || {}).timezone
+        });
+
+        if (!funnel.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve share analytics'
+            });
+        }
+
+        const { success, ...analytics } = funnel;
+        res.json({
+            success: true,
+            analytics
+        });
+
+    } catch (error) {
+        console.error('Share analytics error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve share analytics'
+        });
+    }
+});
+
+/**
+ * @route GET /api/shares/:tracking_id/qr
+ * @desc Get a QR code (PNG or SVG) for a share link; scans are tracked on the 'qr' channel
+ * @access Private (Share Owner)
+ */
+router.get('/:tracking_id/qr', authenticateToken, async (req, res) => {
+    try {
+        const { tracking_id } = req.params;
+        const userId = req.user.unique_id;
+
+        const qrOptions = normalizeQrOptions(req.query);
+        if (!qrOptions.valid) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid QR code options',
+                error_code: qrOptions.reason
+            });
+        }
+
+        const share = await ShareLog.findOne({ tracking_id: tracking_id, user_id: userId });
+        if (!share) {
+            return res.status(404).json({
+                success: false,
+                message: 'Share not found'
+            });
+        }
+
+        const app = await App.findOne({ unique_id: share.app_id });
+
+        // QR links resolve through the redirect route and tag the click channel as 'qr'
+        const qrUrl = new URL(share.short_url || buildShortUrl(share.tracking_id, app));
+        qrUrl.searchParams.set('ch', 'qr');
+
+        const qrCode = await generateQrCode(qrUrl.toString(), qrOptions, app ? app.app_logo : null);
+
+        res.set('Content-Type', qrCode.content_type);
+        res.set('Cache-Control', 'private, max-age=3600');
+        res.set('X-QR-Logo-Applied', String(qrCode.logo_applied));
+        res.send(qrCode.body);
+
+    } catch (error) {
+        console.error('Share QR code error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate QR code'
+        });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,343 @@
+/**
+ * Transfer Routes - INGAIN Platform
+ *
+ * This module handles sending points to other users:
+ * - Sending points by the recipient's referral code or email
+ * - Accepting or declining received transfers
+ * - Cancelling sent transfers before they are accepted
+ * - Sent and received transfer history
+ *
+ * Transfers held by fraud screening are reviewed through the admin routes.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const PointsTransfer = require('../models/Technical/PointsTransfer');
+const ActivityLog = require('../models/Technical/ActivityLog');
+const { authenticateToken } = require('../../middleware/auth');
+const {
+    createPointsTransfer,
+    acceptPointsTransfer,
+    declinePointsTransfer,
+    cancelPointsTransfer
+} = require('../../utils/pointsTransferAlgorithms');
+
+const router = express.Router();
+
+// Fraud screening details and the sender's IP stay internal
+const USER_TRANSFER_FIELDS = '-fraud_screening -ip_address';
+
+/**
+ * @route POST /api/transfers
+ * @desc Send points to another user; the recipient has to accept them
+ * @access Private (Authenticated Users)
+ */
+router.post('/', authenticateToken, async (req, res) => {
+    try {
+        const { recipient_referral_code, recipient_email, amount, message } = req.body;
+        const userId = req.user.unique_id;
+
+        if (!recipient_referral_code && !recipient_email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Recipient referral code or email is required'
+            });
+        }
+
+        const result = await createPointsTransfer(userId, {
+            recipientReferralCode: recipient_referral_code,
+            recipientEmail: recipient_email,
+            amount: Number(amount),
+            message: message,
+            ipAddress: req.ip
+        });
+
+        if (!result.success) {
+            if (result.reason === 'transfer_blocked') {
+                await logTransferActivity(userId, 'points_transfer_sent', 'Points transfer blocked by fraud screening', result.transfer);
+            }
+            return sendTransferError(res, result, 'Failed to send points');
+        }
+
+        await logTransferActivity(userId, 'points_transfer_sent', 'Points transfer sent', result.transfer);
+
+        res.status(201).json({
+            success: true,
+            message: result.transfer.status === 'pending_review'
+                ? 'Transfer is being reviewed before it reaches the recipient'
+                : 'Transfer sent; waiting for the recipient to accept',
+            transfer: toUserTransfer(result.transfer),
+            balances: result.balances
+        });
+
+    } catch (error) {
+        console.error('Points transfer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send points'
+        });
+    }
+});
+
+/**
+ * @route GET /api/transfers
+ * @desc Get the user's sent and received transfers, newest first
+ * @access Private (Authenticated Users)
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const { page = 1, limit = 20, direction, status } = req.query;
+        const userId = req.user.unique_id;
+
+        if (direction && !['sent', 'received'].includes(direction)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Direction must be sent or received'
+            });
+        }
+
+        const query = PointsTransfer.getUserTransfersQuery(userId, { direction, status });
+
+        const transfers = await PointsTransfer.find(query)
+            .sort({ created_at: -1 })
+            .limit(parseInt(limit))
+            .skip((parseInt(page) - 1) * parseInt(limit))
+            .select(USER_TRANSFER_FIELDS);
+
+        const total = await PointsTransfer.countDocuments(query);
+
+        res.json({
+            success: true,
+            transfers: transfers.map(transfer => ({
+                ...transfer.toObject(),
+                direction: transfer.sender_id === userId ? 'sent' : 'received'
+            })),
+            pagination: {
+                current_page: parseInt(page),
+                total_pages: Math.ceil(total / limit),
+                total_items: total,
+                items_per_page: parseInt(limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Points transfer history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get transfers'
+        });
+    }
+});
+
+/**
+ * @route GET /api/transfers/:id
+ * @desc Get a transfer the user sent or received
+ * @access Private (Authenticated Users)
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.unique_id;
+        const transfer = await PointsTransfer.findOne({
+            $and: [
+                { unique_id: req.params.id },
+                PointsTransfer.getUserTransfersQuery(userId)
+            ]
+        }).select(USER_TRANSFER_FIELDS);
+
+        if (!transfer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Transfer not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            transfer: {
+                ...transfer.toObject(),
+                direction: transfer.sender_id === userId ? 'sent' : 'received'
+            }
+        });
+
+    } catch (error) {
+        console.error('Points transfer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get transfer'
+        });
+    }
+});
+
+/**
+ * @route POST /api/transfers/:id/accept
+ * @desc Accept a received transfer; the points are credited to the user
+ * @access Private (Authenticated Users)
+ */
+router.post('/:id/accept', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.unique_id;
+        const result = await acceptPointsTransfer(userId, req.params.id);
+
+        if (!result.success) {
+            return sendTransferError(res, result, 'Failed to accept transfer');
+        }
+
+        await logTransferActivity(userId, 'points_transfer_accepted', 'Points transfer accepted', result.transfer);
+
+        res.json({
+            success: true,
+            message: 'Transfer accepted',
+            transfer: toUserTransfer(result.transfer),
+            balances: result.balances
+        });
+
+    } catch (error) {
+        console.error('Points transfer accept error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to accept transfer'
+        });
+    }
+});
+
+/**
+ * @route POST /api/transfers/:id/decline
+ * @desc Decline a received transfer; the points return to the sender
+ * @access Private (Authenticated Users)
+ */
+router.post('/:id/decline', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.unique_id;
+        const result = await declinePointsTransfer(userId, req.params.id);
+
+        if (!result.success) {
+            return sendTransferError(res, result, 'Failed to decline transfer');
+        }
+
+        await logTransferActivity(userId, 'points_transfer_declined', 'Points transfer declined', result.transfer);
+
+        res.json({
+            success: true,
+            message: 'Transfer declined',
+            transfer: toUserTransfer(result.transfer)
+        });
+
+    } catch (error) {
+        console.error('Points transfer decline error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to decline transfer'
+        });
+    }
+});
+
+/**
+ * @route POST /api/transfers/:id/cancel
+ * @desc Cancel a sent transfer before it is accepted; the points are refunded
+ * @access Private (Authenticated Users)
+ */
+router.post('/:id/cancel', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.unique_id;
+        const result = await cancelPointsTransfer(userId, req.params.id);
+
+        if (!result.success) {
+            return sendTransferError(res, result, 'Failed to cancel transfer');
+        }
+
+        await logTransferActivity(userId, 'points_transfer_cancelled', 'Points transfer cancelled', result.transfer);
+
+        res.json({
+            success: true,
+            message: 'Transfer cancelled',
+            transfer: toUserTransfer(result.transfer),
+            balances: result.balances
+        });
+
+    } catch (error) {
+        console.error('Points transfer cancel error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel transfer'
+        });
+    }
+});
+
+// Helper Functions
+
+/**
+ * Send the error response for a failed transfer operation
+ *
+ * @param {Object} res - Express response
+ * @param {Object} result - Failed result { reason, ... }
+ * @param {string} fallbackMessage - Message for unexpected reasons
+ */
+function sendTransferError(res, result, fallbackMessage) {
+    const errors = {
+        invalid_amount: { status: 400, message: 'Invalid transfer amount' },
+        insufficient_points: { status: 400, message: 'Insufficient points' },
+        self_transfer: { status: 400, message: 'You cannot send points to yourself' },
+        user_not_found: { status: 404, message: 'User not found' },
+        recipient_not_found: { status: 404, message: 'Recipient not found' },
+        transfer_not_found: { status: 404, message: 'Transfer not found' },
+        account_too_new: { status: 403, message: 'Your account is too new to send points' },
+        level_too_low: { status: 403, message: 'Your level is too low to send points' },
+        transfer_blocked: { status: 403, message: 'Transfer blocked by fraud screening' },
+        daily_send_limit_reached: { status: 429, message: 'Daily sending limit reached' },
+        daily_transfer_count_reached: { status: 429, message: 'Daily transfer limit reached' },
+        recipient_daily_limit_reached: { status: 429, message: 'Recipient cannot receive more points today' },
+        transfer_not_pending: { status: 409, message: 'Transfer is no longer pending' },
+        transfer_expired: { status: 410, message: 'Transfer has expired' }
+    };
+    const error = errors[result.reason] || { status: 500, message: fallbackMessage };
+    const { success, reason, transfer, ...details } = result;
+
+    res.status(error.status).json({
+        success: false,
+        message: error.message,
+        error_code: reason,
+        ...details
+    });
+}
+
+/**
+ * Strip internal fields from a transfer
+ *
+ * @param {Object} transfer - PointsTransfer document
+ * @returns {Object} Transfer as shown to users
+ */
+function toUserTransfer(transfer) {
+    const { fraud_screening, ip_address, ...fields } = transfer.toObject();
+    return fields;
+}
+
+/**
+ * Log a user's action on a transfer
+ *
+ * @param {string} userId - Acting user's unique ID
+ * @param {string} activityType - ActivityLog activity type
+ * @param {string} action - Action description
+ * @param {Object} transfer - PointsTransfer document
+ */
+async function logTransferActivity(userId, activityType, action, transfer) {
+    await ActivityLog.logUserActivity(
+        userId,
+        activityType,
+        action,
+        {
+            transfer_id: transfer.unique_id,
+            sender_id: transfer.sender_id,
+            recipient_id: transfer.recipient_id,
+            amount: transfer.amount,
+            status: transfer.status
+        },
+        {
+            entityType: 'points_transfer',
+            entityId: transfer.unique_id
+        }
+    );
+}
+
+module.exports = router;
@@ -15,6 +15,7 @@ const jwt = require('jsonwebtoken');
 const PlatformUser = require('../core/models/App/PlatformUser');
 const AdminUser = require('../core/models/Admin/AdminUser');
 const ActivityLog = require('../core/models/Technical/ActivityLog');
+const HostAccount = require('../core/models/Technical/HostAccount');
 const config = require('../config');
 
 /**
@@ -380,6 +381,71 @@ const optionalAuth = async (req, res, next) => {
     }
 };
 
+/**
+ * Authenticate server-to-server host requests signed with the host's postback secret
+ * Expects X-Ingain-Host-Id, X-Ingain-Timestamp (unix seconds) and X-Ingain-Signature
+ * (hex HMAC-SHA256 of "<timestamp>.<raw body>") headers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticateHostSignature = async (req, res, next) => {
+    try {
+        const hostId = req.get('X-Ingain-Host-Id');
+        const timestamp = req.get('X-Ingain-Timestamp');
+        const signature = req.get('X-Ingain-Signature');
+
+        if (!hostId || !timestamp || !signature) {
+            return res.status(401).json({
+                success: false,
+                message: 'Host signature headers required',
+                error_code: 'SIGNATURE_MISSING'
+            });
+        }
+
+        // Reject stale or replayed requests
+        const requestTime = parseInt(timestamp) * 1000;
+        const toleranceMs = config.share.postbackToleranceSeconds * 1000;
+        if (isNaN(requestTime) || Math.abs(Date.now() - requestTime) > toleranceMs) {
+            return res.status(401).json({
+                success: false,
+                message: 'Request timestamp outside allowed window',
+                error_code: 'SIGNATURE_EXPIRED'
+            });
+        }
+
+        const hostAccount = await HostAccount.findOne({ unique_id: hostId })
+            .select('+api_credentials.postback_secret');
+
+        if (!hostAccount || hostAccount.verification_status !== 'verified') {
+            return res.status(401).json({
+                success: false,
+                message: 'Host account not found or not verified',
+                error_code: 'HOST_NOT_FOUND'
+            });
+        }
+
+        if (!hostAccount.verifyPostbackSignature(timestamp, req.rawBody || '', signature)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid request signature',
+                error_code: 'SIGNATURE_INVALID'
+            });
+        }
+
+        req.hostAccount = hostAccount;
+        next();
+
+    } catch (error) {
+        console.error('Host signature authentication error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Host authentication error',
+            error_code: 'HOST_AUTH_ERROR'
+        });
+    }
+};
+
 // Helper Functions
 
 /**
@@ -455,6 +521,7 @@ module.exports = {
     requireAnyPermission,
     requireAllPermissions,
     rateLimitAuth,
-    optionalAuth
+    optionalAuth,
+    authenticateHostSignature
 };
 
@@ -0,0 +1,89 @@
+/**
+ * Ledger Reconciliation Script - INGAIN Platform
+ *
+ * This script compares every user's stored current_xp and current_points with
+ * the sum of their ledger entries and reports users whose balances drift, as
+ * well as ledger transactions whose entries do not balance.
+ *
+ * Usage:
+ *   node scripts/reconcile-ledger.js                 Reconcile all users
+ *   node scripts/reconcile-ledger.js <user_id> ...    Reconcile specific users
+ *   node scripts/reconcile-ledger.js --open-balances  Post opening balances for users without ledger history first
+ *   node scripts/reconcile-ledger.js --json           Print the report as JSON
+ *
+ * Exits with code 1 when drift or unbalanced transactions are found.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { reconcileLedger, openLedgerBalances } = require('../utils/ledger');
+
+// Database connection
+const connectDB = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ingain');
+        console.log('✅ Database connected for ledger reconciliation');
+    } catch (error) {
+        console.error('❌ Database connection failed:', error.message);
+        process.exit(1);
+    }
+};
+
+// Main reconciliation function
+const runReconciliation = async () => {
+    const args = process.argv.slice(2);
+    const asJson = args.includes('--json');
+    const openBalances = args.includes('--open-balances');
+    const userIds = args.filter(arg => !arg.startsWith('--'));
+
+    let exitCode = 0;
+
+    try {
+        await connectDB();
+
+        if (openBalances) {
+            const opened = await openLedgerBalances();
+            console.log(`📒 Opening balances posted for ${opened.users_opened} user(s)`);
+        }
+
+        const report = await reconcileLedger({ userIds });
+
+        if (asJson) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            console.log(`🔍 Users checked: ${report.users_checked}`);
+            console.log(`⚠️  Users with drift: ${report.drifted_users}`);
+            report.drifted.forEach(row => {
+                console.log(`   ${row.user_id} (${row.email}) ${row.currency}: stored ${row.stored_balance}, ledger ${row.ledger_balance}, drift ${row.drift}`);
+            });
+            console.log(`⚖️  Unbalanced transactions: ${report.unbalanced_transactions.length}`);
+            report.unbalanced_transactions.forEach(row => {
+                console.log(`   ${row.transaction_id} ${row.currency}: net ${row.net} over ${row.entries} entries`);
+            });
+        }
+
+        if (report.drifted.length > 0 || report.unbalanced_transactions.length > 0) {
+            exitCode = 1;
+        } else if (!asJson) {
+            console.log('🎉 Ledger and balances are in sync');
+        }
+
+    } catch (error) {
+        console.error('❌ Ledger reconciliation failed:', error);
+        exitCode = 2;
+    } finally {
+        await mongoose.connection.close();
+        process.exit(exitCode);
+    }
+};
+
+// Run reconciliation if this file is executed directly
+if (require.main === module) {
+    runReconciliation();
+}
+
+module.exports = { runReconciliation };
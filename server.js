@@ -12,6 +12,7 @@
  */
 
 const express = require('express');
+const path = require('path');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -33,6 +34,17 @@ const shareRoutes = require('./core/routes/shareRoutes');
 const adminRoutes = require('./core/routes/adminRoutes');
 const hostRoutes = require('./core/routes/hostRoutes');
 const notificationRoutes = require('./core/routes/notificationRoutes');
+const questRoutes = require('./core/routes/questRoutes');
+const rewardRoutes = require('./core/routes/rewardRoutes');
+const transferRoutes = require('./core/routes/transferRoutes');
+const redirectRoutes = require('./core/routes/redirectRoutes');
+const postbackRoutes = require('./core/routes/postbackRoutes');
+
+// Import scheduled jobs
+const { startScheduledJobs } = require('./core/jobs');
+
+// Import domain event subscribers
+const { registerEventSubscribers } = require('./core/events');
 
 // Import middleware
 const { authenticateToken } = require('./middleware/auth');
@@ -78,7 +90,15 @@ const limiter = rateLimit({
 });
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Keep the raw body of host postbacks for HMAC signature verification
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/postbacks')) {
+            req.rawBody = buf.toString('utf8');
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // CORS configuration
@@ -121,6 +141,21 @@ const authLimiter = rateLimit({
     trustProxy: true
 });
 
+// Share redirect limiter - every redirect records a click
+const shareRedirectLimiter = rateLimit({
+    windowMs: config.share.redirectRateLimitWindowMs,
+    max: config.share.redirectRateLimitMaxRequests,
+    message: {
+        success: false,
+        message: 'Too many share link requests. Please try again later.',
+        error_code: 'SHARE_REDIRECT_RATE_LIMIT_EXCEEDED',
+        retryAfter: Math.ceil(config.share.redirectRateLimitWindowMs / 1000)
+    },
+    standardHeaders: true,
+    trustProxy: true,
+    legacyHeaders: false
+});
+
 // General API limiter - applied to all API routes
 app.use('/api/', limiter);
 
@@ -138,6 +173,19 @@ app.use('/api/shares', shareRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/host', hostRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/quests', questRoutes);
+app.use('/api/rewards', rewardRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/postbacks', postbackRoutes);
+
+// Public share link redirects
+app.use('/s', shareRedirectLimiter, redirectRoutes);
+
+// Uploaded badge icons (config.upload.publicUrl should point here)
+app.use('/uploads/badges', express.static(path.join(config.upload.path, 'badges'), {
+    maxAge: '30d',
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -262,6 +310,8 @@ process.on('SIGINT', () => {
 // Start server
 const startServer = async () => {
     await connectDB();
+    registerEventSubscribers();
+    startScheduledJobs();
 
     app.listen(PORT, () => {
         console.log(`🚀 INGAIN Server running on port ${PORT}`);
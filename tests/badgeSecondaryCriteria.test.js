@@ -0,0 +1,63 @@
+/**
+ * Badge Secondary Criteria Tests - INGAIN Platform
+ *
+ * Checks that stored secondary criteria only restrict earning when they are a
+ * valid expression; legacy free-form criteria and {} count as none.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const Badge = require('../core/models/Common/Badge');
+const { getStoredBadgeExpression } = require('../utils/badgeCriteriaExpressions');
+
+const userStats = {
+    total_apps_shared: 12,
+    unique_categories_shared: 2,
+    region: 'IN'
+};
+
+function buildBadge(secondaryCriteria) {
+    return new Badge({
+        badge_name: 'Sharer',
+        criteria_type: 'shares_count',
+        threshold_value: 10,
+        secondary_criteria: secondaryCriteria
+    });
+}
+
+describe('Badge.checkSecondaryCriteria', () => {
+    test('passes when there are no secondary criteria', () => {
+        expect(buildBadge(null).checkSecondaryCriteria(userStats)).toBe(true);
+    });
+
+    test('ignores empty legacy criteria', () => {
+        expect(buildBadge({}).checkSecondaryCriteria(userStats)).toBe(true);
+    });
+
+    test('ignores free-form legacy criteria', () => {
+        const badge = buildBadge({ min_categories: 5, note: 'legacy' });
+        expect(badge.checkSecondaryCriteria(userStats)).toBe(true);
+    });
+
+    test('evaluates valid expressions', () => {
+        const met = buildBadge({ all: [{ fact: 'shares_count', operator: '>=', value: 10 }] });
+        const notMet = buildBadge({ fact: 'category_diversity', operator: '>=', value: 5 });
+
+        expect(met.checkSecondaryCriteria(userStats)).toBe(true);
+        expect(notMet.checkSecondaryCriteria(userStats)).toBe(false);
+    });
+});
+
+describe('getStoredBadgeExpression', () => {
+    test('returns null for missing, empty and free-form criteria', () => {
+        expect(getStoredBadgeExpression(null)).toBeNull();
+        expect(getStoredBadgeExpression({})).toBeNull();
+        expect(getStoredBadgeExpression({ min_categories: 5 })).toBeNull();
+    });
+
+    test('returns valid expressions unchanged', () => {
+        const expression = { not: { fact: 'region', operator: 'in', value: ['US'] } };
+        expect(getStoredBadgeExpression(expression)).toBe(expression);
+    });
+});
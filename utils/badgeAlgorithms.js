@@ -12,6 +12,11 @@ const Badge = require('../core/models/Common/Badge');
 const UserBadge = require('../core/models/App/UserBadge');
 const BadgeProgress = require('../core/models/Common/BadgeProgress');
 const PlatformUser = require('../core/models/App/PlatformUser');
+const { creditUser } = require('./ledger');
+const { runInTransaction } = require('./transactions');
+const { getLevelForXp } = require('./levelAlgorithms');
+const { getUserBadgeStats, invalidateUserBadgeStats } = require('./badgeStatsProvider');
+const config = require('../config');
 
 /**
  * Check if user is eligible for a specific badge
@@ -29,6 +34,18 @@ async function checkBadgeEligibility(userId, badgeId, triggerEvent, currentUserS
             return { eligible: false, reason: "already_earned" };
         }
 
+        // Repeatable badges can be earned again once their cooldown has passed
+        if (badge.is_repeatable) {
+            const previousEarn = await UserBadge.findOne({ user_id: userId, badge_id: badgeId });
+            if (previousEarn?.next_achievable_at && previousEarn.next_achievable_at > new Date()) {
+                return {
+                    eligible: false,
+                    reason: "cooldown_active",
+                    next_achievable_at: previousEarn.next_achievable_at
+                };
+            }
+        }
+
         // Check seasonal availability
         if (badge.seasonal_start && badge.seasonal_end) {
             const now = new Date();
@@ -57,11 +74,20 @@ async function checkBadgeEligibility(userId, badgeId, triggerEvent, currentUserS
 
         // Evaluate criteria
         const currentValue = badge.getCurrentValue(currentUserStats);
-        const isEligible = badge.evaluateThreshold(currentValue);
+        const thresholdMet = badge.evaluateThreshold(currentValue);
+        const secondaryMet = thresholdMet && badge.checkSecondaryCriteria(currentUserStats);
+        const isEligible = thresholdMet && secondaryMet;
+
+        let reason = "eligible";
+        if (!thresholdMet) {
+            reason = "threshold_not_met";
+        } else if (!secondaryMet) {
+            reason = "secondary_criteria_not_met";
+        }
 
         return {
             eligible: isEligible,
-            reason: isEligible ? "eligible" : "threshold_not_met",
+            reason: reason,
             current_value: currentValue,
             required_value: badge.threshold_value,
             progress_percentage: Math.min(100, (currentValue / badge.threshold_value) * 100),
@@ -82,16 +108,7 @@ async function grantBadge(userId, badgeId, achievementContext = {}) {
         const user = await PlatformUser.findOne({ unique_id: userId });
         if (!user) return { success: false, reason: "user_not_found" };
 
-        const currentUserStats = {
-            current_xp: user.current_xp,
-            total_points_earned: user.total_points_earned,
-            total_apps_shared: user.total_apps_shared,
-            total_tournaments_won: user.total_tournaments_won,
-            sharing_streak_days: user.sharing_streak_days,
-            successful_referrals_count: user.successful_referrals_count,
-            user_level: user.user_level,
-            total_badges_earned: user.total_badges_earned
-        };
+        const currentUserStats = await getUserBadgeStats(user);
 
         const eligibilityCheck = await checkBadgeEligibility(userId, badgeId, "system_grant", currentUserStats);
         if (!eligibilityCheck.eligible) {
@@ -100,43 +117,115 @@ async function grantBadge(userId, badgeId, achievementContext = {}) {
 
         const badge = eligibilityCheck.badge;
 
-        // Create user badge record
-        const userBadge = new UserBadge({
-            user_id: userId,
-            badge_id: badgeId,
-            earned_at: new Date(),
-            xp_awarded: badge.xp_value_gifted,
-            points_awarded: badge.points_value_gifted,
-            achievement_context: achievementContext,
-            achievement_value: eligibilityCheck.current_value,
-            streak_count: 1
-        });
+        // Record the badge, credit its rewards and update the user as one unit of work
+        const granted = await runInTransaction(async session => {
+            const now = new Date();
+            const previousEarn = badge.is_repeatable
+                ? await UserBadge.findOne({ user_id: userId, badge_id: badgeId }).session(session)
+                : null;
+
+            const userUpdate = {
+                $inc: {
+                    total_xp_earned: badge.xp_value_gifted,
+                    total_points_earned: badge.points_value_gifted,
+                    'total_referral_earnings.xp': badge.xp_value_gifted,
+                    'total_referral_earnings.points': badge.points_value_gifted
+                }
+            };
+            let userBadge;
+
+            if (!previousEarn) {
+                // Claim the badge atomically so concurrent grants cannot both succeed
+                userUpdate.$inc.total_badges_earned = 1;
+                userUpdate.$push = { badges_ids: badgeId };
+                const claimed = await PlatformUser.updateOne(
+                    { unique_id: userId, badges_ids: { $ne: badgeId } },
+                    userUpdate,
+                    { session }
+                );
+                if (claimed.matchedCount === 0) {
+                    return { success: false, reason: "already_earned" };
+                }
+
+                [userBadge] = await UserBadge.create([{
+                    user_id: userId,
+                    badge_id: badgeId,
+                    earned_at: now,
+                    last_earned_at: now,
+                    times_earned: 1,
+                    xp_awarded: badge.xp_value_gifted,
+                    points_awarded: badge.points_value_gifted,
+                    achievement_context: achievementContext,
+                    achievement_value: eligibilityCheck.current_value,
+                    streak_count: 1,
+                    next_achievable_at: badge.getNextAchievableAt(now)
+                }], { session });
+
+                // Update badge stats
+                await Badge.updateOne(
+                    { unique_id: badgeId },
+                    { $inc: { users_achieved_count: 1 } },
+                    { session }
+                );
+            } else {
+                if (previousEarn.next_achievable_at && previousEarn.next_achievable_at > now) {
+                    return { success: false, reason: "cooldown_active" };
+                }
 
-        await userBadge.save();
+                // Claim the re-earn atomically: a concurrent grant moves times_earned first
+                userBadge = await UserBadge.findOneAndUpdate(
+                    { _id: previousEarn._id, times_earned: previousEarn.times_earned },
+                    {
+                        $inc: {
+                            times_earned: 1,
+                            xp_awarded: badge.xp_value_gifted,
+                            points_awarded: badge.points_value_gifted
+                        },
+                        $set: {
+                            last_earned_at: now,
+                            achievement_context: achievementContext,
+                            achievement_value: eligibilityCheck.current_value,
+                            streak_count: getRepeatStreak(badge, previousEarn, now),
+                            next_achievable_at: badge.getNextAchievableAt(now)
+                        }
+                    },
+                    { new: true, session }
+                );
+                if (!userBadge) {
+                    return { success: false, reason: "cooldown_active" };
+                }
 
-        // Update user
-        if (!badge.is_repeatable) {
-            user.badges_ids.push(badgeId);
+                await PlatformUser.updateOne({ unique_id: userId }, userUpdate, { session });
+            }
+
+            // Credit the badge rewards through the ledger
+            const credit = await creditUser(userId, {
+                xp: badge.xp_value_gifted,
+                points: badge.points_value_gifted
+            }, {
+                sourceType: 'badge_reward',
+                sourceId: badgeId,
+                idempotencyKey: `badge_reward:${userBadge._id}:${userBadge.times_earned}`,
+                session: session,
+                description: `Badge earned: ${badge.badge_name}`
+            });
+            if (!credit.success) {
+                throw new Error(`Badge reward ledger credit failed: ${credit.reason}`);
+            }
+
+            // The ledger moves the level with the XP credit
+            const newLevel = credit.level ? credit.level.level : user.user_level;
+            return { success: true, new_level: newLevel, user_badge: userBadge };
+        });
+
+        if (!granted.success) {
+            return granted;
         }
-        user.total_badges_earned += 1;
-        
-        // Use updateReferralStats to update total XP and points earned consistently
-        user.updateReferralStats(badge.xp_value_gifted, badge.points_value_gifted);
-        
-        // Update current XP and points (updateReferralStats only updates total earnings)
-        user.current_xp += badge.xp_value_gifted;
-        user.current_points += badge.points_value_gifted;
-
-        // Recalculate level
-        const newLevel = calculateUserLevel(user.current_xp);
-        const levelChanged = newLevel !== user.user_level;
-        user.user_level = newLevel;
-
-        await user.save();
-
-        // Update badge stats
-        badge.users_achieved_count += 1;
-        await badge.save();
+
+        invalidateUserBadgeStats(userId);
+
+        const userBadge = granted.user_badge;
+        const isFirstEarn = userBadge.times_earned === 1;
 
         return {
             success: true,
@@ -145,10 +234,15 @@ async function grantBadge(userId, badgeId, achievementContext = {}) {
                 xp_awarded: badge.xp_value_gifted,
                 points_awarded: badge.points_value_gifted
             },
+            earn: {
+                times_earned: userBadge.times_earned,
+                streak_count: userBadge.streak_count,
+                next_achievable_at: userBadge.next_achievable_at
+            },
             user_updates: {
-                new_level: user.user_level,
-                level_changed: levelChanged,
-                total_badges_earned: user.total_badges_earned
+                new_level: granted.new_level,
+                level_changed: granted.new_level !== user.user_level,
+                total_badges_earned: user.total_badges_earned + (isFirstEarn ? 1 : 0)
             }
         };
 
@@ -160,68 +254,46 @@ async function grantBadge(userId, badgeId, achievementContext = {}) {
 
 /**
  * Evaluate all badges for a user
+ *
+ * options.criteriaTypes limits the evaluation to badges of those criteria
+ * types (e.g. the ones a domain event affects). Badges earned along the way
+ * raise the badge count, so badge_count badges are then checked as well.
  */
-async function evaluateUserBadges(userId, triggerEvent, eventContext = {}) {
+async function evaluateUserBadges(userId, triggerEvent, eventContext = {}, options = {}) {
     try {
         const user = await PlatformUser.findOne({ unique_id: userId });
         if (!user) return { success: false, reason: "user_not_found" };
 
-        const currentUserStats = {
-            current_xp: user.current_xp,
-            current_points: user.current_points,
-            user_level: user.user_level,
-            total_xp_earned: user.total_xp_earned,
-            total_points_earned: user.total_points_earned,
-            total_apps_shared: user.total_apps_shared,
-            total_tournaments_won: user.total_tournaments_won,
-            sharing_streak_days: user.sharing_streak_days,
-            successful_referrals_count: user.successful_referrals_count,
-            total_badges_earned: user.total_badges_earned
-        };
+        const currentUserStats = await getUserBadgeStats(user);
 
-        const activeBadges = await Badge.find({ is_active: true });
-        let newlyEarnedBadges = [];
-        let totalXpAwarded = 0;
-        let totalPointsAwarded = 0;
+        const criteriaTypes = options.criteriaTypes || null;
+        const badgeQuery = { is_active: true };
+        if (criteriaTypes) {
+            badgeQuery.criteria_type = { $in: criteriaTypes };
+        }
 
-        // Evaluate each badge
-        for (const badge of activeBadges) {
-            const eligibilityCheck = await checkBadgeEligibility(
-                userId, 
-                badge.unique_id, 
-                triggerEvent, 
-                currentUserStats
-            );
+        const activeBadges = await Badge.find(badgeQuery);
+        const newlyEarnedBadges = await grantEligibleBadges(userId, activeBadges, triggerEvent, eventContext, currentUserStats);
+        let badgesEvaluated = activeBadges.length;
+        let evaluatedTypes = criteriaTypes;
 
-            if (eligibilityCheck.eligible) {
-                const grantResult = await grantBadge(userId, badge.unique_id, eventContext);
-                
-                if (grantResult.success) {
-                    newlyEarnedBadges.push(badge);
-                    totalXpAwarded += badge.xp_value_gifted;
-                    totalPointsAwarded += badge.points_value_gifted;
-                    
-                    // Update stats for next iteration
-                    currentUserStats.current_xp += badge.xp_value_gifted;
-                    currentUserStats.current_points += badge.points_value_gifted;
-                    // Note: The actual user document will be updated via updateReferralStats when the badge is granted
-                    // updateReferralStats will update total_xp_earned and total_points_earned
-                    // We're just updating the tracking object here
-                    currentUserStats.total_badges_earned += 1;
-                }
-            }
+        if (newlyEarnedBadges.length > 0 && criteriaTypes && !criteriaTypes.includes('badge_count')) {
+            const badgeCountBadges = await Badge.find({ is_active: true, criteria_type: 'badge_count' });
+            newlyEarnedBadges.push(...await grantEligibleBadges(userId, badgeCountBadges, triggerEvent, eventContext, currentUserStats));
+            badgesEvaluated += badgeCountBadges.length;
+            evaluatedTypes = [...criteriaTypes, 'badge_count'];
         }
 
         // Update badge progress
-        await updateBadgeProgress(userId, currentUserStats);
+        await updateBadgeProgress(userId, currentUserStats, evaluatedTypes);
 
         return {
             success: true,
-            badges_evaluated: activeBadges.length,
+            badges_evaluated: badgesEvaluated,
             newly_earned_badges: newlyEarnedBadges,
             total_rewards: {
-                total_xp_awarded: totalXpAwarded,
-                total_points_awarded: totalPointsAwarded
+                total_xp_awarded: newlyEarnedBadges.reduce((sum, badge) => sum + badge.xp_value_gifted, 0),
+                total_points_awarded: newlyEarnedBadges.reduce((sum, badge) => sum + badge.points_value_gifted, 0)
             }
         };
 
@@ -232,14 +304,57 @@ async function evaluateUserBadges(userId, triggerEvent, eventContext = {}) {
 }
 
 /**
- * Update badge progress tracking
+ * Grant every badge in a list the user is eligible for
+ *
+ * currentUserStats is updated with each granted badge's rewards.
+ */
+async function grantEligibleBadges(userId, badges, triggerEvent, eventContext, currentUserStats) {
+    const earnedBadges = [];
+
+    for (const badge of badges) {
+        const eligibilityCheck = await checkBadgeEligibility(
+            userId, 
+            badge.unique_id, 
+            triggerEvent, 
+            currentUserStats
+        );
+
+        if (eligibilityCheck.eligible) {
+            const grantResult = await grantBadge(userId, badge.unique_id, eventContext);
+            
+            if (grantResult.success) {
+                earnedBadges.push(badge);
+                
+                // Update stats for next iteration
+                currentUserStats.current_xp += badge.xp_value_gifted;
+                currentUserStats.current_points += badge.points_value_gifted;
+                currentUserStats.seasonal_xp += badge.xp_value_gifted;
+                currentUserStats.total_xp_earned += badge.xp_value_gifted;
+                currentUserStats.total_points_earned += badge.points_value_gifted;
+                currentUserStats.user_level = grantResult.user_updates.new_level;
+                if (grantResult.earn.times_earned === 1) {
+                    currentUserStats.total_badges_earned += 1;
+                }
+            }
+        }
+    }
+
+    return earnedBadges;
+}
+
+/**
+ * Update badge progress tracking (only for badges of criteriaTypes when given)
  */
-async function updateBadgeProgress(userId, currentUserStats) {
+async function updateBadgeProgress(userId, currentUserStats, criteriaTypes = null) {
     try {
         const user = await PlatformUser.findOne({ unique_id: userId });
         if (!user) return { success: false, reason: "user_not_found" };
 
-        const activeBadges = await Badge.find({ is_active: true });
+        const badgeQuery = { is_active: true };
+        if (criteriaTypes) {
+            badgeQuery.criteria_type = { $in: criteriaTypes };
+        }
+        const activeBadges = await Badge.find(badgeQuery);
 
         for (const badge of activeBadges) {
             // Skip if user already has the badge
@@ -272,10 +387,27 @@ async function updateBadgeProgress(userId, currentUserStats) {
 }
 
 /**
- * Calculate user level based on XP
+ * Get the streak count of a repeatable badge re-earned at earnedAt
+ *
+ * A re-earn within one cooldown of the badge becoming available again
+ * continues the streak (up to config.badge.maxStreakCount); a later one
+ * starts a new streak.
+ */
+function getRepeatStreak(badge, previousEarn, earnedAt) {
+    const cooldownMs = badge.getRepeatCooldownDays() * 24 * 60 * 60 * 1000;
+    const availableAt = previousEarn.next_achievable_at || badge.getNextAchievableAt(previousEarn.earned_at);
+
+    if (earnedAt.getTime() > availableAt.getTime() + cooldownMs) {
+        return 1;
+    }
+    return Math.min((previousEarn.streak_count || 1) + 1, config.badge.maxStreakCount);
+}
+
+/**
+ * Calculate user level based on XP (see the level curve in config.levels)
  */
 function calculateUserLevel(xp) {
-    return 1 + Math.floor(Math.sqrt(xp / 100));
+    return getLevelForXp(xp);
 }
 
 /**
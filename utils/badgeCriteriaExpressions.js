@@ -0,0 +1,278 @@
+/**
+ * Badge Criteria Expressions - INGAIN Platform
+ *
+ * This module implements the expression language of Badge.secondary_criteria:
+ * JSON trees of AND / OR / NOT over comparisons of user stats. Expressions are
+ * only ever interpreted, never executed, and their size is bounded.
+ *
+ *   { "all": [node, ...] }                          AND (every node holds)
+ *   { "any": [node, ...] }                          OR (at least one node holds)
+ *   { "not": node }                                 NOT
+ *   { "fact": "shares_count", "operator": ">=", "value": 50 }
+ *
+ * "shares_count >= 50 AND category_diversity >= 5 AND region IN [IN, US]" is
+ *
+ *   { "all": [
+ *       { "fact": "shares_count", "operator": ">=", "value": 50 },
+ *       { "fact": "category_diversity", "operator": ">=", "value": 5 },
+ *       { "fact": "region", "operator": "in", "value": ["IN", "US"] }
+ *   ] }
+ *
+ * Facts are the badge criteria types (valued as for criteria_type) and region.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const BADGE_EXPRESSION_FACTS = [
+    'xp_threshold', 'points_earned', 'shares_count', 'tournaments_won',
+    'streak_days', 'referrals_count', 'level_reached', 'consecutive_days',
+    'category_diversity', 'app_diversity', 'total_payouts', 'badge_count',
+    'seasonal_xp', 'region'
+];
+
+const EXPRESSION_OPERATORS = ['>=', '==', '<=', '>', '<', '!=', 'in', 'not_in'];
+
+const MAX_EXPRESSION_DEPTH = 6;
+const MAX_EXPRESSION_NODES = 50;
+const MAX_IN_VALUES = 50;
+
+/**
+ * Validate an expression before it is stored
+ *
+ * @param {Object} expression - Expression tree
+ * @returns {Object} { valid, errors }
+ */
+function validateBadgeExpression(expression) {
+    const errors = [];
+    const counter = { nodes: 0 };
+
+    validateNode(expression, 'expression', 1, counter, errors);
+    if (counter.nodes > MAX_EXPRESSION_NODES) {
+        errors.push(`expression cannot have more than ${MAX_EXPRESSION_NODES} nodes`);
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Get the expression a stored secondary_criteria value stands for
+ *
+ * Criteria stored before expressions were validated (free-form objects or {})
+ * never restricted earning, so they count as no secondary criteria.
+ *
+ * @param {Object} criteria - Stored secondary_criteria
+ * @returns {Object|null} Expression tree, or null when there is none to evaluate
+ */
+function getStoredBadgeExpression(criteria) {
+    if (!criteria || !validateBadgeExpression(criteria).valid) {
+        return null;
+    }
+    return criteria;
+}
+
+/**
+ * Evaluate an expression against the user's facts
+ *
+ * Facts that are unknown (null) never satisfy a comparison.
+ *
+ * @param {Object} expression - Validated expression tree
+ * @param {Object} facts - Facts (see buildBadgeExpressionFacts)
+ * @returns {boolean} True if the expression holds
+ */
+function evaluateBadgeExpression(expression, facts) {
+    return traceBadgeExpression(expression, facts).result;
+}
+
+/**
+ * Evaluate an expression and record the result of every node
+ *
+ * @param {Object} expression - Validated expression tree
+ * @param {Object} facts - Facts
+ * @returns {Object} Node trace { result, ... } mirroring the expression
+ */
+function traceBadgeExpression(expression, facts) {
+    if (Array.isArray(expression.all)) {
+        const children = expression.all.map(node => traceBadgeExpression(node, facts));
+        return { all: children, result: children.every(child => child.result) };
+    }
+    if (Array.isArray(expression.any)) {
+        const children = expression.any.map(node => traceBadgeExpression(node, facts));
+        return { any: children, result: children.some(child => child.result) };
+    }
+    if (expression.not) {
+        const child = traceBadgeExpression(expression.not, facts);
+        return { not: child, result: !child.result };
+    }
+
+    const actual = facts[expression.fact];
+    return {
+        fact: expression.fact,
+        operator: expression.operator,
+        value: expression.value,
+        actual: actual === undefined ? null : actual,
+        result: compare(actual, expression.operator, expression.value)
+    };
+}
+
+/**
+ * Build the facts an expression is evaluated against
+ *
+ * @param {Object} userStats - Badge stats (see badgeStatsProvider)
+ * @param {Function} getCriteriaValue - (criteriaType, userStats) => value, i.e. Badge.getCriteriaValue
+ * @returns {Object} Facts by name
+ */
+function buildBadgeExpressionFacts(userStats, getCriteriaValue) {
+    const facts = {};
+    for (const fact of BADGE_EXPRESSION_FACTS) {
+        facts[fact] = fact === 'region'
+            ? (userStats.region || null)
+            : getCriteriaValue(fact, userStats);
+    }
+    return facts;
+}
+
+/**
+ * Render an expression as text, e.g. "shares_count >= 50 AND region IN [IN, US]"
+ *
+ * @param {Object} expression - Validated expression tree
+ * @returns {string} Readable expression
+ */
+function formatBadgeExpression(expression) {
+    const group = (nodes, joiner) => nodes
+        .map(node => (node.all || node.any) && nodes.length > 1 ? `(${formatBadgeExpression(node)})` : formatBadgeExpression(node))
+        .join(joiner);
+
+    if (Array.isArray(expression.all)) {
+        return group(expression.all, ' AND ');
+    }
+    if (Array.isArray(expression.any)) {
+        return group(expression.any, ' OR ');
+    }
+    if (expression.not) {
+        return `NOT (${formatBadgeExpression(expression.not)})`;
+    }
+
+    const operator = { in: 'IN', not_in: 'NOT IN' }[expression.operator] || expression.operator;
+    const value = Array.isArray(expression.value) ? `[${expression.value.join(', ')}]` : expression.value;
+    return `${expression.fact} ${operator} ${value}`;
+}
+
+// Helper Functions
+
+/**
+ * Validate one node and its children
+ *
+ * @param {*} node - Expression node
+ * @param {string} path - Node path, used in error messages
+ * @param {number} depth - Node depth (1 for the root)
+ * @param {Object} counter - { nodes } counted so far
+ * @param {Array} errors - Collected errors
+ */
+function validateNode(node, path, depth, counter, errors) {
+    counter.nodes++;
+
+    if (depth > MAX_EXPRESSION_DEPTH) {
+        errors.push(`${path}: expressions cannot be nested more than ${MAX_EXPRESSION_DEPTH} levels deep`);
+        return;
+    }
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+        errors.push(`${path}: must be an object`);
+        return;
+    }
+
+    const keys = Object.keys(node);
+    const groupKey = ['all', 'any', 'not'].find(key => key in node);
+
+    if (groupKey) {
+        if (keys.length !== 1) {
+            errors.push(`${path}: '${groupKey}' cannot be combined with other keys`);
+            return;
+        }
+        if (groupKey === 'not') {
+            validateNode(node.not, `${path}.not`, depth + 1, counter, errors);
+            return;
+        }
+        if (!Array.isArray(node[groupKey]) || node[groupKey].length === 0) {
+            errors.push(`${path}.${groupKey}: must be a non-empty array`);
+            return;
+        }
+        node[groupKey].forEach((child, index) =>
+            validateNode(child, `${path}.${groupKey}[${index}]`, depth + 1, counter, errors));
+        return;
+    }
+
+    const unknownKeys = keys.filter(key => !['fact', 'operator', 'value'].includes(key));
+    if (unknownKeys.length > 0) {
+        errors.push(`${path}: unknown keys ${unknownKeys.join(', ')}`);
+    }
+    if (!BADGE_EXPRESSION_FACTS.includes(node.fact)) {
+        errors.push(`${path}: unknown fact ${node.fact}`);
+    }
+    if (!EXPRESSION_OPERATORS.includes(node.operator)) {
+        errors.push(`${path}: operator must be one of: ${EXPRESSION_OPERATORS.join(', ')}`);
+        return;
+    }
+
+    if (['in', 'not_in'].includes(node.operator)) {
+        if (!Array.isArray(node.value) || node.value.length === 0 || node.value.length > MAX_IN_VALUES) {
+            errors.push(`${path}: '${node.operator}' needs an array of 1 to ${MAX_IN_VALUES} values`);
+        } else if (!node.value.every(isScalar)) {
+            errors.push(`${path}: '${node.operator}' values must be strings, numbers or booleans`);
+        }
+    } else if (['>=', '<=', '>', '<'].includes(node.operator)) {
+        if (typeof node.value !== 'number' || !Number.isFinite(node.value)) {
+            errors.push(`${path}: '${node.operator}' needs a number value`);
+        }
+    } else if (!isScalar(node.value)) {
+        errors.push(`${path}: '${node.operator}' needs a string, number or boolean value`);
+    }
+}
+
+/**
+ * Compare a fact with an expected value
+ *
+ * @param {*} actual - Fact value
+ * @param {string} operator - Comparison operator
+ * @param {*} expected - Expected value
+ * @returns {boolean} True if the comparison holds
+ */
+function compare(actual, operator, expected) {
+    if (actual === null || actual === undefined) {
+        return false;
+    }
+
+    switch (operator) {
+        case '>=': return actual >= expected;
+        case '<=': return actual <= expected;
+        case '>': return actual > expected;
+        case '<': return actual < expected;
+        case '!=': return actual !== expected;
+        case 'in': return expected.includes(actual);
+        case 'not_in': return !expected.includes(actual);
+        case '==':
+        default:
+            return actual === expected;
+    }
+}
+
+/**
+ * Check whether a value is a string, finite number or boolean
+ *
+ * @param {*} value - Value
+ * @returns {boolean} True if scalar
+ */
+function isScalar(value) {
+    return typeof value === 'string' || typeof value === 'boolean' ||
+        (typeof value === 'number' && Number.isFinite(value));
+}
+
+module.exports = {
+    BADGE_EXPRESSION_FACTS,
+    validateBadgeExpression,
+    getStoredBadgeExpression,
+    evaluateBadgeExpression,
+    traceBadgeExpression,
+    buildBadgeExpressionFacts,
+    formatBadgeExpression
+};
@@ -0,0 +1,420 @@
+/**
+ * Badge Management Algorithms - INGAIN Platform
+ *
+ * This module backs the admin badge API: creating, updating, deactivating and
+ * reordering badges, and processing uploaded badge icons.
+ *
+ * Badge dependencies are validated on every change:
+ * - prerequisite_badges and exclusive_with must name other existing badges
+ *   and cannot overlap
+ * - Prerequisites cannot form a cycle
+ * - Exclusivity is mutual: listing a badge in exclusive_with adds this badge
+ *   to its list too, and removing it removes this badge there
+ * - No badge may require (directly or through its prerequisites) two badges
+ *   that exclude each other, since it could never be earned
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Badge = require('../core/models/Common/Badge');
+const Season = require('../core/models/Common/Season');
+const { validateBadgeExpression } = require('./badgeCriteriaExpressions');
+const { runInTransaction } = require('./transactions');
+const config = require('../config');
+
+const EDITABLE_FIELDS = [
+    'badge_name', 'badge_classification', 'badge_description', 'badge_icon', 'criteria_type',
+    'threshold_value', 'threshold_operator', 'secondary_criteria', 'rarity', 'xp_value_gifted',
+    'points_value_gifted', 'is_active', 'is_hidden', 'is_repeatable', 'cooldown_days',
+    'prerequisite_badges', 'exclusive_with', 'seasonal_start', 'seasonal_end', 'season_id', 'sort_order'
+];
+
+/**
+ * Create a badge
+ *
+ * Badges without a sort_order are placed after every existing badge.
+ *
+ * @param {Object} data - Badge fields (see EDITABLE_FIELDS)
+ * @param {string} adminId - Creating admin's unique ID (optional)
+ * @returns {Promise<Object>} { success, badge } or { success: false, reason }
+ */
+async function createBadge(data, adminId = null) {
+    try {
+        const fields = pickBadgeFields(data);
+        if (fields.sort_order === undefined) {
+            const last = await Badge.findOne().sort({ sort_order: -1 }).select('sort_order');
+            fields.sort_order = last ? last.sort_order + 1 : 0;
+        }
+
+        const badge = new Badge({ ...fields, created_by: adminId });
+        return await saveBadgeChanges(badge, []);
+
+    } catch (error) {
+        console.error('Error in createBadge:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+/**
+ * Update a badge
+ *
+ * @param {string} badgeId - Badge's unique ID
+ * @param {Object} updates - Fields to change (see EDITABLE_FIELDS)
+ * @returns {Promise<Object>} { success, badge } or { success: false, reason }
+ */
+async function updateBadge(badgeId, updates) {
+    try {
+        const badge = await Badge.findOne({ unique_id: badgeId });
+        if (!badge) {
+            return { success: false, reason: "badge_not_found" };
+        }
+
+        const previousExclusives = [...badge.exclusive_with];
+        Object.assign(badge, pickBadgeFields(updates));
+
+        return await saveBadgeChanges(badge, previousExclusives);
+
+    } catch (error) {
+        console.error('Error in updateBadge:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+/**
+ * Deactivate a badge so it can no longer be earned; earned badges are kept
+ *
+ * Active badges that require it must be changed or deactivated first.
+ *
+ * @param {string} badgeId - Badge's unique ID
+ * @returns {Promise<Object>} { success, badge } or { success: false, reason }
+ */
+async function deactivateBadge(badgeId) {
+    return updateBadge(badgeId, { is_active: false });
+}
+
+/**
+ * Put badges in the given order
+ *
+ * The listed badges get sort_order 0, 1, 2... in list order; other badges keep theirs.
+ *
+ * @param {Array<string>} badgeIds - Badge unique IDs, first to last
+ * @returns {Promise<Object>} { success, badges } or { success: false, reason }
+ */
+async function reorderBadges(badgeIds) {
+    try {
+        if (!Array.isArray(badgeIds) || badgeIds.length === 0 || !badgeIds.every(id => typeof id === 'string')) {
+            return { success: false, reason: "invalid_badge_order" };
+        }
+        if (new Set(badgeIds).size !== badgeIds.length) {
+            return { success: false, reason: "duplicate_badges" };
+        }
+
+        const found = await Badge.distinct('unique_id', { unique_id: { $in: badgeIds } });
+        const unknown = badgeIds.filter(id => !found.includes(id));
+        if (unknown.length > 0) {
+            return { success: false, reason: "unknown_badges", badge_ids: unknown };
+        }
+
+        await Badge.bulkWrite(badgeIds.map((badgeId, index) => ({
+            updateOne: {
+                filter: { unique_id: badgeId },
+                update: { $set: { sort_order: index, updated_at: new Date() } }
+            }
+        })));
+
+        const badges = await Badge.find({ unique_id: { $in: badgeIds } })
+            .sort({ sort_order: 1 })
+            .select('unique_id badge_name sort_order is_active');
+
+        return { success: true, badges };
+
+    } catch (error) {
+        console.error('Error in reorderBadges:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+/**
+ * Resize an uploaded icon to config.badge.iconSizes and make it the badge's icon
+ *
+ * Files are written as PNG to <config.upload.path>/badges/<badge ID>/ and
+ * served under config.upload.publicUrl; the largest size becomes badge_icon.
+ * Icons from earlier uploads are removed.
+ *
+ * @param {string} badgeId - Badge's unique ID
+ * @param {Buffer} image - Uploaded image
+ * @returns {Promise<Object>} { success, badge, variants } or { success: false, reason }
+ */
+async function saveBadgeIcon(badgeId, image) {
+    try {
+        const badge = await Badge.findOne({ unique_id: badgeId });
+        if (!badge) {
+            return { success: false, reason: "badge_not_found" };
+        }
+
+        const sharp = require('sharp');
+        const metadata = await sharp(image).metadata().catch(() => null);
+        if (!metadata || !metadata.width || !metadata.height) {
+            return { success: false, reason: "invalid_image" };
+        }
+
+        const directory = path.join(config.upload.path, 'badges', badge.unique_id);
+        await fs.promises.mkdir(directory, { recursive: true });
+
+        // A new file name per upload keeps cached copies of the old icon from being served
+        const version = Date.now();
+        const sizes = [...config.badge.iconSizes].sort((a, b) => a - b);
+        const fileNames = [];
+        const variants = {};
+
+        for (const size of sizes) {
+            const fileName = `${size}-${version}.png`;
+            await sharp(image)
+                .resize(size, size, {
+                    fit: 'contain',
+                    background: { r: 0, g: 0, b: 0, alpha: 0 }
+                })
+                .png()
+                .toFile(path.join(directory, fileName));
+
+            fileNames.push(fileName);
+            variants[size] = `${config.upload.publicUrl}/badges/${badge.unique_id}/${fileName}`;
+        }
+
+        badge.badge_icon = variants[sizes[sizes.length - 1]];
+        badge.badge_icon_variants = variants;
+        await badge.save();
+
+        const staleFiles = (await fs.promises.readdir(directory)).filter(file => !fileNames.includes(file));
+        await Promise.all(staleFiles.map(file => fs.promises.unlink(path.join(directory, file)).catch(() => null)));
+
+        return { success: true, badge, variants };
+
+    } catch (error) {
+        console.error('Error in saveBadgeIcon:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+// Helper Functions
+
+/**
+ * Pick the editable badge fields from a request body
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Badge fields present in the body
+ */
+function pickBadgeFields(body) {
+    return EDITABLE_FIELDS.reduce((picked, field) => {
+        if (body[field] !== undefined) {
+            picked[field] = body[field];
+        }
+        return picked;
+    }, {});
+}
+
+/**
+ * Validate a new or changed badge and save it with its mutual exclusions
+ *
+ * @param {Object} badge - Badge document with the changes applied
+ * @param {Array<string>} previousExclusives - exclusive_with before the change
+ * @returns {Promise<Object>} { success, badge } or { success: false, reason }
+ */
+async function saveBadgeChanges(badge, previousExclusives) {
+    if (badge.secondary_criteria && badge.isModified('secondary_criteria')) {
+        const validation = validateBadgeExpression(badge.secondary_criteria);
+        if (!validation.valid) {
+            return { success: false, reason: "invalid_secondary_criteria", errors: validation.errors };
+        }
+    }
+
+    if (badge.season_id && badge.isModified('season_id') && !await Season.exists({ unique_id: badge.season_id })) {
+        return { success: false, reason: "season_not_found" };
+    }
+
+    const validationError = await badge.validate().then(() => null, error => error);
+    if (validationError) {
+        return {
+            success: false,
+            reason: "invalid_badge",
+            errors: Object.values(validationError.errors || {}).map(error => error.message)
+        };
+    }
+
+    if (badge.isModified('is_active') && !badge.is_active && !badge.isNew) {
+        const dependents = await Badge.find({
+            is_active: true,
+            prerequisite_badges: badge.unique_id
+        }).select('unique_id badge_name');
+        if (dependents.length > 0) {
+            return {
+                success: false,
+                reason: "badge_has_dependents",
+                dependents: dependents.map(dependent => ({
+                    badge_id: dependent.unique_id,
+                    badge_name: dependent.badge_name
+                }))
+            };
+        }
+    }
+
+    badge.prerequisite_badges = [...new Set(badge.prerequisite_badges)];
+    badge.exclusive_with = [...new Set(badge.exclusive_with)];
+
+    const dependencies = await validateBadgeDependencies(badge);
+    if (!dependencies.valid) {
+        const { valid, ...failure } = dependencies;
+        return { success: false, ...failure };
+    }
+
+    const added = badge.exclusive_with.filter(id => !previousExclusives.includes(id));
+    const removed = previousExclusives.filter(id => !badge.exclusive_with.includes(id));
+
+    await runInTransaction(async session => {
+        await badge.save({ session });
+
+        if (added.length > 0) {
+            await Badge.updateMany(
+                { unique_id: { $in: added } },
+                { $addToSet: { exclusive_with: badge.unique_id }, $set: { updated_at: new Date() } },
+                { session }
+            );
+        }
+        if (removed.length > 0) {
+            await Badge.updateMany(
+                { unique_id: { $in: removed } },
+                { $pull: { exclusive_with: badge.unique_id }, $set: { updated_at: new Date() } },
+                { session }
+            );
+        }
+    });
+
+    return { success: true, badge };
+}
+
+/**
+ * Check a badge's prerequisites and exclusions against every other badge
+ *
+ * @param {Object} badge - Badge document with the proposed lists
+ * @returns {Promise<Object>} { valid: true } or { valid: false, reason, ... }
+ */
+async function validateBadgeDependencies(badge) {
+    const badgeId = badge.unique_id;
+    const prerequisites = badge.prerequisite_badges;
+    const exclusives = badge.exclusive_with;
+
+    if (prerequisites.includes(badgeId) || exclusives.includes(badgeId)) {
+        return { valid: false, reason: "self_dependency" };
+    }
+
+    const overlap = prerequisites.filter(id => exclusives.includes(id));
+    if (overlap.length > 0) {
+        return { valid: false, reason: "prerequisite_exclusive_conflict", badge_ids: overlap };
+    }
+
+    // Dependency graph with this badge's proposed lists in place of its stored ones
+    const others = await Badge.find({ unique_id: { $ne: badgeId } })
+        .select('unique_id prerequisite_badges exclusive_with')
+        .lean();
+    const graph = new Map(others.map(other => [other.unique_id, {
+        prerequisites: other.prerequisite_badges || [],
+        exclusives: (other.exclusive_with || []).filter(id => id !== badgeId)
+    }]));
+
+    const unknown = [...prerequisites, ...exclusives].filter(id => !graph.has(id));
+    if (unknown.length > 0) {
+        return { valid: false, reason: "unknown_badges", badge_ids: [...new Set(unknown)] };
+    }
+
+    graph.set(badgeId, { prerequisites, exclusives });
+
+    const cycle = findPrerequisiteCycle(graph, badgeId);
+    if (cycle) {
+        return { valid: false, reason: "dependency_cycle", cycle };
+    }
+
+    // Exclusions are mutual
+    const excludes = (a, b) => Boolean(graph.get(a)?.exclusives.includes(b) || graph.get(b)?.exclusives.includes(a));
+
+    // Only this badge and the badges that require it can have become unearnable
+    const affected = [badgeId, ...[...graph.keys()].filter(id => id !== badgeId && collectPrerequisites(graph, id).has(badgeId))];
+    for (const id of affected) {
+        const required = [id, ...collectPrerequisites(graph, id)];
+        for (let i = 0; i < required.length; i++) {
+            const conflict = required.slice(i + 1).find(other => excludes(required[i], other));
+            if (conflict) {
+                return {
+                    valid: false,
+                    reason: "unearnable_badge",
+                    badge_id: id,
+                    conflicting_badges: [required[i], conflict]
+                };
+            }
+        }
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Find a prerequisite cycle through a badge
+ *
+ * @param {Map} graph - Badge ID → { prerequisites, exclusives }
+ * @param {string} badgeId - Badge to start from
+ * @returns {Array<string>|null} Badge IDs around the cycle, starting and ending with badgeId
+ */
+function findPrerequisiteCycle(graph, badgeId) {
+    const visited = new Set();
+
+    const visit = (id, trail) => {
+        for (const prerequisite of graph.get(id)?.prerequisites || []) {
+            if (prerequisite === badgeId) {
+                return [...trail, badgeId];
+            }
+            if (!visited.has(prerequisite)) {
+                visited.add(prerequisite);
+                const cycle = visit(prerequisite, [...trail, prerequisite]);
+                if (cycle) {
+                    return cycle;
+                }
+            }
+        }
+        return null;
+    };
+
+    return visit(badgeId, [badgeId]);
+}
+
+/**
+ * Collect every badge a badge requires, directly or through its prerequisites
+ *
+ * @param {Map} graph - Badge ID → { prerequisites, exclusives }
+ * @param {string} badgeId - Badge ID
+ * @returns {Set<string>} Required badge IDs
+ */
+function collectPrerequisites(graph, badgeId) {
+    const required = new Set();
+    const pending = [...(graph.get(badgeId)?.prerequisites || [])];
+
+    while (pending.length > 0) {
+        const id = pending.pop();
+        if (required.has(id) || id === badgeId) {
+            continue;
+        }
+        required.add(id);
+        pending.push(...(graph.get(id)?.prerequisites || []));
+    }
+
+    return required;
+}
+
+module.exports = {
+    createBadge,
+    updateBadge,
+    deactivateBadge,
+    reorderBadges,
+    saveBadgeIcon
+};
@@ -0,0 +1,175 @@
+/**
+ * Badge Stats Provider - INGAIN Platform
+ *
+ * This module builds the user stats badge criteria are evaluated against.
+ * Counters kept on the user (XP, points, shares, streak, referrals...) are
+ * read from the user document; the stats below are computed from history and
+ * cached per user for config.badge.statsCacheTtlSeconds:
+ * - unique_apps_shared: distinct apps with a verified share (app_diversity)
+ * - unique_categories_shared: distinct categories of those apps (category_diversity)
+ * - consecutive_share_days: longest run of days in a row with a verified share,
+ *   in the user's timezone (consecutive_days)
+ * - total_payouts_completed: completed user payouts (total_payouts)
+ * - total_badges_earned: distinct badges recorded in UserBadge; re-earning a
+ *   repeatable badge does not add to it (badge_count)
+ *
+ * The cache is dropped for a user whenever badges are evaluated for one of
+ * their domain events or a badge is granted to them.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const App = require('../core/models/App/App');
+const ShareLog = require('../core/models/Technical/ShareLog');
+const Payment = require('../core/models/Technical/Payment');
+const UserBadge = require('../core/models/App/UserBadge');
+const PlatformUser = require('../core/models/App/PlatformUser');
+const { getUserTimezone } = require('./streakAlgorithms');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// User ID → { stats, expires_at }, oldest entry first
+const historyStatsCache = new Map();
+
+/**
+ * Get the stats every badge criteria type is evaluated against
+ *
+ * @param {Object|string} userOrId - PlatformUser document or user's unique ID
+ * @param {Object} options - Options
+ * @param {boolean} options.refresh - Recompute the history stats instead of using the cache
+ * @returns {Promise<Object|null>} User stats, or null if the user does not exist
+ */
+async function getUserBadgeStats(userOrId, options = {}) {
+    const user = typeof userOrId === 'string'
+        ? await PlatformUser.findOne({ unique_id: userOrId })
+        : userOrId;
+    if (!user) {
+        return null;
+    }
+
+    const historyStats = await getHistoryStats(user, options.refresh);
+
+    return {
+        current_xp: user.current_xp,
+        current_points: user.current_points,
+        user_level: user.user_level,
+        total_xp_earned: user.total_xp_earned,
+        seasonal_xp: user.seasonal_xp,
+        total_points_earned: user.total_points_earned,
+        total_apps_shared: user.total_apps_shared,
+        total_tournaments_won: user.total_tournaments_won,
+        sharing_streak_days: user.sharing_streak_days,
+        successful_referrals_count: user.successful_referrals_count,
+        region: user.region,
+        ...historyStats
+    };
+}
+
+/**
+ * Drop a user's cached history stats
+ *
+ * @param {string} userId - User's unique ID
+ */
+function invalidateUserBadgeStats(userId) {
+    historyStatsCache.delete(userId);
+}
+
+// Helper Functions
+
+/**
+ * Get a user's history stats from the cache, computing them when missing or expired
+ *
+ * @param {Object} user - PlatformUser document
+ * @param {boolean} refresh - Skip the cache
+ * @returns {Promise<Object>} History stats
+ */
+async function getHistoryStats(user, refresh = false) {
+    const now = Date.now();
+    const cached = historyStatsCache.get(user.unique_id);
+    if (cached && !refresh && cached.expires_at > now) {
+        return cached.stats;
+    }
+
+    const stats = await computeHistoryStats(user);
+
+    // Re-inserting keeps the Map ordered oldest first for eviction
+    historyStatsCache.delete(user.unique_id);
+    historyStatsCache.set(user.unique_id, {
+        stats,
+        expires_at: now + config.badge.statsCacheTtlSeconds * 1000
+    });
+    while (historyStatsCache.size > config.badge.statsCacheMaxUsers) {
+        historyStatsCache.delete(historyStatsCache.keys().next().value);
+    }
+
+    return stats;
+}
+
+/**
+ * Compute a user's history stats from shares, payouts and earned badges
+ *
+ * @param {Object} user - PlatformUser document
+ * @returns {Promise<Object>} History stats
+ */
+async function computeHistoryStats(user) {
+    const verifiedShares = { user_id: user.unique_id, validation_status: 'verified' };
+
+    const appIds = await ShareLog.distinct('app_id', verifiedShares);
+    const categories = appIds.length > 0
+        ? await App.distinct('categories', { unique_id: { $in: appIds } })
+        : [];
+
+    const shareDays = await ShareLog.aggregate([
+        { $match: verifiedShares },
+        {
+            $group: {
+                _id: { $dateToString: { format: '%Y-%m-%d', date: '$created_at', timezone: getUserTimezone(user) } }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ]);
+
+    const totalPayoutsCompleted = await Payment.countDocuments({
+        user_id: user.unique_id,
+        payment_type: 'user_payout',
+        status: 'completed'
+    });
+
+    const totalBadgesEarned = await UserBadge.countDocuments({ user_id: user.unique_id });
+
+    return {
+        unique_apps_shared: appIds.length,
+        unique_categories_shared: categories.filter(Boolean).length,
+        consecutive_share_days: getLongestDayRun(shareDays.map(day => day._id)),
+        total_payouts_completed: totalPayoutsCompleted,
+        total_badges_earned: totalBadgesEarned
+    };
+}
+
+/**
+ * Get the longest run of consecutive days
+ *
+ * @param {Array<string>} dayKeys - Distinct YYYY-MM-DD keys, ascending
+ * @returns {number} Longest run length
+ */
+function getLongestDayRun(dayKeys) {
+    let longestRun = 0;
+    let currentRun = 0;
+    let previousDay = null;
+
+    for (const key of dayKeys) {
+        const day = Date.parse(`${key}T00:00:00Z`);
+        currentRun = previousDay !== null && day - previousDay === DAY_MS ? currentRun + 1 : 1;
+        longestRun = Math.max(longestRun, currentRun);
+        previousDay = day;
+    }
+
+    return longestRun;
+}
+
+module.exports = {
+    getUserBadgeStats,
+    invalidateUserBadgeStats
+};
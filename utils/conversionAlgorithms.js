@@ -0,0 +1,589 @@
+/**
+ * Conversion Algorithms - INGAIN Platform
+ *
+ * This module processes conversion events reported by app hosts. A qualifying
+ * conversion is attributed across the visitor's share clicks using the app's
+ * attribution model, and each credited share is verified and paid its split.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const App = require('../core/models/App/App');
+const ShareLog = require('../core/models/Technical/ShareLog');
+const ShareClick = require('../core/models/Technical/ShareClick');
+const PlatformUser = require('../core/models/App/PlatformUser');
+const TournamentParticipant = require('../core/models/Common/TournamentParticipant');
+const ActivityLog = require('../core/models/Technical/ActivityLog');
+const { calculateShareRewards, updateUserSharingStreak } = require('./shareAlgorithms');
+const { creditUser } = require('./ledger');
+const { runInTransaction } = require('./transactions');
+const { recordQuestEvent } = require('./questAlgorithms');
+const { DOMAIN_EVENTS, publishEvent } = require('../core/events/eventBus');
+const config = require('../config');
+
+const DEFAULT_CONVERSION_EVENTS = ['install', 'register', 'purchase'];
+const ATTRIBUTION_MODELS = ['last_click', 'first_click', 'linear'];
+
+/**
+ * Process a conversion event reported by a host against a tracking ID
+ *
+ * @param {Object} hostAccount - Authenticated HostAccount document
+ * @param {Object} eventData - Conversion event data
+ * @param {string} eventData.tracking_id - Share tracking ID
+ * @param {string} eventData.event_type - Conversion event type
+ * @param {string} eventData.click_id - Click ID passed to the store URL (optional, enables multi-touch attribution)
+ * @param {string} eventData.event_id - Host-side event ID used for deduplication (optional)
+ * @param {string} eventData.occurred_at - When the event happened (optional, defaults to now)
+ * @param {Object} eventData.metadata - Additional event metadata (optional)
+ * @returns {Promise<Object>} Processing result
+ */
+async function processConversionEvent(hostAccount, eventData) {
+    try {
+        const { tracking_id, event_type, click_id, event_id, occurred_at, metadata } = eventData;
+
+        // STEP 1: Resolve Share and App
+        const share = await ShareLog.findOne({ tracking_id: tracking_id });
+        if (!share) {
+            return { success: false, reason: "share_not_found" };
+        }
+
+        const app = await App.findOne({ unique_id: share.app_id });
+        if (!app || app.host_id !== hostAccount.user_id) {
+            return { success: false, reason: "app_not_owned_by_host" };
+        }
+
+        // STEP 2: Validate Event Type
+        const trackingConfig = app.tracking_config || {};
+        const conversionEvents = trackingConfig.conversion_events || DEFAULT_CONVERSION_EVENTS;
+        if (!conversionEvents.includes(event_type)) {
+            return { success: false, reason: "event_type_not_allowed", allowed_events: conversionEvents };
+        }
+
+        // STEP 3: Enforce Attribution Window
+        const occurredAt = occurred_at ? new Date(occurred_at) : new Date();
+        if (isNaN(occurredAt.getTime())) {
+            return { success: false, reason: "invalid_event_time" };
+        }
+
+        const windowHours = getAttributionWindowHours(app);
+        if (!isWithinAttributionWindow(share, occurredAt, windowHours)) {
+            return { success: false, reason: "outside_attribution_window", attribution_window_hours: windowHours };
+        }
+
+        // STEP 4: Deduplicate Events
+        const recordedEvents = (share.validation_details || {}).conversion_events || [];
+        const isDuplicate = recordedEvents.some(event =>
+            (event_id && event.event_id === event_id) || event.event_type === event_type
+        );
+
+        if (isDuplicate) {
+            return { success: true, duplicate: true, share_id: share.unique_id, validation_status: share.validation_status };
+        }
+
+        if (!['pending', 'verified'].includes(share.validation_status)) {
+            return { success: false, reason: "share_not_eligible", validation_status: share.validation_status };
+        }
+
+        const conversionEvent = {
+            conversion_id: uuidv4(),
+            event_type: event_type,
+            event_id: event_id || null,
+            click_id: click_id || null,
+            reported_tracking_id: tracking_id,
+            occurred_at: occurredAt,
+            received_at: new Date(),
+            metadata: metadata || {}
+        };
+
+        // STEP 5: Identify the Converting Visitor
+        const click = await findConversionClick(share, click_id, occurredAt);
+        const visitor = click ? { visitor_id: click.visitor_id, fingerprint: click.fingerprint } : null;
+
+        // STEP 6: Record Follow-up Events Without Paying Again
+        const isFollowUp = share.validation_status === 'verified' ||
+            (visitor && await hasAttributedConversion(app.unique_id, visitor));
+
+        if (isFollowUp) {
+            await recordConversionEvent(share, conversionEvent);
+
+            return {
+                success: true,
+                conversion_id: conversionEvent.conversion_id,
+                share_id: share.unique_id,
+                validation_status: share.validation_status,
+                rewards_credited: false
+            };
+        }
+
+        // STEP 7: Apply the App's Attribution Model
+        const attributionModel = getAttributionModel(app);
+        const candidates = await collectAttributionCandidates(share, click, visitor, occurredAt, windowHours);
+        const weightedCandidates = applyAttributionModel(attributionModel, candidates);
+
+        // STEP 8: Verify and Credit Each Attributed Share
+        const creditedShares = [];
+        for (const { share: candidateShare, weight, receives_remainder } of weightedCandidates) {
+            const credit = await creditAttributedShare(candidateShare, weight, {
+                conversionEvent,
+                attributionModel,
+                visitor,
+                touchpointCount: candidates.length,
+                receivesRemainder: receives_remainder
+            });
+
+            if (credit) {
+                creditedShares.push(credit);
+            }
+        }
+
+        if (creditedShares.length === 0) {
+            return { success: false, reason: "reward_calculation_failed" };
+        }
+
+        const reportedShareCredit = creditedShares.find(credit => credit.share_id === share.unique_id);
+        if (!reportedShareCredit) {
+            await recordConversionEvent(share, {
+                ...conversionEvent,
+                attributed_to: creditedShares.map(credit => credit.share_id)
+            });
+        }
+
+        return {
+            success: true,
+            conversion_id: conversionEvent.conversion_id,
+            attribution_model: attributionModel,
+            share_id: share.unique_id,
+            validation_status: reportedShareCredit ? 'verified' : share.validation_status,
+            rewards_credited: !!reportedShareCredit,
+            xp_awarded: reportedShareCredit ? reportedShareCredit.xp_awarded : 0,
+            points_awarded: reportedShareCredit ? reportedShareCredit.points_awarded : 0,
+            credited_shares: creditedShares
+        };
+
+    } catch (error) {
+        console.error('Error in processConversionEvent:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+/**
+ * Split a conversion across touchpoint shares using an attribution model
+ *
+ * @param {string} model - Attribution model (last_click, first_click, linear)
+ * @param {Array} candidates - Touchpoints with share, first_click_at and last_click_at
+ * @returns {Array} Touchpoints that receive credit, each with a weight between 0 and 1
+ *   and whether it also receives the rounding remainder of a split reward
+ */
+function applyAttributionModel(model, candidates) {
+    if (candidates.length === 0) {
+        return [];
+    }
+
+    const lastTouch = candidates.reduce((best, candidate) => (
+        candidate.last_click_at > best.last_click_at ? candidate : best
+    ));
+
+    if (model === 'linear') {
+        const weight = 1 / candidates.length;
+        return candidates.map(candidate => ({
+            ...candidate,
+            weight,
+            receives_remainder: candidate === lastTouch
+        }));
+    }
+
+    const winner = model === 'first_click'
+        ? candidates.reduce((best, candidate) => (candidate.first_click_at < best.first_click_at ? candidate : best))
+        : lastTouch;
+
+    return [{ ...winner, weight: 1, receives_remainder: true }];
+}
+
+// Helper Functions
+
+/**
+ * Get the app's attribution window in hours
+ *
+ * @param {Object} app - App document
+ * @returns {number} Attribution window in hours
+ */
+function getAttributionWindowHours(app) {
+    const shareRules = app.share_rules || {};
+    return shareRules.attribution_window_hours || config.share.defaultAttributionWindowHours;
+}
+
+/**
+ * Get the app's attribution model, falling back to the platform default
+ *
+ * @param {Object} app - App document
+ * @returns {string} Attribution model
+ */
+function getAttributionModel(app) {
+    const trackingConfig = app.tracking_config || {};
+    return ATTRIBUTION_MODELS.includes(trackingConfig.attribution_model)
+        ? trackingConfig.attribution_model
+        : config.share.defaultAttributionModel;
+}
+
+/**
+ * Check whether an event happened inside a share's attribution window
+ *
+ * @param {Object} share - ShareLog document
+ * @param {Date} occurredAt - Event time
+ * @param {number} windowHours - Attribution window in hours
+ * @returns {boolean} True if the event is attributable to the share
+ */
+function isWithinAttributionWindow(share, occurredAt, windowHours) {
+    const windowEnd = new Date(share.created_at.getTime() + windowHours * 60 * 60 * 1000);
+    return occurredAt >= share.created_at && occurredAt <= windowEnd;
+}
+
+/**
+ * Find the click that led to a conversion, by click ID or the share's latest click
+ *
+ * @param {Object} share - Reported ShareLog document
+ * @param {string} clickId - Click ID reported by the host (optional)
+ * @param {Date} occurredAt - Event time
+ * @returns {Promise<Object|null>} ShareClick document or null
+ */
+async function findConversionClick(share, clickId, occurredAt) {
+    if (clickId) {
+        const click = await ShareClick.findOne({ unique_id: clickId, share_id: share.unique_id });
+        if (click) {
+            return click;
+        }
+    }
+
+    return ShareClick.findOne({
+        share_id: share.unique_id,
+        outcome: 'redirected',
+        clicked_at: { $lte: occurredAt }
+    }).sort({ clicked_at: -1 });
+}
+
+/**
+ * Check whether a visitor's conversion on an app was already attributed
+ *
+ * @param {string} appId - App's unique ID
+ * @param {Object} visitor - Visitor ID and fingerprint
+ * @returns {Promise<boolean>} True if a share was already credited for this visitor
+ */
+async function hasAttributedConversion(appId, visitor) {
+    const visitorMatch = [];
+    if (visitor.visitor_id) visitorMatch.push({ 'attribution.visitor_id': visitor.visitor_id });
+    if (visitor.fingerprint) visitorMatch.push({ 'attribution.fingerprint': visitor.fingerprint });
+    if (visitorMatch.length === 0) {
+        return false;
+    }
+
+    const existing = await ShareLog.exists({ app_id: appId, $or: visitorMatch });
+    return !!existing;
+}
+
+/**
+ * Collect the pending shares the visitor clicked inside the attribution window
+ *
+ * @param {Object} share - Reported ShareLog document
+ * @param {Object} click - Converting ShareClick document (optional)
+ * @param {Object} visitor - Visitor ID and fingerprint (optional)
+ * @param {Date} occurredAt - Event time
+ * @param {number} windowHours - Attribution window in hours
+ * @returns {Promise<Array>} Touchpoints ordered by first click
+ */
+async function collectAttributionCandidates(share, click, visitor, occurredAt, windowHours) {
+    const touchpoints = new Map();
+    const windowStart = new Date(occurredAt.getTime() - windowHours * 60 * 60 * 1000);
+
+    const clicks = visitor
+        ? await ShareClick.findVisitorClicks(share.app_id, visitor.visitor_id, visitor.fingerprint, windowStart, occurredAt)
+        : [];
+
+    clicks.forEach(visitorClick => {
+        const touchpoint = touchpoints.get(visitorClick.share_id);
+        if (touchpoint) {
+            touchpoint.last_click_at = visitorClick.clicked_at;
+        } else {
+            touchpoints.set(visitorClick.share_id, {
+                first_click_at: visitorClick.clicked_at,
+                last_click_at: visitorClick.clicked_at
+            });
+        }
+    });
+
+    // The reported share always takes part, even without a recorded click
+    if (!touchpoints.has(share.unique_id)) {
+        const clickedAt = click ? click.clicked_at : share.created_at;
+        touchpoints.set(share.unique_id, { first_click_at: clickedAt, last_click_at: clickedAt });
+    }
+
+    const shares = await ShareLog.find({
+        unique_id: { $in: Array.from(touchpoints.keys()) },
+        validation_status: 'pending'
+    });
+
+    return shares
+        .filter(candidateShare => isWithinAttributionWindow(candidateShare, occurredAt, windowHours))
+        .map(candidateShare => ({ share: candidateShare, ...touchpoints.get(candidateShare.unique_id) }))
+        .sort((a, b) => a.first_click_at - b.first_click_at);
+}
+
+/**
+ * Verify a share and credit its weighted share of a conversion
+ *
+ * @param {Object} share - Pending ShareLog document
+ * @param {number} weight - Attribution weight between 0 and 1
+ * @param {Object} context - Conversion event, attribution model, visitor, touchpoint count
+ *   and whether this share receives the rounding remainder
+ * @returns {Promise<Object|null>} Credit summary or null when rewards could not be calculated
+ */
+async function creditAttributedShare(share, weight, context) {
+    const { conversionEvent, attributionModel, visitor, touchpointCount, receivesRemainder } = context;
+
+    const rewards = await calculateShareRewards(share.user_id, share.app_id, share.tournament_id);
+    if (!rewards.success) {
+        console.error('Attribution reward calculation failed:', share.unique_id, rewards.reason);
+        return null;
+    }
+
+    const fullBaseXp = rewards.base_rewards ? rewards.base_rewards.total_xp : rewards.total_xp;
+    const fullBasePoints = rewards.base_rewards ? rewards.base_rewards.total_points : rewards.total_points;
+
+    const xpShare = getAttributedAmount(rewards.total_xp, weight, touchpointCount, receivesRemainder);
+    const pointsShare = getAttributedAmount(rewards.total_points, weight, touchpointCount, receivesRemainder);
+    const baseXpShare = getAttributedAmount(fullBaseXp, weight, touchpointCount, receivesRemainder);
+    const basePointsShare = getAttributedAmount(fullBasePoints, weight, touchpointCount, receivesRemainder);
+
+    const attribution = {
+        conversion_id: conversionEvent.conversion_id,
+        model: attributionModel,
+        weight: weight,
+        touchpoint_count: touchpointCount,
+        visitor_id: visitor ? visitor.visitor_id : null,
+        fingerprint: visitor ? visitor.fingerprint : null,
+        full_xp: rewards.total_xp,
+        full_points: rewards.total_points,
+        xp_share: xpShare,
+        points_share: pointsShare,
+        attributed_at: new Date()
+    };
+    const rewardBreakdown = rewards.tournament_bonuses
+        ? { base: rewards.base_rewards.breakdown, tournament: rewards.tournament_bonuses }
+        : { base: rewards.breakdown };
+
+    // Verify the share and credit its rewards as one unit of work. The share is
+    // claimed atomically, so a concurrent or replayed conversion cannot credit it twice.
+    const credited = await runInTransaction(async session => {
+        const verifiedAt = new Date();
+        const claimedShare = await ShareLog.findOneAndUpdate(
+            { unique_id: share.unique_id, validation_status: 'pending', rewards_credited_at: null },
+            {
+                $set: {
+                    validation_status: 'verified',
+                    verified_at: verifiedAt,
+                    base_xp: baseXpShare,
+                    base_points: basePointsShare,
+                    tournament_xp_bonus: xpShare - baseXpShare,
+                    tournament_points_bonus: pointsShare - basePointsShare,
+                    xp_awarded: xpShare,
+                    points_awarded: pointsShare,
+                    attribution: attribution,
+                    'validation_details.verified_by_event': conversionEvent.event_type,
+                    'validation_details.reward_breakdown': rewardBreakdown,
+                    rewards_credited_at: verifiedAt
+                },
+                $push: { 'validation_details.conversion_events': conversionEvent }
+            },
+            { new: true, session }
+        );
+
+        if (!claimedShare) {
+            return null;
+        }
+
+        const transactionId = await creditShareRewards(claimedShare, xpShare, pointsShare, session);
+
+        await ShareLog.updateOne(
+            { unique_id: claimedShare.unique_id },
+            { $set: { reward_transaction_id: transactionId } },
+            { session }
+        );
+
+        return claimedShare;
+    });
+
+    if (!credited) {
+        console.warn('Share already verified, skipping reward credit:', share.unique_id);
+        return null;
+    }
+
+    // Streaks, quests, badges and activity are outside the unit of work, so a retried transaction cannot repeat them
+    await updateUserSharingStreak(share.user_id, share.created_at);
+
+    await recordQuestEvent(share.user_id, 'share_verified', {
+        event_id: share.unique_id,
+        app_id: share.app_id,
+        tournament_id: share.tournament_id,
+        share_channel: share.share_channel
+    });
+
+    await publishEvent(DOMAIN_EVENTS.SHARE_VERIFIED, {
+        user_id: share.user_id,
+        share_id: share.unique_id,
+        app_id: share.app_id,
+        tournament_id: share.tournament_id,
+        xp_awarded: xpShare,
+        points_awarded: pointsShare
+    });
+
+    await ActivityLog.logUserActivity(
+        share.user_id,
+        'app_verification',
+        'Share verified by host conversion',
+        {
+            share_id: share.unique_id,
+            app_id: share.app_id,
+            conversion_id: conversionEvent.conversion_id,
+            event_type: conversionEvent.event_type,
+            attribution_model: attributionModel,
+            attribution_weight: weight,
+            xp_awarded: xpShare,
+            points_awarded: pointsShare
+        },
+        {
+            entityType: 'app',
+            entityId: share.app_id
+        }
+    );
+
+    return {
+        share_id: share.unique_id,
+        user_id: share.user_id,
+        weight: weight,
+        xp_awarded: xpShare,
+        points_awarded: pointsShare
+    };
+}
+
+/**
+ * Get a touchpoint's part of a reward split evenly across touchpoints
+ *
+ * Parts are rounded down and the remainder goes to one touchpoint, so the parts
+ * add up to the full reward.
+ *
+ * @param {number} total - Full reward
+ * @param {number} weight - Attribution weight between 0 and 1
+ * @param {number} touchpointCount - Touchpoints the reward is split across
+ * @param {boolean} receivesRemainder - Whether this touchpoint gets the rounding remainder
+ * @returns {number} Reward part
+ */
+function getAttributedAmount(total, weight, touchpointCount, receivesRemainder) {
+    if (weight === 1) {
+        return total;
+    }
+
+    const part = Math.floor(total / touchpointCount);
+    return receivesRemainder ? total - part * (touchpointCount - 1) : part;
+}
+
+/**
+ * Append a conversion event to a share without changing its status
+ *
+ * @param {Object} share - ShareLog document
+ * @param {Object} conversionEvent - Conversion event to record
+ */
+async function recordConversionEvent(share, conversionEvent) {
+    await ShareLog.updateOne(
+        { unique_id: share.unique_id },
+        { $push: { 'validation_details.conversion_events': conversionEvent } }
+    );
+}
+
+/**
+ * Credit a verified share's rewards to the sharer, the app and the tournament standing
+ *
+ * The ledger credit is keyed by the share's idempotency key, so the share can
+ * never be paid twice even if the claim is bypassed.
+ *
+ * @param {Object} share - Verified ShareLog document
+ * @param {number} xp - XP to credit
+ * @param {number} points - Points to credit
+ * @param {Object} session - Transaction session (null when transactions are disabled)
+ * @returns {Promise<string>} Ledger transaction ID
+ */
+async function creditShareRewards(share, xp, points, session) {
+    const credit = await creditUser(share.user_id, { xp, points }, {
+        sourceType: 'share_reward',
+        sourceId: share.unique_id,
+        idempotencyKey: share.reward_idempotency_key || `share_reward:${share.unique_id}`,
+        session: session,
+        description: 'Verified share reward',
+        metadata: { app_id: share.app_id, tournament_id: share.tournament_id || null }
+    });
+    if (!credit.success) {
+        throw new Error(`Share reward ledger credit failed: ${credit.reason}`);
+    }
+    if (credit.duplicate) {
+        return credit.transaction_id;
+    }
+
+    await PlatformUser.updateOne(
+        { unique_id: share.user_id },
+        {
+            $inc: {
+                total_xp_earned: xp,
+                total_points_earned: points,
+                total_apps_shared: 1
+            },
+            $set: { last_share_date: new Date() }
+        },
+        { session }
+    );
+
+    // The share is no longer pending
+    await PlatformUser.updateOne(
+        { unique_id: share.user_id, pending_shares_count: { $gt: 0 } },
+        { $inc: { pending_shares_count: -1 } },
+        { session }
+    );
+
+    // Spend the rewards and release the budget reserved when the share was generated
+    await App.updateOne(
+        { unique_id: share.app_id },
+        {
+            $inc: {
+                total_shared: 1,
+                total_xp_allocated: xp,
+                total_points_allocated: points,
+                total_xp_spent: xp,
+                total_points_spent: points,
+                budget_reserved: -(share.budget_reserved || 0)
+            }
+        },
+        { session }
+    );
+
+    if (share.share_type === 'tournament' && share.tournament_id) {
+        const participant = await TournamentParticipant.findOne({
+            tournament_id: share.tournament_id,
+            user_id: share.user_id
+        }).session(session);
+
+        if (participant) {
+            await participant.updatePerformance({
+                verified: true,
+                xp_awarded: xp,
+                points_awarded: points
+            });
+        }
+    }
+
+    return credit.transaction_id;
+}
+
+module.exports = {
+    processConversionEvent,
+    applyAttributionModel,
+    ATTRIBUTION_MODELS
+};
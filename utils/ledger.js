@@ -0,0 +1,477 @@
+/**
+ * Ledger - INGAIN Platform
+ *
+ * This module is the only place user XP and points balances change. Every credit
+ * or debit posts a double-entry transaction to the ledger (user wallet entry plus
+ * the opposite system account entry) and moves the current_xp / current_points
+ * projection on PlatformUser by the same amount. Reconciliation compares those
+ * projections with the ledger sums. Points changes also open or consume points
+ * lots (see pointsLots), and XP changes move the user's level (see levelAlgorithms).
+ * XP credits also count as seasonal XP for the active season (see seasonAlgorithms).
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const PlatformUser = require('../core/models/App/PlatformUser');
+const LedgerEntry = require('../core/models/Technical/LedgerEntry');
+const LedgerAccount = require('../core/models/Technical/LedgerAccount');
+const LedgerClaim = require('../core/models/Technical/LedgerClaim');
+const { openPointsLot, consumePointsLots } = require('./pointsLots');
+const { applyUserLevel } = require('./levelAlgorithms');
+
+// Ledger currency → PlatformUser balance field
+const BALANCE_FIELDS = {
+    xp: 'current_xp',
+    points: 'current_points'
+};
+
+// XP credits from these sources do not count towards the active season
+const NON_SEASONAL_SOURCES = ['opening_balance', 'season_reward', 'reward_redemption'];
+
+/**
+ * Credit XP and/or points to a user
+ *
+ * @param {string} userId - User's unique ID
+ * @param {Object} amounts - { xp, points } (non-negative)
+ * @param {Object} options - Entry details (see postLedgerTransaction)
+ * @returns {Promise<Object>} Posting result
+ */
+async function creditUser(userId, amounts, options) {
+    return postLedgerTransaction(userId, {
+        xp: Math.abs(amounts.xp || 0),
+        points: Math.abs(amounts.points || 0)
+    }, options);
+}
+
+/**
+ * Debit XP and/or points from a user
+ *
+ * @param {string} userId - User's unique ID
+ * @param {Object} amounts - { xp, points } (non-negative)
+ * @param {Object} options - Entry details (see postLedgerTransaction)
+ * @returns {Promise<Object>} Posting result, failing with insufficient_balance when the user cannot cover it
+ */
+async function debitUser(userId, amounts, options) {
+    return postLedgerTransaction(userId, {
+        xp: -Math.abs(amounts.xp || 0),
+        points: -Math.abs(amounts.points || 0)
+    }, options);
+}
+
+/**
+ * Post a ledger transaction against a user's wallet
+ *
+ * The user's balances are moved atomically first (debits only apply when the
+ * balance covers them), then the entries are written with the resulting balances.
+ * Pass a session to make the posting part of a larger transaction; errors are then
+ * thrown instead of returned so the transaction aborts (and transient ones retry).
+ * Without a session the idempotency key is claimed before any balance moves, so
+ * concurrent postings with the same key cannot both apply.
+ *
+ * @param {string} userId - User's unique ID
+ * @param {Object} amounts - Signed { xp, points }; positive credits, negative debits
+ * @param {Object} options - Entry details
+ * @param {string} options.sourceType - Ledger source type (e.g. badge_reward)
+ * @param {string} options.sourceId - ID of the record that caused the change (optional)
+ * @param {Object} options.actor - { type: system|user|admin|host, id } (defaults to system)
+ * @param {string} options.description - Human readable description (optional)
+ * @param {Object} options.metadata - Extra context (optional)
+ * @param {string} options.idempotencyKey - Posting is skipped when this key was already posted (optional)
+ * @param {ClientSession} options.session - Mongo session of the enclosing transaction (optional)
+ * @returns {Promise<Object>} { success, transaction_id, balances, level, entries, duplicate } or { success: false, reason }
+ */
+async function postLedgerTransaction(userId, amounts, options) {
+    const session = (options && options.session) || null;
+
+    try {
+        const changes = Object.keys(BALANCE_FIELDS)
+            .map(currency => ({ currency, amount: Math.round(Number(amounts[currency]) || 0) }))
+            .filter(change => change.amount !== 0);
+
+        if (!options || !options.sourceType) {
+            return { success: false, reason: "source_type_required" };
+        }
+
+        if (options.idempotencyKey) {
+            const existingEntry = await LedgerEntry.findOne({
+                idempotency_key: options.idempotencyKey,
+                account_type: 'user'
+            }).session(session);
+
+            if (existingEntry) {
+                return describeDuplicatePosting(userId, existingEntry.transaction_id, session);
+            }
+        }
+
+        if (changes.length === 0) {
+            const user = await PlatformUser.findOne({ unique_id: userId })
+                .select('current_xp current_points')
+                .session(session);
+            if (!user) {
+                return { success: false, reason: "user_not_found" };
+            }
+            return { success: true, transaction_id: null, balances: getBalances(user), entries: [] };
+        }
+
+        const transactionId = uuidv4();
+
+        let claimed = false;
+        if (options.idempotencyKey && !session) {
+            claimed = !!await LedgerClaim.claim(options.idempotencyKey, transactionId, userId);
+            if (!claimed) {
+                const claim = await LedgerClaim.findOne({ idempotency_key: options.idempotencyKey });
+                return describeDuplicatePosting(userId, claim ? claim.transaction_id : null, session);
+            }
+        }
+
+        const filter = { unique_id: userId };
+        const increments = {};
+        changes.forEach(({ currency, amount }) => {
+            increments[BALANCE_FIELDS[currency]] = amount;
+            if (amount < 0) {
+                filter[BALANCE_FIELDS[currency]] = { $gte: -amount };
+            }
+            if (currency === 'xp' && amount > 0 && !NON_SEASONAL_SOURCES.includes(options.sourceType)) {
+                increments.seasonal_xp = amount;
+            }
+        });
+
+        const user = await PlatformUser.findOneAndUpdate(filter, { $inc: increments }, { new: true, session })
+            .select('unique_id current_xp current_points user_level');
+
+        if (!user) {
+            // Nothing was posted, so a later attempt with the same key may go ahead
+            if (claimed) {
+                await LedgerClaim.deleteOne({ idempotency_key: options.idempotencyKey, transaction_id: transactionId });
+            }
+            const exists = await PlatformUser.exists({ unique_id: userId }).session(session);
+            return { success: false, reason: exists ? "insufficient_balance" : "user_not_found" };
+        }
+
+        const actor = options.actor || { type: 'system', id: null };
+        const systemAccountId = `system:${options.sourceType}`;
+        const entries = [];
+
+        for (const { currency, amount } of changes) {
+            const base = {
+                transaction_id: transactionId,
+                currency: currency,
+                amount: Math.abs(amount),
+                source_type: options.sourceType,
+                source_id: options.sourceId || null,
+                idempotency_key: options.idempotencyKey || null,
+                actor: { type: actor.type || 'system', id: actor.id || null },
+                description: options.description,
+                metadata: options.metadata || {}
+            };
+
+            const systemBalance = await LedgerAccount.applyAmount(systemAccountId, currency, -amount, session);
+
+            entries.push({
+                ...base,
+                account_type: 'user',
+                account_id: userId,
+                direction: amount > 0 ? 'credit' : 'debit',
+                balance_after: user[BALANCE_FIELDS[currency]]
+            }, {
+                ...base,
+                account_type: 'system',
+                account_id: systemAccountId,
+                direction: amount > 0 ? 'debit' : 'credit',
+                balance_after: systemBalance
+            });
+        }
+
+        try {
+            await LedgerEntry.insertMany(entries, { session });
+        } catch (error) {
+            // Outside a transaction the balance already moved; reconciliation will flag the user
+            console.error('Ledger entry write failed:', transactionId, userId, error);
+            throw error;
+        }
+
+        // Keep the points lots in step: credits open a lot, debits consume the oldest lots
+        const pointsChange = changes.find(change => change.currency === 'points');
+        if (pointsChange && pointsChange.amount > 0) {
+            await openPointsLot(userId, pointsChange.amount, {
+                sourceType: options.sourceType,
+                sourceId: options.sourceId,
+                transactionId,
+                session
+            });
+        } else if (pointsChange && options.sourceType !== 'points_expiry') {
+            await consumePointsLots(userId, -pointsChange.amount, { session });
+        }
+
+        // Levels follow current XP
+        let level = null;
+        if (changes.some(change => change.currency === 'xp')) {
+            level = await applyUserLevel(userId, user.user_level, user.current_xp, { session });
+        }
+
+        return {
+            success: true,
+            transaction_id: transactionId,
+            balances: getBalances(user),
+            level: level,
+            entries: entries.filter(entry => entry.account_type === 'user')
+        };
+
+    } catch (error) {
+        if (session) {
+            throw error;
+        }
+        console.error('Error in postLedgerTransaction:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+/**
+ * Get a user's ledger entries, newest first
+ *
+ * @param {string} userId - User's unique ID
+ * @param {Object} options - { currency, source_type, page, limit }
+ * @returns {Promise<Object>} Entries and pagination
+ */
+async function getUserLedger(userId, options = {}) {
+    const page = Math.max(1, parseInt(options.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(options.limit) || 20));
+
+    const query = { account_type: 'user', account_id: userId };
+    if (options.currency) query.currency = options.currency;
+    if (options.source_type) query.source_type = options.source_type;
+
+    const [entries, total] = await Promise.all([
+        LedgerEntry.find(query)
+            .sort({ created_at: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        LedgerEntry.countDocuments(query)
+    ]);
+
+    return {
+        entries,
+        pagination: {
+            current_page: page,
+            total_pages: Math.ceil(total / limit),
+            total_items: total,
+            items_per_page: limit
+        }
+    };
+}
+
+/**
+ * Compare stored user balances with their ledger sums
+ *
+ * @param {Object} options - Reconciliation options
+ * @param {Array} options.userIds - Only check these users (optional, defaults to all)
+ * @returns {Promise<Object>} Users checked, drifted balances and unbalanced transactions
+ */
+async function reconcileLedger(options = {}) {
+    const userQuery = options.userIds && options.userIds.length > 0
+        ? { unique_id: { $in: options.userIds } }
+        : {};
+
+    const entryMatch = { account_type: 'user' };
+    if (userQuery.unique_id) {
+        entryMatch.account_id = userQuery.unique_id;
+    }
+
+    const sums = await LedgerEntry.sumBalances(entryMatch);
+    const ledgerBalances = new Map();
+    sums.forEach(row => {
+        const balances = ledgerBalances.get(row._id.account_id) || { xp: 0, points: 0, entries: 0 };
+        balances[row._id.currency] = row.balance;
+        balances.entries += row.entries;
+        ledgerBalances.set(row._id.account_id, balances);
+    });
+
+    const drifted = [];
+    let usersChecked = 0;
+
+    const cursor = PlatformUser.find(userQuery).select('unique_id email current_xp current_points').lean().cursor();
+    for (let user = await cursor.next(); user; user = await cursor.next()) {
+        usersChecked++;
+        const ledger = ledgerBalances.get(user.unique_id) || { xp: 0, points: 0, entries: 0 };
+
+        Object.keys(BALANCE_FIELDS).forEach(currency => {
+            const stored = user[BALANCE_FIELDS[currency]] || 0;
+            if (stored !== ledger[currency]) {
+                drifted.push({
+                    user_id: user.unique_id,
+                    email: user.email,
+                    currency: currency,
+                    stored_balance: stored,
+                    ledger_balance: ledger[currency],
+                    drift: stored - ledger[currency],
+                    ledger_entries: ledger.entries
+                });
+            }
+        });
+    }
+
+    const unbalancedTransactions = await findUnbalancedTransactions(entryMatch.account_id);
+
+    return {
+        users_checked: usersChecked,
+        drifted_users: new Set(drifted.map(row => row.user_id)).size,
+        drifted,
+        unbalanced_transactions: unbalancedTransactions
+    };
+}
+
+/**
+ * Post opening balance entries for users who have balances but no ledger history
+ *
+ * Used once when the ledger is introduced; stored balances are left unchanged.
+ *
+ * @returns {Promise<Object>} Number of users opened
+ */
+async function openLedgerBalances() {
+    const usersWithEntries = new Set(await LedgerEntry.distinct('account_id', { account_type: 'user' }));
+    let usersOpened = 0;
+
+    const cursor = PlatformUser.find({
+        $or: [{ current_xp: { $ne: 0 } }, { current_points: { $ne: 0 } }]
+    }).select('unique_id current_xp current_points').lean().cursor();
+
+    for (let user = await cursor.next(); user; user = await cursor.next()) {
+        if (usersWithEntries.has(user.unique_id)) {
+            continue;
+        }
+
+        const transactionId = uuidv4();
+        const entries = [];
+
+        for (const currency of Object.keys(BALANCE_FIELDS)) {
+            const balance = user[BALANCE_FIELDS[currency]] || 0;
+            if (balance === 0) {
+                continue;
+            }
+
+            const base = {
+                transaction_id: transactionId,
+                currency: currency,
+                amount: Math.abs(balance),
+                source_type: 'opening_balance',
+                actor: { type: 'system', id: null },
+                description: 'Opening balance'
+            };
+            const systemBalance = await LedgerAccount.applyAmount('system:opening_balance', currency, -balance);
+
+            entries.push({
+                ...base,
+                account_type: 'user',
+                account_id: user.unique_id,
+                direction: balance > 0 ? 'credit' : 'debit',
+                balance_after: balance
+            }, {
+                ...base,
+                account_type: 'system',
+                account_id: 'system:opening_balance',
+                direction: balance > 0 ? 'debit' : 'credit',
+                balance_after: systemBalance
+            });
+        }
+
+        await LedgerEntry.insertMany(entries);
+
+        // Opening points expire like newly earned points from now on
+        if ((user.current_points || 0) > 0) {
+            await openPointsLot(user.unique_id, user.current_points, {
+                sourceType: 'opening_balance',
+                transactionId
+            });
+        }
+        usersOpened++;
+    }
+
+    return { users_opened: usersOpened };
+}
+
+// Helper Functions
+
+/**
+ * Read the balances projection from a user document
+ *
+ * @param {Object} user - PlatformUser document
+ * @returns {Object} { xp, points }
+ */
+function getBalances(user) {
+    return {
+        xp: user.current_xp || 0,
+        points: user.current_points || 0
+    };
+}
+
+/**
+ * Build the result of a posting skipped because its idempotency key was already posted
+ *
+ * @param {string} userId - User's unique ID
+ * @param {string} transactionId - Transaction that holds the key
+ * @param {ClientSession} session - Mongo session (optional)
+ * @returns {Promise<Object>} Duplicate posting result
+ */
+async function describeDuplicatePosting(userId, transactionId, session = null) {
+    const user = await PlatformUser.findOne({ unique_id: userId })
+        .select('current_xp current_points')
+        .session(session);
+    return {
+        success: true,
+        duplicate: true,
+        transaction_id: transactionId,
+        balances: user ? getBalances(user) : null,
+        entries: []
+    };
+}
+
+/**
+ * Find transactions whose entries do not sum to zero
+ *
+ * @param {Object} accountFilter - Restrict to transactions touching these user accounts (optional)
+ * @returns {Promise<Array>} Unbalanced transactions
+ */
+async function findUnbalancedTransactions(accountFilter = null) {
+    const pipeline = [];
+
+    if (accountFilter) {
+        const transactionIds = await LedgerEntry.distinct('transaction_id', {
+            account_type: 'user',
+            account_id: accountFilter
+        });
+        pipeline.push({ $match: { transaction_id: { $in: transactionIds } } });
+    }
+
+    pipeline.push(
+        {
+            $group: {
+                _id: { transaction_id: '$transaction_id', currency: '$currency' },
+                net: {
+                    $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] }
+                },
+                entries: { $sum: 1 }
+            }
+        },
+        { $match: { $or: [{ net: { $ne: 0 } }, { entries: { $lt: 2 } }] } },
+        { $limit: 1000 }
+    );
+
+    const rows = await LedgerEntry.aggregate(pipeline);
+    return rows.map(row => ({
+        transaction_id: row._id.transaction_id,
+        currency: row._id.currency,
+        net: row.net,
+        entries: row.entries
+    }));
+}
+
+module.exports = {
+    creditUser,
+    debitUser,
+    postLedgerTransaction,
+    getUserLedger,
+    reconcileLedger,
+    openLedgerBalances
+};
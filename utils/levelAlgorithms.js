@@ -0,0 +1,195 @@
+/**
+ * Level Algorithms - INGAIN Platform
+ *
+ * This module maps XP to user levels using the level curve in configuration
+ * (config.levels.curve) and resolves the perks each level unlocks: payout cap,
+ * payout fee discount and the highest tournament tier a user may join.
+ *
+ * A user's level follows their current XP. The ledger applies level changes
+ * whenever XP moves, and crossing into a higher level sends a level_up
+ * notification.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const PlatformUser = require('../core/models/App/PlatformUser');
+const Notification = require('../core/models/Technical/Notification');
+const config = require('../config');
+
+const DEFAULT_PERKS = {
+    max_payout_points: 5000,
+    payout_fee_discount: 0,
+    max_tournament_tier: 1
+};
+
+/**
+ * Get the level curve, lowest level first
+ *
+ * @returns {Array} [{ level, min_xp, perks }]
+ */
+function getLevelCurve() {
+    return [...config.levels.curve].sort((a, b) => a.min_xp - b.min_xp);
+}
+
+/**
+ * Calculate the level a given XP reaches
+ *
+ * @param {number} xp - Current XP
+ * @returns {number} Level (at least the first level of the curve)
+ */
+function getLevelForXp(xp) {
+    const curve = getLevelCurve();
+    let level = curve.length > 0 ? curve[0].level : 1;
+
+    for (const step of curve) {
+        if ((xp || 0) >= step.min_xp) {
+            level = step.level;
+        } else {
+            break;
+        }
+    }
+
+    return level;
+}
+
+/**
+ * Resolve the perks of a level
+ *
+ * @param {number} level - User level
+ * @returns {Object} { max_payout_points, payout_fee_discount, max_tournament_tier }
+ */
+function getLevelPerks(level) {
+    return getLevelCurve()
+        .filter(step => step.level <= level)
+        .reduce((perks, step) => ({ ...perks, ...(step.perks || {}) }), { ...DEFAULT_PERKS });
+}
+
+/**
+ * Check whether a user's level unlocks a tournament's tier
+ *
+ * @param {Object} user - PlatformUser document
+ * @param {Object} tournament - Tournament document
+ * @returns {boolean} True if the user may join
+ */
+function canUserJoinTournamentTier(user, tournament) {
+    return getLevelPerks(user.user_level).max_tournament_tier >= (tournament.tournament_tier || 1);
+}
+
+/**
+ * Describe a user's progress towards the next level
+ *
+ * @param {number} xp - Current XP
+ * @returns {Object} Level, perks and the XP needed for the next level
+ */
+function getLevelProgress(xp) {
+    const level = getLevelForXp(xp);
+    const curve = getLevelCurve();
+    const current = curve.find(step => step.level === level);
+    const next = curve.find(step => step.min_xp > (xp || 0));
+
+    return {
+        level,
+        level_min_xp: current ? current.min_xp : 0,
+        next_level: next ? next.level : null,
+        next_level_xp: next ? next.min_xp : null,
+        xp_to_next_level: next ? next.min_xp - (xp || 0) : 0,
+        is_max_level: !next,
+        perks: getLevelPerks(level)
+    };
+}
+
+/**
+ * Move a user to the level their XP reaches
+ *
+ * Notifies the user when they reach a higher level. Pass the session of the
+ * enclosing transaction so the level change commits with the XP change.
+ *
+ * @param {string} userId - User's unique ID
+ * @param {number} previousLevel - Level stored before the XP change
+ * @param {number} xp - Current XP after the change
+ * @param {Object} options - { session, notify (defaults to true) }
+ * @returns {Promise<Object>} { previous_level, level, changed }
+ */
+async function applyUserLevel(userId, previousLevel, xp, options = {}) {
+    const session = options.session || null;
+    const level = getLevelForXp(xp);
+
+    if (level === previousLevel) {
+        return { previous_level: previousLevel, level, changed: false };
+    }
+
+    await PlatformUser.updateOne(
+        { unique_id: userId },
+        { $set: { user_level: level } },
+        { session }
+    );
+
+    if (level > previousLevel && options.notify !== false) {
+        const perks = getLevelPerks(level);
+        await Notification.create([{
+            user_id: userId,
+            notification_type: 'level_up',
+            title: `Level ${level} reached!`,
+            message: `You reached level ${level}. Your payout limit is now ${perks.max_payout_points} points.`,
+            data: {
+                previous_level: previousLevel,
+                level,
+                perks
+            }
+        }], { session });
+    }
+
+    return { previous_level: previousLevel, level, changed: true };
+}
+
+/**
+ * Recompute every user's level from the current curve
+ *
+ * Run after the curve changes. Level-ups are only notified when asked.
+ *
+ * @param {Object} options - Recompute options
+ * @param {boolean} options.notify - Send level_up notifications for users who move up
+ * @param {Array} options.userIds - Only recompute these users (optional)
+ * @returns {Promise<Object>} Users checked, promoted and demoted
+ */
+async function recomputeUserLevels(options = {}) {
+    const query = options.userIds && options.userIds.length > 0
+        ? { unique_id: { $in: options.userIds } }
+        : {};
+
+    const summary = {
+        users_checked: 0,
+        users_promoted: 0,
+        users_demoted: 0,
+        level_distribution: {}
+    };
+
+    const cursor = PlatformUser.find(query).select('unique_id current_xp user_level').lean().cursor();
+    for (let user = await cursor.next(); user; user = await cursor.next()) {
+        summary.users_checked++;
+
+        const result = await applyUserLevel(user.unique_id, user.user_level, user.current_xp, {
+            notify: !!options.notify
+        });
+
+        if (result.level > result.previous_level) {
+            summary.users_promoted++;
+        } else if (result.level < result.previous_level) {
+            summary.users_demoted++;
+        }
+        summary.level_distribution[result.level] = (summary.level_distribution[result.level] || 0) + 1;
+    }
+
+    return summary;
+}
+
+module.exports = {
+    getLevelCurve,
+    getLevelForXp,
+    getLevelPerks,
+    canUserJoinTournamentTier,
+    getLevelProgress,
+    applyUserLevel,
+    recomputeUserLevels
+};
@@ -15,6 +15,10 @@
 const Payment = require('../core/models/Technical/Payment');
 const PlatformUser = require('../core/models/App/PlatformUser');
 const { analyzeFraud } = require('./fraudAlgorithms');
+const { creditUser, debitUser } = require('./ledger');
+const { runInTransaction } = require('./transactions');
+const { getLevelPerks } = require('./levelAlgorithms');
+const { DOMAIN_EVENTS, publishEvent } = require('../core/events/eventBus');
 
 /**
  * Algorithm 9: Payment Processing Workflow
@@ -77,10 +81,27 @@ async function processPayoutRequest(userId, payoutAmount, payoutMethod, paymentD
                 throw new Error(`Unsupported payment method: ${payoutMethod}`);
         }
         
-        // Step 6: Update payment status and user balance
+        // Step 6: Debit the user and complete the payment together
         if (paymentResult.success) {
-            await updatePaymentStatus(payment.unique_id, 'completed', paymentResult.transaction_id);
-            await updateUserBalance(userId, payoutAmount, 'debit');
+            const completion = await completePayout(payment, userId, payoutAmount, paymentResult.transaction_id);
+            if (!completion.success) {
+                await updatePaymentStatus(payment.unique_id, 'failed', paymentResult.transaction_id, completion.reason);
+                
+                return {
+                    success: false,
+                    status: 'failed',
+                    payment_id: payment.unique_id,
+                    reason: completion.reason,
+                    error_code: completion.reason === 'insufficient_balance' ? 'INSUFFICIENT_BALANCE' : 'LEDGER_POSTING_FAILED'
+                };
+            }
+            
+            await publishEvent(DOMAIN_EVENTS.PAYOUT_COMPLETED, {
+                user_id: userId,
+                payment_id: payment.unique_id,
+                amount: payoutAmount,
+                payment_method: payoutMethod
+            });
             
             return {
                 success: true,
@@ -239,9 +260,13 @@ async function calculatePayoutFees(payoutAmount, payoutMethod, userId) {
             volumeDiscount = 0.1; // 10% discount
         }
         
+        // Apply the user's level fee discount
+        const user = await PlatformUser.findOne({ unique_id: userId }).select('user_level');
+        const levelDiscount = user ? getLevelPerks(user.user_level).payout_fee_discount : 0;
+        
         // Calculate final fees
         const adjustedFees = baseTotalFees * riskMultiplier;
-        const discountedFees = adjustedFees * (1 - volumeDiscount);
+        const discountedFees = adjustedFees * (1 - volumeDiscount) * (1 - levelDiscount);
         const finalFees = Math.max(discountedFees, 1); // Minimum 1 point fee
         
         // Calculate final amount
@@ -254,12 +279,14 @@ async function calculatePayoutFees(payoutAmount, payoutMethod, userId) {
             fixed_fee: fixedFee,
             risk_adjustment: riskMultiplier,
             volume_discount: volumeDiscount,
+            level_discount: levelDiscount,
             final_amount: finalAmount,
             total_fees: finalFees,
             fee_breakdown: {
                 base_fee: baseTotalFees,
                 risk_multiplier: riskMultiplier,
                 volume_discount: volumeDiscount,
+                level_discount: levelDiscount,
                 final_fee: finalFees
             }
         };
@@ -487,7 +514,7 @@ async function createPaymentRecord(userId, amount, method, details, fees) {
     return payment;
 }
 
-async function updatePaymentStatus(paymentId, status, transactionId, error = null) {
+async function updatePaymentStatus(paymentId, status, transactionId, error = null, session = null) {
     await Payment.updateOne(
         { unique_id: paymentId },
         {
@@ -495,13 +522,45 @@ async function updatePaymentStatus(paymentId, status, transactionId, error = nul
             transaction_id: transactionId,
             error_message: error,
             updated_at: new Date()
-        }
+        },
+        { session }
     );
 }
 
-async function updateUserBalance(userId, amount, operation) {
-    const update = operation === 'debit' ? { $inc: { current_points: -amount } } : { $inc: { current_points: amount } };
-    await PlatformUser.updateOne({ unique_id: userId }, update);
+// The debit comes first and the payment is only marked completed when it posted
+async function completePayout(payment, userId, amount, transactionId) {
+    try {
+        await runInTransaction(async session => {
+            const debit = await updateUserBalance(userId, amount, 'debit', payment.unique_id, session);
+            if (!debit.success) {
+                const error = new Error(`Payout debit failed: ${debit.reason}`);
+                error.payoutReason = debit.reason;
+                throw error;
+            }
+            await updatePaymentStatus(payment.unique_id, 'completed', transactionId, null, session);
+        });
+        return { success: true };
+    } catch (error) {
+        if (!error.payoutReason) {
+            throw error;
+        }
+        console.error('Payout ledger posting failed:', payment.unique_id, error.payoutReason);
+        return { success: false, reason: error.payoutReason };
+    }
+}
+
+async function updateUserBalance(userId, amount, operation, paymentId = null, session = null) {
+    const sourceType = operation === 'debit' ? 'payout' : 'payout_refund';
+    const options = {
+        sourceType: sourceType,
+        sourceId: paymentId,
+        idempotencyKey: paymentId ? `${sourceType}:${paymentId}` : null,
+        session: session,
+        description: operation === 'debit' ? 'Payout completed' : 'Payout refunded'
+    };
+    return operation === 'debit'
+        ? debitUser(userId, { points: amount }, options)
+        : creditUser(userId, { points: amount }, options);
 }
 
 function getMinimumPayoutAmount(method) {
@@ -515,9 +574,8 @@ function getMinimumPayoutAmount(method) {
 }
 
 function getMaximumPayoutAmount(user, method) {
-    const baseMax = 50000; // 50,000 points = $5,000
-    const userLevelMultiplier = user.user_level / 10; // Higher level = higher limits
-    return Math.min(baseMax * userLevelMultiplier, 100000); // Cap at 100,000 points
+    // The payout cap is a level perk (see config.levels)
+    return getLevelPerks(user.user_level).max_payout_points;
 }
 
 async function checkPayoutLimits(userId, amount, method) {
@@ -0,0 +1,154 @@
+/**
+ * Points Lots - INGAIN Platform
+ *
+ * This module keeps a user's points lots in step with their ledger wallet. The
+ * ledger opens a lot for every points credit and consumes lots, oldest first,
+ * for every points debit except expiries (the expiry job closes the expired
+ * lot itself). Points earned before lots were tracked have no lot and never
+ * expire.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const PointsLot = require('../core/models/Technical/PointsLot');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calculate when points earned at a given time expire under the current policy
+ *
+ * @param {Date} earnedAt - When the points were earned
+ * @returns {Date|null} Expiry date, or null when points do not expire
+ */
+function calculateLotExpiry(earnedAt = new Date()) {
+    const policy = config.pointsExpiry;
+    if (!policy.enabled || !(policy.expiryMonths > 0)) {
+        return null;
+    }
+
+    const expiresAt = new Date(earnedAt);
+    expiresAt.setUTCMonth(expiresAt.getUTCMonth() + policy.expiryMonths);
+    return expiresAt;
+}
+
+/**
+ * Open a lot for a points credit
+ *
+ * @param {string} userId - User's unique ID
+ * @param {number} amount - Points credited
+ * @param {Object} options - Lot details
+ * @param {string} options.sourceType - Ledger source type of the credit
+ * @param {string} options.sourceId - Source record ID (optional)
+ * @param {string} options.transactionId - Ledger transaction ID (optional)
+ * @param {ClientSession} options.session - Mongo session of the enclosing transaction (optional)
+ * @returns {Promise<Object>} Created lot
+ */
+async function openPointsLot(userId, amount, options = {}) {
+    const earnedAt = new Date();
+    const [lot] = await PointsLot.create([{
+        user_id: userId,
+        source_type: options.sourceType,
+        source_id: options.sourceId || null,
+        ledger_transaction_id: options.transactionId || null,
+        original_amount: amount,
+        remaining_amount: amount,
+        earned_at: earnedAt,
+        expires_at: calculateLotExpiry(earnedAt)
+    }], { session: options.session || null });
+
+    return lot;
+}
+
+/**
+ * Consume points from a user's open lots, oldest first
+ *
+ * Each lot is decremented atomically, so concurrent debits never take the same
+ * points twice. Whatever the lots cannot cover came from untracked points.
+ *
+ * @param {string} userId - User's unique ID
+ * @param {number} amount - Points debited
+ * @param {Object} options - { session }
+ * @returns {Promise<Object>} { consumed, untracked, lots: [{ lot_id, amount }] }
+ */
+async function consumePointsLots(userId, amount, options = {}) {
+    const session = options.session || null;
+    let outstanding = amount;
+    const consumedLots = [];
+
+    while (outstanding > 0) {
+        const lot = await PointsLot.findOne({ user_id: userId, status: 'active', remaining_amount: { $gt: 0 } })
+            .sort({ earned_at: 1, _id: 1 })
+            .session(session);
+
+        if (!lot) {
+            break;
+        }
+
+        const take = Math.min(outstanding, lot.remaining_amount);
+        const result = await PointsLot.updateOne(
+            { _id: lot._id, status: 'active', remaining_amount: { $gte: take } },
+            [{
+                $set: {
+                    remaining_amount: { $subtract: ['$remaining_amount', take] },
+                    status: { $cond: [{ $eq: ['$remaining_amount', take] }, 'consumed', 'active'] }
+                }
+            }],
+            { session }
+        );
+
+        // Another debit or the expiry job got to the lot first; look again
+        if (result.modifiedCount === 0) {
+            continue;
+        }
+
+        outstanding -= take;
+        consumedLots.push({ lot_id: lot.unique_id, amount: take });
+    }
+
+    return {
+        consumed: amount - outstanding,
+        untracked: outstanding,
+        lots: consumedLots
+    };
+}
+
+/**
+ * Get a user's points that expire within a number of days
+ *
+ * @param {string} userId - User's unique ID
+ * @param {Object} options - { days (defaults to the furthest reminder), now }
+ * @returns {Promise<Object>} Total expiring and a per-day schedule
+ */
+async function getUpcomingExpirations(userId, options = {}) {
+    const now = options.now || new Date();
+    const days = options.days || Math.max(...config.pointsExpiry.reminderDays);
+
+    const lots = await PointsLot.find({
+        user_id: userId,
+        status: 'active',
+        remaining_amount: { $gt: 0 },
+        expires_at: { $gt: now, $lte: new Date(now.getTime() + days * DAY_MS) }
+    }).sort({ expires_at: 1 }).lean();
+
+    const byDate = new Map();
+    lots.forEach(lot => {
+        const date = lot.expires_at.toISOString().slice(0, 10);
+        byDate.set(date, (byDate.get(date) || 0) + lot.remaining_amount);
+    });
+
+    return {
+        window_days: days,
+        total_points_expiring: lots.reduce((sum, lot) => sum + lot.remaining_amount, 0),
+        next_expiry_at: lots.length > 0 ? lots[0].expires_at : null,
+        schedule: Array.from(byDate, ([date, points]) => ({ date, points }))
+    };
+}
+
+module.exports = {
+    calculateLotExpiry,
+    openPointsLot,
+    consumePointsLots,
+    getUpcomingExpirations
+};
@@ -0,0 +1,738 @@
+/**
+ * Points Transfer Algorithms - INGAIN Platform
+ *
+ * This module lets users send points to each other:
+ * - Senders need a minimum account age and level and stay within daily limits;
+ *   recipients within a daily receiving limit
+ * - Both parties are screened with analyzeFraud('user', ...); high scores hold
+ *   the transfer for admin review, very high scores block it
+ * - Points leave the sender at once and are held until the recipient accepts
+ *   them; declined, cancelled, rejected and expired transfers are refunded
+ * - Admins get a report of transfer rings: groups of accounts whose transfers
+ *   lead back to each other
+ *
+ * Every leg is a points_transfer ledger transaction, so the
+ * system:points_transfer account holds exactly the points of open transfers.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const PointsTransfer = require('../core/models/Technical/PointsTransfer');
+const PlatformUser = require('../core/models/App/PlatformUser');
+const Notification = require('../core/models/Technical/Notification');
+const { creditUser, debitUser } = require('./ledger');
+const { runInTransaction } = require('./transactions');
+const { analyzeFraud } = require('./fraudAlgorithms');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Send points to another user
+ *
+ * @param {string} senderId - Sender's unique ID
+ * @param {Object} params - Transfer details
+ * @param {string} params.recipientReferralCode - Recipient's referral code (or recipientEmail)
+ * @param {string} params.recipientEmail - Recipient's email (or recipientReferralCode)
+ * @param {number} params.amount - Points to send
+ * @param {string} params.message - Note to the recipient (optional)
+ * @param {string} params.ipAddress - Sender's IP address (optional)
+ * @returns {Promise<Object>} { success, transfer, balances } or { success: false, reason }
+ */
+async function createPointsTransfer(senderId, params) {
+    const transferConfig = config.transfers;
+    const amount = params.amount;
+    const now = new Date();
+
+    try {
+        if (!Number.isInteger(amount) || amount < transferConfig.minAmount || amount > transferConfig.maxAmount) {
+            return {
+                success: false,
+                reason: "invalid_amount",
+                min_amount: transferConfig.minAmount,
+                max_amount: transferConfig.maxAmount
+            };
+        }
+
+        const sender = await PlatformUser.findOne({ unique_id: senderId })
+            .select('unique_id is_active user_level created_at');
+        if (!sender || !sender.is_active) {
+            return { success: false, reason: "user_not_found" };
+        }
+
+        const accountAgeDays = Math.floor((now - sender.created_at) / DAY_MS);
+        if (accountAgeDays < transferConfig.minAccountAgeDays) {
+            return {
+                success: false,
+                reason: "account_too_new",
+                min_account_age_days: transferConfig.minAccountAgeDays
+            };
+        }
+        if ((sender.user_level || 1) < transferConfig.minUserLevel) {
+            return { success: false, reason: "level_too_low", min_user_level: transferConfig.minUserLevel };
+        }
+
+        const recipient = await findRecipient(params);
+        if (!recipient || !recipient.is_active) {
+            return { success: false, reason: "recipient_not_found" };
+        }
+        if (recipient.unique_id === senderId) {
+            return { success: false, reason: "self_transfer" };
+        }
+
+        const since = new Date(now.getTime() - DAY_MS);
+        const received = await PointsTransfer.getRecentTotals('recipient_id', recipient.unique_id, since);
+        if (received.amount + amount > transferConfig.dailyReceiveLimit) {
+            return { success: false, reason: "recipient_daily_limit_reached" };
+        }
+
+        // Refuse transfers over the sender's limits before screening files any fraud reports
+        const sentBefore = await PointsTransfer.getRecentTotals('sender_id', senderId, since);
+        const limitFailure = checkSenderLimits(sentBefore, amount);
+        if (limitFailure) {
+            return { success: false, ...limitFailure };
+        }
+
+        const transferId = uuidv4();
+        const screening = await screenTransfer(transferId, senderId, recipient.unique_id, amount);
+        const highestScore = Math.max(screening.sender.fraud_score, screening.recipient.fraud_score);
+
+        if (highestScore >= transferConfig.fraudBlockScore) {
+            const blocked = await PointsTransfer.create({
+                unique_id: transferId,
+                sender_id: senderId,
+                recipient_id: recipient.unique_id,
+                amount: amount,
+                message: params.message || null,
+                status: 'blocked',
+                fraud_screening: screening,
+                ip_address: params.ipAddress || null
+            });
+            return { success: false, reason: "transfer_blocked", transfer: blocked };
+        }
+
+        const heldForReview = highestScore >= transferConfig.fraudReviewScore;
+
+        const created = await runInTransaction(async session => {
+            // The sender's daily totals are read inside the transaction; concurrent
+            // transfers from the same sender conflict on the debit and retry
+            const sent = await PointsTransfer.getRecentTotals('sender_id', senderId, since, session);
+            const failure = checkSenderLimits(sent, amount);
+            if (failure) {
+                const { reason, ...details } = failure;
+                throw transferFailure(reason, details);
+            }
+
+            const debit = await debitUser(senderId, { points: amount }, {
+                sourceType: 'points_transfer',
+                sourceId: transferId,
+                actor: { type: 'user', id: senderId },
+                idempotencyKey: `points_transfer:${transferId}:send`,
+                session: session,
+                description: 'Points sent to another user',
+                metadata: { leg: 'send', recipient_id: recipient.unique_id }
+            });
+            if (!debit.success) {
+                if (debit.reason === 'insufficient_balance') {
+                    throw transferFailure("insufficient_points");
+                }
+                throw new Error(`Points transfer debit failed: ${debit.reason}`);
+            }
+
+            const [transfer] = await PointsTransfer.create([{
+                unique_id: transferId,
+                sender_id: senderId,
+                recipient_id: recipient.unique_id,
+                amount: amount,
+                message: params.message || null,
+                status: heldForReview ? 'pending_review' : 'pending_confirmation',
+                fraud_screening: screening,
+                expires_at: heldForReview ? null : new Date(now.getTime() + transferConfig.confirmationHours * HOUR_MS),
+                send_transaction_id: debit.transaction_id,
+                ip_address: params.ipAddress || null
+            }], { session });
+
+            return { transfer, balances: debit.balances };
+        });
+
+        if (!heldForReview) {
+            await notifyRecipient(created.transfer);
+        }
+
+        return {
+            success: true,
+            transfer: created.transfer,
+            balances: created.balances
+        };
+
+    } catch (error) {
+        if (error.transferReason) {
+            return { success: false, reason: error.transferReason, ...error.details };
+        }
+        console.error('Error in createPointsTransfer:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+/**
+ * Accept a transfer sent to the user; the points are credited to them
+ *
+ * @param {string} userId - Recipient's unique ID
+ * @param {string} transferId - PointsTransfer unique ID
+ * @returns {Promise<Object>} { success, transfer, balances } or { success: false, reason }
+ */
+async function acceptPointsTransfer(userId, transferId) {
+    try {
+        const now = new Date();
+        const settled = await settleTransfer(
+            {
+                unique_id: transferId,
+                recipient_id: userId,
+                status: 'pending_confirmation',
+                expires_at: { $gt: now }
+            },
+            'completed',
+            { type: 'user', id: userId },
+            now
+        );
+
+        if (!settled) {
+            return diagnoseTransfer({ unique_id: transferId, recipient_id: userId, status: { $ne: 'blocked' } }, now);
+        }
+
+        await notifySender(settled.transfer, 'Points transfer accepted', `Your gift of ${settled.transfer.amount} points was accepted.`);
+
+        return { success: true, transfer: settled.transfer, balances: settled.balances };
+
+    } catch (error) {
+        console.error('Error in acceptPointsTransfer:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+/**
+ * Decline a transfer sent to the user; the points return to the sender
+ *
+ * @param {string} userId - Recipient's unique ID
+ * @param {string} transferId - PointsTransfer unique ID
+ * @returns {Promise<Object>} { success, transfer } or { success: false, reason }
+ */
+async function declinePointsTransfer(userId, transferId) {
+    try {
+        const now = new Date();
+        const settled = await settleTransfer(
+            { unique_id: transferId, recipient_id: userId, status: 'pending_confirmation' },
+            'declined',
+            { type: 'user', id: userId },
+            now
+        );
+
+        if (!settled) {
+            return diagnoseTransfer({ unique_id: transferId, recipient_id: userId, status: { $ne: 'blocked' } }, now);
+        }
+
+        await notifySender(settled.transfer, 'Points transfer declined', `Your gift of ${settled.transfer.amount} points was declined and refunded.`);
+
+        return { success: true, transfer: settled.transfer };
+
+    } catch (error) {
+        console.error('Error in declinePointsTransfer:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+/**
+ * Cancel a transfer the user sent before it is accepted; the points are refunded
+ *
+ * @param {string} userId - Sender's unique ID
+ * @param {string} transferId - PointsTransfer unique ID
+ * @returns {Promise<Object>} { success, transfer, balances } or { success: false, reason }
+ */
+async function cancelPointsTransfer(userId, transferId) {
+    try {
+        const now = new Date();
+        const settled = await settleTransfer(
+            { unique_id: transferId, sender_id: userId, status: { $in: ['pending_review', 'pending_confirmation'] } },
+            'cancelled',
+            { type: 'user', id: userId },
+            now
+        );
+
+        if (!settled) {
+            return diagnoseTransfer({ unique_id: transferId, sender_id: userId }, now);
+        }
+
+        return { success: true, transfer: settled.transfer, balances: settled.balances };
+
+    } catch (error) {
+        console.error('Error in cancelPointsTransfer:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+/**
+ * Approve or reject a transfer held for review
+ *
+ * Approved transfers go to the recipient for confirmation; rejected ones are
+ * refunded to the sender.
+ *
+ * @param {string} adminId - Reviewing admin's unique ID
+ * @param {string} transferId - PointsTransfer unique ID
+ * @param {string} decision - approve | reject
+ * @param {string} notes - Review notes (optional)
+ * @returns {Promise<Object>} { success, transfer } or { success: false, reason }
+ */
+async function reviewPointsTransfer(adminId, transferId, decision, notes = null) {
+    try {
+        if (!['approve', 'reject'].includes(decision)) {
+            return { success: false, reason: "invalid_decision" };
+        }
+
+        const now = new Date();
+        const review = { reviewed_by: adminId, reviewed_at: now, review_notes: notes };
+        let transfer;
+
+        if (decision === 'approve') {
+            transfer = await PointsTransfer.findOneAndUpdate(
+                { unique_id: transferId, status: 'pending_review' },
+                {
+                    $set: {
+                        ...review,
+                        status: 'pending_confirmation',
+                        expires_at: new Date(now.getTime() + config.transfers.confirmationHours * HOUR_MS)
+                    }
+                },
+                { new: true }
+            );
+            if (transfer) {
+                await notifyRecipient(transfer);
+            }
+        } else {
+            const settled = await settleTransfer(
+                { unique_id: transferId, status: 'pending_review' },
+                'rejected',
+                { type: 'admin', id: adminId },
+                now,
+                review
+            );
+            transfer = settled ? settled.transfer : null;
+            if (transfer) {
+                await notifySender(transfer, 'Points transfer rejected', `Your gift of ${transfer.amount} points did not pass review and was refunded.`);
+            }
+        }
+
+        if (!transfer) {
+            return diagnoseTransfer({ unique_id: transferId }, now);
+        }
+
+        return { success: true, transfer };
+
+    } catch (error) {
+        console.error('Error in reviewPointsTransfer:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+/**
+ * Refund a transfer the recipient did not accept in time
+ *
+ * @param {string} transferId - PointsTransfer unique ID
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object|null>} Expired transfer, or null if it was settled meanwhile
+ */
+async function expirePointsTransfer(transferId, now = new Date()) {
+    const settled = await settleTransfer(
+        { unique_id: transferId, status: 'pending_confirmation', expires_at: { $lte: now } },
+        'expired',
+        { type: 'system', id: null },
+        now
+    );
+    if (!settled) {
+        return null;
+    }
+
+    await notifySender(settled.transfer, 'Points transfer expired', `Your gift of ${settled.transfer.amount} points was not accepted in time and was refunded.`);
+    return settled.transfer;
+}
+
+/**
+ * Find transfer rings: groups of accounts whose transfers lead back to each other
+ *
+ * Each ring is a strongly connected group of the transfer graph (every member
+ * can reach every other member through transfers), so points sent out by one
+ * member can come back to them.
+ *
+ * @param {Object} options - Report options
+ * @param {number} options.days - Look-back window in days (default 30)
+ * @param {number} options.minTransfers - Fewest transfers inside a ring to report it (default 3)
+ * @returns {Promise<Object>} { success, since, rings } or { success: false, reason }
+ */
+async function findTransferRings(options = {}) {
+    try {
+        const days = options.days || 30;
+        const minTransfers = options.minTransfers || 3;
+        const since = new Date(Date.now() - days * DAY_MS);
+
+        const edges = await PointsTransfer.aggregate([
+            {
+                $match: {
+                    created_at: { $gte: since },
+                    status: { $in: ['pending_review', 'pending_confirmation', 'completed'] }
+                }
+            },
+            {
+                $group: {
+                    _id: { sender_id: '$sender_id', recipient_id: '$recipient_id' },
+                    transfers: { $sum: 1 },
+                    amount: { $sum: '$amount' },
+                    first_at: { $min: '$created_at' },
+                    last_at: { $max: '$created_at' }
+                }
+            }
+        ]);
+
+        const graph = new Map();
+        edges.forEach(edge => {
+            const { sender_id: from, recipient_id: to } = edge._id;
+            if (!graph.has(from)) graph.set(from, []);
+            if (!graph.has(to)) graph.set(to, []);
+            graph.get(from).push(to);
+        });
+
+        const rings = [];
+        for (const members of findStronglyConnectedGroups(graph)) {
+            if (members.length < 2) {
+                continue;
+            }
+
+            const memberSet = new Set(members);
+            const ringEdges = edges.filter(edge =>
+                memberSet.has(edge._id.sender_id) && memberSet.has(edge._id.recipient_id)
+            );
+            const transfers = ringEdges.reduce((sum, edge) => sum + edge.transfers, 0);
+            if (transfers < minTransfers) {
+                continue;
+            }
+
+            rings.push({
+                member_ids: members,
+                transfers: transfers,
+                total_points: ringEdges.reduce((sum, edge) => sum + edge.amount, 0),
+                first_transfer_at: new Date(Math.min(...ringEdges.map(edge => edge.first_at))),
+                last_transfer_at: new Date(Math.max(...ringEdges.map(edge => edge.last_at))),
+                links: ringEdges.map(edge => ({
+                    sender_id: edge._id.sender_id,
+                    recipient_id: edge._id.recipient_id,
+                    transfers: edge.transfers,
+                    amount: edge.amount
+                }))
+            });
+        }
+
+        const memberIds = [...new Set(rings.flatMap(ring => ring.member_ids))];
+        const users = await PlatformUser.find({ unique_id: { $in: memberIds } })
+            .select('unique_id name email region user_level created_at is_active')
+            .lean();
+        const usersById = new Map(users.map(user => [user.unique_id, user]));
+
+        rings.forEach(ring => {
+            ring.members = ring.member_ids.map(id => usersById.get(id) || { unique_id: id });
+            delete ring.member_ids;
+        });
+        rings.sort((a, b) => b.total_points - a.total_points);
+
+        return { success: true, since, rings };
+
+    } catch (error) {
+        console.error('Error in findTransferRings:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+// Helper Functions
+
+/**
+ * Build the error that aborts a transfer transaction for a business reason
+ *
+ * @param {string} reason - Failure reason returned to the caller
+ * @param {Object} details - Extra fields returned with the reason (optional)
+ * @returns {Error} Error carrying the reason
+ */
+function transferFailure(reason, details = {}) {
+    const error = new Error(`Points transfer failed: ${reason}`);
+    error.transferReason = reason;
+    error.details = details;
+    return error;
+}
+
+/**
+ * Look up the recipient by referral code or email
+ *
+ * @param {Object} params - { recipientReferralCode, recipientEmail }
+ * @returns {Promise<Object|null>} PlatformUser document
+ */
+async function findRecipient(params) {
+    let query = null;
+    if (params.recipientReferralCode) {
+        query = { referral_code: String(params.recipientReferralCode).trim() };
+    } else if (params.recipientEmail) {
+        query = { email: String(params.recipientEmail).trim().toLowerCase() };
+    }
+    if (!query) {
+        return null;
+    }
+    return PlatformUser.findOne(query).select('unique_id is_active');
+}
+
+/**
+ * Screen both parties of a transfer for fraud
+ *
+ * @param {string} transferId - PointsTransfer unique ID
+ * @param {string} senderId - Sender's unique ID
+ * @param {string} recipientId - Recipient's unique ID
+ * @param {number} amount - Points sent
+ * @returns {Promise<Object>} { sender, recipient } screening results
+ */
+async function screenTransfer(transferId, senderId, recipientId, amount) {
+    const context = { type: 'points_transfer', transfer_id: transferId, amount: amount };
+    const [senderAnalysis, recipientAnalysis] = await Promise.all([
+        analyzeFraud('user', senderId, { ...context, role: 'sender', counterparty_id: recipientId }),
+        analyzeFraud('user', recipientId, { ...context, role: 'recipient', counterparty_id: senderId })
+    ]);
+
+    const summarize = analysis => ({
+        fraud_score: analysis.fraud_score,
+        fraud_level: analysis.fraud_level,
+        fraud_flags: analysis.fraud_flags,
+        automatic_action: analysis.automatic_action
+    });
+
+    return { sender: summarize(senderAnalysis), recipient: summarize(recipientAnalysis) };
+}
+
+/**
+ * Check a new transfer against the sender's daily transfer count and amount
+ *
+ * @param {Object} sent - Sender's totals over the last 24 hours { count, amount }
+ * @param {number} amount - Points to send
+ * @returns {Object|null} { reason, ... } if a limit is reached, otherwise null
+ */
+function checkSenderLimits(sent, amount) {
+    const transferConfig = config.transfers;
+
+    if (sent.count >= transferConfig.maxTransfersPerDay) {
+        return {
+            reason: "daily_transfer_count_reached",
+            max_transfers_per_day: transferConfig.maxTransfersPerDay
+        };
+    }
+    if (sent.amount + amount > transferConfig.dailySendLimit) {
+        return {
+            reason: "daily_send_limit_reached",
+            daily_send_limit: transferConfig.dailySendLimit,
+            sent_today: sent.amount
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Close an open transfer and credit its points to the recipient or back to the sender
+ *
+ * The status change and the credit commit together, so a transfer is settled
+ * exactly once.
+ *
+ * @param {Object} filter - Query matching the transfer in a settleable state
+ * @param {string} status - completed | declined | cancelled | rejected | expired
+ * @param {Object} actor - Ledger actor { type, id }
+ * @param {Date} now - Settlement time
+ * @param {Object} extraFields - Fields to set with the status (optional)
+ * @returns {Promise<Object|null>} { transfer, balances } or null if no transfer matched
+ */
+async function settleTransfer(filter, status, actor, now, extraFields = {}) {
+    return runInTransaction(async session => {
+        const transfer = await PointsTransfer.findOneAndUpdate(
+            filter,
+            { $set: { ...extraFields, status: status, settled_at: now } },
+            { new: true, session }
+        );
+        if (!transfer) {
+            return null;
+        }
+
+        const completed = status === 'completed';
+        const payeeId = completed ? transfer.recipient_id : transfer.sender_id;
+
+        const credit = await creditUser(payeeId, { points: transfer.amount }, {
+            sourceType: 'points_transfer',
+            sourceId: transfer.unique_id,
+            actor: actor,
+            idempotencyKey: `points_transfer:${transfer.unique_id}:settle`,
+            session: session,
+            description: completed ? 'Points received from another user' : `Points transfer ${status}, refunded`,
+            metadata: {
+                leg: completed ? 'receive' : 'refund',
+                sender_id: transfer.sender_id,
+                recipient_id: transfer.recipient_id
+            }
+        });
+        if (!credit.success) {
+            throw new Error(`Points transfer credit failed: ${credit.reason}`);
+        }
+
+        transfer.settle_transaction_id = credit.transaction_id;
+        await PointsTransfer.updateOne(
+            { _id: transfer._id },
+            { $set: { settle_transaction_id: credit.transaction_id } },
+            { session }
+        );
+
+        return { transfer, balances: credit.balances };
+    });
+}
+
+/**
+ * Explain why a transfer could not be changed
+ *
+ * @param {Object} filter - Query matching the transfer for the caller
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { success: false, reason, status }
+ */
+async function diagnoseTransfer(filter, now) {
+    const transfer = await PointsTransfer.findOne(filter).select('status expires_at');
+    if (!transfer) {
+        return { success: false, reason: "transfer_not_found" };
+    }
+    if (transfer.status === 'pending_confirmation' && transfer.expires_at && transfer.expires_at <= now) {
+        return { success: false, reason: "transfer_expired", status: transfer.status };
+    }
+    return { success: false, reason: "transfer_not_pending", status: transfer.status };
+}
+
+/**
+ * Ask the recipient to accept a transfer
+ *
+ * Notification failures are logged; the transfer itself already succeeded.
+ *
+ * @param {Object} transfer - PointsTransfer document
+ */
+async function notifyRecipient(transfer) {
+    await Notification.create({
+        user_id: transfer.recipient_id,
+        notification_type: 'points_transfer_received',
+        title: 'You received points!',
+        message: `Someone sent you ${transfer.amount} points. Accept them before they expire.`,
+        data: {
+            transfer_id: transfer.unique_id,
+            sender_id: transfer.sender_id,
+            amount: transfer.amount,
+            message: transfer.message,
+            expires_at: transfer.expires_at
+        }
+    }).catch(error => console.error('Points transfer notification error:', error));
+}
+
+/**
+ * Tell the sender how a transfer ended
+ *
+ * @param {Object} transfer - PointsTransfer document
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ */
+async function notifySender(transfer, title, message) {
+    await Notification.create({
+        user_id: transfer.sender_id,
+        notification_type: 'points_transfer_update',
+        title: title,
+        message: message,
+        data: {
+            transfer_id: transfer.unique_id,
+            recipient_id: transfer.recipient_id,
+            amount: transfer.amount,
+            status: transfer.status
+        }
+    }).catch(error => console.error('Points transfer notification error:', error));
+}
+
+/**
+ * Group a directed graph into strongly connected components (Tarjan's algorithm)
+ *
+ * Iterative, so long transfer chains cannot overflow the stack.
+ *
+ * @param {Map<string, Array<string>>} graph - Adjacency lists
+ * @returns {Array<Array<string>>} Components
+ */
+function findStronglyConnectedGroups(graph) {
+    const index = new Map();
+    const lowLink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const groups = [];
+    let nextIndex = 0;
+
+    for (const start of graph.keys()) {
+        if (index.has(start)) {
+            continue;
+        }
+
+        const work = [{ node: start, next: 0 }];
+        index.set(start, nextIndex);
+        lowLink.set(start, nextIndex);
+        nextIndex++;
+        stack.push(start);
+        onStack.add(start);
+
+        while (work.length > 0) {
+            const frame = work[work.length - 1];
+            const neighbours = graph.get(frame.node);
+
+            if (frame.next < neighbours.length) {
+                const neighbour = neighbours[frame.next++];
+                if (!index.has(neighbour)) {
+                    index.set(neighbour, nextIndex);
+                    lowLink.set(neighbour, nextIndex);
+                    nextIndex++;
+                    stack.push(neighbour);
+                    onStack.add(neighbour);
+                    work.push({ node: neighbour, next: 0 });
+                } else if (onStack.has(neighbour)) {
+                    lowLink.set(frame.node, Math.min(lowLink.get(frame.node), index.get(neighbour)));
+                }
+                continue;
+            }
+
+            work.pop();
+            if (work.length > 0) {
+                const parent = work[work.length - 1].node;
+                lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.node)));
+            }
+
+            if (lowLink.get(frame.node) === index.get(frame.node)) {
+                const group = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    group.push(member);
+                } while (member !== frame.node);
+                groups.push(group);
+            }
+        }
+    }
+
+    return groups;
+}
+
+module.exports = {
+    createPointsTransfer,
+    acceptPointsTransfer,
+    declinePointsTransfer,
+    cancelPointsTransfer,
+    reviewPointsTransfer,
+    expirePointsTransfer,
+    findTransferRings
+};
@@ -0,0 +1,255 @@
+/**
+ * QR Code Algorithms - INGAIN Platform
+ *
+ * This module renders QR codes for share links as PNG or SVG, with configurable
+ * size and error correction and an optional app logo composited in the center.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const dns = require('dns');
+const net = require('net');
+const https = require('https');
+const QRCode = require('qrcode');
+const axios = require('axios');
+
+const QR_FORMATS = ['png', 'svg'];
+const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+const MIN_SIZE = 128;
+const MAX_SIZE = 2048;
+const DEFAULT_SIZE = 512;
+const LOGO_SIZE_RATIO = 0.22;
+const LOGO_FETCH_TIMEOUT_MS = 5000;
+
+// Logos are host-controlled URLs, so they are never fetched from private,
+// loopback, link-local (cloud metadata) or otherwise non-public addresses
+// (IPv4-mapped IPv6 addresses are checked against the IPv4 ranges)
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Validate and normalize QR code options
+ *
+ * @param {Object} options - Raw options (usually from the query string)
+ * @param {string} options.format - png or svg
+ * @param {number|string} options.size - Image width and height in pixels
+ * @param {string} options.ecc - Error correction level (L, M, Q, H)
+ * @param {boolean|string} options.logo - Whether to place the app logo in the center
+ * @returns {Object} Normalized options, or { valid: false, reason } when invalid
+ */
+function normalizeQrOptions(options = {}) {
+    const format = (options.format || 'png').toLowerCase();
+    if (!QR_FORMATS.includes(format)) {
+        return { valid: false, reason: "invalid_format" };
+    }
+
+    const size = options.size ? parseInt(options.size) : DEFAULT_SIZE;
+    if (isNaN(size) || size < MIN_SIZE || size > MAX_SIZE) {
+        return { valid: false, reason: "invalid_size" };
+    }
+
+    const withLogo = options.logo === true || options.logo === 'true';
+
+    // A centered logo hides modules, so default to the highest recovery level
+    const ecc = (options.ecc || (withLogo ? 'H' : 'M')).toUpperCase();
+    if (!ERROR_CORRECTION_LEVELS.includes(ecc)) {
+        return { valid: false, reason: "invalid_error_correction" };
+    }
+
+    return { valid: true, format, size, ecc, withLogo };
+}
+
+/**
+ * Render a QR code for a URL
+ *
+ * @param {string} url - URL to encode
+ * @param {Object} options - Normalized options from normalizeQrOptions
+ * @param {string} logoUrl - App logo URL (optional)
+ * @returns {Promise<Object>} { content_type, body, logo_applied }
+ */
+async function generateQrCode(url, options, logoUrl = null) {
+    const qrOptions = {
+        errorCorrectionLevel: options.ecc,
+        width: options.size,
+        margin: 2
+    };
+
+    const logo = options.withLogo && logoUrl ? await fetchLogo(logoUrl) : null;
+
+    if (options.format === 'svg') {
+        const svg = await QRCode.toString(url, { ...qrOptions, type: 'svg' });
+        const svgWithLogo = logo ? await applyLogo(() => embedSvgLogo(svg, logo)) : null;
+        return { content_type: 'image/svg+xml', body: svgWithLogo || svg, logo_applied: !!svgWithLogo };
+    }
+
+    const png = await QRCode.toBuffer(url, { ...qrOptions, type: 'png' });
+    const pngWithLogo = logo ? await applyLogo(() => compositePngLogo(png, logo, options.size)) : null;
+    return { content_type: 'image/png', body: pngWithLogo || png, logo_applied: !!pngWithLogo };
+}
+
+// Helper Functions
+
+/**
+ * Download an app logo, returning null when it cannot be fetched
+ *
+ * Only https URLs whose host resolves to public addresses are fetched. The
+ * connection is pinned to the checked address and redirects are not followed.
+ *
+ * @param {string} logoUrl - Logo URL
+ * @returns {Promise<Buffer|null>} Logo image buffer
+ */
+async function fetchLogo(logoUrl) {
+    try {
+        const address = await resolvePublicLogoAddress(logoUrl);
+        if (!address) {
+            console.warn('QR logo fetch refused for non-public URL:', logoUrl);
+            return null;
+        }
+
+        const response = await axios.get(logoUrl, {
+            responseType: 'arraybuffer',
+            timeout: LOGO_FETCH_TIMEOUT_MS,
+            maxContentLength: 2 * 1024 * 1024,
+            maxRedirects: 0,
+            proxy: false,
+            httpsAgent: new https.Agent({
+                lookup: (hostname, options, callback) => options.all
+                    ? callback(null, [address])
+                    : callback(null, address.address, address.family)
+            })
+        });
+        return Buffer.from(response.data);
+    } catch (error) {
+        console.warn('QR logo fetch failed:', logoUrl, error.message);
+        return null;
+    }
+}
+
+/**
+ * Resolve a logo URL's host, accepting only https URLs on public addresses
+ *
+ * @param {string} logoUrl - Logo URL
+ * @returns {Promise<Object|null>} { address, family } to connect to, or null if refused
+ */
+async function resolvePublicLogoAddress(logoUrl) {
+    let url;
+    try {
+        url = new URL(logoUrl);
+    } catch (error) {
+        return null;
+    }
+    if (url.protocol !== 'https:' || url.username || url.password) {
+        return null;
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(hostname)
+        ? [{ address: hostname, family: net.isIP(hostname) }]
+        : await dns.promises.lookup(hostname, { all: true }).catch(() => []);
+
+    const isPublic = ({ address, family }) =>
+        !NON_PUBLIC_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+    if (addresses.length === 0 || !addresses.every(isPublic)) {
+        return null;
+    }
+
+    return addresses[0];
+}
+
+/**
+ * Run a logo rendering step, returning null instead of failing the whole QR code
+ *
+ * @param {Function} render - Async rendering step
+ * @returns {Promise<*>} Rendered output or null
+ */
+async function applyLogo(render) {
+    try {
+        return await render();
+    } catch (error) {
+        console.warn('QR logo rendering failed:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Resize a logo onto a white square tile so it stays readable on the QR code
+ *
+ * @param {Buffer} logo - Logo image buffer
+ * @param {number} tileSize - Tile width and height in pixels
+ * @returns {Promise<Buffer>} PNG tile
+ */
+async function renderLogoTile(logo, tileSize) {
+    const sharp = require('sharp');
+    const padding = Math.max(2, Math.round(tileSize * 0.08));
+
+    return sharp(logo)
+        .resize(tileSize - padding * 2, tileSize - padding * 2, {
+            fit: 'contain',
+            background: { r: 255, g: 255, b: 255, alpha: 1 }
+        })
+        .extend({
+            top: padding,
+            bottom: padding,
+            left: padding,
+            right: padding,
+            background: { r: 255, g: 255, b: 255, alpha: 1 }
+        })
+        .png()
+        .toBuffer();
+}
+
+/**
+ * Composite a logo in the center of a PNG QR code
+ *
+ * @param {Buffer} qrPng - QR code PNG
+ * @param {Buffer} logo - Logo image buffer
+ * @param {number} size - QR code size in pixels
+ * @returns {Promise<Buffer>} PNG with logo
+ */
+async function compositePngLogo(qrPng, logo, size) {
+    const sharp = require('sharp');
+    const tile = await renderLogoTile(logo, Math.round(size * LOGO_SIZE_RATIO));
+
+    return sharp(qrPng)
+        .composite([{ input: tile, gravity: 'center' }])
+        .png()
+        .toBuffer();
+}
+
+/**
+ * Embed a logo as a data URI image in the center of an SVG QR code
+ *
+ * @param {string} svg - QR code SVG markup
+ * @param {Buffer} logo - Logo image buffer
+ * @returns {Promise<string>} SVG with logo
+ */
+async function embedSvgLogo(svg, logo) {
+    const viewBox = svg.match(/viewBox="0 0 (\d+) (\d+)"/);
+    if (!viewBox) {
+        return svg;
+    }
+
+    const modules = parseInt(viewBox[1]);
+    const logoModules = modules * LOGO_SIZE_RATIO;
+    const offset = (modules - logoModules) / 2;
+    const tile = await renderLogoTile(logo, 256);
+
+    const image = `<image x="${offset}" y="${offset}" width="${logoModules}" height="${logoModules}" ` +
+        `href="data:image/png;base64,${tile.toString('base64')}"/>`;
+
+    return svg.replace('</svg>', `${image}</svg>`);
+}
+
+module.exports = {
+    normalizeQrOptions,
+    generateQrCode,
+    QR_FORMATS,
+    ERROR_CORRECTION_LEVELS
+};
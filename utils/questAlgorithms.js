@@ -0,0 +1,550 @@
+/**
+ * Quest Algorithms - INGAIN Platform
+ *
+ * This module runs daily and weekly quests:
+ * - Quests are assigned lazily, per user and per period, the first time the
+ *   user's quests are listed or an event is recorded in a new period
+ * - Periods follow the user's timezone: daily quests reset at local midnight,
+ *   weekly quests at local Monday midnight
+ * - Share, referral and tournament events advance matching objectives
+ * - Completed quests are claimed for their XP and points through the ledger
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const QuestTemplate = require('../core/models/Common/QuestTemplate');
+const UserQuest = require('../core/models/App/UserQuest');
+const PlatformUser = require('../core/models/App/PlatformUser');
+const App = require('../core/models/App/App');
+const Notification = require('../core/models/Technical/Notification');
+const { creditUser } = require('./ledger');
+const { runInTransaction } = require('./transactions');
+const { getUserTimezone, getLocalDateKey } = require('./streakAlgorithms');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Get the period a quest cadence is in at a given time
+ *
+ * @param {string} cadence - daily | weekly
+ * @param {Date} now - Reference time
+ * @param {string} timezone - IANA timezone name
+ * @returns {Object} { period_key, starts_at, ends_at }
+ */
+function getQuestPeriod(cadence, now, timezone) {
+    const today = getLocalDateKey(now, timezone);
+
+    if (cadence === 'weekly') {
+        // ISO weeks start on Monday
+        const weekday = (new Date(parseDateKey(today)).getUTCDay() + 6) % 7;
+        const monday = shiftDateKey(today, -weekday);
+        return {
+            period_key: getIsoWeekKey(monday),
+            starts_at: getLocalMidnight(monday, timezone),
+            ends_at: getLocalMidnight(shiftDateKey(monday, 7), timezone)
+        };
+    }
+
+    return {
+        period_key: today,
+        starts_at: getLocalMidnight(today, timezone),
+        ends_at: getLocalMidnight(shiftDateKey(today, 1), timezone)
+    };
+}
+
+/**
+ * Make sure a user has their quests for the current daily and weekly periods
+ *
+ * Quests from earlier periods that were never completed are expired.
+ *
+ * @param {Object} user - PlatformUser document
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Promise<Array>} The user's active quests
+ */
+async function assignUserQuests(user, now = new Date()) {
+    const timezone = getUserTimezone(user);
+
+    await UserQuest.updateMany(
+        { user_id: user.unique_id, status: 'active', ends_at: { $lte: now } },
+        { $set: { status: 'expired' } }
+    );
+
+    const templates = (await QuestTemplate.findLive(now)).filter(template => template.isAvailableTo(user));
+
+    for (const cadence of ['daily', 'weekly']) {
+        const cadenceTemplates = templates.filter(template => template.cadence === cadence);
+        if (cadenceTemplates.length === 0) {
+            continue;
+        }
+
+        const period = getQuestPeriod(cadence, now, timezone);
+        const assigned = await UserQuest.find({
+            user_id: user.unique_id,
+            cadence: cadence,
+            period_key: period.period_key
+        }).select('template_id rotation_group').lean();
+
+        const assignedTemplates = new Set(assigned.map(quest => quest.template_id));
+        const assignedGroups = new Set(assigned.filter(quest => quest.rotation_group).map(quest => quest.rotation_group));
+
+        for (const template of pickRotation(cadenceTemplates, user.unique_id, period.period_key)) {
+            if (assignedTemplates.has(template.unique_id) ||
+                (template.rotation_group && assignedGroups.has(template.rotation_group))) {
+                continue;
+            }
+
+            // Upsert so concurrent requests assign the quest once
+            await UserQuest.updateOne(
+                { user_id: user.unique_id, template_id: template.unique_id, period_key: period.period_key },
+                {
+                    $setOnInsert: {
+                        unique_id: uuidv4(),
+                        quest_key: template.quest_key,
+                        name: template.name,
+                        description: template.description || null,
+                        cadence: cadence,
+                        rotation_group: template.rotation_group || null,
+                        timezone: timezone,
+                        starts_at: period.starts_at,
+                        ends_at: period.ends_at,
+                        objectives: template.objectives.map(objective => ({
+                            event: objective.event,
+                            target: objective.target,
+                            description: objective.description || null,
+                            filters: objective.toObject().filters || {},
+                            progress: 0,
+                            completed_at: null
+                        })),
+                        xp_reward: template.xp_reward,
+                        points_reward: template.points_reward,
+                        status: 'active'
+                    }
+                },
+                { upsert: true }
+            );
+        }
+    }
+
+    return UserQuest.findActiveForUser(user.unique_id, now);
+}
+
+/**
+ * Advance a user's quests with an event
+ *
+ * Never throws: quest progress must not break the flow that raised the event.
+ *
+ * @param {string} userId - User's unique ID
+ * @param {string} event - share_created | share_verified | referral_completed | tournament_joined
+ * @param {Object} context - Event details
+ * @param {string} context.event_id - ID of the record behind the event (share, referral...)
+ * @param {string} context.app_id - App involved (optional)
+ * @param {Array} context.categories - App categories (optional, looked up from app_id when needed)
+ * @param {string} context.tournament_id - Tournament involved (optional)
+ * @param {string} context.share_channel - Share channel (optional)
+ * @param {Date} context.occurred_at - When the event happened (defaults to now)
+ * @returns {Promise<Object>} { success, quests_progressed, quests_completed }
+ */
+async function recordQuestEvent(userId, event, context = {}) {
+    try {
+        const now = context.occurred_at || new Date();
+        const eventId = context.event_id || uuidv4();
+
+        const user = await PlatformUser.findOne({ unique_id: userId })
+            .select('unique_id region user_level preferences');
+        if (!user) {
+            return { success: false, reason: "user_not_found" };
+        }
+
+        const quests = await assignUserQuests(user, now);
+        let questsProgressed = 0;
+        let questsCompleted = 0;
+
+        for (const quest of quests) {
+            let progressed = false;
+
+            for (let index = 0; index < quest.objectives.length; index++) {
+                const objective = quest.objectives[index];
+                if (objective.event !== event || objective.progress >= objective.target) {
+                    continue;
+                }
+                if (!(await matchesObjectiveFilters(objective.filters, context))) {
+                    continue;
+                }
+
+                const countedKey = `${event}:${eventId}:${index}`;
+                const result = await UserQuest.updateOne(
+                    {
+                        _id: quest._id,
+                        status: 'active',
+                        counted_event_ids: { $ne: countedKey },
+                        [`objectives.${index}.progress`]: { $lt: objective.target }
+                    },
+                    {
+                        $inc: { [`objectives.${index}.progress`]: 1 },
+                        $push: { counted_event_ids: countedKey }
+                    }
+                );
+
+                if (result.modifiedCount > 0) {
+                    progressed = true;
+                    await UserQuest.updateOne(
+                        {
+                            _id: quest._id,
+                            [`objectives.${index}.progress`]: { $gte: objective.target },
+                            [`objectives.${index}.completed_at`]: null
+                        },
+                        { $set: { [`objectives.${index}.completed_at`]: now } }
+                    );
+                }
+            }
+
+            if (progressed) {
+                questsProgressed++;
+                if (await completeQuestIfDone(quest._id, now)) {
+                    questsCompleted++;
+                }
+            }
+        }
+
+        return { success: true, quests_progressed: questsProgressed, quests_completed: questsCompleted };
+
+    } catch (error) {
+        console.error('Error in recordQuestEvent:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+/**
+ * Get a user's quests for the current periods and completed quests still to claim
+ *
+ * @param {string} userId - User's unique ID
+ * @param {Object} options - { cadence, now }
+ * @returns {Promise<Object>} { success, daily, weekly, claimable } or { success: false, reason }
+ */
+async function getUserQuests(userId, options = {}) {
+    try {
+        const now = options.now || new Date();
+
+        const user = await PlatformUser.findOne({ unique_id: userId })
+            .select('unique_id region user_level preferences');
+        if (!user) {
+            return { success: false, reason: "user_not_found" };
+        }
+
+        await assignUserQuests(user, now);
+
+        const timezone = getUserTimezone(user);
+        const cadences = options.cadence ? [options.cadence] : ['daily', 'weekly'];
+        const result = { success: true, timezone: timezone };
+
+        for (const cadence of cadences) {
+            const period = getQuestPeriod(cadence, now, timezone);
+            const quests = await UserQuest.find({
+                user_id: userId,
+                cadence: cadence,
+                period_key: period.period_key
+            }).sort({ created_at: 1 });
+
+            result[cadence] = {
+                period_key: period.period_key,
+                resets_at: period.ends_at,
+                quests: quests
+            };
+        }
+
+        result.claimable = await UserQuest.find({
+            user_id: userId,
+            status: 'completed',
+            ends_at: { $gt: new Date(now.getTime() - config.quests.claimGraceHours * HOUR_MS) }
+        }).sort({ completed_at: 1 });
+
+        return result;
+
+    } catch (error) {
+        console.error('Error in getUserQuests:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+/**
+ * Claim the reward of a completed quest
+ *
+ * Completed quests can be claimed until claimGraceHours after their period ends.
+ *
+ * @param {string} userId - User's unique ID
+ * @param {string} questId - UserQuest unique ID
+ * @returns {Promise<Object>} { success, quest, reward, balances } or { success: false, reason }
+ */
+async function claimQuestReward(userId, questId) {
+    try {
+        const now = new Date();
+        const claimDeadline = new Date(now.getTime() - config.quests.claimGraceHours * HOUR_MS);
+
+        const claimed = await runInTransaction(async session => {
+            const quest = await UserQuest.findOneAndUpdate(
+                { unique_id: questId, user_id: userId, status: 'completed', ends_at: { $gt: claimDeadline } },
+                { $set: { status: 'claimed', claimed_at: now } },
+                { new: true, session }
+            );
+            if (!quest) {
+                return null;
+            }
+
+            let credit = null;
+            if (quest.xp_reward > 0 || quest.points_reward > 0) {
+                credit = await creditUser(userId, { xp: quest.xp_reward, points: quest.points_reward }, {
+                    sourceType: 'quest_reward',
+                    sourceId: quest.unique_id,
+                    actor: { type: 'user', id: userId },
+                    idempotencyKey: `quest_reward:${quest.unique_id}`,
+                    session: session,
+                    description: `Quest reward: ${quest.name}`,
+                    metadata: { quest_key: quest.quest_key, period_key: quest.period_key }
+                });
+                if (!credit.success) {
+                    throw new Error(`Quest reward credit failed: ${credit.reason}`);
+                }
+
+                quest.reward_transaction_id = credit.transaction_id;
+                await UserQuest.updateOne(
+                    { _id: quest._id },
+                    { $set: { reward_transaction_id: credit.transaction_id } },
+                    { session }
+                );
+            }
+
+            return { quest, credit };
+        });
+
+        if (!claimed) {
+            const quest = await UserQuest.findOne({ unique_id: questId, user_id: userId }).select('status ends_at');
+            if (!quest) {
+                return { success: false, reason: "quest_not_found" };
+            }
+            if (quest.status === 'claimed') {
+                return { success: false, reason: "already_claimed" };
+            }
+            if (quest.status === 'completed') {
+                return { success: false, reason: "claim_window_closed" };
+            }
+            return { success: false, reason: "quest_not_completed" };
+        }
+
+        return {
+            success: true,
+            quest: claimed.quest,
+            reward: { xp: claimed.quest.xp_reward, points: claimed.quest.points_reward },
+            balances: claimed.credit ? claimed.credit.balances : null
+        };
+
+    } catch (error) {
+        console.error('Error in claimQuestReward:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+// Helper Functions
+
+/**
+ * Pick the templates a user gets in a period
+ *
+ * Ungrouped templates are always offered; each rotation group contributes one
+ * template, chosen by hashing the user, period and group so the pick is stable
+ * within the period and varies between users.
+ *
+ * @param {Array} templates - Live templates of one cadence
+ * @param {string} userId - User's unique ID
+ * @param {string} periodKey - Period key
+ * @returns {Array} Templates to assign
+ */
+function pickRotation(templates, userId, periodKey) {
+    const picked = templates.filter(template => !template.rotation_group);
+    const groups = new Map();
+
+    templates.filter(template => template.rotation_group).forEach(template => {
+        const group = groups.get(template.rotation_group) || [];
+        group.push(template);
+        groups.set(template.rotation_group, group);
+    });
+
+    for (const [group, groupTemplates] of groups) {
+        const sorted = [...groupTemplates].sort((a, b) => a.quest_key.localeCompare(b.quest_key));
+        const hash = crypto.createHash('sha256').update(`${userId}:${periodKey}:${group}`).digest();
+        picked.push(sorted[hash.readUInt32BE(0) % sorted.length]);
+    }
+
+    return picked;
+}
+
+/**
+ * Check an event against an objective's filters
+ *
+ * @param {Object} filters - Objective filters
+ * @param {Object} context - Event details (categories are loaded from app_id when missing)
+ * @returns {Promise<boolean>} True if the event counts
+ */
+async function matchesObjectiveFilters(filters = {}, context) {
+    if (filters.app_id && filters.app_id !== context.app_id) {
+        return false;
+    }
+    if (filters.tournament_id && filters.tournament_id !== context.tournament_id) {
+        return false;
+    }
+    if (filters.tournament_only && !context.tournament_id) {
+        return false;
+    }
+    if (filters.share_channel && filters.share_channel !== context.share_channel) {
+        return false;
+    }
+
+    if (filters.category) {
+        if (!context.categories && context.app_id) {
+            const app = await App.findOne({ unique_id: context.app_id }).select('categories').lean();
+            context.categories = app ? app.categories || [] : [];
+        }
+        const category = filters.category.toLowerCase();
+        return (context.categories || []).some(appCategory => String(appCategory).toLowerCase() === category);
+    }
+
+    return true;
+}
+
+/**
+ * Mark a quest completed once every objective reaches its target
+ *
+ * @param {ObjectId} questObjectId - UserQuest _id
+ * @param {Date} now - Completion time
+ * @returns {Promise<boolean>} True if this call completed the quest
+ */
+async function completeQuestIfDone(questObjectId, now) {
+    const quest = await UserQuest.findById(questObjectId);
+    if (!quest || quest.status !== 'active') {
+        return false;
+    }
+
+    const done = quest.objectives.every(objective => objective.progress >= objective.target);
+    if (!done) {
+        return false;
+    }
+
+    const result = await UserQuest.updateOne(
+        { _id: quest._id, status: 'active' },
+        { $set: { status: 'completed', completed_at: now } }
+    );
+    if (result.modifiedCount === 0) {
+        return false;
+    }
+
+    const rewardText = [
+        quest.xp_reward > 0 ? `${quest.xp_reward} XP` : null,
+        quest.points_reward > 0 ? `${quest.points_reward} points` : null
+    ].filter(Boolean).join(' and ');
+
+    await Notification.create({
+        user_id: quest.user_id,
+        notification_type: 'quest_completed',
+        title: 'Quest complete!',
+        message: rewardText
+            ? `You completed "${quest.name}". Claim your ${rewardText}.`
+            : `You completed "${quest.name}".`,
+        data: {
+            quest_id: quest.unique_id,
+            quest_key: quest.quest_key,
+            cadence: quest.cadence,
+            xp_reward: quest.xp_reward,
+            points_reward: quest.points_reward
+        }
+    });
+
+    return true;
+}
+
+/**
+ * Get the instant a local date starts in a timezone
+ *
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date} UTC instant of local midnight
+ */
+function getLocalMidnight(dateKey, timezone) {
+    const utcMidnight = parseDateKey(dateKey);
+    // Apply the offset twice so days that change offset (DST) land on local midnight
+    const firstGuess = utcMidnight - getTimezoneOffset(utcMidnight, timezone);
+    return new Date(utcMidnight - getTimezoneOffset(firstGuess, timezone));
+}
+
+/**
+ * Offset of a timezone from UTC at an instant
+ *
+ * @param {number} instant - Milliseconds since epoch
+ * @param {string} timezone - IANA timezone name
+ * @returns {number} Offset in milliseconds (local minus UTC)
+ */
+function getTimezoneOffset(instant, timezone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(new Date(instant)).forEach(part => {
+        parts[part.type] = part.value;
+    });
+
+    const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return localAsUtc - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * ISO week key of a date
+ *
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {string} YYYY-Www
+ */
+function getIsoWeekKey(dateKey) {
+    // A week belongs to the ISO year of its Thursday
+    const weekday = (new Date(parseDateKey(dateKey)).getUTCDay() + 6) % 7;
+    const thursday = parseDateKey(shiftDateKey(dateKey, 3 - weekday));
+    const isoYear = new Date(thursday).getUTCFullYear();
+    const week = Math.floor((thursday - Date.UTC(isoYear, 0, 1)) / (7 * DAY_MS)) + 1;
+    return `${isoYear}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Shift a date key by a number of days
+ *
+ * @param {string} key - YYYY-MM-DD
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} Shifted YYYY-MM-DD
+ */
+function shiftDateKey(key, days) {
+    return new Date(parseDateKey(key) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a date key as UTC midnight
+ *
+ * @param {string} key - YYYY-MM-DD
+ * @returns {number} Milliseconds since epoch
+ */
+function parseDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+}
+
+module.exports = {
+    getQuestPeriod,
+    assignUserQuests,
+    recordQuestEvent,
+    getUserQuests,
+    claimQuestReward
+};
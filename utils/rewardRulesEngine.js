@@ -0,0 +1,608 @@
+/**
+ * Reward Rules Engine - INGAIN Platform
+ *
+ * This module evaluates the share reward rules (see RewardRule) against the
+ * facts of a share: who is sharing, which app, which tournament. Regular rules
+ * shape the base app reward; tournament rules add bonuses on top of the regular
+ * reward. Base multipliers apply before any bonus, so bonuses are always a share
+ * of the final base.
+ *
+ * Until an admin stores rules for a scope, the built-in defaults below apply.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const RewardRule = require('../core/models/Common/RewardRule');
+const App = require('../core/models/App/App');
+const ShareLog = require('../core/models/Technical/ShareLog');
+const { runInTransaction } = require('./transactions');
+
+/**
+ * Facts a rule condition can test, by scope
+ */
+const REWARD_FACTS = {
+    regular: [
+        'user_level',
+        'sharing_streak_days',
+        'total_apps_shared',
+        'region',
+        'app_id',
+        'app_categories',
+        'app_verified_shares',
+        'shared_category_count',
+        'app_has_new_category'
+    ],
+    tournament: [
+        'tournament_id',
+        'tournament_category',
+        'tournament_is_featured',
+        'tournament_participants',
+        'tournament_rank_percentile',
+        'tournament_share_days'
+    ]
+};
+
+/**
+ * Built-in rules, used for a scope until rules are stored for it
+ */
+const DEFAULT_REWARD_RULES = [
+    {
+        rule_key: 'veteran_multiplier',
+        name: 'Veteran bonus',
+        description: '10% more base XP and points for users at level 10 or above',
+        scope: 'regular',
+        conditions: { all: [{ fact: 'user_level', operator: '>=', value: 10 }], any: [] },
+        effect: { type: 'base_multiplier', xp: 1.1, points: 1.1 },
+        priority: 100
+    },
+    {
+        rule_key: 'streak_bonus',
+        name: 'Sharing streak bonus',
+        description: '20% XP and 10% points bonus for a 7-day sharing streak',
+        scope: 'regular',
+        conditions: { all: [{ fact: 'sharing_streak_days', operator: '>=', value: 7 }], any: [] },
+        effect: { type: 'percent_bonus', xp: 0.2, points: 0.1 },
+        bonus_key: 'streak_bonus',
+        priority: 50
+    },
+    {
+        rule_key: 'first_time_bonus',
+        name: 'First share bonus',
+        description: '50% XP and 25% points bonus for the first verified share of an app',
+        scope: 'regular',
+        conditions: { all: [{ fact: 'app_verified_shares', operator: '==', value: 0 }], any: [] },
+        effect: { type: 'percent_bonus', xp: 0.5, points: 0.25 },
+        bonus_key: 'first_time_bonus',
+        priority: 40
+    },
+    {
+        rule_key: 'diversity_bonus',
+        name: 'Category diversity bonus',
+        description: '25 XP and 5 points for sharing into a new category after 5 categories',
+        scope: 'regular',
+        conditions: {
+            all: [
+                { fact: 'shared_category_count', operator: '>=', value: 5 },
+                { fact: 'app_has_new_category', operator: '==', value: true }
+            ],
+            any: []
+        },
+        effect: { type: 'flat_bonus', xp: 25, points: 5 },
+        bonus_key: 'diversity_bonus',
+        priority: 30
+    },
+    {
+        rule_key: 'performance_top_10',
+        name: 'Top 10% performance bonus',
+        description: '30% XP and 15% points bonus for the top 10% of a tournament',
+        scope: 'tournament',
+        conditions: { all: [{ fact: 'tournament_rank_percentile', operator: '<=', value: 10 }], any: [] },
+        effect: { type: 'percent_bonus', xp: 0.3, points: 0.15 },
+        bonus_key: 'performance_bonus',
+        exclusive_group: 'performance',
+        priority: 100
+    },
+    {
+        rule_key: 'performance_top_25',
+        name: 'Top 25% performance bonus',
+        description: '20% XP and 10% points bonus for the top 25% of a tournament',
+        scope: 'tournament',
+        conditions: { all: [{ fact: 'tournament_rank_percentile', operator: '<=', value: 25 }], any: [] },
+        effect: { type: 'percent_bonus', xp: 0.2, points: 0.1 },
+        bonus_key: 'performance_bonus',
+        exclusive_group: 'performance',
+        priority: 90
+    },
+    {
+        rule_key: 'performance_top_50',
+        name: 'Top 50% performance bonus',
+        description: '10% XP and 5% points bonus for the top half of a tournament',
+        scope: 'tournament',
+        conditions: { all: [{ fact: 'tournament_rank_percentile', operator: '<=', value: 50 }], any: [] },
+        effect: { type: 'percent_bonus', xp: 0.1, points: 0.05 },
+        bonus_key: 'performance_bonus',
+        exclusive_group: 'performance',
+        priority: 80
+    },
+    {
+        rule_key: 'tournament_streak',
+        name: 'Tournament streak bonus',
+        description: '20 XP and 5 points per sharing day once a user has shared on 3 tournament days',
+        scope: 'tournament',
+        conditions: { all: [{ fact: 'tournament_share_days', operator: '>=', value: 3 }], any: [] },
+        effect: { type: 'per_unit_bonus', xp: 20, points: 5, unit_fact: 'tournament_share_days' },
+        bonus_key: 'tournament_streak',
+        priority: 50
+    },
+    {
+        rule_key: 'special_event_bonus',
+        name: 'Special event bonus',
+        description: '20% XP and 10% points bonus in special-event or featured tournaments',
+        scope: 'tournament',
+        conditions: {
+            all: [],
+            any: [
+                { fact: 'tournament_category', operator: '==', value: 'special_event' },
+                { fact: 'tournament_is_featured', operator: '==', value: true }
+            ]
+        },
+        effect: { type: 'percent_bonus', xp: 0.2, points: 0.1 },
+        bonus_key: 'special_event_bonus',
+        priority: 40
+    }
+].map(rule => ({
+    version: 0,
+    is_current: true,
+    is_active: true,
+    bonus_key: null,
+    exclusive_group: null,
+    starts_at: null,
+    ends_at: null,
+    regions: ['GLOBAL'],
+    is_default: true,
+    ...rule
+}));
+
+/**
+ * Load the rules evaluated for a scope
+ *
+ * Storing one rule does not drop the others: built-in defaults apply until a
+ * version with their rule_key is stored.
+ *
+ * @param {string} scope - 'regular' or 'tournament'
+ * @returns {Promise<Array>} Current rule versions, plus the defaults with no stored version
+ */
+async function loadRewardRules(scope) {
+    const storedRules = (await RewardRule.findCurrent(scope)).map(rule => rule.toObject());
+    const storedKeys = new Set(storedRules.map(rule => rule.rule_key));
+
+    const defaultRules = DEFAULT_REWARD_RULES
+        .filter(rule => rule.scope === scope && !storedKeys.has(rule.rule_key));
+
+    return [...storedRules, ...defaultRules]
+        .sort((a, b) => (b.priority || 0) - (a.priority || 0) || a.rule_key.localeCompare(b.rule_key));
+}
+
+/**
+ * Gather the facts the regular rules are evaluated against
+ *
+ * @param {Object} user - PlatformUser document
+ * @param {Object} app - App document
+ * @returns {Promise<Object>} Regular facts
+ */
+async function buildRegularRewardFacts(user, app) {
+    const appVerifiedShares = await ShareLog.countDocuments({
+        user_id: user.unique_id,
+        app_id: app.unique_id,
+        validation_status: "verified"
+    });
+
+    const sharedAppIds = await ShareLog.distinct('app_id', {
+        user_id: user.unique_id,
+        validation_status: "verified"
+    });
+    const sharedApps = await App.find({ unique_id: { $in: sharedAppIds } }).select('categories');
+    const sharedCategories = new Set();
+    sharedApps.forEach(sharedApp => {
+        (sharedApp.categories || []).forEach(category => sharedCategories.add(category));
+    });
+
+    const appCategories = app.categories || [];
+
+    return {
+        user_level: user.user_level,
+        sharing_streak_days: user.sharing_streak_days || 0,
+        total_apps_shared: user.total_apps_shared || 0,
+        region: user.region,
+        app_id: app.unique_id,
+        app_categories: appCategories,
+        app_verified_shares: appVerifiedShares,
+        shared_category_count: sharedCategories.size,
+        app_has_new_category: appCategories.some(category => !sharedCategories.has(category))
+    };
+}
+
+/**
+ * Gather the facts the tournament rules are evaluated against
+ *
+ * @param {Object} user - PlatformUser document
+ * @param {Object} tournament - Tournament document
+ * @param {Object} participant - TournamentParticipant document (optional)
+ * @returns {Promise<Object>} Tournament facts
+ */
+async function buildTournamentRewardFacts(user, tournament, participant = null) {
+    const shareDates = await ShareLog.distinct('created_at', {
+        user_id: user.unique_id,
+        tournament_id: tournament.unique_id,
+        validation_status: "verified"
+    });
+    const shareDays = new Set(shareDates.map(date => new Date(date).toDateString())).size;
+
+    const currentRank = participant && participant.leaderboard_data
+        ? participant.leaderboard_data.current_rank
+        : null;
+    const totalParticipants = tournament.total_participants || 0;
+
+    return {
+        tournament_id: tournament.unique_id,
+        tournament_category: tournament.tournament_category,
+        tournament_is_featured: !!tournament.is_featured,
+        tournament_participants: totalParticipants,
+        tournament_rank_percentile: currentRank && totalParticipants > 0
+            ? Math.round((currentRank / totalParticipants) * 10000) / 100
+            : null,
+        tournament_share_days: shareDays
+    };
+}
+
+/**
+ * Evaluate rules against facts and a base reward
+ *
+ * @param {Array} rules - Rules of one scope
+ * @param {Object} facts - Facts to test conditions against
+ * @param {Object} base - { xp, points } the rules apply to
+ * @param {Object} options - Evaluation options
+ * @param {Date} options.now - Evaluation time (defaults to now)
+ * @returns {Object} { base_xp, base_points, bonus_xp, bonus_points, bonuses, evaluations }
+ */
+function evaluateRewardRules(rules, facts, base, options = {}) {
+    const now = options.now || new Date();
+    const ordered = [...rules].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+    let baseXp = base.xp || 0;
+    let basePoints = base.points || 0;
+    const bonuses = {};
+    const takenGroups = new Set();
+    const evaluations = [];
+
+    // Every bonus key a rule could report is present, even when it does not fire
+    ordered.forEach(rule => {
+        if (rule.bonus_key) {
+            bonuses[`${rule.bonus_key}_xp`] = 0;
+            bonuses[`${rule.bonus_key}_points`] = 0;
+        }
+    });
+
+    const firing = [];
+    for (const rule of ordered) {
+        const skipReason = getSkipReason(rule, facts, now);
+        if (skipReason) {
+            evaluations.push(describeEvaluation(rule, false, skipReason));
+            continue;
+        }
+        if (rule.exclusive_group && takenGroups.has(rule.exclusive_group)) {
+            evaluations.push(describeEvaluation(rule, false, "exclusive_group_taken"));
+            continue;
+        }
+        if (rule.exclusive_group) {
+            takenGroups.add(rule.exclusive_group);
+        }
+        firing.push(rule);
+    }
+
+    // Base multipliers first, so bonuses are computed from the final base
+    firing.filter(rule => rule.effect.type === 'base_multiplier').forEach(rule => {
+        const multipliedXp = Math.round(baseXp * rule.effect.xp);
+        const multipliedPoints = Math.round(basePoints * rule.effect.points);
+        evaluations.push(describeEvaluation(rule, true, null, multipliedXp - baseXp, multipliedPoints - basePoints));
+        baseXp = multipliedXp;
+        basePoints = multipliedPoints;
+    });
+
+    let bonusXp = 0;
+    let bonusPoints = 0;
+    firing.filter(rule => rule.effect.type !== 'base_multiplier').forEach(rule => {
+        const amount = calculateEffectAmount(rule.effect, baseXp, basePoints, facts);
+        bonusXp += amount.xp;
+        bonusPoints += amount.points;
+        if (rule.bonus_key) {
+            bonuses[`${rule.bonus_key}_xp`] += amount.xp;
+            bonuses[`${rule.bonus_key}_points`] += amount.points;
+        }
+        evaluations.push(describeEvaluation(rule, true, null, amount.xp, amount.points));
+    });
+
+    return {
+        base_xp: baseXp,
+        base_points: basePoints,
+        bonus_xp: bonusXp,
+        bonus_points: bonusPoints,
+        bonuses,
+        evaluations
+    };
+}
+
+/**
+ * Validate a rule definition before it is stored
+ *
+ * @param {Object} rule - Rule definition
+ * @returns {Object} { valid, errors }
+ */
+function validateRewardRule(rule) {
+    const errors = [];
+
+    if (!rule.name) {
+        errors.push('name is required');
+    }
+    if (!REWARD_FACTS[rule.scope]) {
+        errors.push(`scope must be one of: ${Object.keys(REWARD_FACTS).join(', ')}`);
+    }
+
+    // Tournament rules can also test the sharer's regular facts
+    const allowedFacts = rule.scope === 'tournament'
+        ? [...REWARD_FACTS.regular, ...REWARD_FACTS.tournament]
+        : REWARD_FACTS.regular;
+
+    const conditions = rule.conditions || {};
+    [...(conditions.all || []), ...(conditions.any || [])].forEach(condition => {
+        if (!condition || !allowedFacts.includes(condition.fact)) {
+            errors.push(`unknown fact: ${condition ? condition.fact : condition}`);
+        }
+        if (condition && ['in', 'not_in'].includes(condition.operator) && !Array.isArray(condition.value)) {
+            errors.push(`${condition.fact}: '${condition.operator}' needs an array value`);
+        }
+    });
+
+    const effect = rule.effect || {};
+    if (effect.type === 'base_multiplier') {
+        if (rule.scope !== 'regular') {
+            errors.push('base_multiplier effects are only allowed on regular rules');
+        }
+        if (!(effect.xp > 0) || !(effect.points > 0)) {
+            errors.push('base_multiplier effects need positive xp and points multipliers');
+        }
+    } else if (effect.type === 'per_unit_bonus') {
+        if (!allowedFacts.includes(effect.unit_fact)) {
+            errors.push('per_unit_bonus effects need a known unit_fact');
+        }
+    } else if (!['percent_bonus', 'flat_bonus'].includes(effect.type)) {
+        errors.push('effect.type must be one of: base_multiplier, percent_bonus, flat_bonus, per_unit_bonus');
+    }
+    if (effect.type !== 'base_multiplier' && ((effect.xp || 0) < 0 || (effect.points || 0) < 0)) {
+        errors.push('bonus effects cannot be negative');
+    }
+
+    if (rule.starts_at && rule.ends_at && new Date(rule.starts_at) >= new Date(rule.ends_at)) {
+        errors.push('starts_at must be before ends_at');
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Store a new version of a rule
+ *
+ * The previous version stays on record but is no longer current.
+ *
+ * @param {string} ruleKey - Rule key
+ * @param {Object} definition - Full rule definition of the new version
+ * @param {string} adminId - Admin storing the version
+ * @returns {Promise<Object>} { success, rule } or { success: false, reason, errors }
+ */
+async function saveRewardRuleVersion(ruleKey, definition, adminId) {
+    const validation = validateRewardRule(definition);
+    if (!validation.valid) {
+        return { success: false, reason: "invalid_rule", errors: validation.errors };
+    }
+
+    const rule = await runInTransaction(async session => {
+        const latest = await RewardRule.findOne({ rule_key: ruleKey })
+            .sort({ version: -1 })
+            .session(session);
+
+        if (latest && latest.scope !== definition.scope) {
+            return null;
+        }
+
+        await RewardRule.updateMany(
+            { rule_key: ruleKey, is_current: true },
+            { $set: { is_current: false } },
+            { session }
+        );
+
+        const [created] = await RewardRule.create([{
+            rule_key: ruleKey,
+            version: latest ? latest.version + 1 : 1,
+            is_current: true,
+            name: definition.name,
+            description: definition.description,
+            scope: definition.scope,
+            conditions: {
+                all: (definition.conditions && definition.conditions.all) || [],
+                any: (definition.conditions && definition.conditions.any) || []
+            },
+            effect: definition.effect,
+            bonus_key: definition.bonus_key || null,
+            exclusive_group: definition.exclusive_group || null,
+            priority: definition.priority || 0,
+            starts_at: definition.starts_at || null,
+            ends_at: definition.ends_at || null,
+            regions: definition.regions && definition.regions.length > 0 ? definition.regions : ['GLOBAL'],
+            is_active: definition.is_active !== undefined ? !!definition.is_active : true,
+            created_by: adminId
+        }], { session });
+
+        return created;
+    });
+
+    if (!rule) {
+        return { success: false, reason: "scope_change_not_allowed" };
+    }
+
+    return { success: true, rule };
+}
+
+/**
+ * Store the built-in default rules as version 1 of each rule
+ *
+ * @param {string} adminId - Admin storing the rules
+ * @returns {Promise<Object>} { success, created } with the rule keys created
+ */
+async function seedDefaultRewardRules(adminId = null) {
+    const created = [];
+
+    for (const defaultRule of DEFAULT_REWARD_RULES) {
+        const exists = await RewardRule.exists({ rule_key: defaultRule.rule_key });
+        if (exists) continue;
+
+        const result = await saveRewardRuleVersion(defaultRule.rule_key, defaultRule, adminId);
+        if (result.success) {
+            created.push(defaultRule.rule_key);
+        }
+    }
+
+    return { success: true, created };
+}
+
+// Helper Functions
+
+/**
+ * Explain why a rule does not fire, or return null when it does
+ *
+ * @param {Object} rule - Rule
+ * @param {Object} facts - Facts
+ * @param {Date} now - Evaluation time
+ * @returns {string|null} Skip reason
+ */
+function getSkipReason(rule, facts, now) {
+    if (!rule.is_active) {
+        return "inactive";
+    }
+    if ((rule.starts_at && now < new Date(rule.starts_at)) || (rule.ends_at && now > new Date(rule.ends_at))) {
+        return "outside_window";
+    }
+
+    const regions = rule.regions && rule.regions.length > 0 ? rule.regions : ['GLOBAL'];
+    if (!regions.includes('GLOBAL') && !regions.includes(facts.region)) {
+        return "region_excluded";
+    }
+
+    const conditions = rule.conditions || {};
+    const all = conditions.all || [];
+    const any = conditions.any || [];
+    const allHold = all.every(condition => testCondition(condition, facts));
+    const anyHolds = any.length === 0 || any.some(condition => testCondition(condition, facts));
+    if (!allHold || !anyHolds) {
+        return "conditions_not_met";
+    }
+
+    return null;
+}
+
+/**
+ * Test one condition against the facts
+ *
+ * Facts that are unknown (null) never satisfy a comparison.
+ *
+ * @param {Object} condition - { fact, operator, value }
+ * @param {Object} facts - Facts
+ * @returns {boolean} True if the condition holds
+ */
+function testCondition(condition, facts) {
+    const actual = facts[condition.fact];
+    const expected = condition.value;
+
+    if (actual === null || actual === undefined) {
+        return false;
+    }
+
+    switch (condition.operator) {
+        case '>=': return actual >= expected;
+        case '<=': return actual <= expected;
+        case '>': return actual > expected;
+        case '<': return actual < expected;
+        case '!=': return actual !== expected;
+        case 'in':
+        case 'not_in': {
+            const values = Array.isArray(expected) ? expected : [expected];
+            const matches = Array.isArray(actual)
+                ? actual.some(item => values.includes(item))
+                : values.includes(actual);
+            return condition.operator === 'in' ? matches : !matches;
+        }
+        case '==':
+        default:
+            return actual === expected;
+    }
+}
+
+/**
+ * Calculate the XP and points a bonus effect adds
+ *
+ * @param {Object} effect - Rule effect
+ * @param {number} baseXp - Base XP after multipliers
+ * @param {number} basePoints - Base points after multipliers
+ * @param {Object} facts - Facts (for per-unit effects)
+ * @returns {Object} { xp, points }
+ */
+function calculateEffectAmount(effect, baseXp, basePoints, facts) {
+    switch (effect.type) {
+        case 'percent_bonus':
+            return {
+                xp: Math.round(baseXp * (effect.xp || 0)),
+                points: Math.round(basePoints * (effect.points || 0))
+            };
+        case 'per_unit_bonus': {
+            const units = Number(facts[effect.unit_fact]) || 0;
+            return {
+                xp: Math.round((effect.xp || 0) * units),
+                points: Math.round((effect.points || 0) * units)
+            };
+        }
+        case 'flat_bonus':
+        default:
+            return {
+                xp: Math.round(effect.xp || 0),
+                points: Math.round(effect.points || 0)
+            };
+    }
+}
+
+/**
+ * Describe a rule's outcome for the breakdown and dry runs
+ */
+function describeEvaluation(rule, fired, reason, xp = 0, points = 0) {
+    return {
+        rule_key: rule.rule_key,
+        version: rule.version,
+        name: rule.name,
+        scope: rule.scope,
+        fired,
+        reason,
+        xp,
+        points
+    };
+}
+
+module.exports = {
+    REWARD_FACTS,
+    DEFAULT_REWARD_RULES,
+    loadRewardRules,
+    buildRegularRewardFacts,
+    buildTournamentRewardFacts,
+    evaluateRewardRules,
+    validateRewardRule,
+    saveRewardRuleVersion,
+    seedDefaultRewardRules
+};
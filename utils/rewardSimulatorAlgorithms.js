@@ -0,0 +1,426 @@
+/**
+ * Reward Simulator Algorithms - INGAIN Platform
+ *
+ * This module forecasts the effect of changing an app's app_xp / app_points or
+ * a tournament's reward_multiplier. Verified shares from a historical window
+ * are replayed under the proposed settings, and the simulator reports the XP
+ * and points that would have been issued, what they cost under the app's
+ * monetization_config and the day the app's budget would run out at that pace.
+ *
+ * Replay assumptions:
+ * - Base rewards (including regular reward rule bonuses) scale with the ratio
+ *   of the proposed to the current app_xp / app_points
+ * - A tournament bonus is the base reward times (reward_multiplier - 1); the
+ *   rest of the recorded bonus comes from tournament rules and is kept as is
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const App = require('../core/models/App/App');
+const Tournament = require('../core/models/Common/Tournament');
+const ShareLog = require('../core/models/Technical/ShareLog');
+
+const DEFAULT_LOOKBACK_DAYS = 30;
+const MAX_LOOKBACK_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Replay historical share volume under proposed reward settings
+ *
+ * Either an app or a tournament is required. For a tournament the whole
+ * tournament so far is replayed (only the given app's shares when appId is
+ * also set); for an app the last lookbackDays of its shares are replayed.
+ *
+ * @param {Object} options - Simulation options
+ * @param {string} options.appId - App's unique ID
+ * @param {string} options.tournamentId - Tournament's unique ID
+ * @param {number} options.appXp - Proposed app_xp (requires appId)
+ * @param {number} options.appPoints - Proposed app_points (requires appId)
+ * @param {number} options.rewardMultiplier - Proposed reward_multiplier (requires tournamentId)
+ * @param {number} options.lookbackDays - Days of app history to replay (default 30)
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @returns {Promise<Object>} Historical and projected totals, daily series and budget forecast per app
+ */
+async function simulateRewards(options = {}) {
+    try {
+        const { appId, tournamentId } = options;
+        const now = options.now || new Date();
+
+        if (!appId && !tournamentId) {
+            return { success: false, reason: "app_or_tournament_required" };
+        }
+        if (!appId && (options.appXp !== undefined || options.appPoints !== undefined)) {
+            return { success: false, reason: "app_required_for_app_rewards" };
+        }
+        if (!tournamentId && options.rewardMultiplier !== undefined) {
+            return { success: false, reason: "tournament_required_for_multiplier" };
+        }
+        for (const value of [options.appXp, options.appPoints]) {
+            if (value !== undefined && !(Number.isFinite(value) && value >= 0)) {
+                return { success: false, reason: "invalid_app_rewards" };
+            }
+        }
+        if (options.rewardMultiplier !== undefined &&
+            !(Number.isFinite(options.rewardMultiplier) && options.rewardMultiplier >= 1 && options.rewardMultiplier <= 5)) {
+            return { success: false, reason: "invalid_reward_multiplier" };
+        }
+
+        // STEP 1: Resolve the History Window and Apps
+        let tournament = null;
+        let startDate;
+        let endDate = now;
+        let appIds;
+
+        if (tournamentId) {
+            tournament = await Tournament.findOne({ unique_id: tournamentId });
+            if (!tournament) {
+                return { success: false, reason: "tournament_not_found" };
+            }
+            if (appId && !tournament.apps_involved.includes(appId)) {
+                return { success: false, reason: "app_not_in_tournament" };
+            }
+            if (tournament.start_date > now) {
+                return { success: false, reason: "tournament_not_started" };
+            }
+            startDate = tournament.start_date;
+            endDate = tournament.end_date < now ? tournament.end_date : now;
+            appIds = appId ? [appId] : tournament.apps_involved;
+        } else {
+            const lookbackDays = options.lookbackDays === undefined ? DEFAULT_LOOKBACK_DAYS : options.lookbackDays;
+            if (!(Number.isInteger(lookbackDays) && lookbackDays >= 1 && lookbackDays <= MAX_LOOKBACK_DAYS)) {
+                return { success: false, reason: "invalid_lookback_days" };
+            }
+            startDate = new Date(now.getTime() - lookbackDays * DAY_MS);
+            appIds = [appId];
+        }
+
+        const apps = await App.find({ unique_id: { $in: appIds } });
+        if (appId && apps.length === 0) {
+            return { success: false, reason: "app_not_found" };
+        }
+
+        // STEP 2: Load the Historical Share Volume
+        const match = {
+            app_id: { $in: apps.map(app => app.unique_id) },
+            validation_status: 'verified',
+            created_at: { $gte: startDate, $lte: endDate }
+        };
+        if (tournamentId) {
+            match.tournament_id = tournamentId;
+        }
+
+        const groups = await ShareLog.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: {
+                        day: { $dateToString: { format: '%Y-%m-%d', date: { $ifNull: ['$verified_at', '$created_at'] } } },
+                        app_id: '$app_id',
+                        tournament_id: '$tournament_id'
+                    },
+                    shares: { $sum: 1 },
+                    base_xp: { $sum: { $ifNull: ['$base_xp', 0] } },
+                    base_points: { $sum: { $ifNull: ['$base_points', 0] } },
+                    tournament_xp_bonus: { $sum: { $ifNull: ['$tournament_xp_bonus', 0] } },
+                    tournament_points_bonus: { $sum: { $ifNull: ['$tournament_points_bonus', 0] } }
+                }
+            }
+        ]);
+
+        // Multipliers the shares were originally rewarded under
+        const tournamentIds = [...new Set(groups.map(group => group._id.tournament_id).filter(Boolean))];
+        const tournaments = tournament
+            ? [tournament]
+            : await Tournament.find({ unique_id: { $in: tournamentIds } }).select('unique_id reward_multiplier');
+        const multipliers = new Map(tournaments.map(t => [t.unique_id, getRewardMultiplier(t)]));
+
+        // STEP 3: Replay Every Group Under the Proposed Settings
+        const scenarios = new Map(apps.map(app => [app.unique_id, buildAppScenario(app, appId, options)]));
+        const days = new Map();
+
+        for (const group of groups) {
+            const scenario = scenarios.get(group._id.app_id);
+            const currentMultiplier = group._id.tournament_id ? (multipliers.get(group._id.tournament_id) || 1) : 1;
+            const proposedMultiplier = group._id.tournament_id === tournamentId && options.rewardMultiplier !== undefined
+                ? options.rewardMultiplier
+                : currentMultiplier;
+
+            const historical = {
+                xp: group.base_xp + group.tournament_xp_bonus,
+                points: group.base_points + group.tournament_points_bonus
+            };
+            const projected = {
+                xp: replayReward(group.base_xp, group.tournament_xp_bonus, group.shares,
+                    scenario.current.app_xp, scenario.proposed.app_xp, currentMultiplier, proposedMultiplier),
+                points: replayReward(group.base_points, group.tournament_points_bonus, group.shares,
+                    scenario.current.app_points, scenario.proposed.app_points, currentMultiplier, proposedMultiplier)
+            };
+
+            addToTotals(scenario.totals, group.shares, historical, projected, scenario.costs);
+
+            const dayTotals = scenario.days.get(group._id.day) || createTotals();
+            addToTotals(dayTotals, group.shares, historical, projected, scenario.costs);
+            scenario.days.set(group._id.day, dayTotals);
+
+            const overallDay = days.get(group._id.day) || createTotals();
+            addToTotals(overallDay, group.shares, historical, projected, scenario.costs);
+            days.set(group._id.day, overallDay);
+        }
+
+        // STEP 4: Forecast Each App's Budget at the Projected Pace
+        const windowDays = Math.max(1, Math.ceil((endDate - startDate) / DAY_MS));
+        const appResults = Array.from(scenarios.values()).map(scenario =>
+            formatAppScenario(scenario, windowDays, now));
+
+        const totals = createTotals();
+        for (const scenario of scenarios.values()) {
+            mergeTotals(totals, scenario.totals);
+        }
+
+        return {
+            success: true,
+            window: {
+                start_date: startDate,
+                end_date: endDate,
+                days: windowDays
+            },
+            tournament: tournament ? {
+                tournament_id: tournament.unique_id,
+                tournament_name: tournament.tournament_name,
+                current_reward_multiplier: getRewardMultiplier(tournament),
+                proposed_reward_multiplier: options.rewardMultiplier !== undefined
+                    ? options.rewardMultiplier
+                    : getRewardMultiplier(tournament)
+            } : null,
+            totals: formatTotals(totals),
+            apps: appResults,
+            daily: Array.from(days.entries())
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([date, dayTotals]) => ({ date, ...formatTotals(dayTotals) }))
+        };
+
+    } catch (error) {
+        console.error('Error in simulateRewards:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+// Helper Functions
+
+/**
+ * Get the multiplier a tournament applies, matching calculateTournamentShareRewards
+ *
+ * @param {Object} tournament - Tournament document
+ * @returns {number} Reward multiplier
+ */
+function getRewardMultiplier(tournament) {
+    return tournament.reward_multiplier || 1.5;
+}
+
+/**
+ * Build the current and proposed reward settings for an app
+ *
+ * @param {Object} app - App document
+ * @param {string} appId - App the proposed app rewards apply to
+ * @param {Object} options - Simulation options
+ * @returns {Object} Scenario accumulating the app's totals
+ */
+function buildAppScenario(app, appId, options) {
+    const monetizationConfig = app.monetization_config || {};
+    const current = { app_xp: app.app_xp || 0, app_points: app.app_points || 0 };
+    const proposed = { ...current };
+
+    if (app.unique_id === appId) {
+        if (options.appXp !== undefined) proposed.app_xp = options.appXp;
+        if (options.appPoints !== undefined) proposed.app_points = options.appPoints;
+    }
+
+    return {
+        app,
+        current,
+        proposed,
+        costs: {
+            cost_per_xp: monetizationConfig.cost_per_xp !== undefined ? monetizationConfig.cost_per_xp : 0.01,
+            cost_per_point: monetizationConfig.cost_per_point !== undefined ? monetizationConfig.cost_per_point : 0.1
+        },
+        totals: createTotals(),
+        days: new Map()
+    };
+}
+
+/**
+ * Replay a group's XP or points under the proposed settings
+ *
+ * @param {number} base - Recorded base reward
+ * @param {number} bonus - Recorded tournament bonus
+ * @param {number} shares - Number of shares in the group
+ * @param {number} currentValue - Current app_xp / app_points
+ * @param {number} proposedValue - Proposed app_xp / app_points
+ * @param {number} currentMultiplier - Multiplier the shares were rewarded under
+ * @param {number} proposedMultiplier - Proposed multiplier
+ * @returns {number} Projected reward
+ */
+function replayReward(base, bonus, shares, currentValue, proposedValue, currentMultiplier, proposedMultiplier) {
+    // With no current reward there is nothing to scale, so every share earns the proposed value
+    const projectedBase = currentValue > 0 ? base * (proposedValue / currentValue) : shares * proposedValue;
+    const ruleBonus = Math.max(0, bonus - base * (currentMultiplier - 1));
+    return projectedBase + projectedBase * (proposedMultiplier - 1) + ruleBonus;
+}
+
+/**
+ * Create an empty totals accumulator
+ *
+ * @returns {Object} Totals
+ */
+function createTotals() {
+    return {
+        shares: 0,
+        historical: { xp: 0, points: 0, cost: 0 },
+        projected: { xp: 0, points: 0, cost: 0 }
+    };
+}
+
+/**
+ * Add a replayed group to a totals accumulator
+ *
+ * @param {Object} totals - Totals accumulator
+ * @param {number} shares - Number of shares
+ * @param {Object} historical - Recorded { xp, points }
+ * @param {Object} projected - Projected { xp, points }
+ * @param {Object} costs - App's { cost_per_xp, cost_per_point }
+ */
+function addToTotals(totals, shares, historical, projected, costs) {
+    totals.shares += shares;
+    for (const [key, rewards] of [['historical', historical], ['projected', projected]]) {
+        totals[key].xp += rewards.xp;
+        totals[key].points += rewards.points;
+        totals[key].cost += rewards.xp * costs.cost_per_xp + rewards.points * costs.cost_per_point;
+    }
+}
+
+/**
+ * Add one totals accumulator to another
+ *
+ * @param {Object} totals - Target totals
+ * @param {Object} other - Totals to add
+ */
+function mergeTotals(totals, other) {
+    totals.shares += other.shares;
+    for (const key of ['historical', 'projected']) {
+        totals[key].xp += other[key].xp;
+        totals[key].points += other[key].points;
+        totals[key].cost += other[key].cost;
+    }
+}
+
+/**
+ * Round totals for the response and add the projected change
+ *
+ * @param {Object} totals - Totals accumulator
+ * @returns {Object} Formatted totals
+ */
+function formatTotals(totals) {
+    const round = rewards => ({
+        xp: Math.round(rewards.xp),
+        points: Math.round(rewards.points),
+        cost: roundCost(rewards.cost)
+    });
+    const historical = round(totals.historical);
+    const projected = round(totals.projected);
+
+    return {
+        shares: totals.shares,
+        historical,
+        projected,
+        change: {
+            xp: projected.xp - historical.xp,
+            points: projected.points - historical.points,
+            cost: roundCost(projected.cost - historical.cost)
+        }
+    };
+}
+
+/**
+ * Format an app's scenario with its budget forecast
+ *
+ * The projected average daily cost over the window is assumed to continue
+ * from now. Apps without a total budget are uncapped and never run out.
+ *
+ * @param {Object} scenario - App scenario
+ * @param {number} windowDays - Days in the replayed window
+ * @param {Date} now - Reference time
+ * @returns {Object} App result
+ */
+function formatAppScenario(scenario, windowDays, now) {
+    const { app, costs } = scenario;
+    const monetizationConfig = app.monetization_config || {};
+    const totals = formatTotals(scenario.totals);
+
+    const dailyCost = {
+        historical: roundCost(scenario.totals.historical.cost / windowDays),
+        projected: roundCost(scenario.totals.projected.cost / windowDays)
+    };
+
+    const budget = {
+        budget_total: monetizationConfig.budget_total !== undefined ? monetizationConfig.budget_total : null,
+        budget_daily: monetizationConfig.budget_daily !== undefined ? monetizationConfig.budget_daily : null,
+        remaining_budget: null,
+        historical_run_out_date: null,
+        projected_run_out_date: null,
+        days_over_daily_budget: 0
+    };
+
+    if (budget.budget_total !== null) {
+        budget.remaining_budget = roundCost(Math.max(0,
+            budget.budget_total - (app.total_points_spent || 0) - (app.budget_reserved || 0)));
+        budget.historical_run_out_date = getRunOutDate(budget.remaining_budget, dailyCost.historical, now);
+        budget.projected_run_out_date = getRunOutDate(budget.remaining_budget, dailyCost.projected, now);
+    }
+
+    if (budget.budget_daily) {
+        budget.days_over_daily_budget = Array.from(scenario.days.values())
+            .filter(day => day.projected.cost > budget.budget_daily).length;
+    }
+
+    return {
+        app_id: app.unique_id,
+        app_name: app.app_name,
+        current_settings: scenario.current,
+        proposed_settings: scenario.proposed,
+        costs,
+        ...totals,
+        average_daily_cost: dailyCost,
+        budget
+    };
+}
+
+/**
+ * Get the date a budget runs out at a daily spend
+ *
+ * @param {number} remainingBudget - Budget left
+ * @param {number} dailyCost - Spend per day
+ * @param {Date} now - Reference time
+ * @returns {string|null} Run-out date (YYYY-MM-DD), or null if nothing is spent
+ */
+function getRunOutDate(remainingBudget, dailyCost, now) {
+    if (dailyCost <= 0) {
+        return null;
+    }
+    const days = Math.ceil(remainingBudget / dailyCost);
+    return new Date(now.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Round a cost to cents
+ *
+ * @param {number} cost - Cost
+ * @returns {number} Rounded cost
+ */
+function roundCost(cost) {
+    return Math.round(cost * 100) / 100;
+}
+
+module.exports = {
+    simulateRewards
+};
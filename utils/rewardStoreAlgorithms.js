@@ -0,0 +1,348 @@
+/**
+ * Reward Store Algorithms - INGAIN Platform
+ *
+ * This module runs the rewards store, where users spend points on catalog items:
+ * - The catalog lists the items on sale in the user's region with their stock
+ *   and how many more times the user may redeem each one
+ * - A redemption runs in one transaction: the per-user limit is checked, a unit
+ *   of stock reserved, a gift card code taken from the pool (or the perk
+ *   applied), the points debited through the ledger and the order recorded;
+ *   any failure rolls all of it back
+ * - Admins upload gift card codes in batches; stock follows the pool
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const RewardItem = require('../core/models/Common/RewardItem');
+const RewardCode = require('../core/models/Technical/RewardCode');
+const RewardOrder = require('../core/models/App/RewardOrder');
+const PlatformUser = require('../core/models/App/PlatformUser');
+const { creditUser, debitUser } = require('./ledger');
+const { runInTransaction } = require('./transactions');
+const { getFreezeCapacityFilter } = require('./streakAlgorithms');
+const config = require('../config');
+
+/**
+ * Get the items on sale to a user
+ *
+ * @param {string} userId - User's unique ID
+ * @param {Object} options - { item_type }
+ * @returns {Promise<Object>} { success, current_points, items } or { success: false, reason }
+ */
+async function getRewardCatalog(userId, options = {}) {
+    try {
+        const user = await PlatformUser.findOne({ unique_id: userId }).select('unique_id region current_points');
+        if (!user) {
+            return { success: false, reason: "user_not_found" };
+        }
+
+        let items = await RewardItem.findAvailable(user.region);
+        if (options.item_type) {
+            items = items.filter(item => item.item_type === options.item_type);
+        }
+
+        const redemptionCounts = await RewardOrder.aggregate([
+            { $match: { user_id: userId, item_id: { $in: items.map(item => item.unique_id) } } },
+            { $group: { _id: '$item_id', count: { $sum: 1 } } }
+        ]);
+        const redeemedByItem = new Map(redemptionCounts.map(row => [row._id, row.count]));
+
+        const currentPoints = user.current_points || 0;
+
+        return {
+            success: true,
+            current_points: currentPoints,
+            items: items.map(item => {
+                const redeemed = redeemedByItem.get(item.unique_id) || 0;
+                const remaining = item.per_user_limit === null ? null : Math.max(0, item.per_user_limit - redeemed);
+                return {
+                    ...item.toJSON(),
+                    user_redemptions: redeemed,
+                    user_redemptions_left: remaining,
+                    can_redeem: item.is_in_stock && remaining !== 0 && currentPoints >= item.points_price
+                };
+            })
+        };
+
+    } catch (error) {
+        console.error('Error in getRewardCatalog:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+/**
+ * Redeem a rewards store item for points
+ *
+ * @param {string} userId - User's unique ID
+ * @param {string} itemId - RewardItem unique ID
+ * @returns {Promise<Object>} { success, order, balances } or { success: false, reason }
+ */
+async function redeemRewardItem(userId, itemId) {
+    const orderId = uuidv4();
+    const now = new Date();
+
+    try {
+        const redeemed = await runInTransaction(async session => {
+            const user = await PlatformUser.findOne({ unique_id: userId })
+                .select('unique_id region')
+                .session(session);
+            if (!user) {
+                throw redemptionFailure("user_not_found");
+            }
+
+            const item = await RewardItem.findOne({ unique_id: itemId }).session(session);
+            if (!item || !item.isAvailableTo(user, now)) {
+                throw redemptionFailure("item_not_available");
+            }
+
+            const previousRedemptions = await RewardOrder.countDocuments({ user_id: userId, item_id: itemId })
+                .session(session);
+            if (item.per_user_limit !== null && previousRedemptions >= item.per_user_limit) {
+                throw redemptionFailure("per_user_limit_reached");
+            }
+
+            // Reserve a unit of stock (unlimited items only count the redemption)
+            const reserved = await RewardItem.updateOne(
+                item.stock === null
+                    ? { unique_id: itemId, stock: null }
+                    : { unique_id: itemId, stock: { $gte: 1 } },
+                item.stock === null
+                    ? { $inc: { redeemed_count: 1 } }
+                    : { $inc: { stock: -1, redeemed_count: 1 } },
+                { session }
+            );
+            if (reserved.modifiedCount === 0) {
+                throw redemptionFailure("out_of_stock");
+            }
+
+            const delivery = {};
+            if (item.item_type === 'gift_card') {
+                const code = await RewardCode.findOneAndUpdate(
+                    { item_id: itemId, status: 'available' },
+                    { $set: { status: 'redeemed', order_id: orderId, user_id: userId, redeemed_at: now } },
+                    { sort: { created_at: 1 }, new: true, session }
+                );
+                if (!code) {
+                    throw redemptionFailure("out_of_stock");
+                }
+                Object.assign(delivery, {
+                    code: code.code,
+                    code_id: code.unique_id,
+                    face_value: item.face_value,
+                    currency: item.currency
+                });
+            }
+
+            const debit = await debitUser(userId, { points: item.points_price }, {
+                sourceType: 'reward_redemption',
+                sourceId: orderId,
+                actor: { type: 'user', id: userId },
+                idempotencyKey: `reward_redemption:${orderId}`,
+                session: session,
+                description: `Redeemed ${item.name}`,
+                metadata: { item_id: itemId, sku: item.sku }
+            });
+            if (!debit.success) {
+                if (debit.reason === 'insufficient_balance') {
+                    throw redemptionFailure("insufficient_points");
+                }
+                throw new Error(`Reward redemption debit failed: ${debit.reason}`);
+            }
+
+            let balances = debit.balances;
+            if (item.item_type === 'perk') {
+                const perkBalances = await applyPerk(userId, item, orderId, session);
+                balances = perkBalances || balances;
+                Object.assign(delivery, {
+                    perk_type: item.perk.type,
+                    perk_quantity: item.perk.quantity
+                });
+            }
+
+            const [order] = await RewardOrder.create([{
+                unique_id: orderId,
+                user_id: userId,
+                item_id: itemId,
+                item_redemption_number: previousRedemptions + 1,
+                sku: item.sku,
+                item_name: item.name,
+                item_type: item.item_type,
+                points_spent: item.points_price,
+                region: user.region,
+                delivery: delivery,
+                ledger_transaction_id: debit.transaction_id,
+                fulfilled_at: now
+            }], { session });
+
+            return { order, balances };
+        });
+
+        return {
+            success: true,
+            order: redeemed.order,
+            balances: redeemed.balances
+        };
+
+    } catch (error) {
+        if (error.redemptionReason) {
+            if (error.redemptionReason !== 'insufficient_points') {
+                return { success: false, reason: error.redemptionReason };
+            }
+            const [user, item] = await Promise.all([
+                PlatformUser.findOne({ unique_id: userId }).select('current_points'),
+                RewardItem.findOne({ unique_id: itemId }).select('points_price')
+            ]);
+            return {
+                success: false,
+                reason: "insufficient_points",
+                required_points: item ? item.points_price : null,
+                current_points: user ? user.current_points || 0 : 0
+            };
+        }
+
+        // Another redemption of the same item by the same user committed first
+        if (error.code === 11000) {
+            return { success: false, reason: "redemption_conflict" };
+        }
+
+        console.error('Error in redeemRewardItem:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+/**
+ * Upload a batch of gift card codes to an item's pool
+ *
+ * Codes already in the pool (or repeated in the batch) are skipped. The item's
+ * stock grows by the number of codes added.
+ *
+ * @param {string} itemId - RewardItem unique ID
+ * @param {Array<string>} codes - Codes to add
+ * @param {string} adminId - Uploading admin's unique ID
+ * @returns {Promise<Object>} { success, batch_id, uploaded, skipped, stock } or { success: false, reason }
+ */
+async function uploadRewardCodes(itemId, codes, adminId) {
+    try {
+        if (!Array.isArray(codes)) {
+            return { success: false, reason: "invalid_codes" };
+        }
+
+        const uniqueCodes = [...new Set(codes.map(code => String(code).trim()).filter(code => code.length > 0))];
+        if (uniqueCodes.length === 0) {
+            return { success: false, reason: "invalid_codes" };
+        }
+        if (uniqueCodes.length > config.rewardsStore.maxCodesPerUpload) {
+            return { success: false, reason: "too_many_codes", max_codes: config.rewardsStore.maxCodesPerUpload };
+        }
+
+        const item = await RewardItem.findOne({ unique_id: itemId });
+        if (!item) {
+            return { success: false, reason: "item_not_found" };
+        }
+        if (item.item_type !== 'gift_card') {
+            return { success: false, reason: "item_not_code_based" };
+        }
+
+        const existing = await RewardCode.find({ item_id: itemId, code: { $in: uniqueCodes } }).distinct('code');
+        const existingCodes = new Set(existing);
+        const newCodes = uniqueCodes.filter(code => !existingCodes.has(code));
+
+        const batchId = uuidv4();
+        if (newCodes.length > 0) {
+            await RewardCode.insertMany(newCodes.map(code => ({
+                item_id: itemId,
+                code: code,
+                batch_id: batchId,
+                uploaded_by: adminId
+            })));
+        }
+
+        // Stock is raised only after the codes exist, so it never promises a missing code
+        const updatedItem = await RewardItem.findOneAndUpdate(
+            { unique_id: itemId },
+            { $inc: { stock: newCodes.length }, $set: { updated_by: adminId } },
+            { new: true }
+        );
+
+        return {
+            success: true,
+            item: updatedItem,
+            batch_id: batchId,
+            uploaded: newCodes.length,
+            skipped: codes.length - newCodes.length,
+            stock: updatedItem.stock
+        };
+
+    } catch (error) {
+        console.error('Error in uploadRewardCodes:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+// Helper Functions
+
+/**
+ * Build the error that aborts a redemption transaction for a business reason
+ *
+ * @param {string} reason - Failure reason returned to the caller
+ * @returns {Error} Error carrying the reason
+ */
+function redemptionFailure(reason) {
+    const error = new Error(`Reward redemption failed: ${reason}`);
+    error.redemptionReason = reason;
+    return error;
+}
+
+/**
+ * Apply a perk item to the user's account
+ *
+ * @param {string} userId - User's unique ID
+ * @param {Object} item - RewardItem document
+ * @param {string} orderId - RewardOrder unique ID
+ * @param {ClientSession} session - Mongo session of the redemption
+ * @returns {Promise<Object|null>} Updated balances when the perk moved them
+ */
+async function applyPerk(userId, item, orderId, session) {
+    const quantity = item.perk.quantity;
+
+    switch (item.perk.type) {
+        case 'streak_freeze': {
+            const user = await PlatformUser.findOneAndUpdate(
+                { unique_id: userId, ...getFreezeCapacityFilter(quantity) },
+                { $inc: { streak_freezes_available: quantity } },
+                { new: true, session }
+            );
+            if (!user) {
+                throw redemptionFailure("freeze_limit_reached");
+            }
+            return null;
+        }
+
+        case 'xp_boost': {
+            const credit = await creditUser(userId, { xp: quantity }, {
+                sourceType: 'reward_redemption',
+                sourceId: orderId,
+                actor: { type: 'user', id: userId },
+                idempotencyKey: `reward_redemption:${orderId}:xp`,
+                session: session,
+                description: `XP boost: ${item.name}`,
+                metadata: { item_id: item.unique_id, sku: item.sku }
+            });
+            if (!credit.success) {
+                throw new Error(`XP boost credit failed: ${credit.reason}`);
+            }
+            return credit.balances;
+        }
+
+        default:
+            throw new Error(`Unknown perk type: ${item.perk.type}`);
+    }
+}
+
+module.exports = {
+    getRewardCatalog,
+    redeemRewardItem,
+    uploadRewardCodes
+};
@@ -0,0 +1,622 @@
+/**
+ * Season Algorithms - INGAIN Platform
+ *
+ * This module runs competitive seasons. The ledger counts XP credits as seasonal
+ * XP on the user while a season runs; lifetime totals are never touched. Closing
+ * a season archives each user's seasonal XP as a standing, ranks the standings
+ * within each region, grants the season's rank rewards and resets seasonal XP.
+ *
+ * Closing is resumable: a season stays in 'closing' until every standing is
+ * archived, ranked and finalized, and the season job picks it up again.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const Season = require('../core/models/Common/Season');
+const SeasonStanding = require('../core/models/Technical/SeasonStanding');
+const PlatformUser = require('../core/models/App/PlatformUser');
+const Badge = require('../core/models/Common/Badge');
+const Notification = require('../core/models/Technical/Notification');
+const { creditUser } = require('./ledger');
+const { runInTransaction } = require('./transactions');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EDITABLE_FIELDS = {
+    upcoming: ['name', 'description', 'starts_at', 'ends_at', 'rewards'],
+    active: ['name', 'description', 'ends_at', 'rewards']
+};
+
+/**
+ * Schedule a new season after the latest one
+ *
+ * @param {Object} data - { name, description, starts_at, ends_at, rewards }
+ * @param {string} adminId - Creating admin's unique ID (optional)
+ * @returns {Promise<Object>} { success, season } or { success: false, reason }
+ */
+async function createSeason(data, adminId = null) {
+    try {
+        const startsAt = new Date(data.starts_at);
+        const endsAt = new Date(data.ends_at);
+        if (isNaN(startsAt) || isNaN(endsAt) || endsAt <= startsAt) {
+            return { success: false, reason: "invalid_season_window" };
+        }
+
+        const rewards = data.rewards === undefined ? config.seasons.defaultRewards : data.rewards;
+        if (!validateSeasonRewards(rewards)) {
+            return { success: false, reason: "invalid_rewards" };
+        }
+
+        const latest = await Season.findLatest();
+        if (latest && startsAt < latest.ends_at) {
+            return { success: false, reason: "season_overlap", latest_season_ends_at: latest.ends_at };
+        }
+
+        const seasonNumber = latest ? latest.season_number + 1 : 1;
+        const season = await Season.create({
+            season_number: seasonNumber,
+            name: data.name || `Season ${seasonNumber}`,
+            description: data.description,
+            starts_at: startsAt,
+            ends_at: endsAt,
+            rewards: rewards,
+            created_by: adminId
+        });
+
+        return { success: true, season };
+
+    } catch (error) {
+        console.error('Error in createSeason:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+/**
+ * Update a season that has not started closing
+ *
+ * Upcoming seasons can be rescheduled; active seasons can only move their end.
+ * Badges referencing the season follow the new window.
+ *
+ * @param {string} seasonId - Season's unique ID
+ * @param {Object} updates - Fields to change
+ * @returns {Promise<Object>} { success, season } or { success: false, reason }
+ */
+async function updateSeason(seasonId, updates) {
+    try {
+        const season = await Season.findOne({ unique_id: seasonId });
+        if (!season) {
+            return { success: false, reason: "season_not_found" };
+        }
+
+        const editable = EDITABLE_FIELDS[season.status];
+        if (!editable) {
+            return { success: false, reason: "season_closed" };
+        }
+
+        const rejected = Object.keys(updates).filter(field => !editable.includes(field));
+        if (rejected.length > 0) {
+            return { success: false, reason: "field_not_editable", fields: rejected };
+        }
+
+        if (updates.rewards !== undefined && !validateSeasonRewards(updates.rewards)) {
+            return { success: false, reason: "invalid_rewards" };
+        }
+
+        const startsAt = updates.starts_at !== undefined ? new Date(updates.starts_at) : season.starts_at;
+        const endsAt = updates.ends_at !== undefined ? new Date(updates.ends_at) : season.ends_at;
+        if (isNaN(startsAt) || isNaN(endsAt) || endsAt <= startsAt) {
+            return { success: false, reason: "invalid_season_window" };
+        }
+        if (season.status === 'active' && endsAt <= new Date()) {
+            return { success: false, reason: "invalid_season_window" };
+        }
+
+        const [previous, next] = await Promise.all([
+            Season.findOne({ season_number: { $lt: season.season_number } }).sort({ season_number: -1 }),
+            Season.findOne({ season_number: { $gt: season.season_number } }).sort({ season_number: 1 })
+        ]);
+        if ((previous && startsAt < previous.ends_at) || (next && endsAt > next.starts_at)) {
+            return { success: false, reason: "season_overlap" };
+        }
+
+        Object.assign(season, updates, { starts_at: startsAt, ends_at: endsAt });
+        await season.save();
+        await syncSeasonBadges(season);
+
+        return { success: true, season };
+
+    } catch (error) {
+        console.error('Error in updateSeason:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+/**
+ * Activate the next upcoming season once it has started
+ *
+ * Only one season runs at a time; XP earned between seasons counts towards the
+ * next one.
+ *
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object|null>} Activated season, or null
+ */
+async function activateDueSeason(now = new Date()) {
+    const running = await Season.exists({ status: { $in: ['active', 'closing'] } });
+    if (running) {
+        return null;
+    }
+
+    return Season.findOneAndUpdate(
+        { status: 'upcoming', starts_at: { $lte: now } },
+        { $set: { status: 'active', activated_at: now } },
+        { new: true, sort: { starts_at: 1 } }
+    );
+}
+
+/**
+ * Close a season: archive, rank and reward its standings and reset seasonal XP
+ *
+ * @param {string} seasonId - Season's unique ID
+ * @param {Object} options - Close options
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @param {boolean} options.force - Close an active season before its end date
+ * @param {boolean} options.resume - Continue a season left in 'closing'
+ * @param {number} options.batchSize - Users processed per batch
+ * @returns {Promise<Object>} Close summary or { success: false, reason }
+ */
+async function closeSeason(seasonId, options = {}) {
+    const now = options.now || new Date();
+    const batchSize = options.batchSize || config.jobs.seasonRolloverBatchSize;
+
+    try {
+        const claimFilter = { unique_id: seasonId, status: 'active' };
+        if (!options.force) {
+            claimFilter.ends_at = { $lte: now };
+        }
+
+        let season = await Season.findOneAndUpdate(
+            claimFilter,
+            [{ $set: { status: 'closing', ends_at: { $min: ['$ends_at', now] } } }],
+            { new: true }
+        );
+
+        if (!season && options.resume) {
+            season = await Season.findOne({ unique_id: seasonId, status: 'closing' });
+        }
+
+        if (!season) {
+            const exists = await Season.findOne({ unique_id: seasonId }).select('status ends_at');
+            if (!exists) {
+                return { success: false, reason: "season_not_found" };
+            }
+            return { success: false, reason: exists.status === 'active' ? "season_not_ended" : "season_not_active" };
+        }
+
+        // A forced close moves the end date; badges follow it
+        await syncSeasonBadges(season);
+
+        const archived = await archiveStandings(season, batchSize);
+        const ranked = await rankStandings(season);
+        const finalized = await finalizeStandings(season, batchSize);
+
+        const [totals] = await SeasonStanding.aggregate([
+            { $match: { season_id: season.unique_id } },
+            {
+                $group: {
+                    _id: null,
+                    participants: { $sum: 1 },
+                    xp: { $sum: '$reward_xp' },
+                    points: { $sum: '$reward_points' }
+                }
+            }
+        ]);
+
+        await Season.updateOne(
+            { unique_id: season.unique_id },
+            {
+                $set: {
+                    status: 'closed',
+                    closed_at: now,
+                    participants_count: totals ? totals.participants : 0,
+                    rewards_granted: { xp: totals ? totals.xp : 0, points: totals ? totals.points : 0 }
+                }
+            }
+        );
+
+        const nextSeason = await scheduleNextSeason(season);
+
+        return {
+            success: true,
+            season_id: season.unique_id,
+            season_number: season.season_number,
+            standings_archived: archived,
+            regions_ranked: ranked,
+            rewards_granted: finalized.rewards_granted,
+            users_notified: finalized.users_notified,
+            next_season_id: nextSeason ? nextSeason.unique_id : null
+        };
+
+    } catch (error) {
+        console.error('Error in closeSeason:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+/**
+ * Get a user's position in the active season
+ *
+ * The rank is live: one more than the users in the same region with more
+ * seasonal XP.
+ *
+ * @param {Object} user - PlatformUser document
+ * @returns {Promise<Object|null>} Season summary and the user's standing, or null when no season is active
+ */
+async function getCurrentSeasonStanding(user) {
+    const season = await Season.findActive();
+    if (!season) {
+        return null;
+    }
+
+    const seasonalXp = user.seasonal_xp || 0;
+    const ahead = await PlatformUser.countDocuments({
+        region: user.region,
+        seasonal_xp: { $gt: seasonalXp }
+    });
+
+    return {
+        season_id: season.unique_id,
+        season_number: season.season_number,
+        name: season.name,
+        starts_at: season.starts_at,
+        ends_at: season.ends_at,
+        status: season.status,
+        region: user.region,
+        seasonal_xp: seasonalXp,
+        rank: seasonalXp > 0 ? ahead + 1 : null,
+        rewards: season.rewards
+    };
+}
+
+/**
+ * Get a user's archived season results, newest season first
+ *
+ * @param {string} userId - User's unique ID
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} Standings and pagination
+ */
+async function getUserSeasonHistory(userId, options = {}) {
+    const page = Math.max(1, parseInt(options.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(options.limit) || 10));
+
+    const [standings, total] = await Promise.all([
+        SeasonStanding.findUserHistory(userId)
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .select('-_id -__v')
+            .lean(),
+        SeasonStanding.countDocuments({ user_id: userId })
+    ]);
+
+    return {
+        standings,
+        pagination: {
+            current_page: page,
+            total_pages: Math.ceil(total / limit),
+            total_items: total,
+            items_per_page: limit
+        }
+    };
+}
+
+/**
+ * Copy a season's window onto the badges that reference it
+ *
+ * @param {Object} season - Season document
+ * @returns {Promise<number>} Badges updated
+ */
+async function syncSeasonBadges(season) {
+    const result = await Badge.updateMany(
+        { season_id: season.unique_id },
+        { $set: { seasonal_start: season.starts_at, seasonal_end: season.ends_at } }
+    );
+    return result.modifiedCount;
+}
+
+// Helper Functions
+
+/**
+ * Check that season rewards are well-formed, non-overlapping rank ranges
+ *
+ * @param {Array} rewards - [{ rank_from, rank_to, xp, points }]
+ * @returns {boolean} True if valid
+ */
+function validateSeasonRewards(rewards) {
+    if (!Array.isArray(rewards)) {
+        return false;
+    }
+
+    const valid = rewards.every(tier =>
+        Number.isInteger(tier.rank_from) && Number.isInteger(tier.rank_to) &&
+        tier.rank_from >= 1 && tier.rank_to >= tier.rank_from &&
+        (tier.xp || 0) >= 0 && (tier.points || 0) >= 0
+    );
+    if (!valid) {
+        return false;
+    }
+
+    const sorted = [...rewards].sort((a, b) => a.rank_from - b.rank_from);
+    return sorted.every((tier, index) => index === 0 || tier.rank_from > sorted[index - 1].rank_to);
+}
+
+/**
+ * Move every user's seasonal XP into a standing for the closing season
+ *
+ * Each user is reset and archived in one transaction, so XP credited while the
+ * season closes lands in the next season. Users already archived are skipped
+ * when a close is resumed.
+ *
+ * @param {Object} season - Closing season
+ * @param {number} batchSize - Users processed per batch
+ * @returns {Promise<number>} Standings archived
+ */
+async function archiveStandings(season, batchSize) {
+    let archived = 0;
+    let lastId = null;
+
+    for (;;) {
+        const query = { seasonal_xp: { $gt: 0 } };
+        if (lastId) {
+            query._id = { $gt: lastId };
+        }
+
+        const users = await PlatformUser.find(query)
+            .sort({ _id: 1 })
+            .limit(batchSize)
+            .select('_id unique_id')
+            .lean();
+
+        if (users.length === 0) {
+            break;
+        }
+        lastId = users[users.length - 1]._id;
+
+        for (const user of users) {
+            const standing = await runInTransaction(async session => {
+                const existing = await SeasonStanding.exists({
+                    season_id: season.unique_id,
+                    user_id: user.unique_id
+                }).session(session);
+                if (existing) {
+                    return null;
+                }
+
+                const before = await PlatformUser.findOneAndUpdate(
+                    { _id: user._id, seasonal_xp: { $gt: 0 } },
+                    { $set: { seasonal_xp: 0 } },
+                    { new: false, session }
+                ).select('unique_id region seasonal_xp');
+                if (!before) {
+                    return null;
+                }
+
+                const [created] = await SeasonStanding.create([{
+                    season_id: season.unique_id,
+                    season_number: season.season_number,
+                    season_name: season.name,
+                    user_id: before.unique_id,
+                    region: before.region,
+                    seasonal_xp: before.seasonal_xp
+                }], { session });
+
+                return created;
+            });
+
+            if (standing) {
+                archived++;
+            }
+        }
+
+        if (users.length < batchSize) {
+            break;
+        }
+    }
+
+    return archived;
+}
+
+/**
+ * Rank a season's standings within each region by seasonal XP
+ *
+ * Ties share a rank (1, 2, 2, 4).
+ *
+ * @param {Object} season - Closing season
+ * @returns {Promise<number>} Regions ranked
+ */
+async function rankStandings(season) {
+    const regions = await SeasonStanding.aggregate([
+        { $match: { season_id: season.unique_id } },
+        { $group: { _id: '$region', participants: { $sum: 1 } } }
+    ]);
+
+    for (const region of regions) {
+        const cursor = SeasonStanding.find({ season_id: season.unique_id, region: region._id })
+            .sort({ seasonal_xp: -1, archived_at: 1 })
+            .select('_id seasonal_xp')
+            .lean()
+            .cursor();
+
+        let operations = [];
+        let position = 0;
+        let rank = 0;
+        let previousXp = null;
+
+        for (let standing = await cursor.next(); standing; standing = await cursor.next()) {
+            position++;
+            if (standing.seasonal_xp !== previousXp) {
+                rank = position;
+                previousXp = standing.seasonal_xp;
+            }
+
+            operations.push({
+                updateOne: {
+                    filter: { _id: standing._id },
+                    update: { $set: { rank, region_participants: region.participants } }
+                }
+            });
+
+            if (operations.length >= 500) {
+                await SeasonStanding.bulkWrite(operations);
+                operations = [];
+            }
+        }
+
+        if (operations.length > 0) {
+            await SeasonStanding.bulkWrite(operations);
+        }
+    }
+
+    return regions.length;
+}
+
+/**
+ * Grant rank rewards and notify every user with a standing in the season
+ *
+ * @param {Object} season - Closing season
+ * @param {number} batchSize - Standings processed per batch
+ * @returns {Promise<Object>} { rewards_granted, users_notified }
+ */
+async function finalizeStandings(season, batchSize) {
+    let rewardsGranted = 0;
+    let usersNotified = 0;
+    let lastId = null;
+
+    for (;;) {
+        const query = { season_id: season.unique_id, finalized_at: null };
+        if (lastId) {
+            query._id = { $gt: lastId };
+        }
+
+        const standings = await SeasonStanding.find(query).sort({ _id: 1 }).limit(batchSize).lean();
+        if (standings.length === 0) {
+            break;
+        }
+        lastId = standings[standings.length - 1]._id;
+
+        for (const standing of standings) {
+            const reward = season.getRewardForRank(standing.rank);
+
+            const result = await runInTransaction(async session => {
+                const claimed = await SeasonStanding.updateOne(
+                    { _id: standing._id, finalized_at: null },
+                    { $set: { finalized_at: new Date() } },
+                    { session }
+                );
+                if (claimed.modifiedCount === 0) {
+                    return null;
+                }
+
+                let transactionId = null;
+                if (reward && (reward.xp > 0 || reward.points > 0)) {
+                    const credit = await creditUser(standing.user_id, reward, {
+                        sourceType: 'season_reward',
+                        sourceId: season.unique_id,
+                        idempotencyKey: `season_reward:${season.unique_id}:${standing.user_id}`,
+                        session: session,
+                        description: `${season.name} rank ${standing.rank} reward`,
+                        metadata: { region: standing.region, rank: standing.rank }
+                    });
+                    if (!credit.success) {
+                        throw new Error(`Season reward credit failed: ${credit.reason}`);
+                    }
+                    transactionId = credit.transaction_id;
+
+                    await SeasonStanding.updateOne(
+                        { _id: standing._id },
+                        {
+                            $set: {
+                                reward_xp: reward.xp,
+                                reward_points: reward.points,
+                                reward_transaction_id: transactionId
+                            }
+                        },
+                        { session }
+                    );
+                }
+
+                await Notification.create([{
+                    user_id: standing.user_id,
+                    notification_type: 'season_ended',
+                    title: `${season.name} has ended`,
+                    message: transactionId
+                        ? `You finished #${standing.rank} in ${standing.region} and earned ${reward.xp} XP and ${reward.points} points.`
+                        : `You finished #${standing.rank} in ${standing.region} with ${standing.seasonal_xp} XP.`,
+                    data: {
+                        season_id: season.unique_id,
+                        season_number: season.season_number,
+                        region: standing.region,
+                        rank: standing.rank,
+                        seasonal_xp: standing.seasonal_xp,
+                        reward: transactionId ? reward : null
+                    }
+                }], { session });
+
+                return { rewarded: !!transactionId };
+            });
+
+            if (result) {
+                usersNotified++;
+                if (result.rewarded) {
+                    rewardsGranted++;
+                }
+            }
+        }
+
+        if (standings.length < batchSize) {
+            break;
+        }
+    }
+
+    return { rewards_granted: rewardsGranted, users_notified: usersNotified };
+}
+
+/**
+ * Schedule the season after a closed one when none is scheduled yet
+ *
+ * @param {Object} season - Closed season
+ * @returns {Promise<Object|null>} Scheduled season, or null
+ */
+async function scheduleNextSeason(season) {
+    if (!config.seasons.autoRollover) {
+        return null;
+    }
+
+    const scheduled = await Season.findOne({ season_number: { $gt: season.season_number } });
+    if (scheduled) {
+        return scheduled;
+    }
+
+    const result = await createSeason({
+        starts_at: season.ends_at,
+        ends_at: new Date(season.ends_at.getTime() + config.seasons.lengthDays * DAY_MS),
+        rewards: season.rewards.map(tier => ({
+            rank_from: tier.rank_from,
+            rank_to: tier.rank_to,
+            xp: tier.xp,
+            points: tier.points
+        }))
+    });
+
+    return result.success ? result.season : null;
+}
+
+module.exports = {
+    createSeason,
+    updateSeason,
+    activateDueSeason,
+    closeSeason,
+    getCurrentSeasonStanding,
+    getUserSeasonHistory,
+    syncSeasonBadges,
+    validateSeasonRewards
+};
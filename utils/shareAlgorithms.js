@@ -12,6 +12,14 @@ const App = require('../core/models/App/App');
 const Tournament = require('../core/models/Common/Tournament');
 const ShareLog = require('../core/models/Technical/ShareLog');
 const PlatformUser = require('../core/models/App/PlatformUser');
+const TournamentParticipant = require('../core/models/Common/TournamentParticipant');
+const { recordStreakActivity } = require('./streakAlgorithms');
+const {
+    loadRewardRules,
+    buildRegularRewardFacts,
+    buildTournamentRewardFacts,
+    evaluateRewardRules
+} = require('./rewardRulesEngine');
 
 /**
  * Algorithm 5: Share Type Determination
@@ -40,8 +48,7 @@ async function determineShareType(userId, appId, tournamentId = null) {
             }
             
             // Check if user is registered in tournament
-            // This would typically query tournament_participants table
-            const isRegistered = true; // Placeholder - implement actual check
+            const isRegistered = await isUserRegisteredInTournament(userId, tournament.unique_id);
             
             if (!isRegistered) {
                 return { share_type: "regular", reason: "user_not_registered" };
@@ -57,11 +64,12 @@ async function determineShareType(userId, appId, tournamentId = null) {
             end_date: { $gte: new Date() }
         });
 
+        const user = await PlatformUser.findOne({ unique_id: userId });
+
         for (const tournament of activeTournaments) {
             if (tournament.apps_involved.includes(appId)) {
                 // Check if user is registered and eligible
-                const isRegistered = true; // Placeholder - implement actual check
-                const user = await PlatformUser.findOne({ unique_id: userId });
+                const isRegistered = await isUserRegisteredInTournament(userId, tournament.unique_id);
                 
                 if (isRegistered && user) {
                     const regionEligible = tournament.eligible_regions.includes('GLOBAL') || 
@@ -109,89 +117,34 @@ async function calculateRegularShareRewards(userId, appId, shareVerificationResu
             return { success: false, reason: "app_not_found" };
         }
 
-        let baseXp = app.app_xp;
-        let basePoints = app.app_points;
-
-        // STEP 2: Apply User-Level Bonuses
+        // STEP 2: Gather the Sharer's Facts
         const user = await PlatformUser.findOne({ unique_id: userId });
         if (!user) {
             return { success: false, reason: "user_not_found" };
         }
 
-        if (user.user_level >= 10) {
-            const veteranBonusMultiplier = 1.1; // 10% bonus for level 10+ users
-            baseXp = Math.round(baseXp * veteranBonusMultiplier);
-            basePoints = Math.round(basePoints * veteranBonusMultiplier);
-        }
-
-        // STEP 3: Apply Streak Bonuses
-        let streakBonusXp = 0;
-        let streakBonusPoints = 0;
-        
-        if (user.sharing_streak_days >= 7) {
-            streakBonusXp = Math.round(baseXp * 0.2); // 20% bonus for 7+ day streaks
-            streakBonusPoints = Math.round(basePoints * 0.1); // 10% bonus for 7+ day streaks
-        }
-
-        // STEP 4: Apply First-Time App Bonus
-        const previousShares = await ShareLog.countDocuments({
-            user_id: userId,
-            app_id: appId,
-            validation_status: "verified"
-        });
+        const facts = await buildRegularRewardFacts(user, app);
 
-        let firstTimeBonusXp = 0;
-        let firstTimeBonusPoints = 0;
-        
-        if (previousShares === 0) {
-            firstTimeBonusXp = Math.round(baseXp * 0.5); // 50% bonus for first share of app
-            firstTimeBonusPoints = Math.round(basePoints * 0.25); // 25% bonus for first share of app
-        }
-
-        // STEP 5: Apply Category Diversity Bonus
-        const userCategoriesShared = await ShareLog.distinct('app_id', {
-            user_id: userId,
-            validation_status: "verified"
-        });
-
-        const userApps = await App.find({ unique_id: { $in: userCategoriesShared } });
-        const userCategories = new Set();
-        userApps.forEach(userApp => {
-            userApp.categories.forEach(category => userCategories.add(category));
-        });
-
-        let diversityBonusXp = 0;
-        let diversityBonusPoints = 0;
-        
-        if (userCategories.size >= 5) {
-            const appCategories = new Set(app.categories);
-            const hasNewCategory = Array.from(appCategories).some(category => !userCategories.has(category));
-            
-            if (hasNewCategory) {
-                diversityBonusXp = 25;
-                diversityBonusPoints = 5;
-            }
-        }
+        // STEP 3: Apply the Regular Reward Rules (level, streak, first-share, diversity...)
+        const rules = await loadRewardRules('regular');
+        const evaluation = evaluateRewardRules(rules, facts, { xp: app.app_xp, points: app.app_points });
 
-        // STEP 6: Calculate Final Rewards
-        const totalXp = baseXp + streakBonusXp + firstTimeBonusXp + diversityBonusXp;
-        const totalPoints = basePoints + streakBonusPoints + firstTimeBonusPoints + diversityBonusPoints;
+        // STEP 4: Calculate Final Rewards
+        const totalXp = evaluation.base_xp + evaluation.bonus_xp;
+        const totalPoints = evaluation.base_points + evaluation.bonus_points;
 
-        // STEP 7: Return Reward Breakdown
+        // STEP 5: Return Reward Breakdown
         return {
             success: true,
             total_xp: totalXp,
             total_points: totalPoints,
             breakdown: {
-                base_xp: baseXp,
-                base_points: basePoints,
-                streak_bonus_xp: streakBonusXp,
-                streak_bonus_points: streakBonusPoints,
-                first_time_bonus_xp: firstTimeBonusXp,
-                first_time_bonus_points: firstTimeBonusPoints,
-                diversity_bonus_xp: diversityBonusXp,
-                diversity_bonus_points: diversityBonusPoints
-            }
+                base_xp: evaluation.base_xp,
+                base_points: evaluation.base_points,
+                ...evaluation.bonuses
+            },
+            rule_evaluations: evaluation.evaluations,
+            facts
         };
 
     } catch (error) {
@@ -230,46 +183,28 @@ async function calculateTournamentShareRewards(userId, appId, tournamentId, shar
         const tournamentXpBonus = Math.round(baseRewards.total_xp * (tournamentMultiplier - 1.0));
         const tournamentPointsBonus = Math.round(baseRewards.total_points * (tournamentMultiplier - 1.0));
 
-        // STEP 4: Apply Tournament Performance Bonuses
-        // This would typically query tournament_participants table
-        const participantRank = 1; // Placeholder - implement actual ranking
-        const totalParticipants = tournament.total_participants || 100;
-
-        let performanceBonusXp = 0;
-        let performanceBonusPoints = 0;
-
-        if (participantRank <= (totalParticipants * 0.1)) { // Top 10%
-            performanceBonusXp = Math.round(baseRewards.total_xp * 0.3); // 30% bonus
-            performanceBonusPoints = Math.round(baseRewards.total_points * 0.15); // 15% bonus
-        } else if (participantRank <= (totalParticipants * 0.25)) { // Top 25%
-            performanceBonusXp = Math.round(baseRewards.total_xp * 0.2); // 20% bonus
-            performanceBonusPoints = Math.round(baseRewards.total_points * 0.1); // 10% bonus
-        }
-
-        // STEP 5: Apply Tournament Streak Bonus
-        const tournamentShareDays = await ShareLog.distinct('created_at', {
-            user_id: userId,
+        // STEP 4: Apply the Tournament Reward Rules (performance, streak, special event...)
+        const user = await PlatformUser.findOne({ unique_id: userId });
+        const participant = await TournamentParticipant.findOne({
             tournament_id: tournamentId,
-            validation_status: "verified"
+            user_id: userId
         });
 
-        const uniqueDays = new Set(tournamentShareDays.map(date => 
-            new Date(date).toDateString()
-        )).size;
-
-        let tournamentStreakXp = 0;
-        let tournamentStreakPoints = 0;
-
-        if (uniqueDays >= 3) {
-            tournamentStreakXp = 20 * uniqueDays;
-            tournamentStreakPoints = 5 * uniqueDays;
-        }
+        const facts = {
+            ...baseRewards.facts,
+            ...await buildTournamentRewardFacts(user, tournament, participant)
+        };
+        const rules = await loadRewardRules('tournament');
+        const evaluation = evaluateRewardRules(rules, facts, {
+            xp: baseRewards.total_xp,
+            points: baseRewards.total_points
+        });
 
-        // STEP 6: Calculate Final Tournament Rewards
-        const totalXp = baseRewards.total_xp + tournamentXpBonus + performanceBonusXp + tournamentStreakXp;
-        const totalPoints = baseRewards.total_points + tournamentPointsBonus + performanceBonusPoints + tournamentStreakPoints;
+        // STEP 5: Calculate Final Tournament Rewards
+        const totalXp = baseRewards.total_xp + tournamentXpBonus + evaluation.bonus_xp;
+        const totalPoints = baseRewards.total_points + tournamentPointsBonus + evaluation.bonus_points;
 
-        // STEP 7: Return Comprehensive Breakdown
+        // STEP 6: Return Comprehensive Breakdown
         return {
             success: true,
             total_xp: totalXp,
@@ -278,10 +213,15 @@ async function calculateTournamentShareRewards(userId, appId, tournamentId, shar
             tournament_bonuses: {
                 tournament_xp_bonus: tournamentXpBonus,
                 tournament_points_bonus: tournamentPointsBonus,
-                performance_bonus_xp: performanceBonusXp,
-                performance_bonus_points: performanceBonusPoints,
-                tournament_streak_xp: tournamentStreakXp,
-                tournament_streak_points: tournamentStreakPoints
+                ...evaluation.bonuses
+            },
+            rule_evaluations: [...baseRewards.rule_evaluations, ...evaluation.evaluations],
+            tournament_info: {
+                tournament_id: tournamentId,
+                tournament_name: tournament.tournament_name,
+                multiplier: tournamentMultiplier,
+                current_rank: participant && participant.leaderboard_data ? participant.leaderboard_data.current_rank : null,
+                total_participants: tournament.total_participants
             }
         };
 
@@ -319,60 +259,15 @@ async function calculateShareRewards(userId, appId, tournamentId = null, shareVe
 /**
  * Update user sharing streak
  * 
+ * Streak days are counted in the user's own timezone, with streak freezes
+ * covering missed days (see streakAlgorithms).
+ * 
  * @param {string} userId - User's unique ID
+ * @param {Date} shareDate - When the verified share happened (defaults to now)
  * @returns {Promise<Object>} Updated streak information
  */
-async function updateUserSharingStreak(userId) {
-    try {
-        const user = await PlatformUser.findOne({ unique_id: userId });
-        if (!user) {
-            return { success: false, reason: "user_not_found" };
-        }
-
-        const today = new Date().toDateString();
-        const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toDateString();
-
-        // Get user's share dates
-        const shareDates = await ShareLog.distinct('created_at', {
-            user_id: userId,
-            validation_status: "verified"
-        });
-
-        const shareDateStrings = shareDates.map(date => new Date(date).toDateString());
-        const hasSharedToday = shareDateStrings.includes(today);
-        const hasSharedYesterday = shareDateStrings.includes(yesterday);
-
-        let newStreak = user.sharing_streak_days || 0;
-
-        if (hasSharedToday) {
-            // User already shared today, streak continues
-            newStreak = Math.max(newStreak, 1);
-        } else if (hasSharedYesterday) {
-            // User shared yesterday, increment streak
-            newStreak += 1;
-        } else {
-            // Break in streak, reset to 1 if shared today, 0 otherwise
-            newStreak = hasSharedToday ? 1 : 0;
-        }
-
-        // Update user streak
-        user.sharing_streak_days = newStreak;
-        user.longest_sharing_streak = Math.max(user.longest_sharing_streak || 0, newStreak);
-        user.last_share_date = hasSharedToday ? new Date() : user.last_share_date;
-
-        await user.save();
-
-        return {
-            success: true,
-            current_streak: newStreak,
-            longest_streak: user.longest_sharing_streak,
-            has_shared_today: hasSharedToday
-        };
-
-    } catch (error) {
-        console.error('Error in updateUserSharingStreak:', error);
-        return { success: false, reason: "system_error" };
-    }
+async function updateUserSharingStreak(userId, shareDate = new Date()) {
+    return recordStreakActivity(userId, shareDate);
 }
 
 /**
@@ -396,6 +291,9 @@ async function validateShareLimits(userId, appId) {
 
         const shareRules = app.share_rules || {};
         const today = new Date().toDateString();
+        const secondsUntilTomorrow = Math.ceil(
+            (new Date(today).getTime() + 24 * 60 * 60 * 1000 - Date.now()) / 1000
+        );
 
         // Check user daily limit
         const userSharesToday = await ShareLog.countDocuments({
@@ -408,7 +306,7 @@ async function validateShareLimits(userId, appId) {
         });
 
         if (userSharesToday >= (shareRules.daily_user_limit || 10)) {
-            return { valid: false, reason: "user_daily_limit_exceeded" };
+            return { valid: false, reason: "user_daily_limit_exceeded", retry_after: secondsUntilTomorrow };
         }
 
         // Check global daily limit
@@ -421,7 +319,7 @@ async function validateShareLimits(userId, appId) {
         });
 
         if (globalSharesToday >= (shareRules.daily_global_limit || 1000)) {
-            return { valid: false, reason: "global_daily_limit_exceeded" };
+            return { valid: false, reason: "global_daily_limit_exceeded", retry_after: secondsUntilTomorrow };
         }
 
         // Check cooldown period
@@ -435,18 +333,22 @@ async function validateShareLimits(userId, appId) {
             const timeSinceLastShare = (new Date() - lastShare.created_at) / (1000 * 60);
             
             if (timeSinceLastShare < cooldownMinutes) {
-                return { valid: false, reason: "cooldown_active" };
+                return {
+                    valid: false,
+                    reason: "cooldown_active",
+                    retry_after: Math.ceil((cooldownMinutes - timeSinceLastShare) * 60)
+                };
             }
         }
 
         // Check user level requirement
         const minLevel = shareRules.min_user_level || 1;
         if (user.user_level < minLevel) {
-            return { valid: false, reason: "level_too_low" };
+            return { valid: false, reason: "level_too_low", required_level: minLevel };
         }
 
         // Check app budget
-        if (!app.hasSufficientBudget()) {
+        if (!hasSufficientBudget(app)) {
             return { valid: false, reason: "app_budget_exhausted" };
         }
 
@@ -458,11 +360,69 @@ async function validateShareLimits(userId, appId) {
     }
 }
 
+// Helper Functions
+
+/**
+ * Check whether a user holds an active registration in a tournament
+ * 
+ * @param {string} userId - User's unique ID
+ * @param {string} tournamentId - Tournament's unique ID
+ * @returns {Promise<boolean>} True if the user is registered
+ */
+async function isUserRegisteredInTournament(userId, tournamentId) {
+    const participant = await TournamentParticipant.findOne({
+        tournament_id: tournamentId,
+        user_id: userId,
+        registration_status: { $in: ['registered', 'active'] }
+    });
+    return !!participant;
+}
+
+/**
+ * Check whether an app has budget left for another share
+ * Mirrors App.hasSufficientBudget() for app documents loaded without that method
+ * 
+ * @param {Object} app - App document
+ * @returns {boolean} True if the remaining budget covers one share
+ */
+function hasSufficientBudget(app) {
+    if (typeof app.hasSufficientBudget === 'function') {
+        return app.hasSufficientBudget();
+    }
+
+    // Apps without a configured total budget are not capped
+    const monetizationConfig = app.monetization_config || {};
+    if (monetizationConfig.budget_total === undefined || monetizationConfig.budget_total === null) {
+        return true;
+    }
+
+    const remainingBudget = Math.max(0,
+        (monetizationConfig.budget_total || 0) - (app.total_points_spent || 0) - (app.budget_reserved || 0));
+    return remainingBudget >= calculateShareBudgetCost(app);
+}
+
+/**
+ * Calculate the budget a single share of an app costs
+ * 
+ * Used both for the budget check and for the reservation held while a share is pending.
+ * 
+ * @param {Object} app - App document
+ * @returns {number} Cost per share, rounded to cents
+ */
+function calculateShareBudgetCost(app) {
+    const monetizationConfig = app.monetization_config || {};
+    const costPerXp = monetizationConfig.cost_per_xp !== undefined ? monetizationConfig.cost_per_xp : 0.01;
+    const costPerPoint = monetizationConfig.cost_per_point !== undefined ? monetizationConfig.cost_per_point : 0.1;
+    const cost = (app.app_xp || 0) * costPerXp + (app.app_points || 0) * costPerPoint;
+    return Math.round(cost * 100) / 100;
+}
+
 module.exports = {
     determineShareType,
     calculateRegularShareRewards,
     calculateTournamentShareRewards,
     calculateShareRewards,
     updateUserSharingStreak,
-    validateShareLimits
+    validateShareLimits,
+    calculateShareBudgetCost
 };
@@ -0,0 +1,183 @@
+/**
+ * Share Analytics Algorithms - INGAIN Platform
+ *
+ * This module builds a user's share funnel (generated → clicked → installed →
+ * registered → purchased) from ShareLog, click and conversion data, broken
+ * down by app, channel and day with the XP and points earned per stage.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const App = require('../core/models/App/App');
+const ShareLog = require('../core/models/Technical/ShareLog');
+const ShareClick = require('../core/models/Technical/ShareClick');
+const { isValidTimezone } = require('./streakAlgorithms');
+
+const CONVERSION_STAGES = [
+    { stage: 'installed', event_type: 'install' },
+    { stage: 'registered', event_type: 'register' },
+    { stage: 'purchased', event_type: 'purchase' }
+];
+
+/**
+ * Build the share funnel for a user
+ *
+ * @param {string} userId - User's unique ID
+ * @param {Object} options - Funnel options
+ * @param {Date} options.startDate - Start of the date range (inclusive)
+ * @param {Date} options.endDate - End of the date range (inclusive)
+ * @param {string} options.timezone - IANA timezone used to bucket days (default UTC)
+ * @returns {Promise<Object>} Funnel totals and breakdowns by app, channel and day
+ */
+async function getUserShareFunnel(userId, options) {
+    try {
+        const { startDate, endDate } = options;
+        const timezone = isValidTimezone(options.timezone) ? options.timezone : 'UTC';
+
+        const stageSums = buildStageSums();
+
+        const [funnel] = await ShareLog.aggregate([
+            {
+                $match: {
+                    user_id: userId,
+                    created_at: { $gte: startDate, $lte: endDate }
+                }
+            },
+            {
+                $project: {
+                    app_id: 1,
+                    share_channel: 1,
+                    day: { $dateToString: { format: '%Y-%m-%d', date: '$created_at', timezone: timezone } },
+                    click_count: { $ifNull: ['$click_count', 0] },
+                    is_verified: { $cond: [{ $eq: ['$validation_status', 'verified'] }, 1, 0] },
+                    event_types: { $ifNull: ['$validation_details.conversion_events.event_type', []] },
+                    verified_by_event: '$validation_details.verified_by_event',
+                    xp_awarded: { $ifNull: ['$xp_awarded', 0] },
+                    points_awarded: { $ifNull: ['$points_awarded', 0] }
+                }
+            },
+            {
+                $facet: {
+                    totals: [{ $group: { _id: null, ...stageSums } }],
+                    by_app: [{ $group: { _id: '$app_id', ...stageSums } }, { $sort: { generated: -1 } }],
+                    by_channel: [{ $group: { _id: '$share_channel', ...stageSums } }, { $sort: { generated: -1 } }],
+                    by_day: [{ $group: { _id: '$day', ...stageSums } }, { $sort: { _id: 1 } }]
+                }
+            }
+        ]);
+
+        // Clicks per channel use the channel the click came through (e.g. QR scans)
+        const channelClicks = await ShareClick.aggregate([
+            {
+                $match: {
+                    user_id: userId,
+                    clicked_at: { $gte: startDate, $lte: endDate }
+                }
+            },
+            { $group: { _id: '$share_channel', clicks: { $sum: 1 } } }
+        ]);
+        const clicksByChannel = new Map(channelClicks.map(row => [row._id, row.clicks]));
+
+        const appIds = funnel.by_app.map(row => row._id);
+        const apps = await App.find({ unique_id: { $in: appIds } }).select('unique_id app_name');
+        const appNames = new Map(apps.map(app => [app.unique_id, app.app_name]));
+
+        const channels = new Set([
+            ...funnel.by_channel.map(row => row._id),
+            ...clicksByChannel.keys()
+        ]);
+
+        return {
+            success: true,
+            date_range: { start_date: startDate, end_date: endDate, timezone: timezone },
+            totals: formatFunnelRow(funnel.totals[0] || {}),
+            by_app: funnel.by_app.map(row => ({
+                app_id: row._id,
+                app_name: appNames.get(row._id) || null,
+                ...formatFunnelRow(row)
+            })),
+            by_channel: Array.from(channels).map(channel => {
+                const row = funnel.by_channel.find(channelRow => channelRow._id === channel) || {};
+                return {
+                    share_channel: channel,
+                    ...formatFunnelRow(row),
+                    total_clicks: clicksByChannel.get(channel) || 0
+                };
+            }),
+            by_day: funnel.by_day.map(row => ({
+                date: row._id,
+                ...formatFunnelRow(row)
+            }))
+        };
+
+    } catch (error) {
+        console.error('Error in getUserShareFunnel:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+// Helper Functions
+
+/**
+ * Build the $group accumulators for every funnel stage
+ *
+ * @returns {Object} Accumulators keyed by output field
+ */
+function buildStageSums() {
+    const sums = {
+        generated: { $sum: 1 },
+        clicked: { $sum: { $cond: [{ $gt: ['$click_count', 0] }, 1, 0] } },
+        total_clicks: { $sum: '$click_count' },
+        verified: { $sum: '$is_verified' },
+        xp_earned: { $sum: '$xp_awarded' },
+        points_earned: { $sum: '$points_awarded' }
+    };
+
+    CONVERSION_STAGES.forEach(({ stage, event_type }) => {
+        const isVerifiedByStage = { $eq: ['$verified_by_event', event_type] };
+        sums[stage] = { $sum: { $cond: [{ $in: [event_type, '$event_types'] }, 1, 0] } };
+        sums[`${stage}_xp`] = { $sum: { $cond: [isVerifiedByStage, '$xp_awarded', 0] } };
+        sums[`${stage}_points`] = { $sum: { $cond: [isVerifiedByStage, '$points_awarded', 0] } };
+    });
+
+    return sums;
+}
+
+/**
+ * Shape a grouped aggregation row into funnel stages
+ *
+ * @param {Object} row - Aggregation row
+ * @returns {Object} Funnel stages with conversion rates and earnings per stage
+ */
+function formatFunnelRow(row) {
+    const generated = row.generated || 0;
+    const stages = {
+        generated: { count: generated, xp_earned: 0, points_earned: 0 },
+        clicked: { count: row.clicked || 0, xp_earned: 0, points_earned: 0 }
+    };
+
+    CONVERSION_STAGES.forEach(({ stage }) => {
+        stages[stage] = {
+            count: row[stage] || 0,
+            xp_earned: row[`${stage}_xp`] || 0,
+            points_earned: row[`${stage}_points`] || 0
+        };
+    });
+
+    Object.values(stages).forEach(stage => {
+        stage.rate = generated > 0 ? Math.round((stage.count / generated) * 10000) / 100 : 0;
+    });
+
+    return {
+        funnel: stages,
+        total_clicks: row.total_clicks || 0,
+        verified: row.verified || 0,
+        xp_earned: row.xp_earned || 0,
+        points_earned: row.points_earned || 0
+    };
+}
+
+module.exports = {
+    getUserShareFunnel
+};
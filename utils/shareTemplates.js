@@ -0,0 +1,276 @@
+/**
+ * Share Templates - INGAIN Platform
+ *
+ * This module renders channel-specific share messages and deep links
+ * (WhatsApp, Telegram, X/Twitter, SMS, email, Facebook) from templates with
+ * variables. Hosts can override the default templates per app, separately
+ * for regular and tournament shares.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const config = require('../config');
+
+const TEMPLATE_VARIABLES = ['app_name', 'share_url', 'user_name', 'tournament_name', 'platform_name'];
+const TEMPLATE_CHANNELS = ['whatsapp', 'telegram', 'twitter', 'sms', 'email', 'facebook'];
+const TEMPLATE_KINDS = ['regular', 'tournament'];
+const MAX_TEMPLATE_LENGTH = 1000;
+
+// Fields each channel's template is made of
+const CHANNEL_FIELDS = {
+    whatsapp: ['text'],
+    telegram: ['text'],
+    twitter: ['text'],
+    sms: ['text'],
+    email: ['subject', 'body'],
+    facebook: ['text']
+};
+
+// Channels whose message must carry the link itself
+const LINK_IN_MESSAGE_CHANNELS = ['whatsapp', 'sms', 'email'];
+
+// Telegram, X/Twitter and Facebook take the link as a separate parameter
+const DEFAULT_TEMPLATES = {
+    regular: {
+        whatsapp: { text: 'Hey! I\'ve been using {app_name} and think you\'ll love it. Get it here: {share_url}' },
+        telegram: { text: 'Check out {app_name}, I think you\'ll love it!' },
+        twitter: { text: 'I\'m enjoying {app_name}. Give it a try!' },
+        sms: { text: '{user_name} recommends {app_name}: {share_url}' },
+        email: {
+            subject: '{user_name} thinks you\'ll like {app_name}',
+            body: 'Hi,\n\nI\'ve been using {app_name} and thought you might like it too.\n\nYou can get it here: {share_url}\n\nCheers,\n{user_name}'
+        },
+        facebook: { text: 'I\'ve been using {app_name}. Check it out!' }
+    },
+    tournament: {
+        whatsapp: { text: 'I\'m competing in {tournament_name} on {platform_name}! Help me out by trying {app_name}: {share_url}' },
+        telegram: { text: 'I\'m competing in {tournament_name}! Help me out by trying {app_name}.' },
+        twitter: { text: 'Competing in {tournament_name} on {platform_name}. Try {app_name} and help me climb the leaderboard!' },
+        sms: { text: 'Help me win {tournament_name}! Try {app_name}: {share_url}' },
+        email: {
+            subject: 'Help me win {tournament_name}',
+            body: 'Hi,\n\nI\'m competing in {tournament_name} on {platform_name}. You can help me by trying {app_name}.\n\nGet it here: {share_url}\n\nThanks,\n{user_name}'
+        },
+        facebook: { text: 'I\'m competing in {tournament_name}! Try {app_name} and help me climb the leaderboard.' }
+    }
+};
+
+/**
+ * Render share payloads for every channel the app allows
+ *
+ * @param {Object} app - App document
+ * @param {Object} context - Template context
+ * @param {string} context.share_url - Link to share
+ * @param {string} context.user_name - Sharer's name
+ * @param {string} context.tournament_name - Tournament name (optional)
+ * @param {string} context.custom_message - Sharer's own message, replacing the template text (optional)
+ * @returns {Object} Payloads keyed by channel, each with its rendered fields and intent_url
+ */
+function renderSharePayloads(app, context) {
+    const variables = {
+        app_name: app.app_name,
+        share_url: context.share_url,
+        user_name: context.user_name || '',
+        tournament_name: context.tournament_name || '',
+        platform_name: config.platform.name
+    };
+
+    const templates = getAppTemplates(app, !!context.tournament_name);
+    const payloads = {};
+
+    getAllowedChannels(app).forEach(channel => {
+        const template = { ...templates[channel] };
+
+        if (context.custom_message) {
+            template[channel === 'email' ? 'body' : 'text'] = context.custom_message;
+        }
+
+        const rendered = {};
+        CHANNEL_FIELDS[channel].forEach(field => {
+            rendered[field] = renderTemplate(template[field], variables);
+        });
+
+        // Make sure a custom message still carries the link
+        const messageField = channel === 'email' ? 'body' : 'text';
+        if (LINK_IN_MESSAGE_CHANNELS.includes(channel) && !rendered[messageField].includes(context.share_url)) {
+            rendered[messageField] = `${rendered[messageField]} ${context.share_url}`.trim();
+        }
+
+        payloads[channel] = {
+            ...rendered,
+            intent_url: buildIntentUrl(channel, rendered, context.share_url)
+        };
+    });
+
+    return payloads;
+}
+
+/**
+ * Get the effective templates for an app, with host overrides applied over the defaults
+ *
+ * @param {Object} app - App document
+ * @param {boolean} isTournament - Whether to use the tournament defaults
+ * @returns {Object} Templates keyed by channel
+ */
+function getAppTemplates(app, isTournament = false) {
+    const kind = isTournament ? 'tournament' : 'regular';
+    const defaults = DEFAULT_TEMPLATES[kind];
+    const overrides = (app.share_templates || {})[kind] || {};
+    const templates = {};
+
+    TEMPLATE_CHANNELS.forEach(channel => {
+        templates[channel] = { ...defaults[channel], ...(overrides[channel] || {}) };
+    });
+
+    return templates;
+}
+
+/**
+ * Validate host template overrides
+ *
+ * @param {Object} templates - Overrides keyed by kind (regular, tournament), then by channel
+ * @returns {Object} { valid: true } or { valid: false, errors }
+ */
+function validateTemplates(templates) {
+    const errors = [];
+
+    if (!isPlainObject(templates)) {
+        return { valid: false, errors: ['Templates must be an object keyed by kind (regular, tournament)'] };
+    }
+
+    Object.keys(templates).forEach(kind => {
+        if (!TEMPLATE_KINDS.includes(kind)) {
+            errors.push(`Unknown template kind: ${kind}`);
+            return;
+        }
+
+        if (!isPlainObject(templates[kind])) {
+            errors.push(`${kind} templates must be an object keyed by channel`);
+            return;
+        }
+
+        errors.push(...validateChannelTemplates(kind, templates[kind]));
+    });
+
+    return errors.length > 0 ? { valid: false, errors } : { valid: true };
+}
+
+// Helper Functions
+
+/**
+ * Validate one kind's template overrides
+ *
+ * @param {string} kind - Template kind
+ * @param {Object} templates - Overrides keyed by channel
+ * @returns {Array} Error messages
+ */
+function validateChannelTemplates(kind, templates) {
+    const errors = [];
+
+    Object.keys(templates).forEach(channel => {
+        if (!TEMPLATE_CHANNELS.includes(channel)) {
+            errors.push(`Unknown channel for ${kind}: ${channel}`);
+            return;
+        }
+
+        const template = templates[channel] || {};
+        Object.keys(template).forEach(field => {
+            const value = template[field];
+            const path = `${kind}.${channel}.${field}`;
+
+            if (!CHANNEL_FIELDS[channel].includes(field)) {
+                errors.push(`Unknown field for ${kind}.${channel}: ${field}`);
+            } else if (typeof value !== 'string' || value.trim().length === 0) {
+                errors.push(`${path} must be a non-empty string`);
+            } else if (value.length > MAX_TEMPLATE_LENGTH) {
+                errors.push(`${path} cannot exceed ${MAX_TEMPLATE_LENGTH} characters`);
+            } else {
+                const unknownVariables = (value.match(/\{(\w+)\}/g) || [])
+                    .map(variable => variable.slice(1, -1))
+                    .filter(variable => !TEMPLATE_VARIABLES.includes(variable));
+                if (unknownVariables.length > 0) {
+                    errors.push(`${path} uses unknown variables: ${unknownVariables.join(', ')}`);
+                }
+            }
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Check whether a value is a plain (non-array) object
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a plain object
+ */
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Get the template channels the app allows sharing on
+ *
+ * @param {Object} app - App document
+ * @returns {Array} Allowed channels
+ */
+function getAllowedChannels(app) {
+    const shareRules = app.share_rules || {};
+    if (!Array.isArray(shareRules.allowed_channels)) {
+        return TEMPLATE_CHANNELS;
+    }
+    return TEMPLATE_CHANNELS.filter(channel => shareRules.allowed_channels.includes(channel));
+}
+
+/**
+ * Replace {variable} placeholders in a template
+ *
+ * @param {string} template - Template text
+ * @param {Object} variables - Variable values
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, variables) {
+    return (template || '')
+        .replace(/\{(\w+)\}/g, (match, name) => (Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : match))
+        .replace(/[ \t]{2,}/g, ' ')
+        .trim();
+}
+
+/**
+ * Build the ready-to-open intent URL for a channel
+ *
+ * @param {string} channel - Share channel
+ * @param {Object} rendered - Rendered template fields
+ * @param {string} shareUrl - Link to share
+ * @returns {string} Intent URL
+ */
+function buildIntentUrl(channel, rendered, shareUrl) {
+    const encode = encodeURIComponent;
+
+    switch (channel) {
+        case 'whatsapp':
+            return `https://wa.me/?text=${encode(rendered.text)}`;
+        case 'telegram':
+            return `https://t.me/share/url?url=${encode(shareUrl)}&text=${encode(rendered.text)}`;
+        case 'twitter':
+            return `https://twitter.com/intent/tweet?text=${encode(rendered.text)}&url=${encode(shareUrl)}`;
+        case 'sms':
+            return `sms:?&body=${encode(rendered.text)}`;
+        case 'email':
+            return `mailto:?subject=${encode(rendered.subject)}&body=${encode(rendered.body)}`;
+        case 'facebook':
+            return `https://www.facebook.com/sharer/sharer.php?u=${encode(shareUrl)}&quote=${encode(rendered.text)}`;
+        default:
+            return shareUrl;
+    }
+}
+
+module.exports = {
+    renderSharePayloads,
+    getAppTemplates,
+    validateTemplates,
+    TEMPLATE_CHANNELS,
+    TEMPLATE_KINDS,
+    TEMPLATE_VARIABLES
+};
@@ -0,0 +1,124 @@
+/**
+ * Short URL Algorithms - INGAIN Platform
+ *
+ * This module generates collision-safe base62 short codes for share links,
+ * builds short URLs on the app's tracking domain or the platform domain, and
+ * resolves short codes back to share tracking IDs.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const ShareLog = require('../core/models/Technical/ShareLog');
+const config = require('../config');
+
+const BASE62_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const MAX_GENERATION_ATTEMPTS = 5;
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+
+/**
+ * Generate a random base62 code
+ * Uses rejection sampling so every character is uniformly distributed
+ *
+ * @param {number} length - Code length
+ * @returns {string} Base62 code
+ */
+function generateShortCode(length = config.share.shortCodeLength) {
+    let code = '';
+    while (code.length < length) {
+        const bytes = crypto.randomBytes(length * 2);
+        for (const byte of bytes) {
+            // 248 is the largest multiple of 62 below 256
+            if (byte < 248 && code.length < length) {
+                code += BASE62_ALPHABET[byte % 62];
+            }
+        }
+    }
+    return code;
+}
+
+/**
+ * Generate a short code that is not yet used by any share
+ * The code grows by one character whenever a collision is found
+ *
+ * @returns {Promise<string>} Unused short code
+ */
+async function generateUniqueShortCode() {
+    let length = config.share.shortCodeLength;
+
+    for (let attempt = 0; attempt < MAX_GENERATION_ATTEMPTS; attempt++) {
+        const code = generateShortCode(length);
+        const existing = await ShareLog.exists({ short_code: code });
+        if (!existing) {
+            return code;
+        }
+        length += 1;
+    }
+
+    throw new Error('Unable to generate a unique short code');
+}
+
+/**
+ * Build the short URL for a code on the app's tracking domain or the platform domain
+ *
+ * @param {string} code - Short code
+ * @param {Object} app - App document
+ * @returns {string} Short URL
+ */
+function buildShortUrl(code, app) {
+    const trackingConfig = (app && app.tracking_config) || {};
+    const customDomain = normalizeDomain(trackingConfig.tracking_domain);
+    const domain = customDomain || config.share.shortUrlDomain;
+    return `https://${domain}/s/${code}`;
+}
+
+/**
+ * Resolve a short code back to its share tracking ID
+ *
+ * @param {string} code - Short code
+ * @returns {Promise<string|null>} Tracking ID or null when the code is unknown
+ */
+async function resolveShortCode(code) {
+    if (!code || !/^[0-9A-Za-z]+$/.test(code)) {
+        return null;
+    }
+
+    const share = await ShareLog.findOne({ short_code: code }).select('tracking_id');
+    return share ? share.tracking_id : null;
+}
+
+/**
+ * Check whether an error is a duplicate key error on the short code index
+ *
+ * @param {Error} error - Error thrown by a save
+ * @returns {boolean} True for short code collisions
+ */
+function isShortCodeCollision(error) {
+    return !!(error && error.code === 11000 && error.keyPattern && error.keyPattern.short_code);
+}
+
+// Helper Functions
+
+/**
+ * Normalize a configured tracking domain to a bare hostname
+ *
+ * @param {string} domain - Configured domain, optionally with protocol or path
+ * @returns {string|null} Hostname or null when missing or invalid
+ */
+function normalizeDomain(domain) {
+    if (!domain || typeof domain !== 'string') {
+        return null;
+    }
+
+    const hostname = domain.trim().replace(/^https?:\/\//i, '').split('/')[0].toLowerCase();
+    return HOSTNAME_PATTERN.test(hostname) ? hostname : null;
+}
+
+module.exports = {
+    generateShortCode,
+    generateUniqueShortCode,
+    buildShortUrl,
+    resolveShortCode,
+    isShortCodeCollision
+};
@@ -0,0 +1,580 @@
+/**
+ * Streak Algorithms - INGAIN Platform
+ *
+ * This module tracks daily sharing streaks in each user's own timezone:
+ * - Streak days are calendar days in the user's preferred timezone
+ * - Streak freezes (earned at streak milestones or bought with points) cover missed days
+ * - Finished streaks are archived in the user's streak history
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const PlatformUser = require('../core/models/App/PlatformUser');
+const ActivityLog = require('../core/models/Technical/ActivityLog');
+const Notification = require('../core/models/Technical/Notification');
+const { debitUser } = require('./ledger');
+const { runInTransaction } = require('./transactions');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STREAK_UPDATE_ATTEMPTS = 3;
+
+/**
+ * Record a verified share day on the user's streak
+ *
+ * Missed days are settled first (covered by freezes or ending the streak), then
+ * the streak is extended or a new one is started. A share from a day already on
+ * the streak changes nothing. The update only applies if no other update moved
+ * the streak since it was read; otherwise it is recomputed from the fresh state.
+ *
+ * @param {string} userId - User's unique ID
+ * @param {Date} activityDate - When the share happened (defaults to now)
+ * @returns {Promise<Object>} Streak update result
+ */
+async function recordStreakActivity(userId, activityDate = new Date()) {
+    try {
+        for (let attempt = 0; attempt < STREAK_UPDATE_ATTEMPTS; attempt++) {
+            const user = await PlatformUser.findOne({ unique_id: userId });
+            if (!user) {
+                return { success: false, reason: "user_not_found" };
+            }
+
+            const timezone = getUserTimezone(user);
+            const activityDay = getLocalDateKey(activityDate, timezone);
+            const snapshot = getStreakSnapshot(user);
+            const settlement = settleStreak(user, activityDay);
+
+            const lastActiveDate = user.streak_last_active_date;
+            const alreadyCounted = !!lastActiveDate && lastActiveDate >= activityDay;
+            let freezeEarned = false;
+
+            if (!alreadyCounted) {
+                if (lastActiveDate && user.sharing_streak_days > 0 && daysBetween(lastActiveDate, activityDay) === 1) {
+                    user.sharing_streak_days += 1;
+                } else {
+                    if (user.sharing_streak_days > 0) {
+                        archiveStreak(user);
+                    }
+                    user.sharing_streak_days = 1;
+                    user.current_streak_started_on = activityDay;
+                    user.current_streak_freezes_used = 0;
+                }
+                user.streak_last_active_date = activityDay;
+
+                // Every milestone earns a freeze, up to the holding limit
+                const earnEvery = config.streaks.freezeEarnEveryDays;
+                if (user.sharing_streak_days % earnEvery === 0 &&
+                    (user.streak_freezes_available || 0) < config.streaks.maxFreezes) {
+                    user.streak_freezes_available = (user.streak_freezes_available || 0) + 1;
+                    freezeEarned = true;
+                }
+            }
+
+            user.longest_sharing_streak = calculateLongestStreak(user);
+
+            const saved = await saveStreakChanges(user, snapshot, { $max: { last_share_date: activityDate } });
+            if (!saved) {
+                continue;
+            }
+
+            await notifySettlement(user, settlement);
+            if (freezeEarned) {
+                await notifyFreezeEarned(user);
+            }
+
+            return {
+                success: true,
+                current_streak: user.sharing_streak_days,
+                longest_streak: user.longest_sharing_streak,
+                has_shared_today: user.streak_last_active_date === getLocalDateKey(new Date(), timezone),
+                timezone: timezone,
+                freezes_available: user.streak_freezes_available,
+                freezes_used: settlement.freezes_used,
+                freeze_earned: freezeEarned,
+                streak_broken: settlement.broken
+            };
+        }
+
+        return { success: false, reason: "concurrent_update" };
+
+    } catch (error) {
+        console.error('Error in recordStreakActivity:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+/**
+ * Get a user's streak status, settling any days missed since their last share
+ *
+ * @param {string} userId - User's unique ID
+ * @returns {Promise<Object>} Streak status
+ */
+async function getUserStreak(userId) {
+    try {
+        const user = await PlatformUser.findOne({ unique_id: userId });
+        if (!user) {
+            return { success: false, reason: "user_not_found" };
+        }
+
+        const settlement = await settleUserStreak(user);
+        const timezone = getUserTimezone(user);
+
+        return {
+            success: true,
+            timezone: timezone,
+            current_streak: user.sharing_streak_days || 0,
+            longest_streak: user.longest_sharing_streak || 0,
+            started_on: user.sharing_streak_days > 0 ? user.current_streak_started_on || null : null,
+            last_active_date: user.streak_last_active_date || null,
+            has_shared_today: user.streak_last_active_date === getLocalDateKey(new Date(), timezone),
+            freezes_available: user.streak_freezes_available || 0,
+            freezes_used_this_streak: user.current_streak_freezes_used || 0,
+            max_freezes: config.streaks.maxFreezes,
+            freeze_price_points: config.streaks.freezePricePoints,
+            freezes_used_now: settlement.freezes_used,
+            history: (user.streak_history || []).slice().reverse()
+        };
+
+    } catch (error) {
+        console.error('Error in getUserStreak:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+/**
+ * Settle a user's streak for the current day and persist any change
+ *
+ * Nothing is persisted when another update moved the streak since the user was
+ * read; that update has settled it already.
+ *
+ * @param {Object} user - PlatformUser document
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Promise<Object>} Settlement result { changed, freezes_used, broken, ended_length }
+ */
+async function settleUserStreak(user, now = new Date()) {
+    const today = getLocalDateKey(now, getUserTimezone(user));
+    const snapshot = getStreakSnapshot(user);
+    const settlement = settleStreak(user, today);
+
+    if (settlement.changed) {
+        const saved = await saveStreakChanges(user, snapshot);
+        if (!saved) {
+            return { changed: false, freezes_used: 0, broken: false, ended_length: 0 };
+        }
+        await notifySettlement(user, settlement);
+    }
+
+    return settlement;
+}
+
+/**
+ * Buy streak freezes with points
+ *
+ * @param {string} userId - User's unique ID
+ * @param {number} quantity - Number of freezes to buy
+ * @returns {Promise<Object>} Purchase result
+ */
+async function purchaseStreakFreezes(userId, quantity = 1) {
+    try {
+        const maxFreezes = config.streaks.maxFreezes;
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > maxFreezes) {
+            return { success: false, reason: "invalid_quantity", max_freezes: maxFreezes };
+        }
+
+        const cost = quantity * config.streaks.freezePricePoints;
+        const purchaseId = uuidv4();
+
+        // The freezes and their payment commit together; the holding limit is
+        // enforced by the reservation filter
+        const { user, payment } = await runInTransaction(async session => {
+            const reserved = await PlatformUser.findOneAndUpdate(
+                { unique_id: userId, ...getFreezeCapacityFilter(quantity) },
+                { $inc: { streak_freezes_available: quantity } },
+                { new: true, session }
+            );
+            if (!reserved) {
+                throw purchaseFailure("freeze_limit_reached");
+            }
+
+            const debit = await debitUser(userId, { points: cost }, {
+                sourceType: 'streak_freeze_purchase',
+                sourceId: purchaseId,
+                actor: { type: 'user', id: userId },
+                idempotencyKey: `streak_freeze_purchase:${purchaseId}`,
+                session: session,
+                description: `Purchased ${quantity} streak freeze(s)`,
+                metadata: { quantity: quantity }
+            });
+            if (!debit.success) {
+                if (debit.reason === 'insufficient_balance') {
+                    throw purchaseFailure("insufficient_points");
+                }
+                throw new Error(`Streak freeze debit failed: ${debit.reason}`);
+            }
+
+            return { user: reserved, payment: debit };
+        });
+
+        await ActivityLog.logUserActivity(
+            userId,
+            'streak_freeze_purchased',
+            `Purchased ${quantity} streak freeze(s)`,
+            { quantity: quantity, points_spent: cost, freezes_available: user.streak_freezes_available }
+        );
+
+        return {
+            success: true,
+            quantity: quantity,
+            points_spent: cost,
+            current_points: payment.balances.points,
+            freezes_available: user.streak_freezes_available
+        };
+
+    } catch (error) {
+        if (error.purchaseReason) {
+            return describePurchaseFailure(userId, error.purchaseReason, quantity);
+        }
+        console.error('Error in purchaseStreakFreezes:', error);
+        return { success: false, reason: "system_error" };
+    }
+}
+
+/**
+ * Get the user filter that only matches users with room for more streak freezes
+ *
+ * Users created before streak freezes existed have no streak_freezes_available yet.
+ *
+ * @param {number} quantity - Freezes to add
+ * @returns {Object} PlatformUser query conditions
+ */
+function getFreezeCapacityFilter(quantity) {
+    return {
+        $or: [
+            { streak_freezes_available: { $lte: config.streaks.maxFreezes - quantity } },
+            { streak_freezes_available: { $exists: false } }
+        ]
+    };
+}
+
+/**
+ * Get the user's preferred timezone, falling back to the platform default
+ *
+ * @param {Object} user - PlatformUser document
+ * @returns {string} IANA timezone name
+ */
+function getUserTimezone(user) {
+    const timezone = (user.preferences || {}).timezone;
+    return isValidTimezone(timezone) ? timezone : config.streaks.defaultTimezone;
+}
+
+/**
+ * Check whether a string is a timezone the runtime understands
+ *
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean} True if valid
+ */
+function isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Get the calendar date of an instant in a timezone
+ *
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone name
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function getLocalDateKey(date, timezone) {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(date);
+}
+
+// Helper Functions
+
+/**
+ * Build the error that aborts a streak freeze purchase transaction
+ *
+ * @param {string} reason - Failure reason returned to the caller
+ * @returns {Error} Error carrying the reason
+ */
+function purchaseFailure(reason) {
+    const error = new Error(`Streak freeze purchase failed: ${reason}`);
+    error.purchaseReason = reason;
+    return error;
+}
+
+/**
+ * Describe why a streak freeze purchase was refused
+ *
+ * @param {string} userId - User's unique ID
+ * @param {string} reason - freeze_limit_reached | insufficient_points
+ * @param {number} quantity - Freezes the user tried to buy
+ * @returns {Promise<Object>} Failed purchase result
+ */
+async function describePurchaseFailure(userId, reason, quantity) {
+    const user = await PlatformUser.findOne({ unique_id: userId }).select('streak_freezes_available current_points');
+    if (!user) {
+        return { success: false, reason: "user_not_found" };
+    }
+
+    if (reason === 'insufficient_points') {
+        return {
+            success: false,
+            reason: "insufficient_points",
+            required_points: quantity * config.streaks.freezePricePoints,
+            current_points: user.current_points || 0
+        };
+    }
+
+    return {
+        success: false,
+        reason: "freeze_limit_reached",
+        freezes_available: user.streak_freezes_available || 0,
+        max_freezes: config.streaks.maxFreezes
+    };
+}
+
+/**
+ * Capture the streak fields an update is conditional on
+ *
+ * @param {Object} user - PlatformUser document
+ * @returns {Object} Streak state as read
+ */
+function getStreakSnapshot(user) {
+    return {
+        sharing_streak_days: user.sharing_streak_days || 0,
+        streak_last_active_date: user.streak_last_active_date || null,
+        streak_freezes_available: user.streak_freezes_available || 0
+    };
+}
+
+/**
+ * Persist a user's streak fields if the streak is still as it was read
+ *
+ * @param {Object} user - PlatformUser document with the new streak state
+ * @param {Object} snapshot - Streak state as read (see getStreakSnapshot)
+ * @param {Object} extraUpdate - Further update operators to apply (optional)
+ * @returns {Promise<boolean>} True if the update applied
+ */
+async function saveStreakChanges(user, snapshot, extraUpdate = {}) {
+    // Users created before streaks existed have no streak fields yet
+    const matchCount = value => (value === 0 ? { $in: [0, null] } : value);
+
+    const filter = {
+        unique_id: user.unique_id,
+        sharing_streak_days: matchCount(snapshot.sharing_streak_days),
+        streak_last_active_date: snapshot.streak_last_active_date
+    };
+    const set = {
+        sharing_streak_days: user.sharing_streak_days,
+        longest_sharing_streak: user.longest_sharing_streak,
+        streak_last_active_date: user.streak_last_active_date,
+        current_streak_started_on: user.current_streak_started_on,
+        current_streak_freezes_used: user.current_streak_freezes_used,
+        streak_history: user.streak_history
+    };
+
+    // Freezes can also change through purchases, so only key on them when they are written
+    if ((user.streak_freezes_available || 0) !== snapshot.streak_freezes_available) {
+        filter.streak_freezes_available = matchCount(snapshot.streak_freezes_available);
+        set.streak_freezes_available = user.streak_freezes_available;
+    }
+
+    const result = await PlatformUser.updateOne(filter, { ...extraUpdate, $set: set });
+    return result.matchedCount > 0;
+}
+
+/**
+ * Cover or end a streak for the days missed before today
+ *
+ * Days strictly between the last active day and today are missed. When the user
+ * holds enough freezes they are all covered; otherwise the streak ends.
+ *
+ * @param {Object} user - PlatformUser document (modified in place)
+ * @param {string} today - Today's date in the user's timezone (YYYY-MM-DD)
+ * @returns {Object} { changed, freezes_used, broken, ended_length }
+ */
+function settleStreak(user, today) {
+    const result = { changed: false, freezes_used: 0, broken: false, ended_length: 0 };
+
+    if (!user.sharing_streak_days || !user.streak_last_active_date) {
+        return result;
+    }
+
+    const missedDays = daysBetween(user.streak_last_active_date, today) - 1;
+    if (missedDays <= 0) {
+        return result;
+    }
+
+    result.changed = true;
+
+    if (missedDays <= (user.streak_freezes_available || 0)) {
+        user.streak_freezes_available -= missedDays;
+        user.current_streak_freezes_used = (user.current_streak_freezes_used || 0) + missedDays;
+        user.streak_last_active_date = shiftDateKey(today, -1);
+        result.freezes_used = missedDays;
+        return result;
+    }
+
+    result.broken = true;
+    result.ended_length = user.sharing_streak_days;
+    archiveStreak(user);
+    user.sharing_streak_days = 0;
+    user.current_streak_started_on = null;
+    user.current_streak_freezes_used = 0;
+    return result;
+}
+
+/**
+ * Move the user's current streak into their streak history
+ *
+ * @param {Object} user - PlatformUser document (modified in place)
+ */
+function archiveStreak(user) {
+    const history = user.streak_history || [];
+    history.push({
+        started_on: user.current_streak_started_on || null,
+        ended_on: user.streak_last_active_date || null,
+        length: user.sharing_streak_days,
+        freezes_used: user.current_streak_freezes_used || 0,
+        ended_at: new Date()
+    });
+
+    const historyLimit = config.streaks.historyLimit;
+    user.streak_history = history.length > historyLimit ? history.slice(-historyLimit) : history;
+    user.longest_sharing_streak = calculateLongestStreak(user);
+}
+
+/**
+ * Longest streak across the current streak and the streak history
+ *
+ * @param {Object} user - PlatformUser document
+ * @returns {number} Longest streak in days
+ */
+function calculateLongestStreak(user) {
+    const historyLengths = (user.streak_history || []).map(entry => entry.length || 0);
+    return Math.max(user.longest_sharing_streak || 0, user.sharing_streak_days || 0, ...historyLengths);
+}
+
+/**
+ * Whole calendar days from one date key to another
+ *
+ * @param {string} fromKey - YYYY-MM-DD
+ * @param {string} toKey - YYYY-MM-DD
+ * @returns {number} Day difference
+ */
+function daysBetween(fromKey, toKey) {
+    return Math.round((parseDateKey(toKey) - parseDateKey(fromKey)) / DAY_MS);
+}
+
+/**
+ * Shift a date key by a number of days
+ *
+ * @param {string} key - YYYY-MM-DD
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} Shifted YYYY-MM-DD
+ */
+function shiftDateKey(key, days) {
+    return new Date(parseDateKey(key) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a date key as UTC midnight
+ *
+ * @param {string} key - YYYY-MM-DD
+ * @returns {number} Milliseconds since epoch
+ */
+function parseDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+}
+
+/**
+ * Log and notify the user about freezes used or a streak that ended
+ *
+ * @param {Object} user - PlatformUser document
+ * @param {Object} settlement - Result of settleStreak
+ */
+async function notifySettlement(user, settlement) {
+    if (settlement.freezes_used > 0) {
+        await ActivityLog.logUserActivity(
+            user.unique_id,
+            'streak_freeze_used',
+            `${settlement.freezes_used} streak freeze(s) used`,
+            {
+                freezes_used: settlement.freezes_used,
+                freezes_available: user.streak_freezes_available,
+                current_streak: user.sharing_streak_days
+            }
+        );
+        await Notification.create({
+            user_id: user.unique_id,
+            notification_type: 'streak_bonus',
+            title: '🧊 Streak Freeze Used',
+            message: `A streak freeze protected your ${user.sharing_streak_days}-day sharing streak. Share today to keep it going!`,
+            data: {
+                freezes_used: settlement.freezes_used,
+                freezes_available: user.streak_freezes_available,
+                current_streak: user.sharing_streak_days
+            }
+        });
+    }
+
+    if (settlement.broken) {
+        await ActivityLog.logUserActivity(
+            user.unique_id,
+            'streak_reset',
+            `Sharing streak of ${settlement.ended_length} day(s) ended`,
+            { ended_length: settlement.ended_length, longest_streak: user.longest_sharing_streak }
+        );
+    }
+}
+
+/**
+ * Log and notify the user about a freeze earned at a streak milestone
+ *
+ * @param {Object} user - PlatformUser document
+ */
+async function notifyFreezeEarned(user) {
+    await ActivityLog.logUserActivity(
+        user.unique_id,
+        'streak_freeze_earned',
+        `Streak freeze earned at ${user.sharing_streak_days} days`,
+        { current_streak: user.sharing_streak_days, freezes_available: user.streak_freezes_available }
+    );
+    await Notification.create({
+        user_id: user.unique_id,
+        notification_type: 'streak_bonus',
+        title: `🔥 ${user.sharing_streak_days}-Day Streak!`,
+        message: 'You earned a streak freeze. It will automatically protect your streak if you miss a day.',
+        data: {
+            current_streak: user.sharing_streak_days,
+            freezes_available: user.streak_freezes_available
+        }
+    });
+}
+
+module.exports = {
+    recordStreakActivity,
+    getUserStreak,
+    settleUserStreak,
+    purchaseStreakFreezes,
+    getFreezeCapacityFilter,
+    getUserTimezone,
+    isValidTimezone,
+    getLocalDateKey
+};
@@ -15,12 +15,15 @@
 const Tournament = require('../core/models/Common/Tournament');
 const ShareLog = require('../core/models/Technical/ShareLog');
 const PlatformUser = require('../core/models/App/PlatformUser');
+const { canUserJoinTournamentTier } = require('./levelAlgorithms');
+const { DOMAIN_EVENTS, publishEvent } = require('../core/events/eventBus');
 
 /**
  * Algorithm 7: Tournament App Share Reward Calculation
  * 
  * Calculates enhanced rewards for shares made during active tournaments.
- * Includes tournament multiplier, performance bonuses, and streak rewards.
+ * The tournament multiplier applies first; performance, streak and special-event
+ * bonuses come from the tournament reward rules (see rewardRulesEngine).
  * 
  * @param {string} userId - User ID making the share
  * @param {string} appId - App being shared
@@ -30,105 +33,19 @@ const PlatformUser = require('../core/models/App/PlatformUser');
  */
 async function calculateTournamentShareReward(userId, appId, tournamentId, shareVerificationResult) {
     try {
-        // Get base rewards from regular share algorithm
-        const { calculateRegularShareReward } = require('./shareAlgorithms');
-        const baseRewards = await calculateRegularShareReward(userId, appId, shareVerificationResult);
-        
-        // Get tournament details
-        const tournament = await Tournament.findOne({ unique_id: tournamentId });
-        if (!tournament) {
-            throw new Error('Tournament not found');
-        }
-        
         // Get participant details
         const participant = await getTournamentParticipant(tournamentId, userId);
         if (!participant) {
             throw new Error('User not registered for tournament');
         }
-        
-        // Tournament multiplier bonus
-        const tournamentMultiplier = tournament.tournament_rules?.bonus_multiplier || 1.5;
-        const tournamentXpBonus = Math.round(baseRewards.total_xp * (tournamentMultiplier - 1.0));
-        const tournamentPointsBonus = Math.round(baseRewards.total_points * (tournamentMultiplier - 1.0));
-        
-        // Performance bonus based on current rank
-        let performanceBonusXp = 0, performanceBonusPoints = 0;
-        if (participant.current_rank && tournament.total_participants) {
-            const rankPercentage = participant.current_rank / tournament.total_participants;
-            
-            if (rankPercentage <= 0.1) { // Top 10%
-                performanceBonusXp = Math.round(baseRewards.total_xp * 0.3);
-                performanceBonusPoints = Math.round(baseRewards.total_points * 0.15);
-            } else if (rankPercentage <= 0.25) { // Top 25%
-                performanceBonusXp = Math.round(baseRewards.total_xp * 0.2);
-                performanceBonusPoints = Math.round(baseRewards.total_points * 0.1);
-            } else if (rankPercentage <= 0.5) { // Top 50%
-                performanceBonusXp = Math.round(baseRewards.total_xp * 0.1);
-                performanceBonusPoints = Math.round(baseRewards.total_points * 0.05);
-            }
-        }
-        
-        // Tournament streak bonus
-        const tournamentShareDays = await ShareLog.distinct('created_at', {
-            user_id: userId,
-            tournament_id: tournamentId,
-            validation_status: 'verified'
-        });
-        
-        let tournamentStreakXp = 0, tournamentStreakPoints = 0;
-        const uniqueDays = new Set(tournamentShareDays.map(date => date.toDateString())).size;
-        
-        if (uniqueDays >= 3) {
-            tournamentStreakXp = 20 * uniqueDays;
-            tournamentStreakPoints = 5 * uniqueDays;
-        }
-        
-        // Special event bonus (if applicable)
-        let specialEventBonusXp = 0, specialEventBonusPoints = 0;
-        if (tournament.tournament_category === 'special_event' || tournament.is_featured) {
-            specialEventBonusXp = Math.round(baseRewards.total_xp * 0.2);
-            specialEventBonusPoints = Math.round(baseRewards.total_points * 0.1);
+
+        const { calculateTournamentShareRewards } = require('./shareAlgorithms');
+        const rewards = await calculateTournamentShareRewards(userId, appId, tournamentId, shareVerificationResult);
+        if (!rewards.success) {
+            throw new Error(`Tournament reward calculation failed: ${rewards.reason}`);
         }
-        
-        // Final rewards calculation
-        const totalXp = Math.round(
-            baseRewards.total_xp + 
-            tournamentXpBonus + 
-            performanceBonusXp + 
-            tournamentStreakXp + 
-            specialEventBonusXp
-        );
-        
-        const totalPoints = Math.round(
-            baseRewards.total_points + 
-            tournamentPointsBonus + 
-            performanceBonusPoints + 
-            tournamentStreakPoints + 
-            specialEventBonusPoints
-        );
-        
-        return {
-            total_xp: totalXp,
-            total_points: totalPoints,
-            base_rewards: baseRewards,
-            tournament_bonuses: {
-                tournament_xp_bonus: tournamentXpBonus,
-                tournament_points_bonus: tournamentPointsBonus,
-                performance_bonus_xp: performanceBonusXp,
-                performance_bonus_points: performanceBonusPoints,
-                tournament_streak_xp: tournamentStreakXp,
-                tournament_streak_points: tournamentStreakPoints,
-                special_event_bonus_xp: specialEventBonusXp,
-                special_event_bonus_points: specialEventBonusPoints
-            },
-            tournament_info: {
-                tournament_id: tournamentId,
-                tournament_name: tournament.tournament_name,
-                multiplier: tournamentMultiplier,
-                current_rank: participant.current_rank,
-                total_participants: tournament.total_participants
-            }
-        };
+
+        return rewards;
         
     } catch (error) {
         console.error('Error calculating tournament share reward:', error);
@@ -390,6 +307,7 @@ async function distributeTournamentPrizes(tournamentId) {
         
         // Distribute prizes based on ranking
         const prizes = tournament.prizes || {};
+        const tournamentWinners = [];
         let currentRank = 1;
         let previousScore = null;
         
@@ -433,6 +351,15 @@ async function distributeTournamentPrizes(tournamentId) {
                 prizeDistribution.total_prizes_distributed.points += prize.points || 0;
                 prizeDistribution.total_prizes_distributed.cash += prize.cash || 0;
             }
+            
+            // First place (ties included) counts as a tournament win
+            if (currentRank === 1) {
+                await PlatformUser.updateOne(
+                    { unique_id: participant.user_id },
+                    { $inc: { total_tournaments_won: 1 } }
+                );
+                tournamentWinners.push(participant);
+            }
         }
         
         // Update tournament status
@@ -445,6 +372,14 @@ async function distributeTournamentPrizes(tournamentId) {
             }
         );
         
+        for (const winner of tournamentWinners) {
+            await publishEvent(DOMAIN_EVENTS.TOURNAMENT_WON, {
+                user_id: winner.user_id,
+                tournament_id: tournamentId,
+                score: winner.score
+            });
+        }
+        
         return prizeDistribution;
         
     } catch (error) {
@@ -506,6 +441,14 @@ async function checkTournamentEligibility(tournament, user) {
         };
     }
     
+    // Check the tournament tier the user's level unlocks
+    if (!canUserJoinTournamentTier(user, tournament)) {
+        return {
+            eligible: false,
+            reason: `Tier ${tournament.tournament_tier} tournaments require a higher level`
+        };
+    }
+    
     // Check region eligibility
     if (tournament.eligible_regions && !tournament.eligible_regions.includes('GLOBAL')) {
         if (!tournament.eligible_regions.includes(user.region)) {
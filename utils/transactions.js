@@ -0,0 +1,88 @@
+/**
+ * Transactions - INGAIN Platform
+ *
+ * This module runs a unit of work inside a MongoDB transaction, retrying
+ * transient failures (write conflicts, elections, unknown commit results).
+ * The work function receives the session and must pass it to every read and
+ * write that belongs to the unit of work; it may run more than once, so it
+ * should only change the database, not outside state.
+ *
+ * @author Yash Singh (ER_SKY)
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config');
+
+const WRITE_CONFLICT_CODE = 112;
+const RETRY_BASE_DELAY_MS = 50;
+
+/**
+ * Run a unit of work in a transaction
+ *
+ * @param {Function} work - async (session) => result
+ * @param {Object} options - Transaction options
+ * @param {number} options.maxRetries - Retries after a transient failure (defaults to config)
+ * @returns {Promise<*>} The work function's result
+ */
+async function runInTransaction(work, options = {}) {
+    const transactionConfig = config.database.transactions;
+
+    // Standalone servers cannot run transactions
+    if (!transactionConfig.enabled) {
+        return work(null);
+    }
+
+    const maxRetries = options.maxRetries !== undefined ? options.maxRetries : transactionConfig.maxRetries;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            let result;
+            await mongoose.connection.transaction(async session => {
+                result = await work(session);
+            });
+            return result;
+
+        } catch (error) {
+            if (attempt >= maxRetries || !isTransientError(error)) {
+                throw error;
+            }
+            console.warn(`Transaction attempt ${attempt + 1} failed, retrying:`, error.message);
+            await delay(RETRY_BASE_DELAY_MS * Math.pow(2, attempt));
+        }
+    }
+}
+
+/**
+ * Check whether an error is safe to retry as a whole transaction
+ *
+ * @param {Error} error - Error thrown by the transaction
+ * @returns {boolean} True if transient
+ */
+function isTransientError(error) {
+    if (!error) {
+        return false;
+    }
+    if (typeof error.hasErrorLabel === 'function' &&
+        (error.hasErrorLabel('TransientTransactionError') || error.hasErrorLabel('UnknownTransactionCommitResult'))) {
+        return true;
+    }
+    return error.code === WRITE_CONFLICT_CODE;
+}
+
+// Helper Functions
+
+/**
+ * Wait before the next attempt
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    runInTransaction,
+    isTransientError
+};